@@ -23,6 +23,19 @@ export const {
   Head,
   CONFIG,
   configure,
+  setRuntimeAdapter,
+  registerPlugin,
+  AssetCollector,
+  buildSite,
+  pageMetadata,
+  sitemapXml,
+  robotsTxt,
+  rssFeed,
+  atomFeed,
+  jsonReport,
+  sarifReport,
+  junitReport,
+  checkThresholds,
 
   // Components
   components,
@@ -38,6 +51,9 @@ export const {
 
   // Middleware
   createCachedRenderer,
+  createFetchHandler,
+  serveClientRuntime,
+  getClientRuntime,
   clearCache,
   getCacheStats,
   resetPools,
@@ -0,0 +1,377 @@
+'use strict';
+
+/**
+ * The checks behind Document.a11yAudit(). Each finding names the WCAG 2
+ * success criterion it fails:
+ *
+ * - E_CONTRAST (1.4.3, or 1.4.6 at level AAA): text whose color and
+ *   background, resolved from css(), sharedClass(), globalStyle(), addStyle()
+ *   and style() rules, contrast below 4.5:1, or 3:1 for large text (24px, or
+ *   18.66px bold). AAA asks for 7:1 and 4.5:1.
+ * - E_IMAGE_ALT (1.1.1): an <img>, <input type="image"> or linked <area>
+ *   without alt, unless role="presentation"/"none" or aria-hidden hides it.
+ * - W_MISSING_MAIN, W_MISSING_NAV (1.3.1, 2.4.1): no <main> landmark, or links
+ *   but no <nav>.
+ * - W_DUPLICATE_LANDMARK (1.3.1): two landmarks of the same role, one of them
+ *   without an aria-label or aria-labelledby to tell them apart.
+ * - W_POSITIVE_TABINDEX (2.4.3): a tabindex above 0 reorders focus.
+ * - E_CLICK_WITHOUT_KEYBOARD (2.1.1): a click handler on an element that is
+ *   not interactive and lacks a role, a key handler or a tabindex.
+ * - E_ARIA_HIDDEN_FOCUSABLE (4.1.2): aria-hidden="true" on an element that is
+ *   or contains something focusable.
+ *
+ * Contrast is checked statically, on the styles that apply without media
+ * queries, pseudo-classes or scripts, and only for text whose color or
+ * background an author style set. A background image, a color this library
+ * cannot parse or an unresolved var() leaves a pair unknown: it is listed in
+ * `contrast` with `passed: null` and a reason rather than guessed.
+ */
+
+const { Element } = require('./element');
+const { tagPath } = require('./content-model');
+const { splitTopLevel, parseRules, parseDeclarations, documentStyleRules, resolveCascade, cascadeStyle } = require('./cascade');
+const { parseColor, blend, contrastRatio, toHex } = require('./color');
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const LINK_COLOR = { r: 0, g: 0, b: 238, a: 1 };
+// User-agent defaults: heading sizes in em, and the elements drawn bold.
+const HEADING_EM = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67 };
+const BOLD_TAGS = new Set(['b', 'strong', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const FONT_SIZE_KEYWORDS = { 'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32 };
+const NO_TEXT_TAGS = new Set(['script', 'style', 'template', 'noscript', 'svg', 'math', 'textarea', 'select']);
+const KEY_EVENTS = new Set(['keydown', 'keyup', 'keypress']);
+// Roles that make an element a landmark; <form> and <section> only count when named.
+const SECTIONING = new Set(['article', 'aside', 'main', 'nav', 'section']);
+const LANDMARK_ROLES = new Set(['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search']);
+const LEVELS = {
+  AA: { normal: 4.5, large: 3, criterion: '1.4.3' },
+  AAA: { normal: 7, large: 4.5, criterion: '1.4.6' },
+};
+
+const has = (el, name) => el.attrs[name] != null && el.attrs[name] !== false;
+const attr = (el, name) => (has(el, name) ? String(el.attrs[name]).trim() : '');
+const explicitRole = (el) => attr(el, 'role').toLowerCase().split(/\s+/)[0] || '';
+const isLabelled = (el) => attr(el, 'aria-label') !== '' || attr(el, 'aria-labelledby') !== '';
+const isDisabled = (el) => has(el, 'disabled') || attr(el, 'aria-disabled') === 'true';
+
+function landmarkRole(el, ancestors) {
+  const role = explicitRole(el);
+  if (role) return LANDMARK_ROLES.has(role) && ((role !== 'form' && role !== 'region') || isLabelled(el)) ? role : null;
+  switch (el.tag) {
+    case 'main': return 'main';
+    case 'nav': return 'navigation';
+    case 'aside': return 'complementary';
+    case 'search': return 'search';
+    case 'header':
+    case 'footer':
+      if (ancestors.some(a => SECTIONING.has(a.tag))) return null;
+      return el.tag === 'header' ? 'banner' : 'contentinfo';
+    case 'form': return isLabelled(el) ? 'form' : null;
+    case 'section': return isLabelled(el) ? 'region' : null;
+    default: return null;
+  }
+}
+
+function isNativelyInteractive(el) {
+  switch (el.tag) {
+    case 'a': case 'area': return has(el, 'href');
+    case 'input': return attr(el, 'type').toLowerCase() !== 'hidden';
+    case 'audio': case 'video': return has(el, 'controls');
+    case 'button': case 'select': case 'textarea': case 'summary': case 'option': case 'label': case 'iframe': return true;
+    default: return attr(el, 'contenteditable') !== '' && attr(el, 'contenteditable') !== 'false';
+  }
+}
+
+/** Reachable with Tab. */
+function isFocusable(el) {
+  if (has(el, 'tabindex') && Number(attr(el, 'tabindex')) < 0) return false;
+  if (['button', 'input', 'select', 'textarea'].includes(el.tag) && has(el, 'disabled')) return false;
+  if (el.tag === 'label' || el.tag === 'option') return has(el, 'tabindex');
+  return isNativelyInteractive(el) || has(el, 'tabindex');
+}
+
+/** The element's own text, without its children's. */
+function ownText(el) {
+  return el.children.filter(child => !(child instanceof Element)).map(child => String(child).replace(/<[^>]*>/g, '')).join('').trim();
+}
+
+/* ---- Computed style ---- */
+
+/** `value` with every var() replaced, or null when one cannot be resolved. */
+function resolveVars(value, vars, depth = 0) {
+  if (!value.includes('var(')) return value;
+  if (depth > 8) return null;
+  let unresolved = false;
+  const out = value.replace(/var\(\s*(--[\w-]+)\s*(?:,([^()]*(?:\([^()]*\)[^()]*)*))?\)/g, (m, name, fallback) => {
+    const found = vars.has(name) ? resolveVars(vars.get(name), vars, depth + 1) : fallback !== undefined ? fallback.trim() : null;
+    if (found === null) unresolved = true;
+    return found === null ? '' : found;
+  });
+  return unresolved ? null : resolveVars(out, vars, depth + 1);
+}
+
+function fontSizeOf(value, parentSize, rootSize) {
+  if (value in FONT_SIZE_KEYWORDS) return FONT_SIZE_KEYWORDS[value];
+  const match = /^(\d*\.?\d+)(px|pt|em|rem|%)$/.exec(value);
+  if (!match) return null;
+  const n = Number(match[1]);
+  switch (match[2]) {
+    case 'px': return n;
+    case 'pt': return n * 4 / 3;
+    case 'rem': return rootSize === null ? null : n * rootSize;
+    case '%': return parentSize === null ? null : n / 100 * parentSize;
+    default: return parentSize === null ? null : n * parentSize;
+  }
+}
+
+const isBoldWeight = (value) => value === 'bold' || value === 'bolder' || (/^\d+$/.test(value) && Number(value) >= 700);
+
+/**
+ * The style an element passes to its children and uses for its own text,
+ * from its parent's and its cascaded declarations. `color` and `background`
+ * are null when unknown; `background` is always opaque.
+ */
+function computeStyle(parent, declarations, el, rootSize) {
+  const style = { ...parent, vars: new Map(parent.vars) };
+  for (const { prop, value } of declarations) {
+    if (prop.startsWith('--')) style.vars.set(prop, value);
+  }
+  if (el && HEADING_EM[el.tag] && parent.fontSize !== null) style.fontSize = parent.fontSize * HEADING_EM[el.tag];
+  if (el && BOLD_TAGS.has(el.tag)) style.bold = true;
+
+  let layer;
+  for (const { prop, value: raw } of declarations) {
+    if (prop.startsWith('--')) continue;
+    const value = resolveVars(raw, style.vars);
+    const lower = value === null ? null : value.toLowerCase();
+    switch (prop) {
+      case 'color':
+        style.authored = true;
+        if (lower === 'inherit' || lower === 'currentcolor' || lower === 'unset') style.color = parent.color;
+        else if (lower === 'initial') style.color = BLACK;
+        else style.color = lower === null ? null : parseColor(lower);
+        if (lower === null) style.unknown = `color "${raw}" uses a custom property that is not set`;
+        else if (style.color === null) style.unknown = `color "${value}" is not a color that can be resolved statically`;
+        break;
+      case 'background-color':
+      case 'background':
+        style.authored = true;
+        layer = backgroundLayer(prop, lower, style.color);
+        if (layer === null) style.unknown = `background "${raw}" cannot be resolved to a single color`;
+        break;
+      case 'background-image':
+        if (lower !== 'none') {
+          layer = null;
+          style.authored = true;
+          style.unknown = `background-image "${raw}" is drawn behind the text`;
+        }
+        break;
+      case 'font-size': {
+        const size = lower === null ? null : fontSizeOf(lower, parent.fontSize, rootSize);
+        style.fontSize = size;
+        break;
+      }
+      case 'font-weight':
+        style.bold = lower === 'inherit' ? parent.bold : lower !== null && isBoldWeight(lower);
+        break;
+      case 'font':
+        if (lower !== null && lower !== 'inherit') {
+          const size = /(?:^|\s)(\d*\.?\d+(?:px|pt|em|rem|%)|(?:xx?-)?(?:small|large)|medium)(?:\/\S+)?(?:\s|$)/.exec(lower);
+          style.fontSize = size ? fontSizeOf(size[1], parent.fontSize, rootSize) : null;
+          style.bold = /(?:^|\s)(?:bold|bolder|[7-9]00)(?:\s|$)/.test(lower);
+        }
+        break;
+      case 'display':
+        if (lower === 'none') style.hidden = true;
+        break;
+      case 'visibility':
+        style.invisible = lower === 'hidden' || lower === 'collapse';
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (layer !== undefined) {
+    if (layer === null) style.background = null;
+    else if (layer.a === 0) style.background = parent.background;
+    else if (layer.a === 1) style.background = layer;
+    else style.background = parent.background === null ? null : blend(layer, parent.background);
+  }
+  return style;
+}
+
+/** The color a background declaration paints: transparent for `none`, null when unknown. */
+function backgroundLayer(prop, value, currentColor) {
+  if (value === null) return null;
+  if (prop === 'background') {
+    if (/\b(?:url|image-set|(?:repeating-)?(?:linear|radial|conic)-gradient)\(/.test(value)) return null;
+    if (value === 'none' || value === 'inherit' || value === 'initial' || value === 'unset') return { r: 0, g: 0, b: 0, a: 0 };
+    // The color is one of the layer's words; the rest are positions, sizes and keywords.
+    const words = splitTopLevel(value.replace(/\s+/g, ' '), ' ');
+    for (const word of words) {
+      const color = word === 'currentcolor' ? currentColor : parseColor(word);
+      if (color) return color;
+    }
+    return words.every(word => /^(?:none|repeat|repeat-x|repeat-y|no-repeat|space|round|scroll|fixed|local|center|top|bottom|left|right|cover|contain|auto|border-box|padding-box|content-box|[\d.]+(?:px|%|em|rem)?|\/)$/.test(word))
+      ? { r: 0, g: 0, b: 0, a: 0 }
+      : null;
+  }
+  if (value === 'inherit' || value === 'initial' || value === 'unset') return { r: 0, g: 0, b: 0, a: 0 };
+  return value === 'currentcolor' ? currentColor : parseColor(value);
+}
+
+/* ---- Audit ---- */
+
+/**
+ * Run every check over `doc`. `level` is 'AA' or 'AAA'.
+ *
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[], contrast: Object[] }}
+ */
+function auditAccessibility(doc, level) {
+  const errors = [];
+  const warnings = [];
+  const contrast = [];
+  const thresholds = LEVELS[level];
+  const where = (el, ancestors) => ({ tag: el.tag, id: el.attrs.id || null, path: tagPath(el, ancestors) });
+  const add = (target, code, wcag, message, el, ancestors, extra) => {
+    target.push({ code, message, ...(el ? where(el, ancestors) : { tag: 'document', id: null }), wcag, ...extra });
+  };
+
+  // The cascade, with :root/html rules for the root and body rules for <body>.
+  const rules = documentStyleRules(doc);
+  const { matched, bodyDeclarations } = resolveCascade(doc, rules);
+  const rootDeclarations = [];
+  for (const rule of parseRules(rules.join(''))) {
+    if (rule.raw || !splitTopLevel(rule.selector, ',').some(s => /^(?::root|html)$/i.test(s))) continue;
+    rootDeclarations.push(...parseDeclarations(rule.body));
+  }
+  const declarationsOf = (list, inline) => parseDeclarations(cascadeStyle(list, inline));
+  const initial = {
+    vars: new Map(), color: BLACK, background: WHITE, fontSize: 16, bold: false,
+    hidden: false, invisible: false, authored: false, unknown: null
+  };
+  const root = computeStyle(initial, declarationsOf(rootDeclarations, null), null, 16);
+  const rootSize = root.fontSize;
+  const body = computeStyle(root, declarationsOf(bodyDeclarations, doc._bodyAttrs.style), null, rootSize);
+
+  const landmarks = new Map();
+  let hasLink = false;
+  const visit = (children, ancestors, parentStyle, ariaHidden) => {
+    for (const el of children) {
+      if (!(el instanceof Element)) continue;
+      const declarations = declarationsOf(matched.get(el) || [], el.attrs.style);
+      const style = computeStyle(parentStyle, declarations, el, rootSize);
+      const own = new Set(declarations.map(d => d.prop));
+      if (has(el, 'hidden')) style.hidden = true;
+      // Links and buttons do not inherit their color; the browser sets one.
+      if (!own.has('color') && el.tag === 'a' && has(el, 'href')) style.color = LINK_COLOR;
+      if (el.tag === 'button') {
+        if (!own.has('color')) style.color = BLACK;
+        if (!own.has('background') && !own.has('background-color')) {
+          style.background = null;
+          style.unknown = 'the browser draws its own background behind a <button> that sets none';
+        }
+      }
+
+      if (el.tag === 'a' && has(el, 'href')) hasLink = true;
+      const role = landmarkRole(el, ancestors);
+      if (role) {
+        if (!landmarks.has(role)) landmarks.set(role, []);
+        landmarks.get(role).push({ el, ancestors });
+      }
+
+      const decorative = ['presentation', 'none'].includes(explicitRole(el)) || attr(el, 'aria-hidden') === 'true';
+      const needsAlt = el.tag === 'img' || (el.tag === 'input' && attr(el, 'type').toLowerCase() === 'image') || (el.tag === 'area' && has(el, 'href'));
+      if (needsAlt && !decorative && !Object.prototype.hasOwnProperty.call(el.attrs, 'alt')) {
+        add(errors, 'E_IMAGE_ALT', '1.1.1', `<${el.tag}> has no alt text. Describe the image, or give it alt="" if it is decorative.`, el, ancestors);
+      }
+
+      if (has(el, 'tabindex') && Number(attr(el, 'tabindex')) > 0) {
+        add(warnings, 'W_POSITIVE_TABINDEX', '2.4.3', `tabindex="${attr(el, 'tabindex')}" moves <${el.tag}> ahead of the page order for keyboard users. Use 0 and order the markup instead.`, el, ancestors);
+      }
+
+      const events = el.events || [];
+      if (events.some(e => e.event === 'click') && !isNativelyInteractive(el)) {
+        const missing = [];
+        if (!explicitRole(el) || ['presentation', 'none', 'generic'].includes(explicitRole(el))) missing.push('a role such as role="button"');
+        if (!events.some(e => KEY_EVENTS.has(e.event))) missing.push('a keydown handler');
+        if (!has(el, 'tabindex') || Number(attr(el, 'tabindex')) < 0) missing.push('tabindex="0"');
+        if (missing.length > 0) {
+          add(errors, 'E_CLICK_WITHOUT_KEYBOARD', '2.1.1', `<${el.tag}> has a click handler but keyboard users cannot use it: it needs ${missing.join(', ').replace(/, ([^,]+)$/, ' and $1')}. A <button> has all of these.`, el, ancestors);
+        }
+      }
+
+      if (!ariaHidden && attr(el, 'aria-hidden') === 'true') {
+        const focusable = findFocusable(el, ancestors);
+        if (focusable) {
+          const inside = focusable.el === el ? 'is focusable' : `contains focusable ${tagPath(focusable.el, focusable.ancestors)}`;
+          add(errors, 'E_ARIA_HIDDEN_FOCUSABLE', '4.1.2', `aria-hidden="true" hides <${el.tag}> from assistive technology, but it ${inside}, so keyboard users reach content screen readers do not announce.`, el, ancestors);
+        }
+      }
+
+      const drawsText = !style.hidden && !style.invisible && !NO_TEXT_TAGS.has(el.tag) && !ancestors.some(a => NO_TEXT_TAGS.has(a.tag));
+      if (drawsText && style.authored && !isDisabled(el) && ownText(el) !== '') {
+        contrast.push(checkContrast(el, ancestors, style, thresholds, errors, where));
+      }
+      visit(el.children, [...ancestors, el], style, ariaHidden || attr(el, 'aria-hidden') === 'true');
+    }
+  };
+  visit(doc.body, [], body, false);
+
+  if (!landmarks.has('main')) {
+    add(warnings, 'W_MISSING_MAIN', '1.3.1, 2.4.1', 'The page has no <main> landmark, so screen-reader users cannot jump to its content.', null);
+  }
+  if (hasLink && !landmarks.has('navigation')) {
+    add(warnings, 'W_MISSING_NAV', '1.3.1, 2.4.1', 'The page has links but no <nav> landmark; wrap its navigation links in <nav>.', null);
+  }
+  for (const [role, found] of landmarks) {
+    if (found.length < 2) continue;
+    for (const { el, ancestors } of found) {
+      if (isLabelled(el)) continue;
+      add(warnings, 'W_DUPLICATE_LANDMARK', '1.3.1', `The page has ${found.length} "${role}" landmarks and this <${el.tag}> has no aria-label or aria-labelledby to tell it apart.`, el, ancestors, { role });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings, contrast };
+}
+
+/** The first focusable element at or below `el`, skipping hidden and inert subtrees. */
+function findFocusable(el, ancestors) {
+  if (has(el, 'hidden') || has(el, 'inert')) return null;
+  if (isFocusable(el)) return { el, ancestors };
+  for (const child of el.children) {
+    if (!(child instanceof Element)) continue;
+    const found = findFocusable(child, [...ancestors, el]);
+    if (found) return found;
+  }
+  return null;
+}
+
+function checkContrast(el, ancestors, style, thresholds, errors, where) {
+  const large = style.fontSize !== null && (style.fontSize >= 24 || (style.bold && style.fontSize >= 18.66));
+  const required = large ? thresholds.large : thresholds.normal;
+  const entry = { ...where(el, ancestors), foreground: null, background: null, ratio: null, required, largeText: large };
+  if (style.color === null || style.background === null) {
+    return { ...entry, passed: null, reason: `Not checked: ${style.unknown || 'the colors could not be resolved'}.` };
+  }
+  const foreground = style.color.a < 1 ? blend(style.color, style.background) : style.color;
+  const ratio = contrastRatio(foreground, style.background);
+  const result = { ...entry, foreground: toHex(foreground), background: toHex(style.background), ratio: Math.floor(ratio * 100) / 100, passed: ratio >= required };
+  if (!result.passed) {
+    errors.push({
+      code: 'E_CONTRAST',
+      message: `Text in <${el.tag}> has a contrast ratio of ${result.ratio}:1 (${result.foreground} on ${result.background}); ${large ? 'large ' : ''}text needs ${required}:1.`,
+      ...where(el, ancestors),
+      wcag: thresholds.criterion,
+      foreground: result.foreground,
+      background: result.background,
+      ratio: result.ratio,
+      required,
+    });
+  }
+  return result;
+}
+
+module.exports = { auditAccessibility };
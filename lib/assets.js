@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Shared, content-hashed assets for pages that render with
+ * `render({ extractCss: assets })`.
+ *
+ * The page gets a <link> to `styles.<hash>.css`, and its head styles and
+ * every element's scoped css() rules go into the collector. One collector can
+ * serve any number of documents: a rule two pages share is stored once, and
+ * rules keep the order in which they were first seen.
+ *
+ * Scoped class names are hashes of their rules, so no two pages can define one
+ * differently. Head class and global styles and addStyle() CSS can: the first
+ * page to define a selector puts its rules in the stylesheet, and a later page
+ * that defines it differently keeps its own rules for it in a <style> block,
+ * after the link. A dev-mode warning names such selectors.
+ *
+ *   const assets = new AssetCollector({ publicPath: '/assets/' });
+ *   const pages = docs.map(doc => doc.render({ extractCss: assets }));
+ *   for (const file of assets.files()) write(file.fileName, file.contents);
+ *   const html = pages.map(page => assets.resolve(page));
+ *
+ * The file name follows the content, so it changes whenever a later page adds
+ * a rule. The page rendered last always links to the current file; resolve()
+ * brings the links in earlier pages up to date.
+ *
+ * `render({ sourceMap: assets })` stores the client script's source map here
+ * too, as `buildhtml-client.<hash>.js.map`.
+ */
+
+const { hash, escapeHtml } = require('./utils');
+const { CONFIG } = require('./config');
+
+/**
+ * Split CSS text into its top-level rules as `{ prelude, text }`: a style
+ * rule's prelude is its selector, an at-rule's is its `@media …` line. A
+ * statement without a block, such as @import, or an unclosed one has a null
+ * prelude. Braces inside strings and comments do not count.
+ */
+function splitRules(css) {
+  const rules = [];
+  let depth = 0;
+  let start = 0;
+  let open = -1;
+  const push = (end, prelude) => {
+    const text = css.slice(start, end).trim();
+    if (text) rules.push({ prelude, text });
+    start = end;
+  };
+  for (let i = 0; i < css.length; i++) {
+    const c = css[i];
+    if (c === '"' || c === "'") {
+      for (i++; i < css.length && css[i] !== c; i++) if (css[i] === '\\') i++;
+    } else if (c === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end < 0 ? css.length : end + 1;
+    } else if (c === '{') {
+      if (depth++ === 0) open = i;
+    } else if (c === '}' && depth > 0) {
+      if (--depth === 0) {
+        push(i + 1, css.slice(start, open).replace(/\/\*[\s\S]*?\*\//g, '').replace(/\s+/g, ' ').trim());
+      }
+    } else if (c === ';' && depth === 0) {
+      push(i + 1, null);
+    }
+  }
+  push(css.length, null);
+  return rules;
+}
+
+class AssetCollector {
+  constructor(options = {}) {
+    if (options.publicPath != null && typeof options.publicPath !== 'string') {
+      throw new TypeError('AssetCollector: publicPath must be a string');
+    }
+    this.publicPath = options.publicPath == null ? '/' : options.publicPath;
+    this._cssRules = [];
+    this._seenCss = new Set();
+    // Head selector -> its rules on the first page that defined it. Shared
+    // with fork()s.
+    this._definitions = new Map();
+    // Every stylesheet name a page has linked to, for resolve().
+    this._issuedCss = new Set();
+    this._sourceMaps = new Map();
+  }
+
+  /** Add CSS rules, skipping any the collector already has. */
+  addCss(rules) {
+    for (const rule of Array.isArray(rules) ? rules : [rules]) {
+      if (typeof rule !== 'string' || !rule || this._seenCss.has(rule)) continue;
+      this._seenCss.add(rule);
+      this._cssRules.push(rule);
+    }
+    return this;
+  }
+
+  /**
+   * Add one page's head CSS: its sharedClass(), globalStyle() and addStyle()
+   * rules. A selector's rules go into the stylesheet when no earlier page
+   * defined it or one defined it the same way. Returns, in order, the rules for
+   * selectors an earlier page defined differently, plus any statement such as
+   * @import: the page keeps those in its own <style> block.
+   */
+  addHeadCss(rules) {
+    const blocks = [];
+    for (const rule of Array.isArray(rules) ? rules : [rules]) {
+      if (typeof rule === 'string') blocks.push(...splitRules(rule));
+    }
+    const pageDefinitions = new Map();
+    for (const { prelude, text } of blocks) {
+      if (prelude !== null) pageDefinitions.set(prelude, (pageDefinitions.get(prelude) || '') + text);
+    }
+    const conflicts = new Set();
+    for (const [prelude, definition] of pageDefinitions) {
+      const known = this._definitions.get(prelude);
+      if (known === undefined) this._definitions.set(prelude, definition);
+      else if (known !== definition) conflicts.add(prelude);
+    }
+    const kept = [];
+    for (const { prelude, text } of blocks) {
+      if (prelude === null || conflicts.has(prelude)) kept.push(text);
+      else this.addCss(text);
+    }
+    if (conflicts.size > 0 && CONFIG.mode === 'dev') {
+      console.warn(
+        `[AssetCollector] ${Array.from(conflicts, p => JSON.stringify(p)).join(', ')} ${conflicts.size === 1 ? 'is' : 'are'} ` +
+        'defined differently by an earlier page. This page keeps its rules in its own <style> block, but the shared ' +
+        'definition still applies underneath; give each variant its own selector to keep them apart.'
+      );
+    }
+    return kept;
+  }
+
+  /**
+   * A collector for one page of the same build: it gathers only that page's
+   * rules, but checks head selectors against every page this collector and
+   * its other forks have seen.
+   */
+  fork() {
+    const page = new AssetCollector({ publicPath: this.publicPath });
+    page._definitions = this._definitions;
+    return page;
+  }
+
+  /** The stylesheet text: every collected rule, in first-seen order. */
+  get css() {
+    return this._cssRules.join('');
+  }
+
+  /** A copy of the collected rules, in first-seen order. */
+  get cssRules() {
+    return this._cssRules.slice();
+  }
+
+  /** `styles.<hash>.css`, or null while there are no rules. */
+  get cssFileName() {
+    return this._cssRules.length > 0 ? `styles.${hash(this.css)}.css` : null;
+  }
+
+  /** The URL pages link to: publicPath followed by cssFileName. */
+  get cssHref() {
+    const fileName = this.cssFileName;
+    return fileName ? this.publicPath + fileName : null;
+  }
+
+  /**
+   * The <link> for the current stylesheet, recorded so resolve() can update it
+   * once more rules arrive. Empty when there is nothing to link to.
+   */
+  cssLink() {
+    const fileName = this.cssFileName;
+    if (!fileName) return '';
+    this._issuedCss.add(fileName);
+    return `<link rel="stylesheet" href="${escapeHtml(this.publicPath + fileName)}">`;
+  }
+
+  /** Store a source map and return the URL the script points at. */
+  addSourceMap(fileName, json) {
+    this._sourceMaps.set(fileName, json);
+    return this.publicPath + fileName;
+  }
+
+  /** Point every stylesheet link in `html` at the current file. */
+  resolve(html) {
+    const current = this.cssFileName;
+    if (!current) return html;
+    for (const fileName of this._issuedCss) {
+      if (fileName === current) continue;
+      html = html.split(escapeHtml(this.publicPath + fileName)).join(escapeHtml(this.publicPath + current));
+    }
+    return html;
+  }
+
+  /** The files to write or serve, as `{ fileName, contentType, contents }`. */
+  files() {
+    const out = [];
+    if (this._cssRules.length > 0) {
+      out.push({ fileName: this.cssFileName, contentType: 'text/css; charset=utf-8', contents: this.css });
+    }
+    for (const [fileName, contents] of this._sourceMaps) {
+      out.push({ fileName, contentType: 'application/json; charset=utf-8', contents });
+    }
+    return out;
+  }
+}
+
+module.exports = { AssetCollector };
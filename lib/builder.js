@@ -56,6 +56,17 @@ function revalidateJsonSource(value, label) {
   return safeJsonStringify(parsed);
 }
 
+/**
+ * A serialized callback origin is kept only in the `{ file, line, column }`
+ * shape captureOrigin() produces; anything else is dropped rather than
+ * rejecting the callback, since the origin is diagnostics, not behavior.
+ */
+function revalidateOrigin(origin) {
+  if (!origin || typeof origin !== 'object' || typeof origin.file !== 'string') return null;
+  const { file, line, column } = origin;
+  return Number.isInteger(line) && line > 0 && Number.isInteger(column) && column > 0 ? { file, line, column } : null;
+}
+
 /**
  * Declarative tree builder.
  * Build element trees from plain objects instead of chaining.
@@ -97,7 +108,10 @@ function revalidateJsonSource(value, label) {
  *   onMount     - Client mount lifecycle hook
  *   onUpdate    - State update hook { key, fn } or array
  *   onDestroy   - Client destroy lifecycle hook
- *   setup       - Custom setup function (el) => { ... } for anything not covered above
+ *   island      - Lazy hydration trigger: 'visible', 'idle', 'interaction',
+ *                 'media:<query>' or { when }
+ *   setup       - Custom setup function (el) => { ... } for anything not covered above.
+ *                 May be async; Document.renderAsync() awaits it before serializing.
  */
 
 function buildNode(parentEl, def) {
@@ -251,7 +265,7 @@ function buildNode(parentEl, def) {
         const id = checkId('element id', e.id || el.attrs.id);
         const targetId = checkId('target id', e.targetId);
         const context = revalidateJsonSource(e.context, 'Event context');
-        el.events.push({ event: e.event, id, targetId, fn, context });
+        el.events.push({ event: e.event, id, targetId, fn, context, origin: revalidateOrigin(e.origin) });
         el.hydrate = true;
       } catch (err) {
         recordFailure(el, `event:${e.event}`, err);
@@ -270,6 +284,7 @@ function buildNode(parentEl, def) {
           binding.templateFn = sanitizeFunctionSourceString(String(b.templateFn), CONFIG.maxComputedFnSize);
         }
         binding.context = revalidateJsonSource(b.context, 'Binding context');
+        binding.origin = revalidateOrigin(b.origin);
         if (bindType === 'classToggle') {
           binding.expectedValue = revalidateJsonSource(b.expectedValue, 'Binding expectedValue');
         }
@@ -294,7 +309,7 @@ function buildNode(parentEl, def) {
       try {
         const fn = sanitizeFunctionSourceString(hook.fn, CONFIG.maxEventFnSize);
         if (!el.attrs.id) el.id();
-        el._lifecycle.push({ type: hook.type, stateKey: hook.stateKey, fn, id: el.attrs.id });
+        el._lifecycle.push({ type: hook.type, stateKey: hook.stateKey, fn, id: el.attrs.id, origin: revalidateOrigin(hook.origin) });
       } catch (err) {
         // `doc` was only ever bound inside the liveList branch above, so this
         // handler threw a ReferenceError instead of recording the rejection —
@@ -313,6 +328,15 @@ function buildNode(parentEl, def) {
     }
   }
 
+  // Island — authored as the trigger string, serialized by toJSON() as { when }
+  if (def.island) {
+    try {
+      el.island(typeof def.island === 'string' ? { when: def.island } : def.island);
+    } catch (err) {
+      recordFailure(el, 'island', err);
+    }
+  }
+
   // Children
   if (def.children && Array.isArray(def.children)) {
     for (const childDef of def.children) {
@@ -322,7 +346,7 @@ function buildNode(parentEl, def) {
 
   // Custom setup
   if (typeof def.setup === 'function') {
-    def.setup(el);
+    el._addPending(def.setup(el));
   }
 
   return el;
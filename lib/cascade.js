@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * CSS parsing and cascade resolution over Element trees, shared by email
+ * rendering (which inlines the result) and a11yAudit() (which reads colors
+ * and font sizes from it).
+ *
+ * Only rules whose selector selector.js supports are matched; the rest, and
+ * every at-rule, come back unmatched. Rules apply in cascade order:
+ * !important, then specificity, then source order, with an element's own
+ * style attribute beating any rule that is not !important.
+ */
+
+const { parseSelector, querySelectorAll } = require('./selector');
+const { collectStyles } = require('./renderer');
+const { resolvePlugins } = require('./plugins');
+
+/** Split on `separator` outside parentheses, brackets and quotes. */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") quote = c;
+    else if (c === '(' || c === '[') depth++;
+    else if (c === ')' || c === ']') depth--;
+    else if (c === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Top-level rules as `{ selector, body }`; at-rules come back whole as
+ * `{ raw }`, since none of them can be inlined.
+ */
+function parseRules(css) {
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  let prelude = '';
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") quote = c;
+    else if (c === '{') {
+      if (depth++ === 0) {
+        prelude = text.slice(start, i).trim();
+        start = i + 1;
+      }
+    } else if (c === '}' && depth > 0) {
+      if (--depth === 0) {
+        const body = text.slice(start, i);
+        rules.push(prelude.startsWith('@') ? { raw: `${prelude}{${body}}` } : { selector: prelude, body });
+        start = i + 1;
+      }
+    } else if (c === ';' && depth === 0) {
+      const statement = text.slice(start, i).trim();
+      if (statement) rules.push({ raw: `${statement};` });
+      start = i + 1;
+    }
+  }
+  return rules;
+}
+
+function parseDeclarations(body) {
+  const declarations = [];
+  for (const part of splitTopLevel(body, ';')) {
+    const idx = part.indexOf(':');
+    if (idx <= 0) continue;
+    let value = part.slice(idx + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/\s*!\s*important$/i, '');
+    declarations.push({ prop: part.slice(0, idx).trim().toLowerCase(), value, important });
+  }
+  return declarations;
+}
+
+/** Specificity of one complex selector as a single comparable number. */
+function specificity(steps) {
+  let ids = 0;
+  let classes = 0;
+  let types = 0;
+  for (const { compound } of steps) {
+    if (compound.id) ids++;
+    if (compound.tag) types++;
+    classes += compound.classes.length + compound.attrs.length;
+    for (const pseudo of compound.pseudos) {
+      if (pseudo.type === 'not') {
+        const inner = Math.max(...pseudo.selectors.map(specificity));
+        ids += Math.floor(inner / 1e6);
+        classes += Math.floor(inner / 1e3) % 1e3;
+        types += inner % 1e3;
+      } else {
+        classes++;
+      }
+    }
+  }
+  return ids * 1e6 + classes * 1e3 + types;
+}
+
+/**
+ * Every CSS rule of `doc`, in the order render() emits them: head rules, then
+ * css() rules in tree order. The css() rules are those of the tree the
+ * document's transformNode hooks produce; pass the render's `ctx` so each
+ * element goes through them once.
+ */
+function documentStyleRules(doc, ctx = null) {
+  const transforms = ctx ? ctx.nodeTransforms : resolvePlugins(doc._plugins).filter(plugin => plugin.transformNode);
+  const scoped = { styles: [], seenCss: new Set(), nodeTransforms: transforms && transforms.length > 0 ? transforms : null };
+  if (ctx && ctx.nodeTransforms) scoped.transformed = ctx.transformed || (ctx.transformed = new Map());
+  for (const node of doc.body) collectStyles(node, scoped);
+  return [...doc.head.styleRules(), ...scoped.styles];
+}
+
+/**
+ * Match every rule against the tree. Returns the declarations for each
+ * element and for <body>, and the rules that have to stay in a <style>.
+ */
+function resolveCascade(doc, cssRules) {
+  const matched = new Map();
+  const bodyDeclarations = [];
+  const kept = [];
+  let order = 0;
+  for (const rule of parseRules(cssRules.join(''))) {
+    if (rule.raw) {
+      kept.push(rule.raw);
+      continue;
+    }
+    const declarations = parseDeclarations(rule.body);
+    for (const selector of splitTopLevel(rule.selector, ',')) {
+      if (/^body$/i.test(selector)) {
+        for (const d of declarations) bodyDeclarations.push({ ...d, specificity: 1, order: order++ });
+        continue;
+      }
+      let steps;
+      try {
+        [steps] = parseSelector(selector);
+      } catch {
+        kept.push(`${selector}{${rule.body}}`);
+        continue;
+      }
+      const weight = specificity(steps);
+      for (const el of querySelectorAll(doc.body, selector)) {
+        if (!matched.has(el)) matched.set(el, []);
+        const list = matched.get(el);
+        for (const d of declarations) list.push({ ...d, specificity: weight, order: order++ });
+      }
+    }
+  }
+  return { matched, bodyDeclarations, kept };
+}
+
+/** Cascade declarations into a style attribute value; `inline` is the element's own style. */
+function cascadeStyle(declarations, inline) {
+  const all = declarations.slice();
+  if (inline) {
+    for (const d of parseDeclarations(inline)) all.push({ ...d, specificity: Infinity, order: Infinity });
+  }
+  all.sort((a, b) => (a.important - b.important) || (a.specificity - b.specificity) || (a.order - b.order));
+  const values = new Map();
+  for (const d of all) {
+    values.delete(d.prop);
+    values.set(d.prop, d.value);
+  }
+  const parts = [];
+  for (const [prop, value] of values) parts.push(`${prop}:${value};`);
+  return parts.join('');
+}
+
+module.exports = { splitTopLevel, parseRules, parseDeclarations, specificity, documentStyleRules, resolveCascade, cascadeStyle };
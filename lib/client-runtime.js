@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * The static half of the client script, shared by every page.
+ *
+ * compileClient() normally inlines the error reporter, the State runtime —
+ * the State proxy, watchState, _trackStateTarget and the cleanup observer —
+ * and the island scheduler into each page, and liveList() adds window._mkEl
+ * as an inline script. With configure({ clientRuntime: 'external' }) pages
+ * instead load them from `buildhtml-runtime.<hash>.js` under
+ * CONFIG.runtimePath, and only the page-specific wiring stays inline: the
+ * state snapshot, bindings, handlers and lifecycle hooks. The file can be
+ * cached for good, since its name changes whenever its content does.
+ *
+ *   configure({ clientRuntime: 'external', runtimePath: '/assets/' });
+ *   app.use('/assets', serveClientRuntime());
+ *
+ * The reporter's dev-mode console output depends on CONFIG.mode, so dev and
+ * prod get different files. renderPartial() fragments stay self-contained and
+ * inline what they need.
+ */
+
+const { CONFIG } = require('./config');
+const { hash } = require('./utils');
+const { MK_EL_SRC } = require('./live');
+
+/** The client error reporter, as a function expression. */
+function clientErrorReporterSource() {
+  return 'function(context,error){if(typeof window.BuildHTML.reportClientError==="function"){try{window.BuildHTML.reportClientError(error,context);}catch(_reportError){}}'
+    + (CONFIG.mode === 'dev' ? 'else if(typeof console!=="undefined"&&console.error){console.error("[BuildHTML] "+context.type+" failed on <"+context.tag+" id=\\""+context.elementId+"\\">"+(context.origin?" (registered at "+context.origin+")":""),error);}' : '')
+    + '}';
+}
+
+/**
+ * Statements that install window.State, watchState and _trackStateTarget over
+ * the value of `initialStateExpr`. Expects getById in scope.
+ */
+function stateRuntimeSource(initialStateExpr) {
+  return [
+    'var _cbs=Object.create(null);',
+    'window.watchState=function(k,f){',
+    'if(typeof f!=="function")return function(){};',
+    'var list=_cbs[k]=_cbs[k]||[],active=true;list.push(f);',
+    'return function(){if(!active)return;active=false;var i=list.indexOf(f);if(i!==-1)list.splice(i,1);if(!list.length)delete _cbs[k];};',
+    '};',
+    'var _trackedTargets=[],_cleanupObserver=null;',
+    'function _ensureCleanupObserver(){',
+    'if(_cleanupObserver||typeof MutationObserver==="undefined"||!document.body)return;',
+    '_cleanupObserver=new MutationObserver(function(){',
+    'for(var i=_trackedTargets.length-1;i>=0;i--){var e=_trackedTargets[i];if(e.active&&!getById(e.id))e.stop();}',
+    '});',
+    '_cleanupObserver.observe(document.body,{childList:true,subtree:true});',
+    '}',
+    'window._trackStateTarget=function(id,dispose){',
+    'var entry={id:id,active:true,dispose:dispose};',
+    'entry.stop=function(){if(!entry.active)return;entry.active=false;entry.dispose();var i=_trackedTargets.indexOf(entry);if(i!==-1)_trackedTargets.splice(i,1);if(!_trackedTargets.length&&_cleanupObserver){_cleanupObserver.disconnect();_cleanupObserver=null;}};',
+    '_trackedTargets.push(entry);_ensureCleanupObserver();return entry.stop;',
+    '};',
+    `var _rawState=${initialStateExpr};`,
+    'var _deepCache=new WeakMap(),_proxyRaw=new WeakMap();',
+    'function _unwrap(v){return v&&typeof v==="object"?(_proxyRaw.get(v)||v):v;}',
+    'function _notify(root){if(_cbs[root]){var value=_deep(_rawState[root],root);_cbs[root].slice().forEach(function(f){f(value);});}}',
+    'function _deep(value,root){',
+    'if(value===null||typeof value!=="object")return value;',
+    'var byRoot=_deepCache.get(value);if(!byRoot){byRoot=new Map();_deepCache.set(value,byRoot);}',
+    'if(byRoot.has(root))return byRoot.get(root);',
+    'var proxy=new Proxy(value,{',
+    'get:function(t,k){return _deep(t[k],root);},',
+    'set:function(t,k,v){v=_unwrap(v);if(t[k]===v)return true;t[k]=v;_notify(root);return true;},',
+    'deleteProperty:function(t,k){if(!Object.prototype.hasOwnProperty.call(t,k))return true;delete t[k];_notify(root);return true;}',
+    '});',
+    'byRoot.set(root,proxy);_proxyRaw.set(proxy,value);return proxy;',
+    '}',
+    'window.State=new Proxy(_rawState,{',
+    'get:function(t,k){return _deep(t[k],k);},',
+    'set:function(t,k,v){v=_unwrap(v);if(t[k]===v)return true;t[k]=v;_notify(k);return true;},',
+    'deleteProperty:function(t,k){if(!Object.prototype.hasOwnProperty.call(t,k))return true;delete t[k];if(_cbs[k])_cbs[k].slice().forEach(function(f){f(undefined);});return true;}',
+    '});'
+  ].join('');
+}
+
+// mode -> runtime file; the source only varies with CONFIG.mode.
+const runtimeFiles = new Map();
+
+/**
+ * The island scheduler, as a function expression taking the island's root
+ * element, its trigger and the function that hydrates it. A trigger whose API
+ * the browser lacks hydrates at once; `visible` starts 200px before the
+ * element scrolls into view, and `interaction` listens in the capture phase,
+ * so the pointerdown or keydown that wakes an island is over before the click
+ * it leads to, and the island's own handlers see that click.
+ */
+function islandSchedulerSource() {
+  return [
+    'function(el,when,hydrate){',
+    'var done=false;var run=function(){if(!done){done=true;hydrate();}};',
+    'if(when==="visible"&&typeof IntersectionObserver==="function"){',
+    'var io=new IntersectionObserver(function(entries){for(var i=0;i<entries.length;i++)if(entries[i].isIntersecting){io.disconnect();run();return;}},{rootMargin:"200px"});',
+    'io.observe(el);',
+    '}else if(when==="idle"&&typeof requestIdleCallback==="function"){',
+    'requestIdleCallback(run,{timeout:2000});',
+    '}else if(when==="interaction"){',
+    'var types=["pointerdown","focusin","keydown","touchstart"];',
+    'var wake=function(){for(var i=0;i<types.length;i++)el.removeEventListener(types[i],wake,true);run();};',
+    'for(var i=0;i<types.length;i++)el.addEventListener(types[i],wake,true);',
+    '}else if(when.indexOf("media:")===0&&typeof matchMedia==="function"){',
+    'var mql=matchMedia(when.slice(6));',
+    'if(mql.matches)run();',
+    'else{var change=function(event){if(!event.matches)return;if(mql.removeEventListener)mql.removeEventListener("change",change);else mql.removeListener(change);run();};',
+    'if(mql.addEventListener)mql.addEventListener("change",change);else mql.addListener(change);}',
+    '}else run();',
+    '}'
+  ].join('');
+}
+
+/**
+ * The shared runtime as `{ fileName, contentType, contents }`, ready to write
+ * to disk or serve. Pages rendered with the external runtime load it from
+ * CONFIG.runtimePath + fileName.
+ */
+function getClientRuntime() {
+  let file = runtimeFiles.get(CONFIG.mode);
+  if (!file) {
+    const contents = [
+      '(function(){',
+      'window.BuildHTML=window.BuildHTML||{};',
+      'var getById=function(id){return document.getElementById(id);};',
+      `window.BuildHTML._reportClientError=${clientErrorReporterSource()};`,
+      `window.BuildHTML._installState=function(_initialState){${stateRuntimeSource('_initialState')}};`,
+      `window.BuildHTML._scheduleIsland=${islandSchedulerSource()};`,
+      MK_EL_SRC,
+      '})();'
+    ].join('');
+    file = { fileName: `buildhtml-runtime.${hash(contents)}.js`, contentType: 'text/javascript; charset=utf-8', contents };
+    runtimeFiles.set(CONFIG.mode, file);
+  }
+  return file;
+}
+
+/** The URL pages load the runtime from. */
+function clientRuntimeHref() {
+  return CONFIG.runtimePath + getClientRuntime().fileName;
+}
+
+module.exports = {
+  clientErrorReporterSource, stateRuntimeSource, islandSchedulerSource, getClientRuntime, clientRuntimeHref
+};
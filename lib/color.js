@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * CSS colors as sRGB values, and the WCAG contrast ratio between them.
+ *
+ * parseColor() reads hex colors, rgb()/rgba(), hsl()/hsla(), the named colors
+ * and `transparent`. Anything else — system colors, lab(), oklch(),
+ * color-mix() — returns null, meaning the color is not known.
+ */
+
+const NAMED_COLORS = new Map(
+  ('aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,bisque:ffe4c4,' +
+  'black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,burlywood:deb887,cadetblue:5f9ea0,' +
+  'chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,' +
+  'darkblue:00008b,darkcyan:008b8b,darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,' +
+  'darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,darkred:8b0000,' +
+  'darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,darkslategrey:2f4f4f,' +
+  'darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,dimgray:696969,dimgrey:696969,' +
+  'dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,' +
+  'ghostwhite:f8f8ff,gold:ffd700,goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,' +
+  'honeydew:f0fff0,hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+  'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,lightcyan:e0ffff,' +
+  'lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,lightgrey:d3d3d3,lightpink:ffb6c1,' +
+  'lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,lightslategray:778899,lightslategrey:778899,' +
+  'lightsteelblue:b0c4de,lightyellow:ffffe0,lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,' +
+  'mediumaquamarine:66cdaa,mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+  'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+  'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,navy:000080,' +
+  'oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,orchid:da70d6,palegoldenrod:eee8aa,' +
+  'palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,' +
+  'pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,' +
+  'royalblue:4169e1,saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+  'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,snow:fffafa,' +
+  'springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,tomato:ff6347,turquoise:40e0d0,' +
+  'violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,yellow:ffff00,yellowgreen:9acd32')
+    .split(',').map(pair => pair.split(':'))
+);
+
+const HEX_RE = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_RE = /^(rgba?|hsla?)\(\s*([^()]*)\)$/i;
+const NUMBER_RE = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/** A number with an optional unit, or NaN. `percent` is what 100% is worth. */
+function component(text, percent, units = {}) {
+  const match = NUMBER_RE.exec(text);
+  if (!match) return NaN;
+  const value = Number(match[0]);
+  const unit = text.slice(match[0].length).toLowerCase();
+  if (unit === '') return value;
+  if (unit === '%') return (value / 100) * percent;
+  return unit in units ? value * units[unit] : NaN;
+}
+
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * `{ r, g, b, a }` with channels 0–255 and alpha 0–1, or null when the value
+ * is not a color this module knows.
+ */
+function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  const named = NAMED_COLORS.get(text);
+  if (named) return parseColor(`#${named}`);
+
+  const hex = HEX_RE.exec(text);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.replace(/./g, '$&$&');
+    const channel = (i) => parseInt(digits.slice(i * 2, i * 2 + 2), 16);
+    return { r: channel(0), g: channel(1), b: channel(2), a: digits.length === 8 ? channel(3) / 255 : 1 };
+  }
+
+  const fn = FUNCTION_RE.exec(text);
+  if (!fn) return null;
+  // `rgb(0, 0, 0, 0.5)` or `rgb(0 0 0 / 50%)`.
+  const [main, alphaText, extra] = fn[2].split('/').map(part => part.trim());
+  const legacy = main.includes(',');
+  const parts = legacy ? main.split(',').map(part => part.trim()) : main.split(/\s+/);
+  const shaped = legacy ? alphaText === undefined && (parts.length === 3 || parts.length === 4) : parts.length === 3;
+  if (extra !== undefined || !shaped) return null;
+  const alpha = legacy ? parts[3] : alphaText;
+  const a = alpha === undefined ? 1 : component(alpha, 1);
+
+  let rgb;
+  if (fn[1].startsWith('rgb')) {
+    rgb = parts.slice(0, 3).map(part => component(part, 255));
+  } else {
+    const h = component(parts[0], NaN, { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 });
+    const s = component(parts[1], 1);
+    const l = component(parts[2], 1);
+    if ([h, s, l].some(Number.isNaN) || !parts[1].endsWith('%') || !parts[2].endsWith('%')) return null;
+    rgb = hslToRgb(h, clamp(s, 0, 1), clamp(l, 0, 1));
+  }
+  if (rgb.some(Number.isNaN) || Number.isNaN(a)) return null;
+  const [r, g, b] = rgb.map(channel => clamp(channel, 0, 255));
+  return { r, g, b, a: clamp(a, 0, 1) };
+}
+
+/** `top` drawn over the opaque `bottom`. */
+function blend(top, bottom) {
+  const mix = (key) => top[key] * top.a + bottom[key] * (1 - top.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/** The WCAG 2 contrast ratio of two opaque colors, from 1 to 21. */
+function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/** `#rrggbb` for an opaque color. */
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+module.exports = { parseColor, blend, contrastRatio, toHex };
@@ -97,9 +97,13 @@ class ComponentRegistry {
    */
   extend(newName, baseName, extendFn, options = {}) {
     const base = this.get(baseName);
+    // The extension runs after the base has finished, including when the base
+    // is async — otherwise it would decorate an element the base has not built.
     const combinedFn = (el, props) => {
-      base.fn(el, props);
-      if (typeof extendFn === 'function') extendFn(el, props);
+      const result = base.fn(el, props);
+      if (typeof extendFn !== 'function') return result;
+      if (result && typeof result.then === 'function') return result.then(() => extendFn(el, props));
+      return extendFn(el, props);
     };
     this._registry.set(newName, { fn: combinedFn, options: { ...base.options, ...options } });
     return this;
@@ -114,10 +118,14 @@ const components = new ComponentRegistry();
  *
  * Registration options are not passed through: the only one that exists is
  * `tag`, and callers consume it to pick the element before this runs.
+ *
+ * A component may be async. Its promise is recorded on the element and awaited
+ * by Document.renderAsync(); the element itself is returned immediately so the
+ * caller can keep chaining while the data loads.
  */
 function applyComponent(el, fn, props = {}) {
   if (typeof fn !== 'function') throw new TypeError('Component must be a function');
-  fn(el, props);
+  el._addPending(fn(el, props));
   return el;
 }
 
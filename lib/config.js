@@ -1,18 +1,27 @@
 'use strict';
 
+// Worker-style runtimes may have no `process`; they get the dev/off defaults.
+const env = (typeof process !== 'undefined' && process.env) || {};
+
 const defaults = {
-  mode: process.env.NODE_ENV === 'production' ? 'prod' : 'dev',
+  mode: env.NODE_ENV === 'production' ? 'prod' : 'dev',
   poolSize: 150,
   cacheLimit: 2000,
   maxComputedFnSize: 10000,
   maxEventFnSize: 5000,
   debug: false,
-  enableMetrics: process.env.ENABLE_METRICS === 'true'
+  pretty: false,
+  deterministic: false,
+  sourceMaps: false,
+  enableMetrics: env.ENABLE_METRICS === 'true',
+  clientRuntime: 'inline',
+  runtimePath: '/'
 };
 
 const CONFIG = { ...defaults };
 
 const VALID_MODES = new Set(['dev', 'prod']);
+const VALID_CLIENT_RUNTIMES = new Set(['inline', 'external']);
 
 const configTypes = {
   mode: 'string',
@@ -21,7 +30,12 @@ const configTypes = {
   maxComputedFnSize: 'number',
   maxEventFnSize: 'number',
   debug: 'boolean',
+  pretty: 'boolean',
+  deterministic: 'boolean',
+  sourceMaps: 'boolean',
   enableMetrics: 'boolean',
+  clientRuntime: 'string',
+  runtimePath: 'string',
 };
 
 /**
@@ -50,6 +64,10 @@ function configure(overrides) {
         console.warn(`[configure] "mode" must be "dev" or "prod", got "${overrides[k]}" — ignored`);
         continue;
       }
+      if (k === 'clientRuntime' && !VALID_CLIENT_RUNTIMES.has(overrides[k])) {
+        console.warn(`[configure] "clientRuntime" must be "inline" or "external", got "${overrides[k]}" — ignored`);
+        continue;
+      }
       CONFIG[k] = overrides[k];
     }
   }
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Content-model rules from the HTML spec, behind the E_INVALID_NESTING
+ * diagnostics of Document.validate().
+ *
+ * The rules cover nesting that browsers silently repair or that the spec
+ * forbids outright:
+ * - block content inside an element that only holds phrasing content
+ *   (`<div>` in `<p>` or `<span>`, `<p>` in a heading);
+ * - interactive content inside `<a>` or `<button>`;
+ * - `<form>` inside `<form>`, `<label>` inside `<label>`;
+ * - list, definition-list, table, select, figure, fieldset and details parts
+ *   outside the parent they belong to (`<li>` outside a list, `<tr>` without
+ *   a table section, `<td>` outside `<tr>`).
+ *
+ * A repaired tree no longer matches the built one: an element ends up
+ * elsewhere or under a different parent, and client code that looks it up by
+ * id or position breaks. Custom elements and their children, unknown tags,
+ * <template> content and SVG or MathML subtrees are not checked.
+ */
+
+// Elements that only hold phrasing content.
+const PHRASING_PARENTS = new Set([
+  'abbr', 'b', 'bdi', 'bdo', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'i', 'kbd', 'label', 'mark', 'output', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup',
+  'time', 'u', 'var'
+]);
+// Flow content that is not phrasing content.
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'caption', 'colgroup', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'legend', 'li', 'main', 'menu', 'nav', 'ol', 'optgroup', 'option', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+// Their content model is their parent's, so the check looks past them.
+const TRANSPARENT_TAGS = new Set(['a', 'canvas', 'del', 'ins', 'map', 'slot']);
+// Nothing inside these is checked.
+const UNCHECKED_TAGS = new Set(['math', 'svg', 'template']);
+
+// Child → the parents it may have.
+const REQUIRED_PARENTS = {
+  li: ['ul', 'ol', 'menu'],
+  dt: ['dl'],
+  dd: ['dl'],
+  tr: ['thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  thead: ['table'],
+  tbody: ['table'],
+  tfoot: ['table'],
+  caption: ['table'],
+  colgroup: ['table'],
+  col: ['colgroup'],
+  option: ['select', 'datalist', 'optgroup'],
+  optgroup: ['select'],
+  figcaption: ['figure'],
+  legend: ['fieldset'],
+  summary: ['details'],
+};
+
+// A nested <a> is repaired by the browser whether or not it has an href, so
+// every <a> counts here.
+function isInteractive(el) {
+  switch (el.tag) {
+    case 'input': return el.attrs.type !== 'hidden';
+    case 'audio':
+    case 'video': return el.attrs.controls != null && el.attrs.controls !== false;
+    case 'a': case 'button': case 'details': case 'embed': case 'iframe': case 'label': case 'select': case 'textarea': return true;
+    default: return el.attrs.tabindex != null;
+  }
+}
+
+const list = (tags) => tags.map(tag => `<${tag}>`).join(tags.length > 2 ? ', ' : ' or ').replace(/, (<[^>]+>)$/, ' or $1');
+
+function misplacedPart(child, parent, grandparent) {
+  const allowed = REQUIRED_PARENTS[child.tag];
+  if (!allowed) return null;
+  const parentTag = parent ? parent.tag : 'body';
+  // A custom element may render its children into any structure.
+  if (allowed.includes(parentTag) || parentTag.includes('-')) return null;
+  // <dt> and <dd> may also be grouped in a <div> directly inside a <dl>.
+  if ((child.tag === 'dt' || child.tag === 'dd') && parentTag === 'div' && grandparent && grandparent.tag === 'dl') return null;
+  if (child.tag === 'tr' && parentTag === 'table') {
+    return { parent: parentTag, message: '<tr> directly inside <table> is moved into an implied <tbody> by the browser. Put it in <thead>, <tbody> or <tfoot>.' };
+  }
+  return { parent: parentTag, message: `<${child.tag}> must be inside ${list(allowed)}, not <${parentTag}>.` };
+}
+
+/**
+ * What is wrong with `child` where it stands, or null. `ancestors` runs from
+ * the outermost element down to the child's parent; an empty list means the
+ * child sits directly in <body>.
+ *
+ * @returns {{ parent: string, message: string } | null}
+ */
+function nestingProblem(child, ancestors) {
+  if (!child.tag || child.tag.includes('-') || ancestors.some(el => UNCHECKED_TAGS.has(el.tag))) return null;
+  const parent = ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
+
+  const part = misplacedPart(child, parent, ancestors[ancestors.length - 2]);
+  if (part) return part;
+
+  if (isInteractive(child)) {
+    const outer = [...ancestors].reverse().find(el => el.tag === 'a' || el.tag === 'button');
+    if (outer) {
+      const repaired = outer.tag === child.tag ? ` The browser ends the outer <${outer.tag}> before it.` : '';
+      return { parent: outer.tag, message: `<${child.tag}> must not be nested inside <${outer.tag}>: interactive content cannot contain other interactive content.${repaired}` };
+    }
+  }
+
+  if (child.tag === 'form' && ancestors.some(el => el.tag === 'form')) {
+    return { parent: 'form', message: '<form> must not be nested inside another <form>; the browser drops the inner one.' };
+  }
+
+  if (child.tag === 'label' && ancestors.some(el => el.tag === 'label')) {
+    return { parent: 'label', message: '<label> must not be nested inside another <label>; a click on the inner one also reaches the outer one\'s control.' };
+  }
+
+  if (BLOCK_TAGS.has(child.tag)) {
+    let container = null;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      if (!TRANSPARENT_TAGS.has(ancestors[i].tag)) { container = ancestors[i]; break; }
+    }
+    if (container && PHRASING_PARENTS.has(container.tag)) {
+      const repaired = container.tag === 'p' ? ' The browser ends the <p> before it, so it renders as a sibling.' : '';
+      return { parent: container.tag, message: `<${child.tag}> is not allowed inside <${container.tag}>, which only holds phrasing content.${repaired}` };
+    }
+  }
+  return null;
+}
+
+/** `body > div#app > p > div`: the child's tags from <body> down, with ids. */
+function tagPath(child, ancestors) {
+  const step = (el) => (el.attrs.id != null && el.attrs.id !== '' ? `${el.tag}#${el.attrs.id}` : el.tag);
+  return ['body', ...ancestors.map(step), step(child)].join(' > ');
+}
+
+module.exports = { nestingProblem, tagPath };
@@ -6,19 +6,41 @@ const { CONFIG } = require('./config');
 const { metrics } = require('./metrics');
 const { LRUCache } = require('./cache');
 const { getPooled, recycle } = require('./pools');
-const { renderNode, compileClient } = require('./renderer');
+const { renderNode, collectStyles, compileClient, compileSuspenseSwap } = require('./renderer');
 const { components, applyComponent } = require('./components');
 const { buildNode } = require('./builder');
+const { parseHTML } = require('./html-parser');
+const { querySelectorAll } = require('./selector');
+const { AssetCollector } = require('./assets');
+const { renderEmail } = require('./email');
+const { renderText } = require('./text');
+const { prettyHTML } = require('./pretty');
+const { extractOrigins, sourceMap } = require('./sourcemap');
+const { nestingProblem, tagPath } = require('./content-model');
+const { applyFixes, REFERENCE_ATTRS } = require('./fixes');
+const { auditAccessibility } = require('./a11y');
+const { clientRuntimeHref } = require('./client-runtime');
+const { MK_EL_SRC } = require('./live');
 const {
-  createRidGenerator, escapeHtml, sanitizeCssValue, sanitizeFunctionSource, sanitizeFunctionSourceString,
-  sanitizeUrl, URL_ATTRS, findFreeVariables, isValidAttrKey, toKebab, minHTML, unescapeHtml,
+  validatePlugin, resolvePlugins, collectHookOutput, collectClientScripts, applyAfterRender
+} = require('./plugins');
+const {
+  createRidGenerator, hash, escapeHtml, sanitizeCssValue, sanitizeFunctionSource, sanitizeFunctionSourceString,
+  sanitizeUrl, URL_ATTRS, findFreeVariables, isValidAttrKey, toKebab, minHTML, createStreamMinifier, unescapeHtml,
   isSafeCssSelector, isValidClassName, isValidCssCustomProperty, isSafeRawCss,
   compileCssDeclarations, warnInvalidCss, safeJsonStringify
 } = require('./utils');
 
+const SEED_RE = /^[A-Za-z0-9_-]*$/;
+
 let responseCache = new LRUCache(CONFIG.cacheLimit);
 let _lastCacheLimit = CONFIG.cacheLimit;
 
+/** Deep copy for state values, which must be JSON-serializable to reach the client anyway. */
+function copyStateValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
 /** Returns the responseCache, recreating it if cacheLimit was changed via configure(). */
 function getResponseCache() {
   if (CONFIG.cacheLimit !== _lastCacheLimit) {
@@ -32,7 +54,13 @@ class Document {
   constructor(options = {}) {
     this.body = [];
     this.head = new Head();
-    this._ridGen = createRidGenerator();
+    // A seed, or configure({ deterministic: true }), makes ids and the client
+    // namespace depend only on what the document contains.
+    if (options.seed != null && (typeof options.seed !== 'string' || !SEED_RE.test(options.seed))) {
+      throw new TypeError('[Document] seed must be a string of letters, digits, "_" and "-"');
+    }
+    this._seed = options.seed != null ? options.seed : (CONFIG.deterministic ? '' : null);
+    this._ridGen = createRidGenerator(this._seed);
     this._stateStore = {};
     this._globalState = Object.create(null);
     this._useResponseCache = options.cache ?? false;
@@ -50,12 +78,97 @@ class Document {
     this._inlineScripts = [];
     this._rawHeadContent = [];
     this._cssRegistry = CONFIG.mode === 'dev' ? new Map() : null;
+    this._hasPendingAsync = false;
+    this._plugins = [];
 
     if (this._nonce) this.head.setNonce(this._nonce);
   }
 
-  _poolElement(tag) {
-    return getPooled('elements', tag, this._ridGen, this._stateStore, this);
+  /** `notify` is false for internal scratch elements plugins should not see. */
+  _poolElement(tag, notify = true) {
+    const el = getPooled('elements', tag, this._ridGen, this._stateStore, this);
+    if (notify) {
+      for (const plugin of resolvePlugins(this._plugins)) {
+        if (plugin.onElementCreate) plugin.onElementCreate(el, this);
+      }
+    }
+    return el;
+  }
+
+  /**
+   * Await every promise recorded by an async component or build() `setup`.
+   *
+   * Siblings settle concurrently, but a subtree is only entered once its own
+   * element has resolved: that is when an async component has appended its
+   * children, some of which may be async components themselves. An element's
+   * list is drained in a loop because resolving one promise can record another
+   * on the same element. Suspense boundaries are loaded here too and their
+   * content takes the place of the fallback, which is then never sent — unless
+   * `loadSuspense` is false, for a caller about to stream them instead.
+   */
+  async _settlePending(nodes, loadSuspense = true) {
+    await Promise.all(nodes.map(async (node) => {
+      if (!(node instanceof Element)) return;
+      if (node._suspense && loadSuspense) this._resolveSuspense(node, await this._loadSuspense(node));
+      while (node._pending && node._pending.length > 0) {
+        await Promise.all(node._pending.splice(0));
+      }
+      await this._settlePending(node.children, loadSuspense);
+    }));
+  }
+
+  /**
+   * Run a boundary's content function against a detached element of the same
+   * tag and settle everything it starts, nested boundaries included. The
+   * boundary itself is untouched until the caller decides what to do with the
+   * result, so a failed load leaves the fallback in place.
+   */
+  async _loadSuspense(boundary) {
+    const holder = this._poolElement(boundary.tag, false);
+    try {
+      holder._addPending(boundary._suspense(holder));
+      await this._settlePending([holder]);
+    } catch (err) {
+      recycle('elements', holder);
+      throw err;
+    }
+    return holder;
+  }
+
+  /** Replace a boundary's fallback with the children loaded into `holder`. */
+  _resolveSuspense(boundary, holder) {
+    for (const child of boundary.children) {
+      if (child instanceof Element) recycle('elements', child);
+    }
+    boundary.children.length = 0;
+    for (const child of holder.children) {
+      if (child instanceof Element) child._parent = boundary;
+      boundary.children.push(child);
+    }
+    holder.children.length = 0;
+    recycle('elements', holder);
+    delete boundary.attrs['aria-busy'];
+    boundary._suspense = null;
+  }
+
+  /** Dev-only notice that a synchronous render is about to skip async work. */
+  _warnPendingAsync(method) {
+    if (!this._hasPendingAsync || CONFIG.mode !== 'dev') return;
+    // renderStream() loads suspense boundaries itself; render() can only emit
+    // their fallback.
+    const countSuspense = method === 'render';
+    const pending = [];
+    const walk = (nodes) => {
+      for (const node of nodes) {
+        if (!(node instanceof Element)) continue;
+        if ((node._pending && node._pending.length > 0) || (countSuspense && node._suspense)) pending.push(node);
+        walk(node.children);
+      }
+    };
+    walk(this.body);
+    if (pending.length > 0) {
+      console.warn(`[Document] ${method}() does not wait for async components${countSuspense ? ' or suspense boundaries' : ''}; ${pending.length} element${pending.length === 1 ? ' is' : 's are'} still loading (first: <${pending[0].tag}>). Use renderAsync() instead.`);
+    }
   }
 
   _recordCallbackFailure(callbackType, error, element = null) {
@@ -174,6 +287,13 @@ class Document {
     return this;
   }
 
+  /** A translation of this page: alternate('de', 'https://example.com/de/') */
+  alternate(hreflang, url) {
+    if (!hreflang || typeof hreflang !== 'string') return this;
+    this._rawHeadContent.push(`<link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(sanitizeUrl(url))}">`);
+    return this;
+  }
+
   /** Open Graph tags in one call */
   ogTags(og) {
     if (!og || typeof og !== 'object') return this;
@@ -269,6 +389,21 @@ class Document {
     return this;
   }
 
+  /* ==== PLUGINS ==== */
+
+  /**
+   * Add a render plugin to this document only. See lib/plugins.js for the
+   * hooks; plugins registered with registerPlugin() run before it.
+   *
+   * @param {Object} plugin
+   * @returns {Document} this
+   */
+  usePlugin(plugin) {
+    validatePlugin(plugin, '[Document] usePlugin()');
+    if (!this._plugins.includes(plugin)) this._plugins.push(plugin);
+    return this;
+  }
+
   /* ==== ELEMENT CREATION ==== */
 
   create(tag) {
@@ -297,6 +432,11 @@ class Document {
     return el;
   }
 
+  /** Append a suspense boundary to the body. See Element.suspense(). */
+  suspense(fallbackFn, asyncFn, tag = 'div') {
+    return this.createElement(tag)._makeSuspense(fallbackFn, asyncFn);
+  }
+
   useFragment(fn) {
     if (typeof fn !== 'function') return this;
     try { fn(this); } catch (err) {
@@ -509,21 +649,65 @@ class Document {
     return count;
   }
 
-  /** Inspect the current element tree for common correctness and accessibility issues. */
-  validate() {
+  /**
+   * Inspect the current element tree for common correctness and accessibility
+   * issues.
+   *
+   * `{ fix: true }` first applies the fixes that are certain to be right (see
+   * lib/fixes.js) and reports them as `fixes: { applied, unapplied }`; errors
+   * and warnings then describe the fixed tree.
+   */
+  validate(options = {}) {
+    if (options.fix !== true) {
+      const { errors, warnings } = this._inspect();
+      return { valid: errors.length === 0, errors, warnings };
+    }
+    const fixes = applyFixes(this, this._inspect());
+    const { errors, warnings } = this._inspect();
+    return { valid: errors.length === 0, errors, warnings, fixes };
+  }
+
+  /**
+   * Audit the current tree against WCAG 2: color contrast from the resolved
+   * CSS, image alt text, landmarks, focus order, keyboard access to click
+   * handlers and aria-hidden focusable content (see lib/a11y.js). Returns
+   * validate()'s shape, each issue with its `wcag` criterion, plus `contrast`:
+   * every text color pair checked, as evidence. `level` is 'AA' (default) or
+   * 'AAA'.
+   */
+  a11yAudit(options = {}) {
+    const level = options.level === undefined ? 'AA' : options.level;
+    if (level !== 'AA' && level !== 'AAA') throw new TypeError("[Document] a11yAudit(): level must be 'AA' or 'AAA'");
+    return auditAccessibility(this, level);
+  }
+
+  /**
+   * validate() without the result shape. `elementOf` maps each issue about an
+   * element to that element, and `ancestorsOf` maps an element to its
+   * ancestors from the outermost down, for the fixes.
+   */
+  _inspect() {
     const errors = [];
     const warnings = [];
+    const elementOf = new Map();
+    const ancestorsOf = new Map();
     const ids = new Map();
     const labels = [];
     const controls = [];
     const ariaReferences = [];
     let previousHeadingLevel = 0;
     const labelableTags = new Set(['button', 'input', 'meter', 'output', 'progress', 'select', 'textarea']);
-    const interactiveTags = new Set(['a', 'button', 'input', 'select', 'textarea']);
 
-    const describe = (el) => ({ tag: el.tag, id: el.attrs.id || null });
+    // Elements in the tree also get their tag path; the body's own id does not.
+    const describe = (el) => ({
+      tag: el.tag,
+      id: el.attrs.id || null,
+      ...(ancestorsOf.has(el) ? { path: tagPath(el, ancestorsOf.get(el)) } : {}),
+    });
     const add = (target, code, message, el) => {
-      target.push({ code, message, ...(el ? describe(el) : {}) });
+      const issue = { code, message, ...(el ? describe(el) : {}) };
+      target.push(issue);
+      if (el) elementOf.set(issue, el);
     };
     const checkCallback = (source, callbackType, el) => {
       const variables = findFreeVariables(source);
@@ -553,6 +737,7 @@ class Document {
     const walk = (children, ancestors = []) => {
       for (const child of children) {
         if (!(child instanceof Element)) continue;
+        ancestorsOf.set(child, ancestors);
         recordId(child.attrs.id, child);
         if (/^h[1-6]$/.test(child.tag)) {
           const level = Number(child.tag[1]);
@@ -578,9 +763,11 @@ class Document {
             add(warnings, 'W_UNSAFE_URL', `Unsafe URL in ${attrName} will be replaced with "#".`, child);
           }
         }
-        const interactiveAncestor = ancestors.find((ancestor) => ancestor.tag === 'button' || ancestor.tag === 'a');
-        if (interactiveAncestor && interactiveTags.has(child.tag)) {
-          add(warnings, 'W_NESTED_INTERACTIVE', `<${child.tag}> must not be nested inside <${interactiveAncestor.tag}>.`, child);
+        const nesting = nestingProblem(child, ancestors);
+        if (nesting) {
+          const issue = { code: 'E_INVALID_NESTING', message: nesting.message, ...describe(child), parent: nesting.parent };
+          errors.push(issue);
+          elementOf.set(issue, child);
         }
         for (const binding of child._stateBindings || []) {
           if (!Object.prototype.hasOwnProperty.call(this._globalState, binding.stateKey)) {
@@ -645,7 +832,69 @@ class Document {
       });
     }
 
-    return { valid: errors.length === 0, errors, warnings };
+    return { errors, warnings, elementOf, ancestorsOf };
+  }
+
+  /* ==== HTML IMPORT ==== */
+
+  /**
+   * Build a document from existing markup. <html> and <body> are unwrapped;
+   * <title>, descriptive <meta> and stylesheet <link>s in a <head> go to the
+   * head. Event-handler attributes and <script> elements are dropped, and URL
+   * attributes pass through sanitizeUrl().
+   *
+   * @param {string} html
+   * @param {Object} [options] - Document constructor options
+   * @returns {Document}
+   */
+  static fromHTML(html, options = {}) {
+    return new Document(options).appendHTML(html);
+  }
+
+  /**
+   * Parse markup and append the resulting elements to the body.
+   *
+   * @param {string} html
+   * @returns {Document} this
+   */
+  appendHTML(html) {
+    parseHTML(this, html);
+    return this;
+  }
+
+  /* ==== QUERIES ==== */
+
+  /**
+   * First body element matching a CSS selector, or null. Same syntax as
+   * Element#querySelector().
+   *
+   * @param {string} selector
+   * @returns {Element|null}
+   */
+  querySelector(selector) {
+    return querySelectorAll(this.body, selector, true)[0] || null;
+  }
+
+  /**
+   * All body elements matching a CSS selector, in document order.
+   *
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  querySelectorAll(selector) {
+    return querySelectorAll(this.body, selector);
+  }
+
+  /**
+   * Whether any body element matches a CSS selector: querySelector() !== null,
+   * with the same syntax and the same SyntaxError for an invalid selector.
+   * Element#matches() is the test for one element.
+   *
+   * @param {string} selector
+   * @returns {boolean}
+   */
+  has(selector) {
+    return querySelectorAll(this.body, selector, true).length > 0;
   }
 
   /* ==== JSON IMPORT ==== */
@@ -791,9 +1040,9 @@ class Document {
 
   output() { return this._lastRendered; }
 
-  save(path) {
-    const html = this._lastRendered || this.render();
-    require('fs').writeFileSync(path, html);
+  save(path, options = {}) {
+    const html = this._lastRendered || this.render(options);
+    require('./runtime').requireRuntimeAdapter('fs', 'save()').writeFileSync(path, html);
     return this;
   }
 
@@ -810,9 +1059,21 @@ class Document {
    *     page('Home').h1().text('Hello') && doc.renderStream().pipe(res);
    *   });
    *
-   * Unlike render(), streaming emits <style> after the body (the head has
-   * already gone out) and applies neither prod minification nor the response
-   * cache, since both need the whole document before the first byte.
+   * Unlike render(), streaming emits <style> after the body, because the head
+   * has already gone out. Prod minification and the response cache apply as in
+   * render(): a streaming minifier gives the same bytes minHTML() would, and the finished
+   * stream is stored under cacheKey for the next request.
+   *
+   * Pass { stylesInHead: true } to avoid the flash of unstyled content that
+   * brings: a pre-walk gathers every element's scoped CSS — css(), pseudo-class
+   * and media rules all live in cssText — and sends it inside <head>. The walk
+   * reads cssText and nothing else, so it stays cheap next to serialization,
+   * which still happens chunk by chunk.
+   *
+   * Suspense boundaries (el.suspense()) stream their fallback in place and
+   * start loading at that moment. Each one is sent when it resolves — between
+   * top-level body nodes, or after the body — as a <template> plus a small
+   * swap script, so one slow section no longer holds back the rest of the page.
    */
   /**
    * Build the compilation context both render paths use.
@@ -822,7 +1083,8 @@ class Document {
    * step over which arrays were pooled. One factory and one release helper mean a
    * new pooled field is added in a single place.
    */
-  _createRenderContext() {
+  _createRenderContext(plugins = resolvePlugins(this._plugins)) {
+    const nodeTransforms = plugins.filter(plugin => plugin.transformNode);
     return {
       events: getPooled('arrays'),
       states: getPooled('arrays'),
@@ -832,11 +1094,18 @@ class Document {
       stateBindings: getPooled('arrays'),
       lifecycles: getPooled('arrays'),
       portals: getPooled('arrays'),
+      // el.island() subtrees, each with its own entries; see enterIsland().
+      islands: [],
+      island: null,
       oncreates: this._oncreateCallbacks,
       callbackSources: this._callbackSources,
       registrationErrors: this._registrationErrors,
       globalState: this._globalState,
-      nonce: this._nonce
+      nonce: this._nonce,
+      deterministic: this._seed !== null,
+      // Set to an array when the render wants a source map.
+      originMarks: null,
+      nodeTransforms: nodeTransforms.length > 0 ? nodeTransforms : null
     };
   }
 
@@ -858,48 +1127,162 @@ class Document {
     recycle('arrays', ctx.portals);
   }
 
-  renderStream() {
-    const { Readable } = require('stream');
+  /**
+   * Whether this render may read and write the response cache.
+   *
+   * A CSP nonce is single-use by definition: it is minted per response and the
+   * matching `script-src 'nonce-…'` header goes out with it. Caching the page
+   * that carries one served request B the page — and the nonce — from request
+   * A, so B's header and B's markup no longer agree. Either every script is
+   * blocked, or, worse, the stale nonce is now a value an attacker has already
+   * seen, which is the whole thing a nonce exists to prevent.
+   *
+   * The fix is to bypass the cache, not to key on the nonce: a unique nonce per
+   * response would give a unique key per response, storing one entry per
+   * request and never hitting.
+   */
+  _canUseResponseCache() {
+    if (!this._useResponseCache || !this._cacheKey) return false;
+    if (!this._nonce) return true;
+    if (CONFIG.mode === 'dev') {
+      console.warn(
+        `[Document] cacheKey "${this._cacheKey}" is ignored because this document has a CSP nonce. ` +
+        'A cached page would serve a stale nonce to later requests. Render without a nonce to use the cache.'
+      );
+    }
+    return false;
+  }
+
+  /**
+   * The rendering half of a stream, shared by renderStream() and
+   * renderToReadableStream() so that backpressure, suspense, minification,
+   * caching and cleanup behave the same whichever stream type wraps it.
+   *
+   * Returns { cached } on a cache hit. Otherwise returns a source whose pull()
+   * renders until push() reports a full buffer and cancel() abandons it.
+   */
+  _openStream(options, method) {
+    const stylesInHead = options.stylesInHead === true;
+    const preserve = options.preserve === true;
+    const sourceMapTarget = this._sourceMapTarget(options, method);
     const self = this;
+    this._warnPendingAsync(method);
 
-    // The cache holds whole documents, which streaming never assembles before the
-    // first byte goes out. Say so rather than ignoring an explicit cacheKey.
-    if (CONFIG.mode === 'dev' && this._useResponseCache && this._cacheKey) {
-      console.warn(`[Document] renderStream() does not use the response cache, so cacheKey "${this._cacheKey}" is ignored. Use render() for cached responses.`);
+    // A hit is served whole, exactly as render() would serve it. A miss streams
+    // as usual and the completed output is written back below, so a hot page
+    // streams once and comes from the cache after that.
+    const cacheable = !(sourceMapTarget instanceof AssetCollector) && this._canUseResponseCache();
+    if (cacheable) {
+      const cached = getResponseCache().get(this._cacheKey);
+      if (cached) {
+        if (!preserve) this.clear();
+        this._lastRendered = cached;
+        return { cached };
+      }
+    }
+    const plugins = resolvePlugins(this._plugins);
+    for (const plugin of plugins) {
+      if (plugin.beforeRender) plugin.beforeRender(this);
     }
+    const rewritesChunks = plugins.some(plugin => plugin.afterRenderChunk);
+    // afterRender is promised the whole page, so with such a plugin nothing is
+    // sent until the last chunk has been rendered.
+    const held = plugins.some(plugin => plugin.afterRender) ? [] : null;
+    // Same result as render()'s minHTML(), produced chunk by chunk.
+    const minifier = CONFIG.mode === 'prod' ? createStreamMinifier() : null;
 
     const na = this._nonce ? ` nonce="${escapeHtml(this._nonce)}"` : '';
 
-    const ctx = this._createRenderContext();
+    const ctx = this._createRenderContext(plugins);
+    ctx.suspense = [];
+
+    // Boundaries renderNode() has passed start loading straight away; settled
+    // ones queue up until the generator next gets a chance to send them.
+    const settled = [];
+    let loading = 0;
+    let wake = null;
+    const startBoundaries = () => {
+      for (const boundary of ctx.suspense.splice(0)) {
+        const id = boundary.attrs.id;
+        loading++;
+        self._loadSuspense(boundary)
+          .then((holder) => ({ id, holder }), (error) => ({ id, error }))
+          .then((outcome) => {
+            loading--;
+            settled.push(outcome);
+            if (wake) { const resume = wake; wake = null; resume(); }
+          });
+      }
+    };
+
+    let swapRuntimeSent = false;
+    function* sendBoundaries() {
+      while (settled.length > 0) {
+        const { id, holder, error } = settled.shift();
+        if (error) {
+          // The head and most of the body are already on the wire, so failing the
+          // response would be worse than leaving the fallback up.
+          if (CONFIG.mode === 'dev') console.error(`[Document] Suspense boundary #${id} failed to load; its fallback stays in place:`, error);
+          continue;
+        }
+        const stylesBefore = ctx.styles.length;
+        const html = holder.children.map(child => renderNode(child, ctx)).join('');
+        recycle('elements', holder);
+        // The closing <style> block is still to come, but the swap happens now;
+        // send the new rules with their markup so it does not appear unstyled.
+        const fresh = ctx.styles.splice(stylesBefore);
+        const style = fresh.length > 0 ? `<style${na}>${fresh.join('')}</style>` : '';
+        const script = compileSuspenseSwap(id, !swapRuntimeSent);
+        swapRuntimeSent = true;
+        yield `${style}<template id="bhs-${escapeHtml(id)}">${html}</template><script${na}>${script}</script>`;
+      }
+    }
 
     // Yielding lazily is what makes this a stream: nothing below runs until the
     // consumer asks for the next chunk. Styles and the client script come last
-    // because renderNode() fills ctx as the body is walked.
+    // because renderNode() fills ctx as the body is walked. A yielded promise
+    // means every remaining chunk depends on a boundary still loading; pull()
+    // hands it to the stream to wait on rather than pushing it.
     function* parts() {
       const headHTML = self.head.render();
       const rawHead = self._rawHeadContent.join('');
-      yield `<!DOCTYPE html><html${self._renderHtmlAttrs()}><head>${headHTML}${rawHead}</head><body${self._renderBodyAttrs()}>`;
+      let headStyles = '';
+      if (stylesInHead) {
+        for (const node of self.body) collectStyles(node, ctx);
+        // Taken out of ctx.styles so the closing block only carries rules the
+        // pre-walk could not see: those of suspense content loaded later.
+        const collected = ctx.styles.splice(0);
+        if (collected.length > 0) headStyles = `<style${na}>${collected.join('')}</style>`;
+      }
+      const pluginHead = collectHookOutput(plugins, 'afterHead', self);
+      yield `<!DOCTYPE html><html${self._renderHtmlAttrs()}><head>${headHTML}${rawHead}${headStyles}${pluginHead}</head><body${self._renderBodyAttrs()}>`;
 
       for (const node of self.body) {
         const r = renderNode(node, ctx);
         if (r) yield r;
+        startBoundaries();
+        yield* sendBoundaries();
       }
 
-      if (ctx.styles.length > 0) yield `<style${na}>${ctx.styles.join('')}</style>`;
+      // Handlers and bindings inside loaded content are wired by the client
+      // script below, so it has to wait for every boundary.
+      while (loading > 0 || settled.length > 0) {
+        if (settled.length === 0) yield new Promise((resolve) => { wake = resolve; });
+        yield* sendBoundaries();
+      }
 
-      const clientJS = compileClient(ctx);
-      if (clientJS) yield `<script${na}>${clientJS}</script>`;
+      if (ctx.styles.length > 0) yield `<style${na}>${ctx.styles.join('')}</style>`;
 
-      if (self._inlineScripts.length > 0) {
-        yield self._inlineScripts.map(s => `<script${na}>${s}</script>`).join('');
-      }
+      const bodyScripts = self._renderBodyScripts(ctx, plugins, na, sourceMapTarget);
+      if (bodyScripts) yield bodyScripts;
 
       yield '</body></html>';
     }
 
     const iterator = parts();
     // Mirror what is streamed so output()/save() still see the rendered page;
-    // finalize() clears the document, so re-rendering later would produce nothing.
+    // unless preserved, finalize() clears the document, so re-rendering later
+    // would produce nothing.
     const sent = [];
     let done = false;
 
@@ -908,41 +1291,147 @@ class Document {
     const finalize = (complete) => {
       if (done) return;
       done = true;
-      if (complete) self._lastRendered = sent.join('');
+      if (complete) {
+        self._lastRendered = sent.join('');
+        if (cacheable) getResponseCache().set(self._cacheKey, self._lastRendered);
+      }
       self._releaseRenderContext(ctx);
-      self.clear();
+      if (!preserve) self.clear();
     };
 
-    const stream = new Readable({
-      read() {
-        if (done) return;
+    return {
+      cached: null,
+      /**
+       * push(chunk) returns false once the consumer's buffer is full; stop there
+       * and wait to be called again rather than rendering the rest of the
+       * document. Returns true when the document is complete, false when the
+       * buffer filled, and a promise when the next chunk waits on a suspense
+       * boundary; it resolves (never rejects) when pulling can continue. A
+       * rendering error finalizes the source and is rethrown.
+       */
+      pull(push) {
+        if (done) return false;
         try {
-          // push() returns false once the buffer is full; stop there and wait to
-          // be called again rather than rendering the rest of the document.
           let wantsMore = true;
           while (wantsMore) {
             const next = iterator.next();
             if (next.done) {
+              let tail = '';
+              if (held) {
+                const page = applyAfterRender(plugins, held.join(''), self);
+                tail = minifier ? minifier.write(page) : page;
+              }
+              if (minifier) tail += minifier.end();
+              if (tail) {
+                sent.push(tail);
+                push(tail);
+              }
               finalize(true);
-              this.push(null);
-              return;
+              return true;
+            }
+            if (typeof next.value !== 'string') return next.value;
+            const rendered = rewritesChunks ? applyAfterRender(plugins, next.value, self, 'afterRenderChunk') : next.value;
+            if (held) {
+              held.push(rendered);
+              continue;
+            }
+            // The minifier may hold a chunk back until it sees what follows.
+            const chunk = minifier ? minifier.write(rendered) : rendered;
+            if (chunk) {
+              sent.push(chunk);
+              wantsMore = push(chunk);
             }
-            sent.push(next.value);
-            wantsMore = this.push(next.value);
           }
+          return false;
         } catch (err) {
           finalize(false);
-          this.destroy(err);
+          throw err;
         }
-      }
-    });
+      },
+      cancel() { finalize(false); }
+    };
+  }
 
-    stream.on('close', () => finalize(false));
+  renderStream(options = {}) {
+    const { Readable } = require('./runtime').requireRuntimeAdapter('stream', 'renderStream()');
+    const source = this._openStream(options, 'renderStream');
+    if (source.cached) {
+      return new Readable({
+        read() {
+          this.push(source.cached);
+          this.push(null);
+        }
+      });
+    }
+
+    let waiting = false;
+    const pump = () => {
+      if (waiting) return;
+      let status;
+      try {
+        status = source.pull((chunk) => stream.push(chunk));
+      } catch (err) {
+        stream.destroy(err);
+        return;
+      }
+      if (status === true) {
+        stream.push(null);
+      } else if (status) {
+        // Nothing was pushed, so Readable will not call read() again by itself:
+        // resume from here once the boundary settles.
+        waiting = true;
+        status.then(() => {
+          waiting = false;
+          pump();
+        });
+      }
+    };
 
+    const stream = new Readable({ read: pump });
+    stream.on('close', () => source.cancel());
     return stream;
   }
 
+  /**
+   * renderStream() for fetch-style servers: a WHATWG ReadableStream of UTF-8
+   * bytes, suitable as a Response body. It shares renderStream()'s source, so
+   * rendering is just as lazy, and cancelling the stream releases the render
+   * context and clears the document exactly as abandoning a Node stream does.
+   */
+  renderToReadableStream(options = {}) {
+    const source = this._openStream(options, 'renderToReadableStream');
+    const encoder = new TextEncoder();
+    // Measured in bytes, like the Node stream's highWaterMark.
+    const strategy = { highWaterMark: 16384, size: (chunk) => chunk.byteLength };
+    if (source.cached) {
+      return new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode(source.cached));
+          controller.close();
+        }
+      }, strategy);
+    }
+
+    // The stream will not call pull() again while a returned promise is pending,
+    // and nothing re-triggers it after a wait that enqueued nothing, so keep
+    // pulling inside the same promise until there is output.
+    const pull = (controller) => {
+      const status = source.pull((chunk) => {
+        controller.enqueue(encoder.encode(chunk));
+        return controller.desiredSize > 0;
+      });
+      if (status === true) controller.close();
+      else if (status) return status.then(() => pull(controller));
+    };
+
+    return new ReadableStream({
+      pull,
+      cancel() { source.cancel(); }
+    }, strategy);
+  }
+
   clear() {
+    this._hasPendingAsync = false;
     for (const el of this.body) {
       if (el instanceof Element) recycle('elements', el);
     }
@@ -959,6 +1448,69 @@ class Document {
     this._historyRouter = null;
   }
 
+  /**
+   * Deep-copy the document: body, head, global state, inline scripts, router
+   * config and the rest of what render() reads. Build a base layout once and
+   * render a copy per request; consuming the copy leaves the original as it
+   * was. Element ids are kept, so labels, slots and portals still line up.
+   * `nonce` and `cacheKey` options replace the copied values, as they would
+   * in the constructor.
+   *
+   *   const layout = buildLayout();
+   *   app.get('/', (req, res) => res.send(layout.clone({ nonce: res.locals.nonce }).render()));
+   */
+  clone(options = {}) {
+    // A component that is still loading has yet to add its children, and its
+    // promise would add them to the original only.
+    const walk = (nodes) => nodes.some(node => node instanceof Element
+      && ((node._pending && node._pending.length > 0) || walk(node.children)));
+    if (walk(this.body)) {
+      throw new Error('[Document] clone() cannot copy async components that are still loading. Settle them first, e.g. with renderAsync({ preserve: true }).');
+    }
+
+    const doc = new Document({
+      cache: this._useResponseCache,
+      cacheKey: options.cacheKey !== undefined ? options.cacheKey : this._cacheKey,
+      nonce: options.nonce !== undefined ? options.nonce : this._nonce,
+      seed: this._seed,
+    });
+    // The copy keeps the original's ids, so its new ones continue the count.
+    if (this._ridGen.fork) doc._ridGen = this._ridGen.fork();
+    doc.head = this.head.clone();
+    doc.head.setNonce(doc._nonce);
+
+    const copies = new Map();
+    for (const node of this.body) {
+      doc.body.push(node instanceof Element ? node._copyTo(doc, copies) : node);
+    }
+    for (const key in this._stateStore) doc._stateStore[key] = copyStateValue(this._stateStore[key]);
+    for (const key in this._globalState) doc._globalState[key] = copyStateValue(this._globalState[key]);
+
+    doc._oncreateCallbacks.push(...this._oncreateCallbacks);
+    for (const source of this._callbackSources) {
+      doc._callbackSources.push({ ...source, element: copies.get(source.element) || source.element });
+    }
+    for (const issue of this._registrationErrors) doc._registrationErrors.push({ ...issue });
+    doc._historyRouter = this._historyRouter ? { ...this._historyRouter } : null;
+    doc._bodyAttrs = { ...this._bodyAttrs };
+    doc._bodyClasses = [...this._bodyClasses];
+    doc._bodyCss = { ...this._bodyCss };
+    doc._htmlAttrs = { ...this._htmlAttrs };
+    doc._inlineScripts.push(...this._inlineScripts);
+    doc._rawHeadContent.push(...this._rawHeadContent);
+    if (this._cssRegistry && doc._cssRegistry) {
+      for (const [name, css] of this._cssRegistry) doc._cssRegistry.set(name, css);
+    }
+    // Indexes and flags that point into the copied head and inline scripts.
+    if (this._cssVars) doc._cssVars = { ...this._cssVars };
+    if (this._cssVarsRuleIdx !== undefined) doc._cssVarsRuleIdx = this._cssVarsRuleIdx;
+    if (this._mkElDefined) doc._mkElDefined = true;
+    if (this._templates) doc._templates = { ...this._templates };
+    doc._hasPendingAsync = this._hasPendingAsync;
+    doc._plugins.push(...this._plugins);
+    return doc;
+  }
+
   _renderHtmlAttrs() {
     const parts = [];
     for (const k in this._htmlAttrs) {
@@ -979,33 +1531,123 @@ class Document {
     return parts.join('');
   }
 
-  render() {
-    const startTime = CONFIG.enableMetrics ? Date.now() : 0;
+  /**
+   * The scripts that close <body>: the hydration script, then plugin scripts,
+   * then inline scripts. With the external client runtime, the shared runtime
+   * file comes first and the inline copy of window._mkEl is left out.
+   */
+  _renderBodyScripts(ctx, plugins, na, sourceMapTarget = null) {
+    const pluginScripts = collectClientScripts(plugins, ctx, this);
+    const external = CONFIG.clientRuntime === 'external';
+    if (sourceMapTarget) ctx.originMarks = [];
+    let clientJS = compileClient(ctx, { external });
+    if (clientJS && sourceMapTarget) clientJS = this._attachSourceMap(clientJS, ctx.originMarks, sourceMapTarget);
+    let inlineScripts = this._inlineScripts;
+    let runtime = '';
+    if (external) {
+      inlineScripts = inlineScripts.filter(s => s !== MK_EL_SRC);
+      if (clientJS || inlineScripts.length < this._inlineScripts.length) {
+        runtime = `<script${na} src="${escapeHtml(clientRuntimeHref())}"></script>`;
+      }
+    }
+    return [
+      runtime,
+      clientJS ? `<script${na}>${clientJS}</script>` : '',
+      ...pluginScripts.map(s => `<script${na}>${s}</script>`),
+      ...inlineScripts.map(s => `<script${na}>${s}</script>`)
+    ].join('');
+  }
 
-    // A CSP nonce is single-use by definition: it is minted per response and the
-    // matching `script-src 'nonce-…'` header goes out with it. Caching the page
-    // that carries one served request B the page — and the nonce — from request
-    // A, so B's header and B's markup no longer agree. Either every script is
-    // blocked, or, worse, the stale nonce is now a value an attacker has already
-    // seen, which is the whole thing a nonce exists to prevent.
-    //
-    // The fix is to bypass the cache, not to key on the nonce: a unique nonce per
-    // response would give a unique key per response, storing one entry per
-    // request and never hitting.
-    const cacheable = this._useResponseCache && this._cacheKey && !this._nonce;
-    if (this._useResponseCache && this._cacheKey && this._nonce && CONFIG.mode === 'dev') {
-      console.warn(
-        `[Document] cacheKey "${this._cacheKey}" is ignored because this document has a CSP nonce. ` +
-        'A cached page would serve a stale nonce to later requests. Render without a nonce to use the cache.'
-      );
+  /**
+   * Where a render's source map goes: 'inline', an AssetCollector, or null for
+   * none. configure({ sourceMaps: true }) makes 'inline' the default.
+   */
+  _sourceMapTarget(options, method, pretty = false) {
+    const target = options.sourceMap === undefined ? (CONFIG.sourceMaps ? 'inline' : null) : options.sourceMap;
+    if (target === null || target === false) return null;
+    if (target !== 'inline' && !(target instanceof AssetCollector)) {
+      throw new TypeError(`[Document] ${method}(): sourceMap must be 'inline', false or an AssetCollector`);
+    }
+    // Pretty output re-indents the script, which would move every mapped position.
+    return pretty ? null : target;
+  }
+
+  /**
+   * Take the origin marks out of the client script and point it at a source
+   * map of them: a data: URL, or a `buildhtml-client.<hash>.js.map` file in
+   * the collector. sourceURL names the inline script, so browsers report
+   * positions within it rather than within the page.
+   */
+  _attachSourceMap(js, marks, target) {
+    const { code, ranges } = extractOrigins(js, marks);
+    const name = `buildhtml-client.${hash(code)}.js`;
+    const json = JSON.stringify(sourceMap(code, ranges, name));
+    const url = target === 'inline'
+      ? `data:application/json;charset=utf-8,${encodeURIComponent(json)}`
+      : target.addSourceMap(`${name}.map`, json);
+    return `${code}\n//# sourceURL=${name}\n//# sourceMappingURL=${url}`;
+  }
+
+  /**
+   * Serialize the page. A completed render consumes the document: the body is
+   * cleared and its elements go back to the pool. With `{ preserve: true }`
+   * the tree and state are left as they were, so the same document can be
+   * rendered again or inspected afterwards.
+   *
+   * `{ extractCss: assets }` takes an AssetCollector: the page's head styles
+   * and scoped css() rules go into it and the page links to its
+   * `styles.<hash>.css` instead of inlining them. A head selector an earlier
+   * page defined differently stays in the page's own <style> block; see
+   * AssetCollector#addHeadCss(). Such a render bypasses the response cache,
+   * since a cached page would leave the collector without its rules.
+   *
+   * `{ target: 'email' }` renders for mail clients; see renderEmail(). In dev
+   * mode its warnings are logged.
+   *
+   * `{ pretty: true }`, or configure({ pretty: true }), indents the output for
+   * reading and diffing; see lib/pretty.js. It takes precedence over prod
+   * minification, and a pretty render bypasses the response cache.
+   *
+   * `{ sourceMap: 'inline' }` maps the client script's callbacks back to the
+   * lines that registered them; `{ sourceMap: assets }` writes the map into an
+   * AssetCollector instead. See lib/sourcemap.js.
+   */
+  render(options = {}) {
+    if (options.target != null && options.target !== 'email') {
+      throw new TypeError(`[Document] render(): unknown target "${options.target}"; the only target is "email"`);
+    }
+    const pretty = options.pretty === undefined ? CONFIG.pretty : options.pretty === true;
+    if (options.target === 'email') {
+      const { html, warnings } = this.renderEmail(options);
+      if (CONFIG.mode === 'dev') {
+        for (const w of warnings) console.warn(`[Document] email: ${w.message}${w.tag && w.tag !== 'document' ? ` (<${w.tag}${w.id ? ` id="${w.id}"` : ''}>)` : ''}`);
+      }
+      return pretty ? prettyHTML(html) : html;
     }
+    const startTime = CONFIG.enableMetrics ? Date.now() : 0;
+    const preserve = options.preserve === true;
+    const assets = options.extractCss;
+    if (assets != null && !(assets instanceof AssetCollector)) {
+      throw new TypeError('[Document] render(): extractCss expects an AssetCollector');
+    }
+    this._warnPendingAsync('render');
 
+    const sourceMapTarget = this._sourceMapTarget(options, 'render', pretty);
+    const cacheable = !assets && !pretty && !(sourceMapTarget instanceof AssetCollector) && this._canUseResponseCache();
     if (cacheable) {
       const cached = getResponseCache().get(this._cacheKey);
-      if (cached) { this.clear(); this._lastRendered = cached; return cached; }
+      if (cached) {
+        if (!preserve) this.clear();
+        this._lastRendered = cached;
+        return cached;
+      }
     }
 
-    const ctx = this._createRenderContext();
+    const plugins = resolvePlugins(this._plugins);
+    for (const plugin of plugins) {
+      if (plugin.beforeRender) plugin.beforeRender(this);
+    }
+    const ctx = this._createRenderContext(plugins);
 
     // Everything that can throw — node conversion, head rendering, client
     // compilation — sits inside the try. Without it a single throwing element
@@ -1027,28 +1669,35 @@ class Document {
       }
 
       const bodyHTML = bodyParts.join('');
-      const headHTML = this.head.render();
+      const headHTML = this.head.render({ styles: !assets });
       const na = this._nonce ? ` nonce="${escapeHtml(this._nonce)}"` : '';
 
-      const stylesHTML = ctx.styles.length > 0 ? `<style${na}>${ctx.styles.join('')}</style>` : '';
-      const clientJS = compileClient(ctx);
+      let stylesHTML;
+      if (assets) {
+        // The page's own rules come after the link so they override it.
+        const pageRules = assets.addHeadCss(this.head.styleRules());
+        stylesHTML = assets.addCss(ctx.styles).cssLink()
+          + (pageRules.length > 0 ? `<style${na}>${pageRules.join('')}</style>` : '');
+      } else {
+        stylesHTML = ctx.styles.length > 0 ? `<style${na}>${ctx.styles.join('')}</style>` : '';
+      }
+      const pluginHead = collectHookOutput(plugins, 'afterHead', this);
+      const bodyScripts = this._renderBodyScripts(ctx, plugins, na, sourceMapTarget);
       const rawHead = this._rawHeadContent.length > 0 ? this._rawHeadContent.join('') : '';
-      const inlineScripts = this._inlineScripts.length > 0
-        ? this._inlineScripts.map(s => `<script${na}>${s}</script>`).join('')
-        : '';
 
       const html = [
         `<!DOCTYPE html><html${this._renderHtmlAttrs()}><head>`,
-        headHTML, rawHead, stylesHTML,
+        headHTML, rawHead, stylesHTML, pluginHead,
         '</head>',
         `<body${this._renderBodyAttrs()}>`,
         bodyHTML,
-        clientJS ? `<script${na}>${clientJS}</script>` : '',
-        inlineScripts,
+        bodyScripts,
         '</body></html>'
       ].join('');
 
-      result = CONFIG.mode === 'prod' ? minHTML(html) : html;
+      const output = applyAfterRender(plugins, html, this);
+      if (pretty) result = prettyHTML(output);
+      else result = CONFIG.mode === 'prod' ? minHTML(output) : output;
     } finally {
       // Each array is recycled exactly once, on both paths. recycle() is not
       // idempotent — handing the same array back twice would put one object in
@@ -1059,7 +1708,7 @@ class Document {
     if (cacheable) getResponseCache().set(this._cacheKey, result);
 
     this._lastRendered = result;
-    this.clear();
+    if (!preserve) this.clear();
 
     if (CONFIG.enableMetrics) {
       metrics.timing('render.total', Date.now() - startTime);
@@ -1069,6 +1718,148 @@ class Document {
     return result;
   }
 
+  /**
+   * Render for mail clients, as `{ html, text, warnings }`: every CSS rule that
+   * can be is inlined into style attributes, scripts and client behaviour are
+   * dropped, and `text` is a plain-text alternative. `warnings` lists what mail
+   * clients will not handle, in validate()'s issue shape. Like render(), this
+   * consumes the document unless `{ preserve: true }` is passed, and never
+   * uses the response cache.
+   */
+  renderEmail(options = {}) {
+    const result = renderEmail(this);
+    this._lastRendered = result.html;
+    if (options.preserve !== true) this.clear();
+    return result;
+  }
+
+  /**
+   * The page as wrapped plain text, for email alternatives, search indexing
+   * and previews: underlined headings, bulleted lists, aligned table columns
+   * and links as numbered footnotes. `{ width }` sets the wrap column
+   * (default 72, 0 for none). Like validate(), it does not consume the
+   * document.
+   */
+  renderText(options = {}) {
+    return renderText(this.body, options);
+  }
+
+  /**
+   * Await async components and build() `setup` callbacks, then render().
+   *
+   * A rejection propagates and leaves the document intact, exactly like a
+   * render() that throws: nothing is cached or cleared, so the caller can fix
+   * the tree and try again.
+   */
+  async renderAsync(options = {}) {
+    await this._settlePending(this.body);
+    this._hasPendingAsync = false;
+    return this.render(options);
+  }
+
+  /**
+   * Render one subtree for an htmx/Turbo-style swap: its markup, a <style> with
+   * its scoped CSS, and a <script> that wires only its events, bindings and
+   * lifecycle hooks into the page's running window.State and watchState.
+   * State keys the page does not have yet are seeded from this document.
+   *
+   * Unlike render(), the document is not consumed, so one build can answer
+   * with several regions.
+   *
+   *   res.send(doc.renderPartial('cart'));
+   */
+  renderPartial(idOrElement) {
+    let el = idOrElement;
+    if (typeof idOrElement === 'string') {
+      el = null;
+      for (const node of this.body) {
+        if (!(node instanceof Element)) continue;
+        el = node.attrs.id === idOrElement ? node : node.findById(idOrElement);
+        if (el) break;
+      }
+      if (!el) throw new Error(`[Document] renderPartial(): no element with id "${idOrElement}"`);
+    } else if (!(el instanceof Element) || el._document !== this) {
+      throw new TypeError('[Document] renderPartial() expects an element id or an element of this document');
+    }
+
+    const restoreIds = this._scopePartialIds(el);
+    const ctx = this._createRenderContext();
+    // Document-level callbacks belong to the page that already ran them.
+    ctx.oncreates = [];
+    ctx.callbackSources = [];
+    ctx.registrationErrors = [];
+    try {
+      const na = this._nonce ? ` nonce="${escapeHtml(this._nonce)}"` : '';
+      const html = renderNode(el, ctx);
+      const sourceMapTarget = this._sourceMapTarget({}, 'renderPartial', CONFIG.pretty);
+      if (sourceMapTarget) ctx.originMarks = [];
+      let clientJS = compileClient(ctx, { partial: true });
+      if (clientJS && sourceMapTarget) clientJS = this._attachSourceMap(clientJS, ctx.originMarks, sourceMapTarget);
+      const out = [
+        ctx.styles.length > 0 ? `<style${na}>${ctx.styles.join('')}</style>` : '',
+        html,
+        clientJS ? `<script${na}>${clientJS}</script>` : ''
+      ].join('');
+      if (CONFIG.pretty) return prettyHTML(out);
+      return CONFIG.mode === 'prod' ? minHTML(out) : out;
+    } finally {
+      this._releaseRenderContext(ctx);
+      restoreIds();
+    }
+  }
+
+  /**
+   * Deterministic documents all number their ids from 1, so a region built by
+   * one request would reuse the ids of the page another request built. For
+   * renderPartial(), the generated ids below `root` are prefixed with the
+   * root's id (or a hash of its markup when it has none), and so is every
+   * reference to them. Returns a function that puts the originals back.
+   */
+  _scopePartialIds(root) {
+    const owns = this._ridGen.owns;
+    if (!owns) return () => {};
+    const elements = [];
+    const visit = (el) => {
+      for (const child of el.children) {
+        if (!(child instanceof Element)) continue;
+        elements.push(child);
+        visit(child);
+      }
+    };
+    visit(root);
+    const generated = elements.filter(el => owns(el.attrs.id));
+    if (generated.length === 0) return () => {};
+
+    const scope = root.attrs.id || `p${hash(root.html())}`;
+    const renamed = new Map(generated.map(el => [el.attrs.id, `${scope}-${el.attrs.id}`]));
+    const rename = (id) => (renamed.has(id) ? renamed.get(id) : id);
+    const undo = [];
+    const set = (target, key, value) => {
+      undo.push([target, key, target[key]]);
+      target[key] = value;
+    };
+    for (const el of [root, ...elements]) {
+      if (el !== root && renamed.has(el.attrs.id)) set(el.attrs, 'id', renamed.get(el.attrs.id));
+      for (const name of REFERENCE_ATTRS) {
+        if (el.attrs[name] == null) continue;
+        const tokens = String(el.attrs[name]).trim().split(/\s+/);
+        if (tokens.some(token => renamed.has(token))) set(el.attrs, name, tokens.map(rename).join(' '));
+      }
+      if (el._portalTarget) set(el, '_portalTarget', rename(el._portalTarget));
+      if (el.events.length > 0) {
+        set(el, 'events', el.events.map(e => ({ ...e, id: rename(e.id), targetId: e.targetId && rename(e.targetId) })));
+      }
+      if (el._stateBindings.length > 0) set(el, '_stateBindings', el._stateBindings.map(b => ({ ...b, id: rename(b.id) })));
+      if (el._lifecycle.length > 0) set(el, '_lifecycle', el._lifecycle.map(h => ({ ...h, id: rename(h.id) })));
+    }
+    return () => {
+      for (let i = undo.length - 1; i >= 0; i--) {
+        const [target, key, value] = undo[i];
+        target[key] = value;
+      }
+    };
+  }
+
   toJSON() {
     const serialize = (el) => {
       if (!(el instanceof Element)) return { type: 'text', content: unescapeHtml(String(el)) };
@@ -1081,9 +1872,10 @@ class Document {
       if (el._stateBindings?.length > 0) s.stateBindings = el._stateBindings;
       if (el._lifecycle?.length > 0) s.lifecycle = el._lifecycle;
       if (el.events?.length > 0) {
-        s.events = el.events.map(e => ({ event: e.event, id: e.id, targetId: e.targetId, fn: e.fn, context: e.context }));
+        s.events = el.events.map(e => ({ event: e.event, id: e.id, targetId: e.targetId, fn: e.fn, context: e.context, origin: e.origin }));
       }
       if (el._computed) s.computed = el._computed;
+      if (el._island) s.island = { ...el._island };
       return s;
     };
 
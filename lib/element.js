@@ -2,6 +2,10 @@
 
 const { toKebab, normalizeTagName, escapeHtml, sanitizeCssValue, sanitizeFunctionSource, isValidAttrKey, safeJsonStringify, hash, VOID_ELEMENTS, compileCssDeclarations, warnInvalidCss, isValidCssProperty, classifyBindableProp } = require('./utils');
 const { CONFIG } = require('./config');
+const { parseHTML } = require('./html-parser');
+const { captureOrigin } = require('./sourcemap');
+
+const ISLAND_TRIGGERS = new Set(['visible', 'idle', 'interaction']);
 
 class Element {
   constructor(tag, ridGen, stateStore) {
@@ -23,7 +27,10 @@ class Element {
     this._parent = null;
     this._slots = null;
     this._portalTarget = null;
+    this._island = null;
     this._inlineStyles = null;
+    this._pending = null;
+    this._suspense = null;
     this._pooled = false;
   }
 
@@ -119,6 +126,16 @@ class Element {
     return this;
   }
 
+  /**
+   * Parse markup into child elements. Unlike appendUnsafe() the result is a
+   * real subtree — it can be styled, bound and queried — and it is sanitized:
+   * event-handler attributes and <script> are dropped, URLs pass sanitizeUrl().
+   */
+  appendHTML(html) {
+    parseHTML(this, html);
+    return this;
+  }
+
   text(c) {
     if (c != null) this.children.push(escapeHtml(c));
     return this;
@@ -214,9 +231,24 @@ class Element {
 
   clone() {
     if (!this._document) throw new Error('[Element] Cannot clone: no document');
-    const el = this._document._poolElement(this.tag);
+    return this._copyTo(this._document, null);
+  }
+
+  /**
+   * Deep copy into `doc`. clone() regenerates ids so the copy can sit beside
+   * its original. Document.clone() passes `copies` instead: ids are kept,
+   * because the copy stands in for the whole page and labels, slots, portals
+   * and routers refer to elements by id, and each original is mapped to its
+   * copy.
+   */
+  _copyTo(doc, copies) {
+    const el = doc._poolElement(this.tag);
     for (const k in this.attrs) el.attrs[k] = this.attrs[k];
-    if (el.attrs.id) el.attrs.id = this._ridGen();
+    if (el.attrs.id && !copies) el.attrs.id = el._ridGen();
+    if (copies) {
+      copies.set(this, el);
+      if (this._slots) el._slots = { ...this._slots };
+    }
     el._classes = [...this._classes];
     el._classSet = new Set(this._classSet);
     el.cssText = this.cssText;
@@ -226,6 +258,8 @@ class Element {
       : this._state;
     el.hydrate = this.hydrate;
     el._portalTarget = this._portalTarget;
+    el._island = this._island ? { ...this._island } : null;
+    el._suspense = this._suspense;
     // Handlers and bindings address their element by id at hydration time, so they
     // must follow the clone's regenerated id — otherwise every clone re-registers
     // against the source element, leaving the clones inert.
@@ -235,7 +269,7 @@ class Element {
     if (this._computed) el._computed = this._computed;
     for (const child of this.children) {
       if (child instanceof Element) {
-        const cloned = child.clone();
+        const cloned = child._copyTo(doc, copies);
         cloned._parent = el;
         el.children.push(cloned);
       } else {
@@ -293,6 +327,27 @@ class Element {
     return null;
   }
 
+  /**
+   * CSS selector queries, with the same results a browser would give on the
+   * rendered markup. Classes include the hashed ones css() adds. Supported:
+   * type, #id, .class, [attr] operators, the four combinators, :first-child
+   * and :not(). Anything else throws a SyntaxError.
+   */
+  querySelector(selector) {
+    const { querySelectorAll } = require('./selector');
+    return querySelectorAll(this.children, selector, true)[0] || null;
+  }
+
+  querySelectorAll(selector) {
+    const { querySelectorAll } = require('./selector');
+    return querySelectorAll(this.children, selector);
+  }
+
+  matches(selector) {
+    const { matches } = require('./selector');
+    return matches(this, selector);
+  }
+
   html() {
     const { renderNode } = require('./renderer');
     const ctx = { events: [], states: [], styles: [], seenCss: new Set(), computed: [], stateBindings: [], lifecycles: [], portals: [], oncreates: [], globalState: {} };
@@ -522,6 +577,74 @@ class Element {
     return this;
   }
 
+  /* ==== ISLANDS ==== */
+
+  /**
+   * Hydrate this subtree lazily. The events, bindings, computed values,
+   * lifecycle hooks and portals registered on it and its descendants are wired
+   * up when the trigger fires rather than on load; the rest of the page
+   * hydrates as before. window.State is installed for the whole page up front,
+   * so an island picks up every change made while it waited.
+   *
+   *   visible        when the element comes near the viewport (the default)
+   *   idle           when the browser is idle
+   *   interaction    on the first pointerdown, focusin, keydown or touchstart inside it
+   *   media:<query>  once the media query matches, e.g. 'media:(min-width: 768px)'
+   *
+   * A browser without the API a trigger relies on (IntersectionObserver,
+   * requestIdleCallback, matchMedia) hydrates the island straight away. An
+   * island inside another is scheduled once the outer one has hydrated.
+   */
+  island(options = {}) {
+    const when = options && options.when !== undefined ? options.when : 'visible';
+    const media = typeof when === 'string' && when.startsWith('media:') ? when.slice(6).trim() : null;
+    if (!(ISLAND_TRIGGERS.has(when) || media)) {
+      throw new TypeError(`[Element] island() when must be 'visible', 'idle', 'interaction' or 'media:<query>', got ${JSON.stringify(when)}`);
+    }
+    if (!this.attrs.id) this.id();
+    this._island = { when: media ? `media:${media}` : when };
+    this.hydrate = true;
+    return this;
+  }
+
+  /* ==== ASYNC WORK ==== */
+
+  /**
+   * Record a promise returned by a component function or a build() `setup`
+   * callback. Document.renderAsync() awaits these before serializing; render()
+   * cannot, and reports them instead of silently emitting a half-built subtree.
+   */
+  _addPending(result) {
+    if (!result || typeof result.then !== 'function') return this;
+    // Marked handled here so a document that is never rendered asynchronously
+    // does not take the process down with an unhandled rejection. renderAsync()
+    // awaits the original promise, so the failure still reaches its caller.
+    result.then(null, () => {});
+    if (!this._pending) this._pending = [];
+    this._pending.push(result);
+    if (this._document) this._document._hasPendingAsync = true;
+    return this;
+  }
+
+  /**
+   * Turn this element into a suspense boundary: the fallback is built now, and
+   * `asyncFn` is kept to fill the element later. renderStream() sends the
+   * fallback straight away and swaps the loaded markup in once it arrives;
+   * renderAsync() loads it up front and renders it in place of the fallback.
+   *
+   * The swap script finds the boundary by id, so one is always assigned.
+   * aria-busy tells assistive technology the region is still loading.
+   */
+  _makeSuspense(fallbackFn, asyncFn) {
+    if (typeof asyncFn !== 'function') throw new TypeError('[Element] suspense() requires a content function');
+    if (!this.attrs.id) this.id();
+    this.attrs['aria-busy'] = 'true';
+    if (typeof fallbackFn === 'function') fallbackFn(this);
+    this._suspense = asyncFn;
+    if (this._document) this._document._hasPendingAsync = true;
+    return this;
+  }
+
   /* ==== STATE & EVENTS ==== */
 
   _recordCallbackFailure(callbackType, error) {
@@ -536,7 +659,7 @@ class Element {
       const fnSource = typeof templateFn === 'function'
         ? sanitizeFunctionSource(templateFn, CONFIG.maxComputedFnSize)
         : '(val) => val';
-      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'text', context: safeJsonStringify(context) });
+      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'text', context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure('binding:text', err);
@@ -550,7 +673,7 @@ class Element {
     if (!this.attrs.id) this.id();
     try {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxComputedFnSize);
-      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'show', context: safeJsonStringify(context) });
+      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'show', context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure('binding:show', err);
@@ -577,7 +700,7 @@ class Element {
     if (!this.attrs.id) this.id();
     try {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxComputedFnSize);
-      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'class', context: safeJsonStringify(context) });
+      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'class', context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure('binding:class', err);
@@ -615,7 +738,7 @@ class Element {
     if (!this.attrs.id) this.id();
     try {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxComputedFnSize);
-      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'attr', attrName: safeAttrName, context: safeJsonStringify(context) });
+      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'attr', attrName: safeAttrName, context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure('binding:attr', err);
@@ -629,7 +752,7 @@ class Element {
     if (!this.attrs.id) this.id();
     try {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxComputedFnSize);
-      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'style', context: safeJsonStringify(context) });
+      this._stateBindings.push({ stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'style', context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure('binding:style', err);
@@ -659,7 +782,8 @@ class Element {
         stateKey, id: this.attrs.id, templateFn: fnSource, bindType: 'prop', prop,
         // Tells the compiler to emit the URL scheme guard around the assignment.
         propIsUrl: kind === 'url',
-        context: safeJsonStringify(context)
+        context: safeJsonStringify(context),
+        origin: captureOrigin()
       });
       this.hydrate = true;
     } catch (err) {
@@ -708,7 +832,7 @@ class Element {
       // Store source string now — prevents fn.toString() override at render time
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxEventFnSize);
       if (!this.attrs.id) this.id();
-      this.events.push({ event: ev, id: this.attrs.id, fn: fnSource, context: safeJsonStringify(context) });
+      this.events.push({ event: ev, id: this.attrs.id, fn: fnSource, context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure(`event:${ev}`, err);
@@ -722,7 +846,7 @@ class Element {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxEventFnSize);
       if (!this.attrs.id) this.id();
       if (!target.attrs.id) target.id();
-      this.events.push({ event: ev, id: this.attrs.id, targetId: target.attrs.id, fn: fnSource, context: safeJsonStringify(context) });
+      this.events.push({ event: ev, id: this.attrs.id, targetId: target.attrs.id, fn: fnSource, context: safeJsonStringify(context), origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure(`event:${ev}`, err);
@@ -748,7 +872,7 @@ class Element {
     try {
       const fnSource = sanitizeFunctionSource(fn, CONFIG.maxEventFnSize);
       if (!this.attrs.id) this.id();
-      this._lifecycle.push({ type, stateKey, id: this.attrs.id, fn: fnSource });
+      this._lifecycle.push({ type, stateKey, id: this.attrs.id, fn: fnSource, origin: captureOrigin() });
       this.hydrate = true;
     } catch (err) {
       this._recordCallbackFailure(`lifecycle:${type}`, err);
@@ -1050,6 +1174,15 @@ class Element {
     return el;
   }
 
+  /**
+   * Append a suspense boundary. `fallbackFn(el)` builds the placeholder that is
+   * streamed immediately; `asyncFn(el)` builds the real content and may return a
+   * promise. Returns the boundary element.
+   */
+  suspense(fallbackFn, asyncFn, tag = 'div') {
+    return this.child(tag)._makeSuspense(fallbackFn, asyncFn);
+  }
+
   /**
    * Render this element (and its children) to a static HTML+CSS fragment.
    * Use this to pre-build reusable chunks (navbars, footers, etc.) once at
@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Email rendering, behind render({ target: 'email' }) and renderEmail().
+ *
+ * Mail clients drop <script> and many drop <style>, so the page's CSS — head
+ * class and global rules, addStyle() CSS and every element's css() rules — is
+ * resolved against the tree and written into each element's style attribute.
+ * Rules apply in cascade order: specificity, then source order, with a
+ * style() declaration beating any rule that is not !important. Rules no
+ * attribute can express — media queries, :hover, ::before — stay in a <style>
+ * block for the clients that read it.
+ *
+ * Event handlers, state, bindings, lifecycle hooks and every script are
+ * dropped: an email is static. Constructs mail clients handle badly are
+ * reported as warnings in the same `{ code, message, tag, id }` shape as
+ * validate().
+ */
+
+const { Element } = require('./element');
+const { CONFIG } = require('./config');
+const { renderNode } = require('./renderer');
+const { parseDeclarations, documentStyleRules, resolveCascade, cascadeStyle } = require('./cascade');
+const { resolvePlugins, applyAfterRender } = require('./plugins');
+const { renderText } = require('./text');
+const { escapeHtml, minHTML, URL_ATTRS } = require('./utils');
+
+const UNSUPPORTED_TAGS = new Set([
+  'form', 'input', 'button', 'select', 'textarea', 'video', 'audio', 'iframe', 'canvas', 'svg', 'object', 'embed'
+]);
+// Declarations most clients ignore or strip, by property.
+const UNSUPPORTED_CSS = [
+  [/^display$/, /\b(?:inline-)?(?:flex|grid)\b/, 'flexbox and grid layout'],
+  [/^position$/, /\b(?:absolute|fixed|sticky|relative)\b/, 'positioning'],
+  [/^[\w-]+$/, /\bvar\(/, 'CSS custom properties'],
+];
+// URLs a mail client can resolve without the page's origin.
+const ABSOLUTE_URL_RE = /^(?:[a-z][a-z0-9+.-]*:|#)/i;
+
+/** Warnings for one element: tags, client behaviour, CSS and URLs. */
+function inspectElement(el, style, warnings) {
+  const where = { tag: el.tag, id: el.attrs.id || null };
+  const warn = (code, message) => warnings.push({ code, message, ...where });
+  if (UNSUPPORTED_TAGS.has(el.tag)) warn('W_EMAIL_UNSUPPORTED_TAG', `<${el.tag}> is not supported by most mail clients.`);
+  if (el.tag === 'script') warn('W_EMAIL_SCRIPT', 'Script elements are removed from email.');
+  if (el.events.length > 0 || el._state !== null || el._computed || el._stateBindings.length > 0 || el._lifecycle.length > 0) {
+    warn('W_EMAIL_INTERACTIVITY', 'Event handlers, state, bindings and lifecycle hooks are dropped in email.');
+  }
+  for (const d of parseDeclarations(style || '')) {
+    for (const [prop, value, what] of UNSUPPORTED_CSS) {
+      if (prop.test(d.prop) && value.test(d.value)) warn('W_EMAIL_CSS', `"${d.prop}: ${d.value}" uses ${what}, which many mail clients ignore.`);
+    }
+  }
+  for (const attr of URL_ATTRS) {
+    const url = el.attrs[attr];
+    if (url != null && !ABSOLUTE_URL_RE.test(String(url))) {
+      warn('W_EMAIL_RELATIVE_URL', `${attr}="${url}" is relative; a mail client has no page URL to resolve it against.`);
+    }
+  }
+}
+
+/**
+ * Render `doc` for email. Returns `{ html, text, warnings }` and leaves the
+ * tree as it was; the caller decides whether the render consumes it.
+ */
+function renderEmail(doc) {
+  const warnings = [];
+  const pending = [];
+  let matched, bodyDeclarations, kept, keptClasses;
+
+  // Styles and classes are set on the live elements for the walk and put
+  // back afterwards, so a preserved document renders for the web unchanged.
+  const restore = [];
+  const visit = (nodes) => {
+    for (const el of nodes) {
+      if (!(el instanceof Element)) continue;
+      const style = cascadeStyle(matched.get(el) || [], el.attrs.style);
+      inspectElement(el, style, warnings);
+      const hadStyle = Object.prototype.hasOwnProperty.call(el.attrs, 'style');
+      const { style: previousStyle } = el.attrs;
+      const previousClasses = el._classes;
+      restore.push(() => {
+        if (hadStyle) el.attrs.style = previousStyle;
+        else delete el.attrs.style;
+        el._classes = previousClasses;
+      });
+      if (style) el.attrs.style = style;
+      // Classes only matter to the rules kept in <style>.
+      el._classes = el._classes.filter(name => keptClasses.has(name));
+      if (el._pending && el._pending.length > 0) pending.push(el);
+      visit(el.children);
+    }
+  };
+
+  const plugins = resolvePlugins(doc._plugins);
+  for (const plugin of plugins) {
+    if (plugin.beforeRender) plugin.beforeRender(doc);
+  }
+  const ctx = doc._createRenderContext(plugins);
+  const dropScripts = { transformNode: (node) => (node.tag === 'script' ? null : undefined) };
+  ctx.nodeTransforms = [dropScripts, ...(ctx.nodeTransforms || [])];
+  let html;
+  try {
+    // After beforeRender, which may still add elements and their css().
+    ({ matched, bodyDeclarations, kept } = resolveCascade(doc, documentStyleRules(doc, ctx)));
+    keptClasses = new Set(Array.from(kept.join('').matchAll(/\.(-?[_a-zA-Z][\w-]*)/g), m => m[1]));
+    visit(doc.body);
+    const bodyParts = [];
+    for (const node of doc.body) bodyParts.push(renderNode(node, ctx));
+
+    if (doc.head.links.length > 0) {
+      warnings.push({ code: 'W_EMAIL_STYLESHEET', message: 'Linked stylesheets are dropped; mail clients do not load them. Use css(), sharedClass() or globalStyle() instead.', tag: 'link', id: null });
+    }
+    if (doc.head.scripts.length > 0 || doc._inlineScripts.length > 0) {
+      warnings.push({ code: 'W_EMAIL_SCRIPT', message: 'Scripts are removed from email.', tag: 'script', id: null });
+    }
+    if (kept.length > 0) {
+      warnings.push({ code: 'W_EMAIL_STYLE_BLOCK', message: `${kept.length} CSS rule${kept.length === 1 ? '' : 's'} (media queries, pseudo-classes or at-rules) cannot be inlined and stay in a <style> block, which some mail clients strip.`, tag: 'style', id: null });
+    }
+
+    // JSON-LD is data rather than script; Gmail reads it for email actions.
+    const jsonLd = doc._rawHeadContent.filter(s => s.startsWith('<script type="application/ld+json">'));
+    let bodyAttrs = doc._renderBodyAttrs();
+    const bodyStyle = cascadeStyle(bodyDeclarations, doc._bodyAttrs.style);
+    if (bodyStyle) bodyAttrs = bodyAttrs.replace(/ style="[^"]*"/, '') + ` style="${escapeHtml(bodyStyle)}"`;
+
+    const output = [
+      `<!DOCTYPE html><html${doc._renderHtmlAttrs()}><head>`,
+      doc.head.render({ styles: false, links: false, scripts: false }),
+      ...jsonLd,
+      kept.length > 0 ? `<style>${kept.join('')}</style>` : '',
+      '</head>',
+      `<body${bodyAttrs}>`,
+      ...bodyParts,
+      '</body></html>'
+    ].join('');
+    html = applyAfterRender(plugins, output, doc);
+    if (CONFIG.mode === 'prod') html = minHTML(html);
+  } finally {
+    for (let i = restore.length - 1; i >= 0; i--) restore[i]();
+    doc._releaseRenderContext(ctx);
+  }
+
+  if (pending.length > 0) {
+    warnings.push({ code: 'W_EMAIL_PENDING_ASYNC', message: 'Async components were still loading and rendered their fallback; use renderAsync() first.', tag: 'document', id: null });
+  }
+  return { html, text: renderText(doc.body), warnings };
+}
+
+module.exports = { renderEmail };
@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * The fixes behind validate({ fix: true }).
+ *
+ * A fix is applied only when there is exactly one right answer:
+ * - W_IMAGE_ALT: an image marked decorative with role="presentation",
+ *   role="none" or aria-hidden="true" gets alt="". Any other image may carry
+ *   meaning, and only its author can describe it.
+ * - W_CONTROL_LABEL: a control with a placeholder gets it as its aria-label.
+ * - W_HEADING_ORDER: headings are renumbered so that none skips a level, and
+ *   each keeps its place in the outline: h1, h3, h4, h3 becomes h1, h2, h3, h2.
+ *   Nothing is renumbered if raw HTML may hold headings, or if a document
+ *   style or any client code (callbacks, inline scripts) names a renumbered
+ *   heading's tag.
+ * - E_DUPLICATE_ID: the first element keeps the id and each later one gets a
+ *   fresh id. A `for`, `aria-*`, `list`, `form` or `headers` reference follows
+ *   the element it shares the closest ancestor with. An id is left alone when
+ *   a reference is equally close to two of the elements, or when anything
+ *   other than such a reference could use it: the element's own events,
+ *   bindings, state or slots, another element's event target or portal, raw
+ *   HTML, or the head's styles and scripts.
+ *
+ * Everything else is left as it is. Each fix that was considered is reported:
+ * `applied` entries say what changed, `unapplied` ones why it did not.
+ */
+
+const { Element } = require('./element');
+const { tagPath } = require('./content-model');
+
+const REFERENCE_ATTRS = [
+  'for', 'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-details',
+  'aria-errormessage', 'aria-flowto', 'list', 'form', 'headers'
+];
+const HEADING_RE = /^h([1-6])$/;
+
+function walk(doc) {
+  const nodes = [];
+  const visit = (children, ancestors) => {
+    for (const child of children) {
+      if (!(child instanceof Element)) continue;
+      nodes.push({ el: child, ancestors });
+      visit(child.children, [...ancestors, child]);
+    }
+  };
+  visit(doc.body, []);
+  return nodes;
+}
+
+/** Every raw string in the body: text, raw() and appendUnsafe() markup, inline scripts. */
+function bodyStrings(doc) {
+  const out = [];
+  const visit = (children) => {
+    for (const child of children) {
+      if (child instanceof Element) visit(child.children);
+      else out.push(String(child));
+    }
+  };
+  visit(doc.body);
+  return out;
+}
+
+function headText(doc) {
+  const { styles, globalStyles, classStyles, scripts } = doc.head;
+  return JSON.stringify({ styles, globalStyles, classStyles, scripts });
+}
+
+/**
+ * The source of every piece of client code the document sends: events,
+ * bindings, lifecycle hooks, computed values, oncreate() callbacks, live
+ * lists and inline scripts.
+ */
+function clientSources(doc) {
+  const out = [...doc._oncreateCallbacks, ...doc._callbackSources.map(callback => callback.source), ...doc._inlineScripts];
+  for (const { el } of walk(doc)) {
+    for (const e of el.events) out.push(e.fn);
+    for (const b of el._stateBindings) out.push(b.templateFn);
+    for (const h of el._lifecycle) out.push(h.fn);
+    if (el._computed) out.push(el._computed);
+  }
+  return out.map(String).join('\n');
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function isDecorative(el) {
+  const role = String(el.attrs.role || '').trim().toLowerCase();
+  return role === 'presentation' || role === 'none' || String(el.attrs['aria-hidden']) === 'true';
+}
+
+function fixHeadings(doc, issues, ctx) {
+  const headings = walk(doc).filter(({ el }) => HEADING_RE.test(el.tag));
+  const unfixable = (reason) => {
+    for (const { issue, el } of issues) ctx.unapplied.push({ ...ctx.entry(issue, el), reason });
+  };
+  if (bodyStrings(doc).some(text => /<h[1-6][\s>/]/i.test(text))) {
+    unfixable('Raw HTML in the document may hold headings, so the outline is not known.');
+    return;
+  }
+
+  // Each heading goes one level below the nearest earlier heading ranked
+  // above it in the original outline.
+  const stack = [];
+  const changes = [];
+  for (const { el, ancestors } of headings) {
+    const level = Number(HEADING_RE.exec(el.tag)[1]);
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    const next = stack.length > 0 ? stack[stack.length - 1].fixed + 1 : 1;
+    const fixed = Math.min(level, next);
+    stack.push({ level, fixed });
+    if (fixed !== level) changes.push({ el, ancestors, level, fixed });
+  }
+
+  const css = headText(doc) + walk(doc).map(({ el }) => el.cssText || '').join('');
+  const styled = changes.find(({ level, fixed }) => [level, fixed].some(n => new RegExp(`(^|[^\\w-])h${n}(?![\\w-])`).test(css)));
+  if (styled) {
+    unfixable(`A document style selects <h${styled.level}> or <h${styled.fixed}> by tag, so renumbering would change how headings look.`);
+    return;
+  }
+  // Client code may look headings up by tag, e.g. querySelectorAll('h3').
+  const scripts = clientSources(doc);
+  const scripted = changes.find(({ level, fixed }) => [level, fixed].some(n => new RegExp(`(^|[^\\w-])h${n}(?![\\w-])`, 'i').test(scripts)));
+  if (scripted) {
+    unfixable(`Client code mentions <h${scripted.level}> or <h${scripted.fixed}>, so renumbering could change what it finds.`);
+    return;
+  }
+  for (const { el, ancestors, level, fixed } of changes) {
+    ctx.applied.push({ code: 'W_HEADING_ORDER', tag: el.tag, id: el.attrs.id || null, path: tagPath(el, ancestors), change: `<h${level}> is now <h${fixed}>.` });
+    el.tag = `h${fixed}`;
+  }
+}
+
+function fixDuplicateIds(doc, issues, ctx) {
+  const nodes = walk(doc);
+  const strings = bodyStrings(doc).join('\n') + headText(doc);
+  const byId = new Map();
+  for (const { issue, el } of issues) {
+    const id = String(el.attrs.id);
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push({ issue, el });
+  }
+
+  for (const [id, duplicates] of byId) {
+    const unfixable = (reason) => {
+      for (const { issue, el } of duplicates) ctx.unapplied.push({ ...ctx.entry(issue, el), reason });
+    };
+    // The first holder keeps the id: it is the one getElementById() returns.
+    const holders = nodes.filter(({ el }) => String(el.attrs.id) === id).map(({ el, ancestors }) => ({ el, chain: [...ancestors, el] }));
+    if (String(doc._bodyAttrs.id) === id) holders.unshift({ el: null, chain: [] });
+    const renamed = new Set(duplicates.map(({ el }) => el));
+
+    const inUse = duplicates.find(({ el }) => el.hydrate || el._state !== null || el._computed || el._suspense || el._slots ||
+      el._portalTarget || el.events.length > 0 || el._stateBindings.length > 0 || el._lifecycle.length > 0 ||
+      doc._callbackSources.some(source => source.element === el));
+    if (inUse) {
+      unfixable(`<${inUse.el.tag} id="${id}"> has client behavior that addresses it by id.`);
+      continue;
+    }
+    const targeted = nodes.some(({ el }) => el._portalTarget === id || el.events.some(e => e.targetId === id) ||
+      (el._slots && Object.values(el._slots).includes(id)));
+    if (targeted || new RegExp(`(^|[^\\w-])${escapeRegExp(id)}(?![\\w-])`).test(strings)) {
+      unfixable(`The id "${id}" is used by an event target, portal, slot, raw HTML or head content, which cannot be told apart.`);
+      continue;
+    }
+
+    // Which holder each reference belongs to: the one sharing the deepest ancestor.
+    const updates = [];
+    let ambiguous = false;
+    for (const { el, ancestors } of nodes) {
+      for (const attrName of REFERENCE_ATTRS) {
+        if (el.attrs[attrName] == null) continue;
+        const tokens = String(el.attrs[attrName]).trim().split(/\s+/);
+        if (!tokens.includes(id)) continue;
+        const chain = [...ancestors, el];
+        let best = -1;
+        let owners = [];
+        for (const holder of holders) {
+          let depth = 0;
+          while (depth < holder.chain.length && depth < chain.length && holder.chain[depth] === chain[depth]) depth++;
+          if (depth > best) { best = depth; owners = [holder]; } else if (depth === best) owners.push(holder);
+        }
+        if (owners.length > 1 && owners.some(owner => renamed.has(owner.el))) ambiguous = true;
+        else if (renamed.has(owners[0].el)) updates.push({ el, ancestors, attrName, owner: owners[0].el });
+      }
+    }
+    if (ambiguous) {
+      unfixable(`A reference to "${id}" is as close to one element with that id as to another.`);
+      continue;
+    }
+
+    const newIds = new Map();
+    for (const { issue, el } of duplicates) {
+      const entry = ctx.entry(issue, el);
+      el.id();
+      newIds.set(el, el.attrs.id);
+      ctx.applied.push({ ...entry, change: `id "${id}" is now "${el.attrs.id}".` });
+    }
+    for (const { el, ancestors, attrName, owner } of updates) {
+      const value = String(el.attrs[attrName]).trim().split(/\s+/).map(token => (token === id ? newIds.get(owner) : token)).join(' ');
+      ctx.applied.push({
+        code: 'E_DUPLICATE_ID', tag: el.tag, id: el.attrs.id || null, path: tagPath(el, ancestors),
+        change: `${attrName} now refers to "${newIds.get(owner)}" instead of "${id}".`
+      });
+      el.attrs[attrName] = value;
+    }
+  }
+}
+
+/**
+ * Apply the fixes for the issues _inspect() found and report them.
+ *
+ * @param {Document} doc
+ * @param {{ errors: Object[], warnings: Object[], elementOf: Map, ancestorsOf: Map }} found
+ * @returns {{ applied: Object[], unapplied: Object[] }}
+ */
+function applyFixes(doc, { errors, warnings, elementOf, ancestorsOf }) {
+  const ctx = {
+    applied: [],
+    unapplied: [],
+    entry: (issue, el) => ({ code: issue.code, tag: el.tag, id: el.attrs.id || null, path: tagPath(el, ancestorsOf.get(el) || []) }),
+  };
+  const byCode = (code) => [...errors, ...warnings]
+    .filter(issue => issue.code === code && elementOf.has(issue))
+    .map(issue => ({ issue, el: elementOf.get(issue) }));
+
+  for (const { issue, el } of byCode('W_IMAGE_ALT')) {
+    if (isDecorative(el)) {
+      ctx.applied.push({ ...ctx.entry(issue, el), change: 'Added alt="" to an image marked decorative.' });
+      el.attrs.alt = '';
+    } else {
+      ctx.unapplied.push({ ...ctx.entry(issue, el), reason: 'The image is not marked decorative, so it needs alt text only its author can write.' });
+    }
+  }
+  for (const { issue, el } of byCode('W_CONTROL_LABEL')) {
+    const placeholder = el.attrs.placeholder == null ? '' : String(el.attrs.placeholder).trim();
+    if (placeholder) {
+      ctx.applied.push({ ...ctx.entry(issue, el), change: `Added aria-label "${placeholder}" from the placeholder.` });
+      el.attrs['aria-label'] = placeholder;
+    } else {
+      ctx.unapplied.push({ ...ctx.entry(issue, el), reason: 'The control has no placeholder to take a name from.' });
+    }
+  }
+  const headings = byCode('W_HEADING_ORDER');
+  if (headings.length > 0) fixHeadings(doc, headings, ctx);
+  const duplicates = byCode('E_DUPLICATE_ID');
+  if (duplicates.length > 0) fixDuplicateIds(doc, duplicates, ctx);
+
+  return { applied: ctx.applied, unapplied: ctx.unapplied };
+}
+
+module.exports = { applyFixes, REFERENCE_ATTRS };
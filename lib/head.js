@@ -74,11 +74,40 @@ class Head {
     return this;
   }
 
+  /** An independent copy, so either head can change without touching the other. */
+  clone() {
+    const head = new Head();
+    head.title = this.title;
+    head.charset = this.charset;
+    head.metas = this.metas.map(m => ({ ...m }));
+    head.links = [...this.links];
+    head.rawLinks = [...this.rawLinks];
+    head.styles = [...this.styles];
+    head.scripts = [...this.scripts];
+    head.globalStyles = [...this.globalStyles];
+    head.classStyles = { ...this.classStyles };
+    head.nonce = this.nonce;
+    return head;
+  }
+
   hasStyles() {
     return Object.keys(this.classStyles).length > 0 || this.globalStyles.length > 0 || this.styles.length > 0;
   }
 
-  render() {
+  /** The head's CSS as separate rules, in the order render() emits them. */
+  styleRules() {
+    const rules = [];
+    for (const n in this.classStyles) rules.push(`.${n}{${this.classStyles[n]}}`);
+    rules.push(...this.globalStyles, ...this.styles);
+    return rules;
+  }
+
+  /**
+   * Pass `{ styles: false }` to leave out the <style> block, and
+   * `{ links: false }` or `{ scripts: false }` for the stylesheet links and
+   * script tags.
+   */
+  render(options = {}) {
     const p = [];
     const na = this.nonce ? ` nonce="${escapeHtml(this.nonce)}"` : '';
 
@@ -95,18 +124,14 @@ class Head {
       p.push('>');
     }
 
-    for (const l of this.links) p.push('<link rel="stylesheet" href="', escapeHtml(sanitizeUrl(l)), '">');
+    if (options.links !== false) for (const l of this.links) p.push('<link rel="stylesheet" href="', escapeHtml(sanitizeUrl(l)), '">');
     for (const rl of this.rawLinks) p.push(rl);
 
-    if (this.hasStyles()) {
-      p.push('<style', na, '>');
-      for (const n in this.classStyles) p.push('.', n, '{', this.classStyles[n], '}');
-      for (const s of this.globalStyles) p.push(s);
-      for (const s of this.styles) p.push(s);
-      p.push('</style>');
+    if (options.styles !== false && this.hasStyles()) {
+      p.push('<style', na, '>', ...this.styleRules(), '</style>');
     }
 
-    for (const s of this.scripts) p.push('<script src="', escapeHtml(sanitizeUrl(s)), '"></script>');
+    if (options.scripts !== false) for (const s of this.scripts) p.push('<script src="', escapeHtml(sanitizeUrl(s)), '"></script>');
 
     return p.join('');
   }
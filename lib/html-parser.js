@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * HTML → Element parser behind Document.fromHTML() and appendHTML().
+ *
+ * Built for inherited markup such as CMS fields and old templates, not for
+ * arbitrary documents. It tokenizes tags, attributes, comments and raw-text
+ * elements, applies the end tags authors usually leave out (p, li, td, option
+ * and the like), and closes whatever is still open at the end. It does not run
+ * the full HTML5 tree-construction algorithm. Misnested markup is repaired by
+ * closing back to the nearest matching open element, and a stray end tag is
+ * ignored. `/>` closes any element, so inline SVG keeps its shape.
+ *
+ * The output follows the same rules as built markup:
+ * - event-handler attributes fail isValidAttrKey() and are dropped;
+ * - URL attributes go through sanitizeUrl(), and so do the values of an SVG
+ *   <animate> or <set> whose attributeName is one;
+ * - srcdoc, <base> and <meta http-equiv> are dropped;
+ * - <script> is dropped together with its content, and so is a <style> whose
+ *   content fails isSafeRawCss();
+ * - a tag with an invalid name is unwrapped and keeps its children.
+ */
+
+const {
+  escapeHtml, unescapeHtml, isValidAttrKey, isValidTagName, isSafeRawCss, sanitizeUrl, URL_ATTRS, VOID_ELEMENTS
+} = require('./utils');
+
+// Content is text up to the matching end tag: never parsed, never decoded.
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+// Content is text up to the matching end tag, with entities decoded.
+const RCDATA_ELEMENTS = new Set(['textarea', 'title']);
+
+// Start tags that close an open <p>.
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+  'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+// Start tag → the open elements it implicitly ends, and the elements that
+// shield an outer one from it (a <li> in a nested list must not close the
+// outer <li>).
+const IMPLIED_END = {
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+  dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+  option: { closes: ['option'], scope: ['select', 'datalist', 'optgroup'] },
+  optgroup: { closes: ['option', 'optgroup'], scope: ['select'] },
+  tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+  tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+};
+// Nothing outside these is closed implicitly, or by an end tag opened inside them.
+const SCOPE_BOUNDARIES = new Set(['button', 'caption', 'object', 'table', 'td', 'template', 'th']);
+// An end tag for the table structure itself closes any cell still open inside it.
+const TABLE_END_TAGS = new Set(['table', 'thead', 'tbody', 'tfoot', 'tr']);
+const TABLE_BOUNDARIES = new Set(['table', 'template']);
+// Inside these, attribute names are case-sensitive (viewBox, preserveAspectRatio).
+const FOREIGN_ELEMENTS = new Set(['svg', 'math']);
+// Document wrappers: their content is kept, the tags themselves are not.
+const UNWRAPPED = new Set(['html', 'body']);
+// Stricter than attr(): a built document only has these if its author wrote
+// them, but in parsed markup they get around the URL and event checks.
+// srcdoc is a whole document that would run scripts, <object data> loads one,
+// and <base> retargets every relative URL on the page.
+const DROPPED_ATTRS = new Set(['srcdoc']);
+const PARSED_URL_ATTRS = new Set(['data', 'background', 'ping']);
+const DROPPED_ELEMENTS = new Set(['base']);
+// SVG animation sets another attribute from `values`, `to`, `from` or `by`, so
+// <animate attributeName="href" values="javascript:…"> writes an executable URL
+// into the enclosing link after parsing. When the target is a URL attribute,
+// those values get the same check as the attribute itself.
+const ANIMATION_ELEMENTS = new Set(['animate', 'set', 'animatemotion', 'animatetransform']);
+const ANIMATION_VALUE_ATTRS = new Set(['values', 'to', 'from', 'by']);
+
+const TAG_NAME_RE = /[a-zA-Z][^\s/>]*/y;
+const ATTR_NAME_RE = /[^\s"'<>/=]+/y;
+const ATTR_VALUE_RE = /\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/y;
+const WHITESPACE_RE = /\s+/y;
+
+function matchAt(re, source, index) {
+  re.lastIndex = index;
+  return re.exec(source);
+}
+
+/**
+ * Sanitize the values an SVG animation element would write into a URL
+ * attribute. `values` is a `;`-separated list, so each entry is checked.
+ */
+function sanitizeAnimation(el) {
+  const nameKey = Object.keys(el.attrs).find(key => key.toLowerCase() === 'attributename');
+  if (!nameKey) return;
+  const target = String(el.attrs[nameKey]).trim().toLowerCase();
+  if (!URL_ATTRS.has(target) && !URL_ATTRS.has(target.replace(/^[^:]*:/, '')) && !PARSED_URL_ATTRS.has(target)) return;
+  for (const key of Object.keys(el.attrs)) {
+    const name = key.toLowerCase();
+    if (!ANIMATION_VALUE_ATTRS.has(name)) continue;
+    el.attrs[key] = name === 'values'
+      ? el.attrs[key].split(';').map(value => sanitizeUrl(value.trim())).join(';')
+      : sanitizeUrl(el.attrs[key].trim());
+  }
+}
+
+/**
+ * Parse `html` and append the result to `target`: an Element, or a Document
+ * (body). For a Document, <title>, <meta> and stylesheet <link>s found in a
+ * <head> go to its head. In an element they are dropped.
+ */
+function parseHTML(target, html) {
+  const source = html == null ? '' : String(html);
+  const head = Array.isArray(target.body) ? target.head : null;
+  // Open elements, innermost last; target sits at the bottom and is never popped.
+  const stack = [{ tag: null, node: target }];
+  let inHead = false;
+
+  const current = () => stack[stack.length - 1];
+  const childrenOf = (node) => (Array.isArray(node.body) ? node.body : node.children);
+
+  // Innermost open element named in `tags`, searching outwards until a boundary.
+  const findOpen = (tags, boundaries = SCOPE_BOUNDARIES) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      const tag = stack[i].tag;
+      if (tags.includes(tag)) return i;
+      if (boundaries.has(tag)) return -1;
+    }
+    return -1;
+  };
+  // Outermost one in scope instead: a new <tr> ends the open <td> and its <tr>.
+  const findImplied = ({ closes, scope }) => {
+    let found = -1;
+    for (let i = stack.length - 1; i > 0; i--) {
+      const tag = stack[i].tag;
+      if (closes.includes(tag)) found = i;
+      else if (SCOPE_BOUNDARIES.has(tag) || scope.includes(tag)) break;
+    }
+    return found;
+  };
+
+  const appendText = (text) => {
+    if (!text || inHead) return;
+    childrenOf(current().node).push(escapeHtml(text));
+  };
+
+  const openElement = (tag, attrs, selfClosing) => {
+    if (tag === 'head') { inHead = true; return; }
+    if (UNWRAPPED.has(tag)) { inHead = false; return; }
+    if (CLOSES_P.has(tag)) {
+      const p = findOpen(['p']);
+      if (p !== -1) stack.length = p;
+    }
+    const implied = IMPLIED_END[tag];
+    if (implied) {
+      const open = findImplied(implied);
+      if (open !== -1) stack.length = open;
+    }
+    if (!isValidTagName(tag) || DROPPED_ELEMENTS.has(tag)) return;
+    if (tag === 'meta' && attrs.some(([key]) => key.toLowerCase() === 'http-equiv')) return;
+
+    const foreign = FOREIGN_ELEMENTS.has(tag) || stack.some(open => FOREIGN_ELEMENTS.has(open.tag));
+    const el = current().node.child(tag);
+    const seen = new Set();
+    for (const [rawKey, rawValue] of attrs) {
+      const key = foreign ? rawKey : rawKey.toLowerCase();
+      // The first occurrence wins, as in a browser.
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (key === 'class') {
+        el.addClass(...unescapeHtml(rawValue).split(/\s+/));
+        continue;
+      }
+      const name = key.toLowerCase();
+      if (!isValidAttrKey(key) || DROPPED_ATTRS.has(name)) continue;
+      let value = unescapeHtml(rawValue);
+      if (URL_ATTRS.has(name) || PARSED_URL_ATTRS.has(name)) value = sanitizeUrl(value);
+      el.attrs[key] = value;
+    }
+    if (ANIMATION_ELEMENTS.has(tag.toLowerCase())) sanitizeAnimation(el);
+    if (!selfClosing && !VOID_ELEMENTS.has(tag)) stack.push({ tag, node: el });
+    return el;
+  };
+
+  const closeElement = (tag) => {
+    if (tag === 'head') { inHead = false; return; }
+    const open = findOpen([tag], TABLE_END_TAGS.has(tag) ? TABLE_BOUNDARIES : SCOPE_BOUNDARIES);
+    if (open !== -1) stack.length = open;
+  };
+
+  const toHead = (tag, attrs, text) => {
+    if (!head) return;
+    const values = {};
+    for (const [key, value] of attrs) {
+      if (isValidAttrKey(key.toLowerCase())) values[key.toLowerCase()] = unescapeHtml(value);
+    }
+    if (tag === 'title') head.setTitle(text);
+    // http-equiv can redirect (refresh) or rewrite the CSP; only descriptive metas are kept.
+    else if (tag === 'meta' && !values['http-equiv']) head.addMeta(values);
+    else if (tag === 'link' && /(?:^|\s)stylesheet(?:\s|$)/i.test(values.rel || '') && values.href) {
+      head.addLink(sanitizeUrl(values.href));
+    }
+  };
+
+  let i = 0;
+  const n = source.length;
+  while (i < n) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      appendText(unescapeHtml(source.slice(i)));
+      break;
+    }
+    if (lt > i) appendText(unescapeHtml(source.slice(i, lt)));
+    i = lt;
+
+    if (source.startsWith('<!--', i)) {
+      const end = source.indexOf('-->', i + 4);
+      i = end === -1 ? n : end + 3;
+      continue;
+    }
+    // <!DOCTYPE>, <![CDATA[…]]>, <?xml …?>: skipped whole.
+    if (source[i + 1] === '!' || source[i + 1] === '?') {
+      const end = source.indexOf('>', i + 2);
+      i = end === -1 ? n : end + 1;
+      continue;
+    }
+
+    const closing = source[i + 1] === '/';
+    const nameMatch = matchAt(TAG_NAME_RE, source, i + (closing ? 2 : 1));
+    if (!nameMatch) {
+      appendText('<');
+      i++;
+      continue;
+    }
+    const tag = nameMatch[0].toLowerCase();
+    i = TAG_NAME_RE.lastIndex;
+
+    // Attributes, then `>` or `/>`. Anything unrecognised is skipped a
+    // character at a time, as a browser would.
+    const attrs = [];
+    let selfClosing = false;
+    while (i < n && source[i] !== '>') {
+      if (matchAt(WHITESPACE_RE, source, i)) { i = WHITESPACE_RE.lastIndex; continue; }
+      if (source[i] === '/') {
+        selfClosing = source[i + 1] === '>';
+        i++;
+        continue;
+      }
+      const attrName = matchAt(ATTR_NAME_RE, source, i);
+      if (!attrName) { i++; continue; }
+      i = ATTR_NAME_RE.lastIndex;
+      const attrValue = matchAt(ATTR_VALUE_RE, source, i);
+      if (attrValue) {
+        i = ATTR_VALUE_RE.lastIndex;
+        attrs.push([attrName[0], attrValue[1] ?? attrValue[2] ?? attrValue[3]]);
+      } else {
+        attrs.push([attrName[0], '']);
+      }
+    }
+    i++;
+
+    if (closing) {
+      closeElement(tag);
+      continue;
+    }
+
+    if (RAW_TEXT_ELEMENTS.has(tag) || RCDATA_ELEMENTS.has(tag)) {
+      const endRe = new RegExp(`</${tag}[\\s/>]`, 'gi');
+      endRe.lastIndex = i;
+      const end = endRe.exec(source);
+      const contentEnd = end ? end.index : n;
+      const raw = source.slice(i, contentEnd);
+      const close = end ? source.indexOf('>', end.index) : -1;
+      i = close === -1 ? n : close + 1;
+      const text = RCDATA_ELEMENTS.has(tag) ? unescapeHtml(raw) : raw;
+      if (inHead) {
+        toHead(tag, attrs, text);
+        continue;
+      }
+      // Same rule as rawCss in fromJSON(): no "<", no control characters.
+      if (tag === 'script' || (tag === 'style' && !isSafeRawCss(text))) continue;
+      const el = openElement(tag, attrs, true);
+      if (el && text) el.children.push(tag === 'style' ? text : escapeHtml(text));
+      continue;
+    }
+
+    if (inHead) {
+      toHead(tag, attrs, '');
+      continue;
+    }
+    openElement(tag, attrs, selfClosing);
+  }
+}
+
+module.exports = { parseHTML };
@@ -4,10 +4,17 @@ const { Document, getResponseCache } = require('./document');
 const { Element } = require('./element');
 const { Head } = require('./head');
 const { CONFIG, configure } = require('./config');
+const { setRuntimeAdapter } = require('./runtime');
+const { registerPlugin } = require('./plugins');
+const { AssetCollector } = require('./assets');
 const { Metrics, metrics } = require('./metrics');
 const { components } = require('./components');
 const { resetPools } = require('./pools');
-const { createCachedRenderer, clearCache, getCacheStats, healthCheck } = require('./middleware');
+const { createCachedRenderer, createFetchHandler, serveClientRuntime, clearCache, getCacheStats, healthCheck } = require('./middleware');
+const { getClientRuntime } = require('./client-runtime');
+const { buildSite } = require('./site');
+const { pageMetadata, sitemapXml, robotsTxt, rssFeed, atomFeed } = require('./seo');
+const { jsonReport, sarifReport, junitReport, checkThresholds } = require('./report');
 const { compileLiveList, compileHashRouter, compileHistoryRouter, compileViews } = require('./live');
 const {
   TemplateParser, parseTemplate, renderTemplate, compileTemplate,
@@ -51,6 +58,27 @@ module.exports = {
   Head,
   CONFIG,
   configure,
+  setRuntimeAdapter,
+
+  // Plugins
+  registerPlugin,
+
+  // Assets
+  AssetCollector,
+  buildSite,
+
+  // Sitemaps and feeds
+  pageMetadata,
+  sitemapXml,
+  robotsTxt,
+  rssFeed,
+  atomFeed,
+
+  // Validation reports
+  jsonReport,
+  sarifReport,
+  junitReport,
+  checkThresholds,
 
   // Components
   components,
@@ -66,6 +94,9 @@ module.exports = {
 
   // Middleware
   createCachedRenderer,
+  createFetchHandler,
+  serveClientRuntime,
+  getClientRuntime,
   clearCache,
   get responseCache() { return getResponseCache(); },
   getCacheStats,
@@ -4,6 +4,7 @@ const { Document, getResponseCache } = require('./document');
 const { CONFIG } = require('./config');
 const { metrics } = require('./metrics');
 const { pools } = require('./pools');
+const { getClientRuntime } = require('./client-runtime');
 
 const inFlightCache = new Map();
 
@@ -21,13 +22,13 @@ function createCachedRenderer(builderFn, cacheKeyOrFn, options = {}) {
         if (!doc || !(doc instanceof Document)) return res.status(500).send('Internal Server Error');
         doc._nonce = options.nonce(req);
         doc.head.setNonce(doc._nonce);
-        return res.send(doc.render());
+        return res.send(await doc.renderAsync());
       }
       const key = typeof cacheKeyOrFn === 'function' ? cacheKeyOrFn(req) : cacheKeyOrFn;
       if (key == null || key === '') {
         const doc = await Promise.resolve(builderFn(req));
         if (!doc || !(doc instanceof Document)) return res.status(500).send('Internal Server Error');
-        return res.send(doc.render());
+        return res.send(await doc.renderAsync());
       }
 
       const cache = getResponseCache();
@@ -43,7 +44,9 @@ function createCachedRenderer(builderFn, cacheKeyOrFn, options = {}) {
             if (!doc || !(doc instanceof Document)) {
               const err = new Error('Builder must return a Document'); err.status = 500; throw err;
             }
-            return doc.render();
+            // renderAsync() is render() once nothing is pending, so builders
+            // that return a document with async components need no extra step.
+            return doc.renderAsync();
           });
         inFlightCache.set(key, promise);
         promise
@@ -72,6 +75,84 @@ function createCachedRenderer(builderFn, cacheKeyOrFn, options = {}) {
   };
 }
 
+/**
+ * createCachedRenderer() for fetch-style servers: returns an async handler
+ * that takes a WHATWG Request and resolves to a Response whose body is
+ * renderToReadableStream().
+ *
+ *   options.cacheKey  string, or (request) => string|null; a hit is answered
+ *                     without calling the builder, a miss streams and is then
+ *                     stored by the stream itself
+ *   options.nonce     (request) => string, a per-response CSP nonce; bypasses
+ *                     the cache for the reason render() gives
+ *   options.headers   extra response headers
+ *
+ * Async components are awaited before the first byte, as createCachedRenderer
+ * does through renderAsync(). Suspense boundaries are left to the stream, which
+ * sends their fallback first. A builder that throws rejects the handler, so the
+ * server's own error handling applies, as next(err) does for Express.
+ */
+function createFetchHandler(builderFn, options = {}) {
+  if (typeof builderFn !== 'function') throw new TypeError('Builder function is required');
+
+  const respond = (body, status = 200) => new Response(body, {
+    status,
+    headers: { 'content-type': 'text/html; charset=utf-8', ...options.headers }
+  });
+
+  return async (request) => {
+    const nonce = typeof options.nonce === 'function' ? options.nonce(request) : null;
+    const key = nonce ? null
+      : typeof options.cacheKey === 'function' ? options.cacheKey(request) : options.cacheKey;
+    const cacheable = key != null && key !== '';
+
+    if (cacheable) {
+      const cached = getResponseCache().get(key);
+      if (cached) { metrics.increment('middleware.cache.hit'); return respond(cached); }
+      metrics.increment('middleware.cache.miss');
+    }
+
+    const doc = await builderFn(request);
+    if (!doc || !(doc instanceof Document)) return respond('Internal Server Error', 500);
+    if (nonce) {
+      doc._nonce = nonce;
+      doc.head.setNonce(nonce);
+    }
+    if (cacheable) {
+      doc._useResponseCache = true;
+      doc._cacheKey = key;
+    }
+    await doc._settlePending(doc.body, false);
+    return respond(doc.renderToReadableStream());
+  };
+}
+
+/**
+ * Serve the shared client runtime that pages load with
+ * configure({ clientRuntime: 'external' }). Answers GET and HEAD for any path
+ * ending in the runtime's file name, with a year-long immutable cache: the
+ * name changes whenever the content does. Anything else goes to next(), or is
+ * a 404 when there is no next, as with a plain http.createServer() handler.
+ *
+ *   app.use('/assets', serveClientRuntime());
+ */
+function serveClientRuntime() {
+  return (req, res, next) => {
+    const runtime = getClientRuntime();
+    const pathname = String(req.path || req.url || '').split('?')[0];
+    const matches = (req.method === 'GET' || req.method === 'HEAD') && pathname.endsWith('/' + runtime.fileName);
+    if (!matches) {
+      if (typeof next === 'function') return next();
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.statusCode = 200;
+    res.setHeader('Content-Type', runtime.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.end(req.method === 'HEAD' ? undefined : runtime.contents);
+  };
+}
+
 function clearCache(pattern) {
   const cache = getResponseCache();
   if (!pattern) { cache.clear(); inFlightCache.clear(); return; }
@@ -97,4 +178,4 @@ function healthCheck() {
   return { status: 'ok', timestamp: Date.now(), config: { mode: CONFIG.mode, poolSize: CONFIG.poolSize, cacheLimit: CONFIG.cacheLimit }, stats: getCacheStats() };
 }
 
-module.exports = { createCachedRenderer, clearCache, getCacheStats, healthCheck, inFlightCache };
+module.exports = { createCachedRenderer, createFetchHandler, serveClientRuntime, clearCache, getCacheStats, healthCheck, inFlightCache };
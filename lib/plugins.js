@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Render pipeline plugins.
+ *
+ * A plugin is a plain object with any of the hooks below, registered for
+ * every document with registerPlugin() or for one with doc.usePlugin(). Global
+ * plugins run first, in registration order, then the document's own.
+ *
+ *   onElementCreate(el, doc)   an element was created, before it has content
+ *   beforeRender(doc)          a render is starting; the tree may still change
+ *   transformNode(el, ctx)     an element is about to be serialized. Return
+ *                              nothing to render it (changes included), another
+ *                              Element or a markup string to render instead, or
+ *                              null to leave it out.
+ *   afterHead(doc)             return markup to add at the end of <head>
+ *   onClientCompile(ctx, doc)  the hydration script is about to be compiled from
+ *                              ctx (events, states, stateBindings, ...). Return
+ *                              JavaScript to send in its own <script> after it.
+ *   afterRender(html, doc)     return the HTML to send instead of the whole
+ *                              page. A stream holds its output back until the
+ *                              page is complete, then calls it once.
+ *   afterRenderChunk(chunk, doc)
+ *                              streams only: return the markup to send instead
+ *                              of `chunk`, which is about to be sent.
+ *
+ *   registerPlugin({
+ *     name: 'analytics',
+ *     afterHead: () => '<script defer src="/a.js"></script>',
+ *   });
+ *
+ * A response-cache hit skips every hook: the cached page already went through
+ * them. renderPartial() runs transformNode only, since the fragment joins a
+ * page that has already been through the rest. A hook that throws fails the
+ * render like any other render error, and the document is left intact.
+ */
+
+const PLUGIN_HOOKS = [
+  'onElementCreate', 'beforeRender', 'transformNode', 'afterHead', 'onClientCompile', 'afterRender', 'afterRenderChunk'
+];
+
+const globalPlugins = [];
+
+function validatePlugin(plugin, method) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new TypeError(`${method} expects a plugin object with at least one hook (${PLUGIN_HOOKS.join(', ')})`);
+  }
+  let hooks = 0;
+  for (const key of Object.keys(plugin)) {
+    if (key === 'name') continue;
+    // A misspelt hook would otherwise never run, without a word.
+    if (!PLUGIN_HOOKS.includes(key)) {
+      throw new TypeError(`${method}: unknown plugin hook "${key}" (expected one of: ${PLUGIN_HOOKS.join(', ')})`);
+    }
+    if (typeof plugin[key] !== 'function') throw new TypeError(`${method}: plugin hook "${key}" must be a function`);
+    hooks++;
+  }
+  if (hooks === 0) throw new TypeError(`${method} expects a plugin object with at least one hook (${PLUGIN_HOOKS.join(', ')})`);
+}
+
+/**
+ * Register a plugin for every document. Registering the same object twice has
+ * no effect. Returns a function that unregisters it.
+ */
+function registerPlugin(plugin) {
+  validatePlugin(plugin, 'registerPlugin()');
+  if (!globalPlugins.includes(plugin)) globalPlugins.push(plugin);
+  return () => {
+    const idx = globalPlugins.indexOf(plugin);
+    if (idx !== -1) globalPlugins.splice(idx, 1);
+  };
+}
+
+/** Global plugins followed by `local`, without duplicates. */
+function resolvePlugins(local) {
+  if (globalPlugins.length === 0) return local;
+  if (local.length === 0) return globalPlugins.slice();
+  return [...globalPlugins, ...local.filter(plugin => !globalPlugins.includes(plugin))];
+}
+
+/** Join what each plugin's `hook` returned, ignoring anything but strings. */
+function collectHookOutput(plugins, hook, ...args) {
+  let out = '';
+  for (const plugin of plugins) {
+    if (!plugin[hook]) continue;
+    const result = plugin[hook](...args);
+    if (typeof result === 'string') out += result;
+  }
+  return out;
+}
+
+/** Pass `html` through every afterRender (or afterRenderChunk) hook in order. */
+function applyAfterRender(plugins, html, doc, hook = 'afterRender') {
+  for (const plugin of plugins) {
+    if (!plugin[hook]) continue;
+    const result = plugin[hook](html, doc);
+    if (typeof result === 'string') html = result;
+  }
+  return html;
+}
+
+/** The client scripts onClientCompile hooks returned, in plugin order. */
+function collectClientScripts(plugins, ctx, doc) {
+  const scripts = [];
+  for (const plugin of plugins) {
+    if (!plugin.onClientCompile) continue;
+    const result = plugin.onClientCompile(ctx, doc);
+    if (typeof result === 'string' && result) scripts.push(result);
+  }
+  return scripts;
+}
+
+/**
+ * The node renderNode() should serialize in place of `el`: an Element, a
+ * string, or null to skip it. A replacement Element is offered to the
+ * remaining plugins, not to the one that produced it.
+ */
+function applyTransformNode(plugins, el, ctx) {
+  let node = el;
+  for (const plugin of plugins) {
+    if (!plugin.transformNode) continue;
+    const result = plugin.transformNode(node, ctx);
+    if (result === undefined) continue;
+    if (result === null || result === false) return null;
+    if (typeof result === 'string') return result;
+    node = result;
+  }
+  return node;
+}
+
+module.exports = {
+  PLUGIN_HOOKS, validatePlugin, registerPlugin, resolvePlugins, collectHookOutput, collectClientScripts,
+  applyAfterRender, applyTransformNode
+};
@@ -54,7 +54,10 @@ function recycle(type, item) {
     item._parent = null;
     item._slots = null;
     item._portalTarget = null;
+    item._island = null;
     item._inlineStyles = null;
+    item._pending = null;
+    item._suspense = null;
     for (const key in item.attrs) delete item.attrs[key];
     pool.push(item);
   } else if (type === 'arrays' && Array.isArray(item)) {
@@ -86,7 +89,10 @@ function resetElement(el, tag, ridGen, stateStore, document) {
   el._parent = null;
   el._slots = null;
   el._portalTarget = null;
+  el._island = null;
   el._inlineStyles = null;
+  el._pending = null;
+  el._suspense = null;
 }
 
 function resetPools() {
@@ -0,0 +1,441 @@
+'use strict';
+
+/**
+ * Indented output for render({ pretty: true }) and configure({ pretty: true }).
+ *
+ * prettyHTML() re-reads the finished page rather than changing how nodes are
+ * rendered, so plugins' afterRender output is formatted too. Block-level
+ * elements start on their own line, one level deeper than their parent. Inline
+ * elements and the text around them are one run and are printed exactly as
+ * rendered: only whitespace between a run and a block is dropped, where the
+ * browser ignores it anyway. <pre> and <textarea> keep their content byte for
+ * byte. <style> rules get one declaration per line and the client script one
+ * statement per line; string, template and regular-expression literals in it
+ * are never touched.
+ */
+
+const { VOID_ELEMENTS } = require('./utils');
+
+const INDENT = '  ';
+
+const BLOCK_TAGS = new Set([
+  'html', 'head', 'body', 'base', 'link', 'meta', 'title', 'style', 'script', 'noscript', 'template',
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li',
+  'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section', 'summary', 'table', 'caption', 'colgroup', 'col',
+  'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'ul'
+]);
+// Their content is not markup and is kept whole until the closing tag.
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'pre']);
+const JS_TYPES = new Set(['', 'text/javascript', 'application/javascript', 'module']);
+const JSON_TYPES = new Set(['application/ld+json', 'application/json', 'importmap']);
+
+const OPEN_TAG_RE = /<([A-Za-z][\w:-]*)(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/y;
+const CLOSE_TAG_RE = /<\/([A-Za-z][\w:-]*)\s*>/y;
+const TYPE_ATTR_RE = /\stype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+const SRC_ATTR_RE = /\ssrc\s*=/i;
+// HTML whitespace; trim() would also take U+00A0, which is content.
+const EDGE_SPACE_RE = /^[ \t\n\r\f]+|[ \t\n\r\f]+$/g;
+
+/**
+ * Elements as { tag, open, children, close }, text as strings, and comments
+ * and doctypes as { raw }. A close tag with no open element is kept as text;
+ * an element its close tag never reached keeps close ''.
+ */
+function parseHtml(html) {
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  const lower = html.toLowerCase();
+  const add = (node) => {
+    const { children } = stack[stack.length - 1];
+    if (typeof node === 'string' && typeof children[children.length - 1] === 'string') children[children.length - 1] += node;
+    else children.push(node);
+  };
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) { add(html.slice(i)); break; }
+    if (lt > i) add(html.slice(i, lt));
+    i = lt;
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3;
+      add({ raw: html.slice(lt, i) });
+      continue;
+    }
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? html.length : end + 1;
+      add({ raw: html.slice(lt, i), doctype: true });
+      continue;
+    }
+    CLOSE_TAG_RE.lastIndex = i;
+    const close = CLOSE_TAG_RE.exec(html);
+    if (close) {
+      i = CLOSE_TAG_RE.lastIndex;
+      const tag = close[1].toLowerCase();
+      let depth = stack.length - 1;
+      while (depth > 0 && stack[depth].tag !== tag) depth--;
+      if (depth === 0) { add(close[0]); continue; }
+      stack[depth].close = close[0];
+      stack.length = depth;
+      continue;
+    }
+    OPEN_TAG_RE.lastIndex = i;
+    const open = OPEN_TAG_RE.exec(html);
+    if (!open) { add('<'); i++; continue; }
+    i = OPEN_TAG_RE.lastIndex;
+    const el = { tag: open[1].toLowerCase(), open: open[0], children: [], close: '' };
+    add(el);
+    if (RAW_TEXT_TAGS.has(el.tag)) {
+      const end = lower.indexOf(`</${el.tag}`, i);
+      const closeEnd = end === -1 ? -1 : html.indexOf('>', end);
+      el.content = html.slice(i, closeEnd === -1 ? html.length : end);
+      el.close = closeEnd === -1 ? '' : html.slice(end, closeEnd + 1);
+      i = closeEnd === -1 ? html.length : closeEnd + 1;
+    } else if (!VOID_ELEMENTS.has(el.tag) && !open[0].endsWith('/>')) {
+      stack.push(el);
+    }
+  }
+  return root.children;
+}
+
+/** A node exactly as it was rendered. */
+function serialize(node) {
+  if (typeof node === 'string') return node;
+  if (node.raw !== undefined) return node.raw;
+  return node.open + (node.content !== undefined ? node.content : node.children.map(serialize).join('')) + node.close;
+}
+
+const isBlock = (node) => typeof node !== 'string' && (node.doctype || BLOCK_TAGS.has(node.tag));
+
+function scriptType(open) {
+  const match = TYPE_ATTR_RE.exec(open);
+  return match ? (match[1] ?? match[2] ?? match[3]).trim().toLowerCase() : '';
+}
+
+// JSON.stringify() would turn the \u003c escapes safeJsonStringify() writes
+// back into "<", and a "</script>" in a value would end the block.
+function prettyJson(source, indent) {
+  let value;
+  try {
+    value = JSON.parse(source);
+  } catch {
+    return null;
+  }
+  return JSON.stringify(value, null, 2)
+    .replace(/[<>&\u2028\u2029]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`)
+    .split('\n').map(line => indent + line).join('\n');
+}
+
+function printNodes(nodes, depth, lines) {
+  const pad = INDENT.repeat(depth);
+  let run = '';
+  const flush = () => {
+    const text = run.replace(EDGE_SPACE_RE, '');
+    if (text) lines.push(pad + text);
+    run = '';
+  };
+  for (const node of nodes) {
+    if (!isBlock(node)) { run += serialize(node); continue; }
+    flush();
+    if (node.doctype) { lines.push(pad + node.raw); continue; }
+    if (node.content !== undefined) {
+      const inner = pad + INDENT;
+      let body = null;
+      if (node.content.trim()) {
+        if (node.tag === 'style') {
+          body = prettyCss(node.content, inner);
+        } else if (node.tag === 'script' && !SRC_ATTR_RE.test(node.open)) {
+          const type = scriptType(node.open);
+          if (JS_TYPES.has(type)) body = prettyJs(node.content, inner);
+          else if (JSON_TYPES.has(type)) body = prettyJson(node.content, inner);
+        }
+      }
+      if (body) lines.push(pad + node.open, body, pad + node.close);
+      else lines.push(pad + serialize(node));
+      continue;
+    }
+    if (!node.children.some(isBlock)) {
+      lines.push(pad + serialize(node));
+      continue;
+    }
+    lines.push(pad + node.open);
+    printNodes(node.children, depth + 1, lines);
+    if (node.close) lines.push(pad + node.close);
+  }
+  flush();
+}
+
+/** The page with block elements on their own, indented lines. */
+function prettyHTML(html) {
+  const lines = [];
+  printNodes(parseHtml(html), 0, lines);
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Scans the literal that starts at `i` (a quote, backtick or comment) and
+ * returns the index just past it. Template substitutions are followed through
+ * nested braces and literals.
+ */
+function skipLiteral(source, i) {
+  const n = source.length;
+  const c = source[i];
+  if (c === '/' && source[i + 1] === '/') {
+    while (i < n && source[i] !== '\n' && source[i] !== '\r') i++;
+    return i;
+  }
+  if (c === '/' && source[i + 1] === '*') {
+    const end = source.indexOf('*/', i + 2);
+    return end === -1 ? n : end + 2;
+  }
+  i++;
+  while (i < n) {
+    const d = source[i];
+    if (d === '\\') { i += 2; continue; }
+    if (d === c) return i + 1;
+    if (c === '`' && d === '$' && source[i + 1] === '{') {
+      i += 2;
+      let depth = 1;
+      while (i < n && depth > 0) {
+        const e = source[i];
+        if (e === '"' || e === "'" || e === '`' || (e === '/' && (source[i + 1] === '/' || source[i + 1] === '*'))) {
+          i = skipLiteral(source, i);
+          continue;
+        }
+        if (e === '{') depth++;
+        else if (e === '}') depth--;
+        i++;
+      }
+      continue;
+    }
+    i++;
+  }
+  return n;
+}
+
+function skipRegex(source, i) {
+  let inClass = false;
+  for (i++; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') { i++; continue; }
+    if (c === '\n') return i;
+    if (c === '[') inClass = true;
+    else if (c === ']') inClass = false;
+    else if (c === '/' && !inClass) break;
+  }
+  i++;
+  while (i < source.length && /[\w$]/.test(source[i])) i++;
+  return i;
+}
+
+// A `{` after one of these opens a block; anywhere else it opens an object
+// literal, which stays on the line it started on.
+const BLOCK_BEFORE = new Set(['', ')', '=>', ';', '{', '}', 'else', 'try', 'finally', 'do']);
+// After these a `/` starts a regular expression rather than a division.
+const REGEX_AFTER = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^',
+  '=>', 'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+// A `}` followed by one of these continues the statement on the same line.
+const CONTINUES_AFTER_BRACE = /^(?:[),;.\]([?:]|else\b|catch\b|finally\b)/;
+
+/**
+ * One statement per line, blocks indented. Line breaks already in the source
+ * are kept, since removing one can change what automatic semicolon insertion
+ * does; other whitespace is kept as a single space.
+ */
+function prettyJs(source, indent = '') {
+  const n = source.length;
+  const lines = [];
+  // Open brackets; `indented` once their content spans lines.
+  const stack = [];
+  let line = '';
+  let breakPending = false;
+  let spacePending = false;
+  let justOpened = false;
+  let last = '';
+
+  const depth = () => stack.reduce((d, entry) => d + (entry.indented ? 1 : 0), 0);
+  const lineBreak = () => { if (line) breakPending = true; };
+  const emit = (text) => {
+    if (breakPending) {
+      lines.push(line);
+      line = '';
+      breakPending = false;
+      spacePending = false;
+    }
+    if (!line) line = indent + INDENT.repeat(depth());
+    else if (spacePending) line += ' ';
+    line += text;
+    spacePending = false;
+    justOpened = false;
+  };
+  const nextCode = (from) => {
+    let j = from;
+    while (j < n && /\s/.test(source[j])) j++;
+    return source.slice(j, j + 8);
+  };
+
+  let i = 0;
+  while (i < n) {
+    const c = source[i];
+    if (/\s/.test(c)) {
+      const start = i;
+      while (i < n && /\s/.test(source[i])) i++;
+      if (/[\n\r\u2028\u2029]/.test(source.slice(start, i))) {
+        const top = stack[stack.length - 1];
+        if (top && !top.block && !top.indented && line) top.indented = true;
+        lineBreak();
+      } else {
+        spacePending = true;
+      }
+      continue;
+    }
+    if (c === '/' && (source[i + 1] === '/' || source[i + 1] === '*')) {
+      const end = skipLiteral(source, i);
+      emit(source.slice(i, end));
+      if (c === '/' && source[i + 1] === '/') lineBreak();
+      i = end;
+      continue;
+    }
+    if (c === '"' || c === "'" || c === '`' || (c === '/' && REGEX_AFTER.has(last))) {
+      const end = c === '/' ? skipRegex(source, i) : skipLiteral(source, i);
+      emit(source.slice(i, end));
+      last = 'literal';
+      i = end;
+      continue;
+    }
+    if (c === '{') {
+      const block = BLOCK_BEFORE.has(last);
+      if (block && line && !line.endsWith(' ')) spacePending = true;
+      emit('{');
+      stack.push({ block, indented: block, after: last });
+      if (block) { lineBreak(); justOpened = true; }
+      last = '{';
+      i++;
+      continue;
+    }
+    if (c === '}' || c === ')' || c === ']') {
+      const opened = stack.pop();
+      if (opened && opened.block) {
+        if (justOpened) {
+          line += '}';
+          breakPending = false;
+          justOpened = false;
+        } else {
+          lineBreak();
+          emit('}');
+        }
+        const following = nextCode(i + 1);
+        if (/^(?:else|catch|finally)\b/.test(following) || (opened.after === 'do' && /^while\b/.test(following))) spacePending = true;
+        else if (!CONTINUES_AFTER_BRACE.test(following) && !(following[0] === '}' && stack.length > 0 && !stack[stack.length - 1].block)) {
+          lineBreak();
+        }
+      } else {
+        if (opened && opened.indented) lineBreak();
+        emit(c);
+      }
+      last = c;
+      i++;
+      continue;
+    }
+    if (c === '(' || c === '[') {
+      emit(c);
+      stack.push({ block: false, indented: false });
+      last = c;
+      i++;
+      continue;
+    }
+    if (c === ';') {
+      emit(';');
+      const top = stack[stack.length - 1];
+      if (!top || top.block) lineBreak();
+      last = ';';
+      i++;
+      continue;
+    }
+    if (c === '=' && source[i + 1] === '>') {
+      emit('=>');
+      last = '=>';
+      i += 2;
+      continue;
+    }
+    if (/[\w$\\\u0080-\uffff]/.test(c)) {
+      const start = i;
+      while (i < n && /[\w$\\\u0080-\uffff]/.test(source[i])) i++;
+      // A number's fraction and exponent: `1.5`, `2e-3`.
+      if (/^\d/.test(source.slice(start, i))) {
+        while (i < n && /[\w.]/.test(source[i])) i++;
+        if (/[eE]$/.test(source.slice(start, i)) && /[+-]/.test(source[i])) {
+          i++;
+          while (i < n && /\w/.test(source[i])) i++;
+        }
+      }
+      const word = source.slice(start, i);
+      emit(word);
+      last = /^\d/.test(word) || last === '.' ? 'literal' : word;
+      continue;
+    }
+    emit(c);
+    last = c;
+    i++;
+  }
+  if (line) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * One rule or at-rule per line with its declarations indented beneath it, and
+ * a space after each declaration's colon. Strings, comments and url() values
+ * are copied as they are.
+ */
+function prettyCss(source, indent = '') {
+  const lines = [];
+  let depth = 0;
+  let buffer = '';
+  const push = (text) => { lines.push(indent + INDENT.repeat(depth) + text); };
+  const flushDeclaration = (end) => {
+    const text = buffer.trim();
+    buffer = '';
+    if (!text) return;
+    // `a:b` is a declaration; `@import x` and a nested selector-less chunk are
+    // kept as written.
+    const declaration = /^(-?[A-Za-z_][\w-]*|--[\w-]+)\s*:\s*([\s\S]*)$/.exec(text);
+    push(declaration && depth > 0 ? `${declaration[1]}: ${declaration[2]};` : text + end);
+  };
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '"' || c === "'" || (c === '/' && source[i + 1] === '*')) {
+      const end = skipLiteral(source, i);
+      buffer += source.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (/^url\(/i.test(source.slice(i, i + 4))) {
+      const close = source.indexOf(')', i);
+      const end = close === -1 ? source.length : close + 1;
+      buffer += source.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (c === '{') {
+      push(`${buffer.trim().replace(/\s+/g, ' ')} {`);
+      buffer = '';
+      depth++;
+    } else if (c === ';') {
+      flushDeclaration(';');
+    } else if (c === '}') {
+      flushDeclaration('');
+      depth = Math.max(depth - 1, 0);
+      push('}');
+    } else {
+      buffer += c;
+    }
+    i++;
+  }
+  flushDeclaration('');
+  return lines.join('\n');
+}
+
+module.exports = { prettyHTML, prettyCss, prettyJs };
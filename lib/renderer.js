@@ -1,12 +1,33 @@
 'use strict';
 
 const { Element } = require('./element');
-const { escapeHtml, sanitizeFunctionSource, VOID_ELEMENTS, isValidAttrKey, escapeJsString, sanitizeUrl, URL_ATTRS, safeJsonStringify, clientUrlSanitizerBody, classifyBindableProp } = require('./utils');
+const { hash, escapeHtml, sanitizeFunctionSource, VOID_ELEMENTS, isValidAttrKey, escapeJsString, sanitizeUrl, URL_ATTRS, safeJsonStringify, clientUrlSanitizerBody, classifyBindableProp } = require('./utils');
 const { CONFIG } = require('./config');
+const { applyTransformNode } = require('./plugins');
+const { clientErrorReporterSource, stateRuntimeSource, islandSchedulerSource } = require('./client-runtime');
+const { formatOrigin, markOrigin, stripMarks } = require('./sourcemap');
+
+const NS_PLACEHOLDER = '_ssr\u0000';
+
+/**
+ * What transformNode hooks make of `el`. Once collectStyles() has walked the
+ * tree, each element's outcome is kept in ctx.transformed, so renderNode()
+ * serializes what was collected and no hook sees an element twice.
+ */
+function transformNode(el, ctx) {
+  if (!ctx.transformed) return applyTransformNode(ctx.nodeTransforms, el, ctx);
+  if (!ctx.transformed.has(el)) ctx.transformed.set(el, applyTransformNode(ctx.nodeTransforms, el, ctx));
+  return ctx.transformed.get(el);
+}
 
 function renderNode(n, ctx) {
   if (n == null) return '';
+  if (ctx.nodeTransforms && n instanceof Element) {
+    n = transformNode(n, ctx);
+    if (n == null) return '';
+  }
   if (!(n instanceof Element)) return String(n);
+  const outer = n._island && ctx.islands ? enterIsland(n, ctx) : null;
 
   const parts = ['<', n.tag];
   if (n._classes.length > 0) parts.push(' class="', escapeHtml(n._classes.join(' ')), '"');
@@ -34,6 +55,7 @@ function renderNode(n, ctx) {
     ctx.lifecycles.push({ id: n.attrs.id, hooks: n._lifecycle });
   }
   if (n._portalTarget && ctx.portals) ctx.portals.push({ id: n.attrs.id, targetId: n._portalTarget });
+  if (n._suspense && ctx.suspense) ctx.suspense.push(n);
 
   if (!VOID_ELEMENTS.has(n.tag)) {
     for (let i = 0; i < n.children.length; i++) {
@@ -44,54 +66,164 @@ function renderNode(n, ctx) {
   }
 
   for (let i = 0; i < n.events.length; i++) ctx.events.push(n.events[i]);
+  if (outer) leaveIsland(outer, ctx);
 
   return parts.join('');
 }
 
-function compileClient(ctx) {
-  const debugEnabled = CONFIG.debug && CONFIG.mode === 'dev';
+// What an island collects apart from the page. Element state is not among
+// them: its values seed the shared namespace computed() reads, so it stays
+// with the page.
+const ISLAND_ENTRIES = ['computed', 'stateBindings', 'lifecycles', 'portals', 'events'];
+
+/**
+ * Start collecting an island's entries. Until leaveIsland(), renderNode()
+ * pushes what the subtree registers into the island's own arrays rather than
+ * the page's, and compileClient() defers them until the trigger fires.
+ * Returns what leaveIsland() needs to restore.
+ */
+function enterIsland(n, ctx) {
+  const outer = { island: ctx.island || null };
+  const island = { id: n.attrs.id, when: n._island.when, parent: outer.island ? outer.island.id : null };
+  for (const key of ISLAND_ENTRIES) {
+    outer[key] = ctx[key];
+    ctx[key] = island[key] = [];
+  }
+  ctx.islands.push(island);
+  ctx.island = island;
+  return outer;
+}
+
+function leaveIsland(outer, ctx) {
+  for (const key of ISLAND_ENTRIES) ctx[key] = outer[key];
+  ctx.island = outer.island;
+}
+
+/**
+ * The islands that have something to hydrate, numbered for their hydrate
+ * functions. One that holds nothing but other islands is kept, since it is
+ * what schedules them.
+ */
+function liveIslands(list) {
+  if (!list || list.length === 0) return [];
+  const byId = new Map(list.map(island => [island.id, island]));
+  const live = new Set();
+  for (const island of list) {
+    if (!ISLAND_ENTRIES.some(key => island[key].length > 0)) continue;
+    for (let at = island; at && !live.has(at); at = byId.get(at.parent)) live.add(at);
+  }
+  return list.filter(island => live.has(island)).map((island, index) => ({ ...island, index }));
+}
+
+/**
+ * Collect a subtree's scoped CSS without serializing it. The rules go into the
+ * same ctx.styles/ctx.seenCss that renderNode() fills, so the real walk later
+ * finds them already seen and adds nothing twice. Mirrors renderNode()'s
+ * traversal, transformNode hooks and void elements included, so both see
+ * exactly the same rules.
+ */
+function collectStyles(n, ctx) {
+  if (ctx.nodeTransforms && n instanceof Element) {
+    if (!ctx.transformed) ctx.transformed = new Map();
+    n = transformNode(n, ctx);
+  }
+  if (!(n instanceof Element)) return;
+  if (n.cssText && !ctx.seenCss.has(n.cssText)) {
+    ctx.seenCss.add(n.cssText);
+    ctx.styles.push(n.cssText);
+  }
+  if (VOID_ELEMENTS.has(n.tag)) return;
+  for (let i = 0; i < n.children.length; i++) collectStyles(n.children[i], ctx);
+}
+
+/**
+ * Client half of a streamed suspense boundary: move the resolved markup out of
+ * its <template> into the boundary, replacing the fallback. renderStream()
+ * sends this definition with the first boundary that resolves, so every later
+ * one costs a single call.
+ */
+const SUSPENSE_SWAP_SRC = 'window.BuildHTML=window.BuildHTML||{};window.BuildHTML._swapSuspense=function(id){var t=document.getElementById("bhs-"+id),b=document.getElementById(id);if(!t)return;if(b){while(b.firstChild)b.removeChild(b.firstChild);b.appendChild(t.content);b.removeAttribute("aria-busy");}t.parentNode.removeChild(t);};';
+
+function compileSuspenseSwap(id, includeRuntime) {
+  return `${includeRuntime ? SUSPENSE_SWAP_SRC : ''}window.BuildHTML._swapSuspense("${escapeJsString(id)}");`;
+}
+
+/**
+ * Compile the hydration script for everything renderNode() collected into ctx.
+ *
+ * With `partial`, the script is for a fragment dropped into a page that is
+ * already running (see Document.renderPartial()): it reuses that page's
+ * window.State and watchState, seeding only keys the page does not have, and
+ * installs the runtime only if the page never had one. The debug inspector is
+ * the page's and is left alone.
+ *
+ * With `external`, the error reporter and the State runtime are expected from
+ * the shared runtime file (see ./client-runtime) and only this page's wiring is
+ * compiled. A partial always inlines what it needs.
+ */
+function compileClient(ctx, options = {}) {
+  const partial = options.partial === true;
+  const external = options.external === true && !partial;
+  const debugEnabled = CONFIG.debug && CONFIG.mode === 'dev' && !partial;
   const hasStates = ctx.states.length > 0;
   const hasComputed = ctx.computed.length > 0;
   const hasEvents = ctx.events.length > 0;
   const hasOncreates = ctx.oncreates && ctx.oncreates.length > 0;
   const hasGlobalState = ctx.globalState && Object.keys(ctx.globalState).length > 0;
-  const hasStateBindings = ctx.stateBindings && ctx.stateBindings.length > 0;
-  const hasLifecycles = ctx.lifecycles && ctx.lifecycles.length > 0;
   const hasPortals = ctx.portals && ctx.portals.length > 0;
   const hasRegistrationErrors = ctx.registrationErrors && ctx.registrationErrors.length > 0;
+  const islands = liveIslands(ctx.islands);
+  const hasIslands = islands.length > 0;
+  // Entries of the page and of every island together: the state runtime and
+  // the debug info cover both, whenever the islands hydrate.
+  const allEntries = (key) => [ctx, ...islands].flatMap(group => group[key] || []);
+  const hasStateBindings = allEntries('stateBindings').length > 0;
+  const hasLifecycles = allEntries('lifecycles').length > 0;
+
+  if (!hasStates && !hasComputed && !hasEvents && !hasOncreates && !hasGlobalState && !hasStateBindings && !hasLifecycles && !hasPortals && !hasIslands && !(debugEnabled && hasRegistrationErrors)) return '';
 
-  if (!hasStates && !hasComputed && !hasEvents && !hasOncreates && !hasGlobalState && !hasStateBindings && !hasLifecycles && !hasPortals && !(debugEnabled && hasRegistrationErrors)) return '';
+  // Where each callback was registered, for reportClientError() contexts and,
+  // when the render wants a source map, for ctx.originMarks.
+  const marks = ctx.originMarks || null;
+  const originField = (origin) => (origin ? `,origin:${safeJsonStringify(formatOrigin(origin))}` : '');
 
-  const ns = '_ssr' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  // In deterministic mode the namespace is a hash of the script it names, so a
+  // placeholder stands in for it until the script is complete.
+  const ns = ctx.deterministic ? NS_PLACEHOLDER : '_ssr' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
   const p = [
     '(function(){',
     debugEnabled ? 'var _buildHTMLHydrationStart=typeof performance!=="undefined"?performance.now():Date.now();' : '',
     `var ${ns}={state:{}};`,
     'var getById=function(id){return document.getElementById(id);};',
     'window.BuildHTML=window.BuildHTML||{};',
-    `var reportClientError=function(context,error){if(typeof window.BuildHTML.reportClientError==="function"){try{window.BuildHTML.reportClientError(error,context);}catch(_reportError){}}${CONFIG.mode === 'dev' ? 'else if(typeof console!=="undefined"&&console.error){console.error("[BuildHTML] "+context.type+" failed on <"+context.tag+" id=\\\""+context.elementId+"\\\">",error);}' : ''}};`,
-    'window.BuildHTML._reportClientError=reportClientError;'
+    external
+      ? 'var reportClientError=window.BuildHTML._reportClientError;'
+      : `var reportClientError=${clientErrorReporterSource()};`,
+    partial || external ? '' : 'window.BuildHTML._reportClientError=reportClientError;'
   ];
 
   if (debugEnabled) {
     const callbackSources = [];
-    for (const binding of ctx.stateBindings || []) {
+    for (const binding of allEntries('stateBindings')) {
       if (binding.templateFn) callbackSources.push({
         type: `binding:${binding.bindType || 'text'}`, stateKey: binding.stateKey,
         elementId: binding.id, source: binding.templateFn,
+        origin: binding.origin ? formatOrigin(binding.origin) : undefined,
       });
     }
-    for (const event of ctx.events || []) callbackSources.push({
+    for (const event of allEntries('events')) callbackSources.push({
       type: `event:${event.event}`, elementId: event.id,
       source: typeof event.fn === 'string' ? event.fn : event.fn.toString(),
+      origin: event.origin ? formatOrigin(event.origin) : undefined,
     });
-    for (const computed of ctx.computed || []) callbackSources.push({
+    for (const computed of allEntries('computed')) callbackSources.push({
       type: 'computed', elementId: computed.id, source: computed.fn,
     });
-    for (const lifecycle of ctx.lifecycles || []) {
+    for (const lifecycle of allEntries('lifecycles')) {
       for (const hook of lifecycle.hooks) callbackSources.push({
         type: `lifecycle:${hook.type}`, stateKey: hook.stateKey || undefined,
         elementId: lifecycle.id, source: hook.fn,
+        origin: hook.origin ? formatOrigin(hook.origin) : undefined,
       });
     }
     for (const source of ctx.oncreates || []) callbackSources.push({
@@ -104,18 +236,18 @@ function compileClient(ctx) {
     });
     const debugInfo = {
       stateKeys: Object.keys(ctx.globalState || {}),
-      bindings: (ctx.stateBindings || []).map(binding => ({
+      bindings: allEntries('stateBindings').map(binding => ({
         type: binding.bindType || 'text',
         stateKey: binding.stateKey,
         elementId: binding.id,
       })),
-      events: ctx.events.map(event => ({
+      events: allEntries('events').map(event => ({
         type: event.event,
         elementId: event.id,
       })),
       callbacks: {
-        computed: ctx.computed.length,
-        lifecycle: (ctx.lifecycles || []).reduce((count, lifecycle) => count + lifecycle.hooks.length, 0),
+        computed: allEntries('computed').length,
+        lifecycle: allEntries('lifecycles').reduce((count, lifecycle) => count + lifecycle.hooks.length, 0),
         oncreate: (ctx.oncreates || []).length,
       },
       callbackSources,
@@ -128,211 +260,221 @@ function compileClient(ctx) {
   }
 
   if (hasGlobalState || hasStateBindings || hasLifecycles) {
-    p.push(
-      'var _cbs=Object.create(null);',
-      'window.watchState=function(k,f){',
-      'if(typeof f!=="function")return function(){};',
-      'var list=_cbs[k]=_cbs[k]||[],active=true;list.push(f);',
-      'return function(){if(!active)return;active=false;var i=list.indexOf(f);if(i!==-1)list.splice(i,1);if(!list.length)delete _cbs[k];};',
-      '};',
-      'var _trackedTargets=[],_cleanupObserver=null;',
-      'function _ensureCleanupObserver(){',
-      'if(_cleanupObserver||typeof MutationObserver==="undefined"||!document.body)return;',
-      '_cleanupObserver=new MutationObserver(function(){',
-      'for(var i=_trackedTargets.length-1;i>=0;i--){var e=_trackedTargets[i];if(e.active&&!getById(e.id))e.stop();}',
-      '});',
-      '_cleanupObserver.observe(document.body,{childList:true,subtree:true});',
-      '}',
-      'window._trackStateTarget=function(id,dispose){',
-      'var entry={id:id,active:true,dispose:dispose};',
-      'entry.stop=function(){if(!entry.active)return;entry.active=false;entry.dispose();var i=_trackedTargets.indexOf(entry);if(i!==-1)_trackedTargets.splice(i,1);if(!_trackedTargets.length&&_cleanupObserver){_cleanupObserver.disconnect();_cleanupObserver=null;}};',
-      '_trackedTargets.push(entry);_ensureCleanupObserver();return entry.stop;',
-      '};',
-      'var _rawState=JSON.parse(' + safeJsonStringify(safeJsonStringify(ctx.globalState || {})) + ');',
-      'var _deepCache=new WeakMap(),_proxyRaw=new WeakMap();',
-      'function _unwrap(v){return v&&typeof v==="object"?(_proxyRaw.get(v)||v):v;}',
-      'function _notify(root){if(_cbs[root]){var value=_deep(_rawState[root],root);_cbs[root].slice().forEach(function(f){f(value);});}}',
-      'function _deep(value,root){',
-      'if(value===null||typeof value!=="object")return value;',
-      'var byRoot=_deepCache.get(value);if(!byRoot){byRoot=new Map();_deepCache.set(value,byRoot);}',
-      'if(byRoot.has(root))return byRoot.get(root);',
-      'var proxy=new Proxy(value,{',
-      'get:function(t,k){return _deep(t[k],root);},',
-      'set:function(t,k,v){v=_unwrap(v);if(t[k]===v)return true;t[k]=v;_notify(root);return true;},',
-      'deleteProperty:function(t,k){if(!Object.prototype.hasOwnProperty.call(t,k))return true;delete t[k];_notify(root);return true;}',
-      '});',
-      'byRoot.set(root,proxy);_proxyRaw.set(proxy,value);return proxy;',
-      '}',
-      'window.State=new Proxy(_rawState,{',
-      'get:function(t,k){return _deep(t[k],k);},',
-      'set:function(t,k,v){v=_unwrap(v);if(t[k]===v)return true;t[k]=v;_notify(k);return true;},',
-      'deleteProperty:function(t,k){if(!Object.prototype.hasOwnProperty.call(t,k))return true;delete t[k];if(_cbs[k])_cbs[k].slice().forEach(function(f){f(undefined);});return true;}',
-      '});'
-    );
-  }
-
-  if (hasStates) {
-    p.push('var initStates=function(){');
-    for (const s of ctx.states) {
-      const safeId = escapeJsString(s.id);
-      const prop = (s.tag === 'input' || s.tag === 'textarea') ? 'value' : 'textContent';
+    const initialState = 'JSON.parse(' + safeJsonStringify(safeJsonStringify(ctx.globalState || {})) + ')';
+    if (partial) {
+      // The page's values win: a fragment must not reset state the user has
+      // already changed. Everything below talks to the runtime through window.*,
+      // so the fallback runtime can live in its own scope.
       p.push(
-        `${ns}.state["${safeId}"]=${safeJsonStringify(s.value)};`,
-        `(function(){var el=getById("${safeId}");if(el)el.${prop}=${ns}.state["${safeId}"];})();`
+        'if(window.State&&typeof window.watchState==="function"&&typeof window._trackStateTarget==="function"){',
+        `var _seed=${initialState};`,
+        'for(var _k in _seed)if(!(_k in window.State))window.State[_k]=_seed[_k];',
+        '}else(function(){'
       );
     }
-    p.push('};');
+    if (external) p.push(`window.BuildHTML._installState(${initialState});`);
+    else p.push(stateRuntimeSource(initialState));
+    if (partial) p.push('})();');
   }
 
-  if (hasComputed) {
-    p.push('var initComputed=function(){');
-    for (const c of ctx.computed) {
-      const safeId = escapeJsString(c.id);
-      p.push(
-        `(function(){var el=getById("${safeId}");`,
-        `if(el)try{el.textContent=(${c.fn})(${ns}.state);}catch(e){reportClientError({type:"computed",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`,
-        '})();'
-      );
+  // Emits the init functions for one group of entries, the page's or an
+  // island's, and returns the calls that run them in order.
+  const wire = (group, suffix) => {
+    const { states = [], computed = [], stateBindings = [], events = [], portals = [], lifecycles = [] } = group;
+    if (states.length > 0) {
+      p.push(`var initStates${suffix}=function(){`);
+      for (const s of states) {
+        const safeId = escapeJsString(s.id);
+        const prop = (s.tag === 'input' || s.tag === 'textarea') ? 'value' : 'textContent';
+        p.push(
+          `${ns}.state["${safeId}"]=${safeJsonStringify(s.value)};`,
+          `(function(){var el=getById("${safeId}");if(el)el.${prop}=${ns}.state["${safeId}"];})();`
+        );
+      }
+      p.push('};');
     }
-    p.push('};');
-  }
 
-  if (hasStateBindings) {
-    p.push('var initBindings=function(){');
-    let bindingIndex = 0;
-    for (const b of ctx.stateBindings) {
-      const safeId = escapeJsString(b.id);
-      const safeKey = escapeJsString(b.stateKey);
-      const offVar = `_off${bindingIndex++}`;
-      const watchVar = `${offVar}w`;
-      const type = b.bindType || 'text';
-      const contextSource = b.context || 'undefined';
-      const callBinding = `(${b.templateFn})(val,window.State,${contextSource})`;
-      let updateExpr;
-
-      if (type === 'show') {
-        updateExpr = `el.style.display=${callBinding}?'':'none';`;
-      } else if (type === 'classToggle') {
-        updateExpr = `el.classList.toggle(${safeJsonStringify(b.className)},Object.is(val,${b.expectedValue}));`;
-      } else if (type === 'class') {
-        updateExpr = `var _c=${callBinding};if(typeof _c==='string')el.className=_c;`;
-      } else if (type === 'attr') {
-        const safeAttr = escapeJsString(b.attrName || '');
-        // Built from the shared source in utils rather than copied, so this can
-        // never fall behind sanitizeUrl() again. The previous literal omitted
-        // tab, LF and CR, which the URL parser strips from an attribute value —
-        // so a reactive binding re-admitted "java\tscript:" after the server-side
-        // fix had closed it.
-        const urlGuard = URL_ATTRS.has(b.attrName)
-          ? `_v=(function(v){${clientUrlSanitizerBody('v')}})(_v);`
-          : '';
-        updateExpr = `var _v=${callBinding};if(_v===null||_v===false)el.removeAttribute("${safeAttr}");else{${urlGuard}el.setAttribute("${safeAttr}",String(_v));}`;
-      } else if (type === 'style') {
-        updateExpr = `var _s=${callBinding};if(_s&&typeof _s==='object'){for(var _k in _s)el.style[_k]=_s[_k];}`;
-      } else if (type === 'prop') {
-        const propName = b.prop || 'value';
-        const kind = classifyBindableProp(propName);
-        if (kind === 'markup' || kind === 'unknown') {
-          // Element.bindProp() refuses these, but a binding restored from JSON
-          // reaches here directly — so the compiler enforces it too rather than
-          // trusting that every producer did.
-          if (CONFIG.mode === 'dev') {
-            console.error(`[compileClient] Skipped an unsafe property binding: ${propName}`);
+    if (computed.length > 0) {
+      p.push(`var initComputed${suffix}=function(){`);
+      for (const c of computed) {
+        const safeId = escapeJsString(c.id);
+        p.push(
+          `(function(){var el=getById("${safeId}");`,
+          `if(el)try{el.textContent=(${c.fn})(${ns}.state);}catch(e){reportClientError({type:"computed",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`,
+          '})();'
+        );
+      }
+      p.push('};');
+    }
+
+    if (stateBindings.length > 0) {
+      p.push(`var initBindings${suffix}=function(){`);
+      let bindingIndex = 0;
+      for (const b of stateBindings) {
+        const safeId = escapeJsString(b.id);
+        const safeKey = escapeJsString(b.stateKey);
+        const offVar = `_off${bindingIndex++}`;
+        const watchVar = `${offVar}w`;
+        const type = b.bindType || 'text';
+        const contextSource = b.context || 'undefined';
+        const callBinding = `(${markOrigin(b.templateFn, b.origin, marks)})(val,window.State,${contextSource})`;
+        let updateExpr;
+
+        if (type === 'show') {
+          updateExpr = `el.style.display=${callBinding}?'':'none';`;
+        } else if (type === 'classToggle') {
+          updateExpr = `el.classList.toggle(${safeJsonStringify(b.className)},Object.is(val,${b.expectedValue}));`;
+        } else if (type === 'class') {
+          updateExpr = `var _c=${callBinding};if(typeof _c==='string')el.className=_c;`;
+        } else if (type === 'attr') {
+          const safeAttr = escapeJsString(b.attrName || '');
+          // Built from the shared source in utils rather than copied, so this can
+          // never fall behind sanitizeUrl() again. The previous literal omitted
+          // tab, LF and CR, which the URL parser strips from an attribute value —
+          // so a reactive binding re-admitted "java\tscript:" after the server-side
+          // fix had closed it.
+          const urlGuard = URL_ATTRS.has(b.attrName)
+            ? `_v=(function(v){${clientUrlSanitizerBody('v')}})(_v);`
+            : '';
+          updateExpr = `var _v=${callBinding};if(_v===null||_v===false)el.removeAttribute("${safeAttr}");else{${urlGuard}el.setAttribute("${safeAttr}",String(_v));}`;
+        } else if (type === 'style') {
+          updateExpr = `var _s=${callBinding};if(_s&&typeof _s==='object'){for(var _k in _s)el.style[_k]=_s[_k];}`;
+        } else if (type === 'prop') {
+          const propName = b.prop || 'value';
+          const kind = classifyBindableProp(propName);
+          if (kind === 'markup' || kind === 'unknown') {
+            // Element.bindProp() refuses these, but a binding restored from JSON
+            // reaches here directly — so the compiler enforces it too rather than
+            // trusting that every producer did.
+            if (CONFIG.mode === 'dev') {
+              console.error(`[compileClient] Skipped an unsafe property binding: ${propName}`);
+            }
+            continue;
           }
-          continue;
+          const safeProp = escapeJsString(propName);
+          updateExpr = kind === 'url'
+            ? `var _v=${callBinding};el["${safeProp}"]=(function(v){${clientUrlSanitizerBody('v')}})(_v);`
+            : `el["${safeProp}"]=${callBinding};`;
+        } else {
+          // text (default): fn(val) — if it returns a value, set textContent
+          updateExpr = `var _r=${callBinding};if(_r!==undefined)el.textContent=_r;`;
         }
-        const safeProp = escapeJsString(propName);
-        updateExpr = kind === 'url'
-          ? `var _v=${callBinding};el["${safeProp}"]=(function(v){${clientUrlSanitizerBody('v')}})(_v);`
-          : `el["${safeProp}"]=${callBinding};`;
-      } else {
-        // text (default): fn(val) — if it returns a value, set textContent
-        updateExpr = `var _r=${callBinding};if(_r!==undefined)el.textContent=_r;`;
-      }
 
-      p.push(
-        `var ${offVar};`,
-        `var ${watchVar}=window.watchState("${safeKey}",function(val){`,
-        `var el=getById("${safeId}");`,
-        `if(!el){${offVar}();return;}`,
-        `try{${updateExpr}}catch(e){reportClientError({type:"binding:${escapeJsString(type)}",stateKey:"${safeKey}",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`,
-        '});',
-        `${offVar}=window._trackStateTarget("${safeId}",${watchVar});`,
-        `(function(){`,
-        `var val=window.State&&window.State["${safeKey}"];`,
-        `var el=getById("${safeId}");`,
-        `if(!el){${offVar}();return;}`,
-        `if(val!==undefined)try{${updateExpr}}catch(e){reportClientError({type:"binding:${escapeJsString(type)}",stateKey:"${safeKey}",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`,
-        '})();'
-      );
+        p.push(
+          `var ${offVar};`,
+          `var ${watchVar}=window.watchState("${safeKey}",function(val){`,
+          `var el=getById("${safeId}");`,
+          `if(!el){${offVar}();return;}`,
+          `try{${updateExpr}}catch(e){reportClientError({type:"binding:${escapeJsString(type)}",stateKey:"${safeKey}",elementId:"${safeId}",tag:el.tagName.toLowerCase()${originField(b.origin)}},e);}`,
+          '});',
+          `${offVar}=window._trackStateTarget("${safeId}",${watchVar});`,
+          `(function(){`,
+          `var val=window.State&&window.State["${safeKey}"];`,
+          `var el=getById("${safeId}");`,
+          `if(!el){${offVar}();return;}`,
+          `if(val!==undefined)try{${updateExpr}}catch(e){reportClientError({type:"binding:${escapeJsString(type)}",stateKey:"${safeKey}",elementId:"${safeId}",tag:el.tagName.toLowerCase()${originField(b.origin)}},e);}`,
+          '})();'
+        );
+      }
+      p.push('};');
     }
-    p.push('};');
-  }
 
-  if (hasEvents) {
-    p.push('var initEvents=function(){');
-    for (const e of ctx.events) {
-      const safeId = escapeJsString(e.id);
-      const safeEvent = escapeJsString(e.event);
-      // e.fn is now always a pre-sanitized source string (stored at validation time).
-      // Fallback to toString() only for any legacy callers that stored a function reference.
-      let fnSource = typeof e.fn === 'string' ? e.fn : e.fn.toString();
-      const contextSource = e.context || 'undefined';
-      if (e.targetId) fnSource = fnSource.replace(/__STATE_ID__/g, escapeJsString(e.targetId));
-      p.push(
-        `(function(){var el=getById("${safeId}");`,
-        `if(el)try{var fn=${fnSource};el.addEventListener("${safeEvent}",function(event){try{var result=fn.call(el,event,window.State,el,${contextSource});if(result&&typeof result.then==="function")result.catch(function(error){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()},error);});}catch(error){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()},error);}});}catch(err){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()},err);}`,
-        '})();'
-      );
+    if (events.length > 0) {
+      p.push(`var initEvents${suffix}=function(){`);
+      for (const e of events) {
+        const safeId = escapeJsString(e.id);
+        const safeEvent = escapeJsString(e.event);
+        // e.fn is now always a pre-sanitized source string (stored at validation time).
+        // Fallback to toString() only for any legacy callers that stored a function reference.
+        let fnSource = typeof e.fn === 'string' ? e.fn : e.fn.toString();
+        const contextSource = e.context || 'undefined';
+        const origin = originField(e.origin);
+        if (e.targetId) fnSource = fnSource.replace(/__STATE_ID__/g, escapeJsString(e.targetId));
+        p.push(
+          `(function(){var el=getById("${safeId}");`,
+          `if(el)try{var fn=${markOrigin(fnSource, e.origin, marks)};el.addEventListener("${safeEvent}",function(event){try{var result=fn.call(el,event,window.State,el,${contextSource});if(result&&typeof result.then==="function")result.catch(function(error){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()${origin}},error);});}catch(error){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()${origin}},error);}});}catch(err){reportClientError({type:"event:${safeEvent}",elementId:"${safeId}",tag:el.tagName.toLowerCase()${origin}},err);}`,
+          '})();'
+        );
+      }
+      p.push('};');
     }
-    p.push('};');
-  }
 
-  if (hasPortals) {
-    p.push('var initPortals=function(){');
-    for (const portal of ctx.portals) {
-      const safeId = escapeJsString(portal.id);
-      const safeTargetId = escapeJsString(portal.targetId);
-      p.push(`(function(){var el=getById("${safeId}");var target=getById("${safeTargetId}");if(el&&target)target.appendChild(el);})();`);
+    if (portals.length > 0) {
+      p.push(`var initPortals${suffix}=function(){`);
+      for (const portal of portals) {
+        const safeId = escapeJsString(portal.id);
+        const safeTargetId = escapeJsString(portal.targetId);
+        p.push(`(function(){var el=getById("${safeId}");var target=getById("${safeTargetId}");if(el&&target)target.appendChild(el);})();`);
+      }
+      p.push('};');
     }
-    p.push('};');
-  }
 
-  if (hasLifecycles) {
-    p.push('var initLifecycles=function(){');
-    for (const lifecycle of ctx.lifecycles) {
-      const safeId = escapeJsString(lifecycle.id);
-      const mounts = lifecycle.hooks.filter(h => h.type === 'mount');
-      const updates = lifecycle.hooks.filter(h => h.type === 'update');
-      const destroys = lifecycle.hooks.filter(h => h.type === 'destroy');
-      p.push(
-        '(function(){',
-        `var el=getById("${safeId}");if(!el)return;`,
-        'var _cleanups=[],_watchers=[],_destroyed=false,_stop;',
-        'function _destroy(){if(_destroyed)return;_destroyed=true;',
-        'for(var i=0;i<_watchers.length;i++)_watchers[i]();_watchers=[];',
-        `for(var j=_cleanups.length-1;j>=0;j--)try{_cleanups[j].call(el);}catch(e){reportClientError({type:"lifecycle:cleanup",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}_cleanups=[];`
-      );
-      for (const hook of destroys) {
-        p.push(`try{(${hook.fn}).call(el,window.State);}catch(e){reportClientError({type:"lifecycle:destroy",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`);
-      }
-      p.push('}');
-      p.push(`_stop=window._trackStateTarget("${safeId}",_destroy);`);
-      for (const hook of mounts) {
-        p.push(`try{var _cleanup=(${hook.fn}).call(el,window.State);if(typeof _cleanup==="function")_cleanups.push(_cleanup);}catch(e){reportClientError({type:"lifecycle:mount",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}`);
-      }
-      for (const hook of updates) {
-        const safeKey = escapeJsString(hook.stateKey);
+    if (lifecycles.length > 0) {
+      p.push(`var initLifecycles${suffix}=function(){`);
+      for (const lifecycle of lifecycles) {
+        const safeId = escapeJsString(lifecycle.id);
+        const mounts = lifecycle.hooks.filter(h => h.type === 'mount');
+        const updates = lifecycle.hooks.filter(h => h.type === 'update');
+        const destroys = lifecycle.hooks.filter(h => h.type === 'destroy');
         p.push(
-          `_watchers.push(window.watchState("${safeKey}",function(value){`,
-          `var current=getById("${safeId}");if(!current){_stop();return;}`,
-          `try{(${hook.fn}).call(current,value,window.State);}catch(e){reportClientError({type:"lifecycle:update",stateKey:"${safeKey}",elementId:"${safeId}",tag:current.tagName.toLowerCase()},e);}`,
-          '}));'
+          '(function(){',
+          `var el=getById("${safeId}");if(!el)return;`,
+          'var _cleanups=[],_watchers=[],_destroyed=false,_stop;',
+          'function _destroy(){if(_destroyed)return;_destroyed=true;',
+          'for(var i=0;i<_watchers.length;i++)_watchers[i]();_watchers=[];',
+          `for(var j=_cleanups.length-1;j>=0;j--)try{_cleanups[j].call(el);}catch(e){reportClientError({type:"lifecycle:cleanup",elementId:"${safeId}",tag:el.tagName.toLowerCase()},e);}_cleanups=[];`
         );
+        for (const hook of destroys) {
+          p.push(`try{(${markOrigin(hook.fn, hook.origin, marks)}).call(el,window.State);}catch(e){reportClientError({type:"lifecycle:destroy",elementId:"${safeId}",tag:el.tagName.toLowerCase()${originField(hook.origin)}},e);}`);
+        }
+        p.push('}');
+        p.push(`_stop=window._trackStateTarget("${safeId}",_destroy);`);
+        for (const hook of mounts) {
+          p.push(`try{var _cleanup=(${markOrigin(hook.fn, hook.origin, marks)}).call(el,window.State);if(typeof _cleanup==="function")_cleanups.push(_cleanup);}catch(e){reportClientError({type:"lifecycle:mount",elementId:"${safeId}",tag:el.tagName.toLowerCase()${originField(hook.origin)}},e);}`);
+        }
+        for (const hook of updates) {
+          const safeKey = escapeJsString(hook.stateKey);
+          p.push(
+            `_watchers.push(window.watchState("${safeKey}",function(value){`,
+            `var current=getById("${safeId}");if(!current){_stop();return;}`,
+            `try{(${markOrigin(hook.fn, hook.origin, marks)}).call(current,value,window.State);}catch(e){reportClientError({type:"lifecycle:update",stateKey:"${safeKey}",elementId:"${safeId}",tag:current.tagName.toLowerCase()${originField(hook.origin)}},e);}`,
+            '}));'
+          );
+        }
+        p.push('})();');
       }
-      p.push('})();');
+      p.push('};');
+    }
+
+    const calls = [];
+    if (states.length > 0) calls.push(`initStates${suffix}();`);
+    if (computed.length > 0) calls.push(`initComputed${suffix}();`);
+    if (stateBindings.length > 0) calls.push(`initBindings${suffix}();`);
+    if (events.length > 0) calls.push(`initEvents${suffix}();`);
+    if (lifecycles.length > 0) calls.push(`initLifecycles${suffix}();`);
+    if (portals.length > 0) calls.push(`initPortals${suffix}();`);
+    return calls;
+  };
+
+  const inits = wire(ctx, '');
+
+  // Each island gets a hydrate function holding its own inits, run by the
+  // scheduler when its trigger fires. Islands nested in it are scheduled from
+  // there, the outermost ones from the page's init block.
+  if (hasIslands) {
+    p.push(external ? 'var scheduleIsland=window.BuildHTML._scheduleIsland;' : `var scheduleIsland=${islandSchedulerSource()};`);
+    const schedule = (island) => {
+      const safeId = escapeJsString(island.id);
+      return `(function(){var el=getById("${safeId}");if(el)scheduleIsland(el,${safeJsonStringify(island.when)},hydrateIsland${island.index});})();`;
+    };
+    for (const island of islands) {
+      const calls = wire(island, `_${island.index}`);
+      const nested = islands.filter(other => other.parent === island.id).map(schedule);
+      p.push(`var hydrateIsland${island.index}=function(){${calls.join('')}${nested.join('')}};`);
+    }
+    for (const island of islands) {
+      if (island.parent === null) inits.push(schedule(island));
     }
-    p.push('};');
   }
 
   if (hasOncreates) {
@@ -344,13 +486,6 @@ function compileClient(ctx) {
     p.push('};');
   }
 
-  const inits = [];
-  if (hasStates) inits.push('initStates();');
-  if (hasComputed) inits.push('initComputed();');
-  if (hasStateBindings) inits.push('initBindings();');
-  if (hasEvents) inits.push('initEvents();');
-  if (hasLifecycles) inits.push('initLifecycles();');
-  if (hasPortals) inits.push('initPortals();');
   if (hasOncreates) inits.push('initOncreate();');
 
   const hydrationComplete = debugEnabled
@@ -363,7 +498,8 @@ function compileClient(ctx) {
     '})();'
   );
 
-  return p.join('');
+  const js = p.join('');
+  return ctx.deterministic ? js.split(NS_PLACEHOLDER).join(`_ssr${hash(stripMarks(js))}`) : js;
 }
 
-module.exports = { renderNode, compileClient };
+module.exports = { renderNode, collectStyles, compileClient, compileSuspenseSwap };
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Validation results from many pages as CI reports.
+ *
+ *   const pages = routes.map(route => ({ route, ...build(route).validate() }));
+ *   write('validation.sarif', sarifReport(pages));
+ *   write('validation.xml', junitReport(pages));
+ *   write('validation.json', jsonReport(pages));
+ *   const result = checkThresholds(pages, { 'E_*': 0, 'W_*': 20 });
+ *   console.log(result.summary);
+ *   process.exitCode = result.exitCode;
+ *
+ * Each entry is `{ route, errors, warnings }`, usually a validate() result
+ * with the route it was built for. A buildSite() report can be passed as it
+ * is: its pages are named by their path (`/blog/hello` rather than
+ * `/blog/:slug`), and a page whose builder threw counts as an E_PAGE_FAILED
+ * error. Every issue is reported with its page's route, its code, its
+ * severity (`error` for entries in `errors`, `warning` for those in
+ * `warnings`), its message and, for issues about an element, the element's
+ * path (`body > main > form#signup > input`).
+ */
+
+const { escapeXml } = require('./seo');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const INFORMATION_URI = 'https://github.com/0trebor0/buildhtml';
+const CODE_PATTERN_RE = /^[A-Z][A-Z0-9_]*\*?$|^\*$/;
+
+/** The entries of `pages`, which is an array or a buildSite() report. */
+function entriesOf(pages, where) {
+  const list = Array.isArray(pages) ? pages : pages && Array.isArray(pages.pages) ? pages.pages : null;
+  if (!list) throw new TypeError(`${where}: pages must be an array of { route, errors, warnings } or a buildSite() report`);
+  return list.map((page) => {
+    if (!page || typeof page !== 'object') throw new TypeError(`${where}: each page must be an object { route, errors, warnings }`);
+    const route = typeof page.path === 'string' ? page.path : page.route;
+    if (typeof route !== 'string' || route === '') throw new TypeError(`${where}: each page needs a route`);
+    for (const key of ['errors', 'warnings']) {
+      if (page[key] != null && !Array.isArray(page[key])) throw new TypeError(`${where}: ${key} of "${route}" must be an array`);
+    }
+    return { page, route, issues: issuesOf(page, route) };
+  });
+}
+
+function issuesOf(page, route) {
+  const issue = (severity) => (found) => ({
+    route,
+    severity,
+    code: String(found.code),
+    message: String(found.message),
+    tag: found.tag && found.tag !== 'document' ? found.tag : null,
+    id: found.id == null ? null : String(found.id),
+    path: found.path == null ? null : String(found.path),
+  });
+  const issues = [...(page.errors || []).map(issue('error')), ...(page.warnings || []).map(issue('warning'))];
+  if (page.error) {
+    const message = page.error instanceof Error ? page.error.message : String(page.error);
+    issues.unshift({ route, severity: 'error', code: 'E_PAGE_FAILED', message: `The page failed to build: ${message}`, tag: null, id: null, path: null });
+  }
+  return issues;
+}
+
+const count = (entries, severity) => entries.reduce((n, entry) => n + entry.issues.filter(issue => issue.severity === severity).length, 0);
+
+/**
+ * A compact JSON report: totals, then one object per issue with the fields
+ * that apply to it.
+ *
+ *   {"pages":2,"errors":1,"warnings":1,"issues":[{"route":"/","severity":"error","code":"E_DUPLICATE_ID",...}]}
+ */
+function jsonReport(pages) {
+  const entries = entriesOf(pages, 'jsonReport()');
+  const issues = [];
+  for (const { issues: found } of entries) {
+    for (const issue of found) {
+      const out = { route: issue.route, severity: issue.severity, code: issue.code, message: issue.message };
+      if (issue.path) out.path = issue.path;
+      if (issue.tag) out.tag = issue.tag;
+      if (issue.id) out.id = issue.id;
+      issues.push(out);
+    }
+  }
+  return JSON.stringify({ pages: entries.length, errors: count(entries, 'error'), warnings: count(entries, 'warning'), issues });
+}
+
+/**
+ * A SARIF 2.1.0 log with one rule per code and one result per issue. The
+ * result's location is the page — `options.uri(page)` when given, else the
+ * file buildSite() wrote or the route — and the element path as a logical
+ * location. Code-scanning services want a file in the repository; map routes
+ * to the source that builds them with `uri`.
+ */
+function sarifReport(pages, options = {}) {
+  const entries = entriesOf(pages, 'sarifReport()');
+  if (options.uri != null && typeof options.uri !== 'function') throw new TypeError('sarifReport(): uri must be a function (page) => string');
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+  for (const { page, route, issues } of entries) {
+    const uri = options.uri ? String(options.uri(page)) : typeof page.file === 'string' ? page.file : route;
+    for (const issue of issues) {
+      if (!ruleIndex.has(issue.code)) {
+        ruleIndex.set(issue.code, rules.length);
+        rules.push({ id: issue.code, name: issue.code, defaultConfiguration: { level: issue.severity } });
+      }
+      const location = { physicalLocation: { artifactLocation: { uri } } };
+      if (issue.path) location.logicalLocations = [{ fullyQualifiedName: issue.path, kind: 'element' }];
+      results.push({
+        ruleId: issue.code,
+        ruleIndex: ruleIndex.get(issue.code),
+        level: issue.severity,
+        message: { text: issue.message },
+        locations: [location],
+        properties: { route },
+      });
+    }
+  }
+  return JSON.stringify({
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: options.toolName || 'buildhtml', informationUri: INFORMATION_URI, rules } },
+      results,
+    }],
+  }, null, 2);
+}
+
+/**
+ * A JUnit XML report with one test case per page. A page with errors fails,
+ * with each error on its own line of the failure text; a page that failed to
+ * build is reported as an error; warnings go to the case's system-out.
+ */
+function junitReport(pages, options = {}) {
+  const entries = entriesOf(pages, 'junitReport()');
+  const name = options.name || 'buildhtml validate';
+  const line = (issue) => `${issue.code}${issue.path ? ` at ${issue.path}` : ''}: ${issue.message}`;
+  let failures = 0;
+  let errors = 0;
+  const cases = [];
+  for (const { route, issues } of entries) {
+    const crashed = issues.filter(issue => issue.code === 'E_PAGE_FAILED');
+    const failed = issues.filter(issue => issue.severity === 'error' && issue.code !== 'E_PAGE_FAILED');
+    const warned = issues.filter(issue => issue.severity === 'warning');
+    const out = [`    <testcase classname="${escapeXml(name)}" name="${escapeXml(route)}">\n`];
+    if (crashed.length > 0) {
+      errors++;
+      out.push(`      <error type="E_PAGE_FAILED" message="${escapeXml(crashed[0].message)}"/>\n`);
+    }
+    if (failed.length > 0) {
+      failures++;
+      const message = `${failed.length} validation error${failed.length === 1 ? '' : 's'}`;
+      out.push(`      <failure type="${escapeXml(failed[0].code)}" message="${message}">${escapeXml(failed.map(line).join('\n'))}</failure>\n`);
+    }
+    if (warned.length > 0) out.push(`      <system-out>${escapeXml(warned.map(line).join('\n'))}</system-out>\n`);
+    out.push('    </testcase>\n');
+    cases.push(out.join(''));
+  }
+  const counts = `tests="${entries.length}" failures="${failures}" errors="${errors}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    `<testsuites name="${escapeXml(name)}" ${counts}>\n`,
+    `  <testsuite name="${escapeXml(name)}" ${counts} skipped="0">\n`,
+    ...cases,
+    '  </testsuite>\n',
+    '</testsuites>\n',
+  ].join('');
+}
+
+/**
+ * Check issue counts against limits and return a summary for a CI step.
+ *
+ * `thresholds` maps a code (`W_IMAGE_ALT`), a prefix ending in `*` (`E_*`,
+ * `W_*`) or `*` to the most issues allowed across all pages. Each limit is
+ * checked on its own, so `{ 'W_*': 20, W_IMAGE_ALT: 0 }` allows twenty
+ * warnings but no missing alt text. Codes no limit matches are not limited.
+ * `thresholds` is merged over `{ 'E_*': 0 }`, so any error fails unless the
+ * caller sets its own `E_*` limit: `{ 'W_*': 5 }` still fails on errors.
+ *
+ * @returns {{ passed: boolean, exitCode: 0 | 1, pages: number, errors: number, warnings: number,
+ *   codes: Object<string, number>, exceeded: { pattern: string, limit: number, count: number }[], summary: string }}
+ */
+function checkThresholds(pages, thresholds = {}) {
+  const entries = entriesOf(pages, 'checkThresholds()');
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new TypeError('checkThresholds(): thresholds must be an object mapping codes or patterns like "W_*" to limits');
+  }
+  const limits = { 'E_*': 0, ...thresholds };
+  const codes = {};
+  for (const { issues } of entries) {
+    for (const issue of issues) codes[issue.code] = (codes[issue.code] || 0) + 1;
+  }
+  const exceeded = [];
+  for (const [pattern, limit] of Object.entries(limits)) {
+    if (!CODE_PATTERN_RE.test(pattern)) throw new TypeError(`checkThresholds(): "${pattern}" is not a code or a prefix ending in *`);
+    if (!(limit === Infinity || (Number.isInteger(limit) && limit >= 0))) {
+      throw new TypeError(`checkThresholds(): the limit for "${pattern}" must be a non-negative integer or Infinity`);
+    }
+    const matches = pattern.endsWith('*') ? (code) => code.startsWith(pattern.slice(0, -1)) : (code) => code === pattern;
+    const found = Object.keys(codes).filter(matches).reduce((n, code) => n + codes[code], 0);
+    if (found > limit) exceeded.push({ pattern, limit, count: found });
+  }
+
+  const errors = count(entries, 'error');
+  const warnings = count(entries, 'warning');
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const totals = `${plural(entries.length, 'page')}: ${plural(errors, 'error')}, ${plural(warnings, 'warning')}.`;
+  const summary = exceeded.length === 0
+    ? `${totals} Within thresholds.`
+    : `${totals} Over threshold: ${exceeded.map(e => `${e.pattern} ${e.count} (allowed ${e.limit})`).join(', ')}.`;
+  return { passed: exceeded.length === 0, exitCode: exceeded.length === 0 ? 0 : 1, pages: entries.length, errors, warnings, codes, exceeded, summary };
+}
+
+module.exports = { jsonReport, sarifReport, junitReport, checkThresholds };
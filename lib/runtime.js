@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Node built-ins the library can use but does not need.
+ *
+ * Document, Element, the renderer, live lists and renderToReadableStream() are
+ * plain JavaScript. Only the file helpers, renderStream() and the callback
+ * syntax check touch Node, and they go through these adapters. A worker-style
+ * runtime, or a test, can then supply its own module or do without one:
+ *
+ *   fs      readFileSync(path, 'utf-8'), writeFileSync(path, data):
+ *           save(), renderFile(), compileFile(), templateEngine. buildSite()
+ *           also uses mkdirSync, existsSync and readdirSync. Source maps
+ *           read the files that registered callbacks, and with statSync
+ *           keep them until they change.
+ *   stream  { Readable }: renderStream()
+ *   vm      { Script }: the syntax check for serialized callbacks. Without it,
+ *           the scanner in ./syntax is used instead.
+ *
+ *   setRuntimeAdapter('fs', { readFileSync, writeFileSync }); // e.g. an in-memory fs
+ *   setRuntimeAdapter('vm', null);                            // use the built-in validator
+ *   setRuntimeAdapter('vm', undefined);                       // back to require('vm')
+ */
+
+const RUNTIME_MODULES = ['fs', 'stream', 'vm'];
+
+// name -> module, or null when the runtime has none (or it was switched off).
+const adapters = new Map();
+
+function loadBuiltin(name) {
+  try {
+    return require(name);
+  } catch {
+    return null;
+  }
+}
+
+function getRuntimeAdapter(name) {
+  if (!adapters.has(name)) adapters.set(name, loadBuiltin(name));
+  return adapters.get(name);
+}
+
+/**
+ * Replace the module behind one adapter. null disables it, and undefined
+ * restores the Node built-in.
+ */
+function setRuntimeAdapter(name, adapter) {
+  if (!RUNTIME_MODULES.includes(name)) {
+    throw new TypeError(`Unknown runtime adapter "${name}" (expected one of: ${RUNTIME_MODULES.join(', ')})`);
+  }
+  if (adapter === undefined) {
+    adapters.delete(name);
+    return;
+  }
+  if (adapter !== null && typeof adapter !== 'object' && typeof adapter !== 'function') {
+    throw new TypeError(`Runtime adapter "${name}" must be an object, null or undefined`);
+  }
+  adapters.set(name, adapter);
+}
+
+/** The adapter for `feature`, or a clear error naming what is missing. */
+function requireRuntimeAdapter(name, feature) {
+  const adapter = getRuntimeAdapter(name);
+  if (!adapter) {
+    throw new Error(`${feature} needs the "${name}" module, which this runtime does not provide. `
+      + `Supply one with setRuntimeAdapter('${name}', adapter).`);
+  }
+  return adapter;
+}
+
+module.exports = { getRuntimeAdapter, setRuntimeAdapter, requireRuntimeAdapter };
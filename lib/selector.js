@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * CSS selector matching over Element trees, behind querySelector(),
+ * querySelectorAll() and matches().
+ *
+ * Supported syntax: type and `*`, `#id`, `.class`, attribute selectors with
+ * = ~= |= ^= $= *= and the ` i` flag, the descendant, `>`, `+` and `~`
+ * combinators, selector lists, `:first-child` and `:not(<selector list>)`.
+ * Anything else is a SyntaxError rather than a selector that silently never
+ * matches.
+ *
+ * Classes are read from `_classes`, which is what render() emits. That
+ * includes the hashed classes css() generates. A top-level element's parent
+ * is the document body: it has no ancestor, and its siblings are the other
+ * body elements.
+ */
+
+const { Element } = require('./element');
+
+const IDENT_RE = /(?:\\[0-9a-fA-F]{1,6}[ \t\n\r\f]?|\\[^\n\r\f0-9a-fA-F]|[\w\u00a0-\uffff-])+/y;
+const WHITESPACE_RE = /[ \t\n\r\f]*/y;
+const STRING_RE = /"((?:[^"\\\n]|\\[\s\S])*)"|'((?:[^'\\\n]|\\[\s\S])*)'/y;
+const ATTR_OPERATOR_RE = /[~|^$*]?=/y;
+const ESCAPE_RE = /\\([0-9a-fA-F]{1,6})[ \t\n\r\f]?|\\([\s\S])/g;
+
+// Parsed selector lists by source text; a page queries the same few selectors.
+const parsedSelectors = new Map();
+const PARSED_SELECTOR_LIMIT = 500;
+
+function unescapeIdent(text) {
+  return text.replace(ESCAPE_RE, (m, hex, char) => {
+    if (char !== undefined) return char;
+    const code = parseInt(hex, 16);
+    return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Parse a selector list into complex selectors. Each complex selector is an
+ * array of `{ combinator, compound }` steps, left to right; the first step's
+ * combinator is null.
+ */
+function parseSelector(source) {
+  let i = 0;
+  const fail = (reason) => {
+    throw new SyntaxError(`Invalid selector "${source}": ${reason}.`);
+  };
+  const skipWhitespace = () => {
+    WHITESPACE_RE.lastIndex = i;
+    WHITESPACE_RE.exec(source);
+    const skipped = WHITESPACE_RE.lastIndex > i;
+    i = WHITESPACE_RE.lastIndex;
+    return skipped;
+  };
+  const readIdent = (what) => {
+    IDENT_RE.lastIndex = i;
+    const match = IDENT_RE.exec(source);
+    if (!match) fail(`expected ${what} at position ${i}`);
+    i = IDENT_RE.lastIndex;
+    return unescapeIdent(match[0]);
+  };
+
+  const parseAttribute = () => {
+    i++; // [
+    skipWhitespace();
+    const name = readIdent('an attribute name').toLowerCase();
+    skipWhitespace();
+    if (source[i] === ']') {
+      i++;
+      return { name, op: null, value: null, ignoreCase: false };
+    }
+    ATTR_OPERATOR_RE.lastIndex = i;
+    const op = ATTR_OPERATOR_RE.exec(source);
+    if (!op) fail(`expected an attribute operator or "]" at position ${i}`);
+    i = ATTR_OPERATOR_RE.lastIndex;
+    skipWhitespace();
+    let value;
+    STRING_RE.lastIndex = i;
+    const quoted = STRING_RE.exec(source);
+    if (quoted) {
+      i = STRING_RE.lastIndex;
+      value = unescapeIdent(quoted[1] ?? quoted[2]);
+    } else {
+      value = readIdent('an attribute value');
+    }
+    skipWhitespace();
+    let ignoreCase = false;
+    if (source[i] === 'i' || source[i] === 'I' || source[i] === 's' || source[i] === 'S') {
+      ignoreCase = source[i] === 'i' || source[i] === 'I';
+      i++;
+      skipWhitespace();
+    }
+    if (source[i] !== ']') fail(`expected "]" at position ${i}`);
+    i++;
+    return { name, op: op[0], value, ignoreCase };
+  };
+
+  const parsePseudo = () => {
+    i++; // :
+    const name = readIdent('a pseudo-class').toLowerCase();
+    if (name === 'first-child') return { type: 'first-child' };
+    if (name === 'not' && source[i] === '(') {
+      i++;
+      const selectors = parseList(')');
+      i++; // )
+      return { type: 'not', selectors };
+    }
+    return fail(`unsupported pseudo-class ":${name}"`);
+  };
+
+  const parseCompound = () => {
+    const compound = { tag: null, id: null, classes: [], attrs: [], pseudos: [] };
+    const start = i;
+    if (source[i] === '*') i++;
+    else if (/[\w\\\u00a0-\uffff-]/.test(source[i] || '')) compound.tag = readIdent('a type selector').toLowerCase();
+    for (;;) {
+      const c = source[i];
+      if (c === '#') { i++; compound.id = readIdent('an id'); }
+      else if (c === '.') { i++; compound.classes.push(readIdent('a class name')); }
+      else if (c === '[') compound.attrs.push(parseAttribute());
+      else if (c === ':') compound.pseudos.push(parsePseudo());
+      else break;
+    }
+    if (i === start) fail(source[i] === undefined ? 'unexpected end' : `unexpected "${source[i]}" at position ${i}`);
+    return compound;
+  };
+
+  const parseComplex = (terminator) => {
+    const steps = [{ combinator: null, compound: parseCompound() }];
+    for (;;) {
+      const spaced = skipWhitespace();
+      const c = source[i];
+      if (c === undefined || c === ',' || c === terminator) return steps;
+      let combinator = ' ';
+      if (c === '>' || c === '+' || c === '~') {
+        combinator = c;
+        i++;
+        skipWhitespace();
+      } else if (!spaced) {
+        fail(`unexpected "${c}" at position ${i}`);
+      }
+      steps.push({ combinator, compound: parseCompound() });
+    }
+  };
+
+  const parseList = (terminator) => {
+    const list = [];
+    for (;;) {
+      skipWhitespace();
+      list.push(parseComplex(terminator));
+      if (source[i] === ',') { i++; continue; }
+      if (source[i] === terminator) return list;
+      return fail(terminator ? `expected "${terminator}"` : `unexpected "${source[i]}" at position ${i}`);
+    }
+  };
+
+  return parseList(undefined);
+}
+
+function compileSelector(selector) {
+  if (typeof selector !== 'string') throw new TypeError('Selector must be a string');
+  let list = parsedSelectors.get(selector);
+  if (!list) {
+    list = parseSelector(selector);
+    if (parsedSelectors.size >= PARSED_SELECTOR_LIMIT) parsedSelectors.delete(parsedSelectors.keys().next().value);
+    parsedSelectors.set(selector, list);
+  }
+  return list;
+}
+
+/* ---- Matching ---- */
+
+const parentOf = (el) => (el._parent instanceof Element ? el._parent : null);
+
+function siblingsOf(el) {
+  if (el._parent) return el._parent.children;
+  const body = el._document && el._document.body;
+  return body && body.includes(el) ? body : null;
+}
+
+function previousElement(el) {
+  const siblings = siblingsOf(el);
+  if (!siblings) return null;
+  for (let i = siblings.indexOf(el) - 1; i >= 0; i--) {
+    if (siblings[i] instanceof Element) return siblings[i];
+  }
+  return null;
+}
+
+function attributeValue(el, name) {
+  if (name === 'class') return el._classes.length > 0 ? el._classes.join(' ') : null;
+  for (const key in el.attrs) {
+    if (key.toLowerCase() === name) return el.attrs[key] == null ? null : String(el.attrs[key]);
+  }
+  return null;
+}
+
+function matchAttribute(el, { name, op, value, ignoreCase }) {
+  let actual = attributeValue(el, name);
+  if (actual === null) return false;
+  if (op === null) return true;
+  let expected = value;
+  if (ignoreCase) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (op) {
+    case '=': return actual === expected;
+    case '~=': return expected !== '' && !/\s/.test(expected) && actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(expected + '-');
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+}
+
+function matchCompound(el, compound) {
+  if (compound.tag !== null && el.tag !== compound.tag) return false;
+  if (compound.id !== null && (el.attrs.id == null || String(el.attrs.id) !== compound.id)) return false;
+  for (const name of compound.classes) {
+    if (!el._classes.includes(name)) return false;
+  }
+  for (const attr of compound.attrs) {
+    if (!matchAttribute(el, attr)) return false;
+  }
+  for (const pseudo of compound.pseudos) {
+    if (pseudo.type === 'first-child') {
+      const siblings = siblingsOf(el);
+      if (siblings && siblings.find(node => node instanceof Element) !== el) return false;
+    } else if (pseudo.selectors.some(steps => matchComplex(el, steps, steps.length - 1))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Right to left: match the last compound, then walk the combinator outwards.
+function matchComplex(el, steps, index) {
+  if (!matchCompound(el, steps[index].compound)) return false;
+  if (index === 0) return true;
+  switch (steps[index].combinator) {
+    case '>': {
+      const parent = parentOf(el);
+      return parent !== null && matchComplex(parent, steps, index - 1);
+    }
+    case '+': {
+      const previous = previousElement(el);
+      return previous !== null && matchComplex(previous, steps, index - 1);
+    }
+    case '~':
+      for (let node = previousElement(el); node; node = previousElement(node)) {
+        if (matchComplex(node, steps, index - 1)) return true;
+      }
+      return false;
+    default:
+      for (let node = parentOf(el); node; node = parentOf(node)) {
+        if (matchComplex(node, steps, index - 1)) return true;
+      }
+      return false;
+  }
+}
+
+function matches(el, selector) {
+  const list = compileSelector(selector);
+  return list.some(steps => matchComplex(el, steps, steps.length - 1));
+}
+
+/**
+ * Elements under `children` matching `selector`, in document order. `first`
+ * stops at the first match. As in the DOM, combinators may reach above the
+ * element the query started from.
+ */
+function querySelectorAll(children, selector, first = false) {
+  const list = compileSelector(selector);
+  const results = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (!(node instanceof Element)) continue;
+      if (list.some(steps => matchComplex(node, steps, steps.length - 1))) {
+        results.push(node);
+        if (first) return true;
+      }
+      if (walk(node.children)) return true;
+    }
+    return false;
+  };
+  walk(children);
+  return results;
+}
+
+module.exports = { matches, querySelectorAll, parseSelector };
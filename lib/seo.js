@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * sitemap.xml, robots.txt and RSS/Atom feeds from the metadata pages already
+ * declare.
+ *
+ *   const pages = [home, about, ...posts];
+ *   write('sitemap.xml', sitemapXml(pages, { baseUrl: 'https://example.com' }));
+ *   write('robots.txt', robotsTxt(pages, { baseUrl: 'https://example.com', sitemap: '/sitemap.xml' }));
+ *   write('feed.xml', rssFeed(posts, { title: 'Blog', link: 'https://example.com/blog/' }));
+ *
+ * Each entry is a Document or an object `{ doc, url, lastmod, ... }` whose
+ * fields override what is read from the document. pageMetadata() shows what
+ * is read: the title, the description meta, canonical() or og:url as the URL,
+ * alternate() links, noindex(), og:image, and the article:published_time and
+ * article:modified_time metas as dates.
+ *
+ * Relative URLs are resolved against `baseUrl`; sitemaps and feeds need
+ * absolute ones, so a URL that stays relative throws.
+ */
+
+const { Document } = require('./document');
+const { unescapeHtml } = require('./utils');
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for XML content and attribute values. Characters XML 1.0 does
+ * not allow at all — control characters and lone surrogates — are dropped, as
+ * no escape can make them legal.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+    .replace(/[&<>"']/g, m => XML_ESCAPES[m]);
+}
+
+const LINK_RE = /<link\b([^>]*)>/gi;
+const ATTR_RE = /([a-zA-Z][\w:-]*)\s*=\s*"([^"]*)"/g;
+
+function linkTags(doc) {
+  const links = [];
+  for (const html of doc._rawHeadContent) {
+    for (const [, attrText] of html.matchAll(LINK_RE)) {
+      const attrs = {};
+      for (const [, name, value] of attrText.matchAll(ATTR_RE)) attrs[name.toLowerCase()] = unescapeHtml(value);
+      links.push(attrs);
+    }
+  }
+  return links;
+}
+
+/**
+ * The metadata a document declares:
+ *   { title, description, url, image, noindex, nofollow, alternates, published, modified }
+ * Missing values are null; alternates is an array of { hreflang, href }.
+ */
+function pageMetadata(doc) {
+  const metas = new Map();
+  for (const m of doc.head.metas) {
+    const key = m.name || m.property;
+    if (key && m.content != null && !metas.has(key.toLowerCase())) metas.set(key.toLowerCase(), String(m.content));
+  }
+  const links = linkTags(doc);
+  const canonical = links.find(l => (l.rel || '').toLowerCase() === 'canonical');
+  const robots = (metas.get('robots') || '').toLowerCase().split(/\s*,\s*/);
+  return {
+    title: unescapeHtml(doc.head.title),
+    description: metas.get('description') || metas.get('og:description') || null,
+    url: (canonical && canonical.href) || metas.get('og:url') || null,
+    image: metas.get('og:image') || null,
+    noindex: robots.includes('noindex') || robots.includes('none'),
+    nofollow: robots.includes('nofollow') || robots.includes('none'),
+    alternates: links
+      .filter(l => (l.rel || '').toLowerCase() === 'alternate' && l.hreflang && l.href)
+      .map(l => ({ hreflang: l.hreflang, href: l.href })),
+    published: metas.get('article:published_time') || null,
+    modified: metas.get('article:modified_time') || metas.get('og:updated_time') || null
+  };
+}
+
+/** Merge an entry's own fields over the metadata of its document. */
+function entryMetadata(entry, where) {
+  if (entry instanceof Document) return pageMetadata(entry);
+  if (!entry || typeof entry !== 'object') throw new TypeError(`${where}: each entry must be a Document or an object`);
+  const meta = entry.doc ? pageMetadata(entry.doc) : {};
+  for (const k in entry) if (k !== 'doc' && entry[k] !== undefined) meta[k] = entry[k];
+  return meta;
+}
+
+function absoluteUrl(url, baseUrl, where) {
+  if (url == null || url === '') throw new TypeError(`${where}: an entry has no URL — give it canonical() or a url field`);
+  let resolved;
+  try {
+    resolved = baseUrl ? new URL(String(url), baseUrl) : new URL(String(url));
+  } catch {
+    throw new TypeError(`${where}: "${url}" is not an absolute URL — pass baseUrl to resolve relative ones`);
+  }
+  if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+    throw new TypeError(`${where}: "${url}" must be an http or https URL`);
+  }
+  return resolved.href;
+}
+
+function toDate(value, where) {
+  if (value == null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) throw new TypeError(`${where}: "${value}" is not a valid date`);
+  return date;
+}
+
+function requireArray(entries, where) {
+  if (!Array.isArray(entries)) throw new TypeError(`${where}: expects an array of pages`);
+  return entries.map(entry => entryMetadata(entry, where));
+}
+
+/**
+ * sitemap.xml for every page that is not noindex, with <lastmod> from the
+ * modified (or published) date and <xhtml:link> for each alternate. Entries
+ * may also set `changefreq` and `priority`.
+ */
+function sitemapXml(pages, options = {}) {
+  const where = 'sitemapXml()';
+  const { baseUrl } = options;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n'
+  ];
+  const seen = new Set();
+  for (const meta of requireArray(pages, where)) {
+    if (meta.noindex) continue;
+    const loc = absoluteUrl(meta.url, baseUrl, where);
+    if (seen.has(loc)) continue;
+    seen.add(loc);
+    out.push('  <url>\n', `    <loc>${escapeXml(loc)}</loc>\n`);
+    const lastmod = toDate(meta.lastmod ?? meta.modified ?? meta.published, where);
+    if (lastmod) out.push(`    <lastmod>${lastmod.toISOString()}</lastmod>\n`);
+    if (meta.changefreq) out.push(`    <changefreq>${escapeXml(meta.changefreq)}</changefreq>\n`);
+    if (meta.priority != null) out.push(`    <priority>${escapeXml(meta.priority)}</priority>\n`);
+    for (const alt of meta.alternates || []) {
+      out.push(`    <xhtml:link rel="alternate" hreflang="${escapeXml(alt.hreflang)}" href="${escapeXml(absoluteUrl(alt.href, baseUrl, where))}"/>\n`);
+    }
+    out.push('  </url>\n');
+  }
+  out.push('</urlset>\n');
+  return out.join('');
+}
+
+/**
+ * robots.txt with the paths in `disallow`; `sitemap` adds a Sitemap line,
+ * resolved against baseUrl. noindex pages stay crawlable by default: a crawler
+ * that may not fetch a page never sees its noindex, and can still index the
+ * URL from links to it. `disallowNoindex: true` disallows them anyway.
+ */
+function robotsTxt(pages = [], options = {}) {
+  const where = 'robotsTxt()';
+  const { baseUrl } = options;
+  const disallow = new Set();
+  for (const meta of requireArray(pages, where)) {
+    if (meta.noindex && options.disallowNoindex) disallow.add(new URL(absoluteUrl(meta.url, baseUrl || 'http://localhost/', where)).pathname);
+  }
+  for (const path of options.disallow || []) disallow.add(String(path));
+  // A newline in a configured value would start a new directive.
+  const line = (value) => String(value).replace(/[\r\n]+/g, ' ');
+  const out = [`User-agent: ${line(options.userAgent || '*')}`];
+  for (const path of options.allow || []) out.push(`Allow: ${line(path)}`);
+  if (disallow.size === 0) out.push('Disallow:');
+  for (const path of disallow) out.push(`Disallow: ${line(path)}`);
+  if (options.sitemap) out.push('', `Sitemap: ${absoluteUrl(options.sitemap, baseUrl, where)}`);
+  return out.join('\n') + '\n';
+}
+
+function feedItems(items, options, where) {
+  return requireArray(items, where).map(meta => ({
+    title: meta.title || '',
+    link: absoluteUrl(meta.url ?? meta.link, options.baseUrl || options.link, where),
+    id: meta.id == null ? null : String(meta.id),
+    description: meta.description || null,
+    author: meta.author || null,
+    published: toDate(meta.date ?? meta.published, where),
+    updated: toDate(meta.updated ?? meta.modified, where)
+  }));
+}
+
+function requireFeedOptions(options, where) {
+  if (!options || typeof options.title !== 'string' || !options.title) throw new TypeError(`${where}: options.title is required`);
+  if (!options.link) throw new TypeError(`${where}: options.link is required`);
+}
+
+/**
+ * An RSS 2.0 feed: options `{ title, link, description, language?, feedUrl? }`.
+ * Items use their title, URL, description, published date and `id` (the guid;
+ * the URL when absent), in the order given.
+ */
+function rssFeed(items, options = {}) {
+  const where = 'rssFeed()';
+  requireFeedOptions(options, where);
+  const link = absoluteUrl(options.link, options.baseUrl, where);
+  const entries = feedItems(items, options, where);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">\n',
+    '  <channel>\n',
+    `    <title>${escapeXml(options.title)}</title>\n`,
+    `    <link>${escapeXml(link)}</link>\n`,
+    `    <description>${escapeXml(options.description || options.title)}</description>\n`
+  ];
+  if (options.language) out.push(`    <language>${escapeXml(options.language)}</language>\n`);
+  if (options.feedUrl) {
+    out.push(`    <atom:link href="${escapeXml(absoluteUrl(options.feedUrl, link, where))}" rel="self" type="application/rss+xml"/>\n`);
+  }
+  const dates = entries.map(e => e.updated || e.published).filter(Boolean);
+  if (dates.length > 0) out.push(`    <lastBuildDate>${new Date(Math.max(...dates)).toUTCString()}</lastBuildDate>\n`);
+  for (const item of entries) {
+    out.push('    <item>\n', `      <title>${escapeXml(item.title)}</title>\n`, `      <link>${escapeXml(item.link)}</link>\n`);
+    out.push(item.id
+      ? `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>\n`
+      : `      <guid isPermaLink="true">${escapeXml(item.link)}</guid>\n`);
+    if (item.description) out.push(`      <description>${escapeXml(item.description)}</description>\n`);
+    if (item.author) out.push(`      <dc:creator>${escapeXml(item.author)}</dc:creator>\n`);
+    if (item.published) out.push(`      <pubDate>${item.published.toUTCString()}</pubDate>\n`);
+    out.push('    </item>\n');
+  }
+  out.push('  </channel>\n', '</rss>\n');
+  return out.join('');
+}
+
+/**
+ * An Atom feed: options `{ title, link, id?, subtitle?, author?, feedUrl?, updated? }`.
+ * Atom requires an updated time on the feed and every entry; it falls back to
+ * the newest item date, then to the feed's own `updated`, then to now.
+ */
+function atomFeed(items, options = {}) {
+  const where = 'atomFeed()';
+  requireFeedOptions(options, where);
+  const link = absoluteUrl(options.link, options.baseUrl, where);
+  const entries = feedItems(items, options, where);
+  const dates = entries.map(e => e.updated || e.published).filter(Boolean);
+  const updated = toDate(options.updated, where)
+    || (dates.length > 0 ? new Date(Math.max(...dates)) : new Date());
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<feed xmlns="http://www.w3.org/2005/Atom">\n',
+    `  <title>${escapeXml(options.title)}</title>\n`
+  ];
+  if (options.subtitle) out.push(`  <subtitle>${escapeXml(options.subtitle)}</subtitle>\n`);
+  out.push(`  <link href="${escapeXml(link)}"/>\n`);
+  if (options.feedUrl) out.push(`  <link rel="self" href="${escapeXml(absoluteUrl(options.feedUrl, link, where))}"/>\n`);
+  out.push(`  <id>${escapeXml(options.id || link)}</id>\n`, `  <updated>${updated.toISOString()}</updated>\n`);
+  if (options.author) out.push(`  <author><name>${escapeXml(options.author)}</name></author>\n`);
+  for (const item of entries) {
+    out.push('  <entry>\n', `    <title>${escapeXml(item.title)}</title>\n`, `    <link href="${escapeXml(item.link)}"/>\n`);
+    out.push(`    <id>${escapeXml(item.id || item.link)}</id>\n`);
+    out.push(`    <updated>${(item.updated || item.published || updated).toISOString()}</updated>\n`);
+    if (item.published) out.push(`    <published>${item.published.toISOString()}</published>\n`);
+    if (item.author) out.push(`    <author><name>${escapeXml(item.author)}</name></author>\n`);
+    if (item.description) out.push(`    <summary>${escapeXml(item.description)}</summary>\n`);
+    out.push('  </entry>\n');
+  }
+  out.push('</feed>\n');
+  return out.join('');
+}
+
+module.exports = { pageMetadata, sitemapXml, robotsTxt, rssFeed, atomFeed, escapeXml };
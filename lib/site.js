@@ -0,0 +1,329 @@
+'use strict';
+
+/**
+ * Static site generation over a route map.
+ *
+ *   const report = await buildSite({
+ *     outDir: 'dist',
+ *     routes: {
+ *       '/': () => home(),
+ *       '/about': 'pages/about.bhtml',
+ *       '/blog/:slug': {
+ *         build: (params, post) => article(post),
+ *         params: async () => (await loadPosts()).map(post => ({ slug: post.slug })),
+ *         data: ({ slug }) => loadPost(slug),
+ *         inputs: ['ui/layout.js'],
+ *       },
+ *     },
+ *   });
+ *
+ * A route is a builder `(params, data) => Document`, the path of a .bhtml
+ * template (rendered with `{ ...params, ...data }`), or an object with
+ * `build` or `template` plus optional `params`, `data` and `inputs`. `/` is
+ * written to index.html and `/about` to about/index.html; a route ending in
+ * `.html` is written as it is.
+ *
+ * Every page is validated before it is rendered, and the report lists each
+ * page's errors and warnings. A page whose builder throws is reported as
+ * failed and not written; the rest of the site is still built.
+ *
+ * Builds are incremental: a manifest in outDir records a key for each page,
+ * made from its route, params, data, builder source or template, the files in
+ * `inputs` and the options that change output. A page whose key is unchanged
+ * and whose file is still there is skipped. A builder's own imports are not
+ * seen, so list shared layouts in `inputs` — per route, or for every page in
+ * the top-level `inputs`. Data holding functions or class instances other
+ * than Map, Set and Date cannot be compared, so its page is always rebuilt.
+ * `incremental: false` rebuilds everything.
+ *
+ * Shared assets: `copy` lists directories copied into outDir as they are,
+ * `extractCss: true` puts every page's CSS into one content-hashed stylesheet
+ * under `assetsPath`, and with configure({ clientRuntime: 'external' }) the
+ * runtime file is written under CONFIG.runtimePath. buildSite() never deletes
+ * files.
+ */
+
+const { Document } = require('./document');
+const { AssetCollector } = require('./assets');
+const { CONFIG } = require('./config');
+const { compileTemplate } = require('./template');
+const { getClientRuntime } = require('./client-runtime');
+const { requireRuntimeAdapter } = require('./runtime');
+const { hash } = require('./utils');
+
+const MANIFEST_FILE = '.buildhtml-manifest.json';
+const MANIFEST_VERSION = 1;
+const PARAM_RE = /:([A-Za-z_$][\w$]*)/g;
+
+function joinPath(...parts) {
+  return parts.filter(part => part !== '').join('/').replace(/\/{2,}/g, '/');
+}
+
+function dirnameOf(file) {
+  const idx = file.lastIndexOf('/');
+  return idx <= 0 ? (idx === 0 ? '/' : '.') : file.slice(0, idx);
+}
+
+/** The file a URL path is written to, relative to outDir. */
+function outputFileFor(urlPath) {
+  const trimmed = urlPath.replace(/^\/+|\/+$/g, '');
+  if (trimmed === '') return 'index.html';
+  if (trimmed.endsWith('.html')) return trimmed;
+  return `${trimmed}/index.html`;
+}
+
+function normalizeRoute(pattern, route) {
+  if (typeof route === 'function') return { pattern, build: route };
+  if (typeof route === 'string') return { pattern, template: route };
+  if (route && typeof route === 'object' && (typeof route.build === 'function' || typeof route.template === 'string')) {
+    return { pattern, ...route };
+  }
+  throw new TypeError(`buildSite(): route "${pattern}" must be a builder function, a template path, or an object with build or template`);
+}
+
+/** Fill `:name` segments from params, refusing values that would leave outDir. */
+function fillPattern(pattern, params) {
+  return pattern.replace(PARAM_RE, (m, name) => {
+    const value = params[name];
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error(`missing param "${name}"`);
+    }
+    const text = String(value);
+    if (text === '' || text === '.' || text === '..' || /[/\\?#]/.test(text)) {
+      throw new Error(`param "${name}" must be a single path segment, got "${text}"`);
+    }
+    return text;
+  });
+}
+
+async function expandParams(route) {
+  const names = Array.from(route.pattern.matchAll(PARAM_RE), m => m[1]);
+  if (names.length === 0) return [{}];
+  if (!route.params) {
+    throw new TypeError(`buildSite(): route "${route.pattern}" has dynamic segments and needs a params list or function`);
+  }
+  const list = typeof route.params === 'function' ? await route.params() : route.params;
+  if (!Array.isArray(list)) {
+    throw new TypeError(`buildSite(): params for route "${route.pattern}" must be an array of objects`);
+  }
+  return list;
+}
+
+/**
+ * A deterministic serialization of params or data for a page's key: object
+ * keys are sorted, and Map, Set, Date, bigint and undefined are written out,
+ * where JSON.stringify() would drop them or turn them into `{}`. Null for a
+ * value it cannot see into (a function, a symbol, a class instance, a cycle),
+ * so that page is always rebuilt.
+ */
+function stableJson(value, ancestors = new Set()) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'number') return String(value);
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return JSON.stringify(value);
+  if (typeof value !== 'object' || ancestors.has(value)) return null;
+
+  ancestors.add(value);
+  const all = (items) => {
+    const parts = items.map(item => stableJson(item, ancestors));
+    return parts.includes(null) ? null : parts;
+  };
+  const proto = Object.getPrototypeOf(value);
+  let out = null;
+  if (Array.isArray(value)) {
+    const items = all(Array.from(value));
+    if (items) out = `[${items.join(',')}]`;
+  } else if (value instanceof Map) {
+    const entries = all(Array.from(value));
+    if (entries) out = `Map(${entries.sort().join(',')})`;
+  } else if (value instanceof Set) {
+    const items = all(Array.from(value));
+    if (items) out = `Set(${items.sort().join(',')})`;
+  } else if (value instanceof Date) {
+    out = `Date(${value.getTime()})`;
+  } else if (proto === Object.prototype || proto === null) {
+    const keys = Object.keys(value).sort();
+    const values = all(keys.map(k => value[k]));
+    if (values) out = `{${keys.map((k, i) => `${JSON.stringify(k)}:${values[i]}`).join(',')}}`;
+  }
+  ancestors.delete(value);
+  return out;
+}
+
+function readManifest(fs, file) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return manifest && manifest.version === MANIFEST_VERSION && manifest.pages ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+function copyDir(fs, from, to, written, outDir) {
+  fs.mkdirSync(to, { recursive: true });
+  for (const entry of fs.readdirSync(from, { withFileTypes: true })) {
+    const source = joinPath(from, entry.name);
+    const target = joinPath(to, entry.name);
+    if (entry.isDirectory()) copyDir(fs, source, target, written, outDir);
+    else if (entry.isFile()) {
+      fs.writeFileSync(target, fs.readFileSync(source));
+      written.push(target.slice(outDir.length + 1));
+    }
+  }
+}
+
+/** Write a file under outDir, creating its directory. */
+function writeOutput(fs, outDir, file, contents) {
+  const target = joinPath(outDir, file);
+  fs.mkdirSync(dirnameOf(target), { recursive: true });
+  fs.writeFileSync(target, contents);
+}
+
+/**
+ * Build every route into outDir. Resolves to a report:
+ *   { pages: [{ route, path, file, status, errors, warnings, error? }],
+ *     written, skipped, failed, assets }
+ * where status is 'written', 'skipped' or 'failed'.
+ */
+async function buildSite(options = {}) {
+  const { routes, outDir } = options;
+  if (typeof outDir !== 'string' || outDir === '') throw new TypeError('buildSite(): outDir must be a non-empty string');
+  if (!routes || typeof routes !== 'object') throw new TypeError('buildSite(): routes must be an object mapping paths to routes');
+  const fs = requireRuntimeAdapter('fs', 'buildSite()');
+  const root = outDir.replace(/\/+$/, '') || '/';
+  const incremental = options.incremental !== false;
+  const assetsPath = options.assetsPath == null ? '/assets/' : options.assetsPath;
+  const siteAssets = options.extractCss ? new AssetCollector({ publicPath: assetsPath }) : null;
+
+  const normalized = Object.keys(routes).map(pattern => normalizeRoute(pattern, routes[pattern]));
+  const readInput = (file) => fs.readFileSync(file, 'utf-8');
+  const sharedInputs = (options.inputs || []).map(file => [file, readInput(file)]);
+  // Options that change every page's output.
+  const buildSettings = [CONFIG.mode, CONFIG.clientRuntime, CONFIG.runtimePath, siteAssets ? assetsPath : null];
+
+  const manifestPath = joinPath(root, MANIFEST_FILE);
+  const previous = incremental ? readManifest(fs, manifestPath) : null;
+  const manifest = { version: MANIFEST_VERSION, stylesheet: null, pages: {} };
+  const report = { pages: [], written: 0, skipped: 0, failed: 0, assets: [] };
+  const pending = []; // Rendered pages, written once the shared stylesheet is final.
+  const seenFiles = new Map();
+
+  fs.mkdirSync(root, { recursive: true });
+
+  for (const route of normalized) {
+    let paramsList;
+    try {
+      paramsList = await expandParams(route);
+    } catch (error) {
+      report.pages.push({ route: route.pattern, path: null, file: null, status: 'failed', errors: [], warnings: [], error });
+      report.failed++;
+      continue;
+    }
+
+    for (const params of paramsList) {
+      const result = { route: route.pattern, path: null, file: null, status: 'failed', errors: [], warnings: [] };
+      report.pages.push(result);
+      try {
+        result.path = fillPattern(route.pattern, params || {});
+        result.file = outputFileFor(result.path);
+        if (seenFiles.has(result.file)) {
+          throw new Error(`writes ${result.file}, which route "${seenFiles.get(result.file)}" already wrote`);
+        }
+        seenFiles.set(result.file, route.pattern);
+
+        const data = typeof route.data === 'function' ? await route.data(params) : route.data;
+        const template = route.template ? readInput(route.template) : null;
+        const paramsJson = stableJson(params);
+        const dataJson = stableJson(data);
+        const key = paramsJson === null || dataJson === null ? null : hash(JSON.stringify([
+          route.pattern, paramsJson, dataJson, template ?? route.build.toString(), buildSettings,
+          sharedInputs, (route.inputs || []).map(file => [file, readInput(file)])
+        ]));
+
+        const before = previous && previous.pages[result.file];
+        if (key !== null && before && before.key === key && fs.existsSync(joinPath(root, result.file))) {
+          result.status = 'skipped';
+          result.errors = before.errors || [];
+          result.warnings = before.warnings || [];
+          manifest.pages[result.file] = before;
+          if (siteAssets && before.cssRules) {
+            siteAssets.addCss(before.cssRules);
+            // Later pages check their head selectors against this one's.
+            if (before.headRules) siteAssets.addHeadCss(before.headRules);
+          }
+          report.skipped++;
+          continue;
+        }
+
+        const doc = template !== null
+          ? compileTemplate(template, { ...params, ...(data && typeof data === 'object' ? data : {}) })
+          : await route.build(params, data);
+        if (!(doc instanceof Document)) throw new TypeError(`the builder for route "${route.pattern}" must return a Document`);
+
+        // Async components append their content when they settle, so the page
+        // is validated after that; renderAsync() then has nothing left to wait for.
+        await doc._settlePending(doc.body);
+        const validation = doc.validate();
+        result.errors = validation.errors;
+        result.warnings = validation.warnings;
+
+        const pageAssets = siteAssets ? siteAssets.fork() : null;
+        const headRules = doc.head.styleRules();
+        const html = await doc.renderAsync(pageAssets ? { extractCss: pageAssets } : {});
+        if (pageAssets) siteAssets.addCss(pageAssets.cssRules);
+        pending.push({ result, html, pageHref: pageAssets && pageAssets.cssHref });
+
+        const entry = { key, errors: result.errors, warnings: result.warnings };
+        if (pageAssets) {
+          entry.cssRules = pageAssets.cssRules;
+          entry.headRules = headRules;
+        }
+        if (key !== null) manifest.pages[result.file] = entry;
+      } catch (error) {
+        result.error = error;
+        report.failed++;
+      }
+    }
+  }
+
+  const stylesheet = siteAssets ? siteAssets.cssHref : null;
+  const retarget = (html, from) => (from && stylesheet && from !== stylesheet ? html.split(from).join(stylesheet) : html);
+
+  for (const { result, html, pageHref } of pending) {
+    writeOutput(fs, root, result.file, retarget(html, pageHref));
+    result.status = 'written';
+    report.written++;
+  }
+
+  // Skipped pages link to the stylesheet of the build that wrote them.
+  if (previous && previous.stylesheet && previous.stylesheet !== stylesheet) {
+    for (const page of report.pages) {
+      if (page.status !== 'skipped' || !manifest.pages[page.file].cssRules) continue;
+      const target = joinPath(root, page.file);
+      fs.writeFileSync(target, retarget(fs.readFileSync(target, 'utf-8'), previous.stylesheet));
+    }
+  }
+  manifest.stylesheet = stylesheet;
+
+  const assetFiles = siteAssets ? siteAssets.files() : [];
+  for (const file of assetFiles) {
+    const relative = joinPath(assetsPath.replace(/^\/+/, ''), file.fileName);
+    writeOutput(fs, root, relative, file.contents);
+    report.assets.push(relative);
+  }
+
+  // A runtimePath on another origin is the caller's to publish.
+  if (CONFIG.clientRuntime === 'external' && CONFIG.runtimePath.startsWith('/') && !CONFIG.runtimePath.startsWith('//')) {
+    const runtime = getClientRuntime();
+    const relative = joinPath(CONFIG.runtimePath.replace(/^\/+/, ''), runtime.fileName);
+    writeOutput(fs, root, relative, runtime.contents);
+    report.assets.push(relative);
+  }
+
+  for (const dir of options.copy || []) copyDir(fs, dir.replace(/\/+$/, ''), root, report.assets, root);
+
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  return report;
+}
+
+module.exports = { buildSite, outputFileFor };
@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Where client callbacks came from, and source maps that lead back there.
+ *
+ * on(), bindState(), the bind*() helpers and the lifecycle hooks record the
+ * file, line and column that called them (their origin) in dev mode or with
+ * configure({ sourceMaps: true }). compileClient() puts the origin into the
+ * reportClientError() context of each callback, and when a render asks for a
+ * source map it wraps every embedded callback in marks. extractOrigins() takes
+ * the marks out again and returns where each callback landed in the script;
+ * sourceMap() turns that into a version 3 source map. The origin is only the
+ * call that registered a callback; the function itself may be defined lines
+ * away, or in another module. So sourceMap() looks for the callback's
+ * toString() text in the registering file, taking the match nearest the call,
+ * and maps each token to the same token there. A callback that cannot be found
+ * (another file, a rewritten source, no fs) is mapped as a whole to the call.
+ * Files are read once and kept until their mtime or size changes.
+ */
+
+const { CONFIG } = require('./config');
+const { getRuntimeAdapter } = require('./runtime');
+
+// Frames from the library itself are skipped; the first one left is the caller.
+const LIB_DIR = typeof __dirname === 'string' ? __dirname : null;
+// `    at fn (file:line:column)` or `    at file:line:column`.
+const FRAME_RE = /^\s*at (?:.*\((.+):(\d+):(\d+)\)|(.+):(\d+):(\d+))$/;
+
+// NUL cannot survive in an inline script (the HTML parser replaces it), so no
+// embedded callback contains one.
+const MARK_RE = /\u0000(\d+)\u0001|\u0000\u0002/g;
+
+function captureOrigin() {
+  if (CONFIG.mode !== 'dev' && !CONFIG.sourceMaps) return null;
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  const stack = new Error().stack;
+  Error.stackTraceLimit = limit;
+  if (typeof stack !== 'string') return null;
+  for (const frame of stack.split('\n').slice(1)) {
+    const match = FRAME_RE.exec(frame);
+    if (!match) continue;
+    const [file, line, column] = match[1] !== undefined ? match.slice(1, 4) : match.slice(4, 7);
+    if (file.startsWith('node:') || (LIB_DIR && file.replace(/^file:\/\//, '').startsWith(LIB_DIR))) continue;
+    return { file, line: Number(line), column: Number(column) };
+  }
+  return null;
+}
+
+/** `file:line:column`, with the file relative to the working directory. */
+function formatOrigin(origin) {
+  return `${displayPath(origin.file)}:${origin.line}:${origin.column}`;
+}
+
+function displayPath(file) {
+  const cwd = typeof process !== 'undefined' && typeof process.cwd === 'function' ? process.cwd() : null;
+  const local = file.replace(/^file:\/\//, '');
+  return cwd && local.startsWith(`${cwd}/`) ? local.slice(cwd.length + 1) : file;
+}
+
+/** Wrap `source` in marks for extractOrigins(); `marks` collects the origins. */
+function markOrigin(source, origin, marks) {
+  if (!marks || !origin) return source;
+  return `\u0000${marks.push(origin) - 1}\u0001${source}\u0000\u0002`;
+}
+
+/** `js` without marks, for hashing. */
+function stripMarks(js) {
+  return js.replace(MARK_RE, '');
+}
+
+/** The script without its marks, and where each marked callback now sits. */
+function extractOrigins(js, marks) {
+  const ranges = [];
+  const open = [];
+  let code = '';
+  let last = 0;
+  MARK_RE.lastIndex = 0;
+  let match;
+  while ((match = MARK_RE.exec(js)) !== null) {
+    code += js.slice(last, match.index);
+    last = MARK_RE.lastIndex;
+    if (match[1] !== undefined) {
+      open.push({ start: code.length, origin: marks[Number(match[1])] });
+    } else {
+      const range = open.pop();
+      if (range) ranges.push({ ...range, end: code.length });
+    }
+  }
+  code += js.slice(last);
+  return { code, ranges: ranges.sort((a, b) => a.start - b.start) };
+}
+
+// path -> { fs, mtimeMs, size, source, lineStarts } for files read so far.
+// Kept across renders, so a server asking for a map on every request reads
+// each registering file once; a changed mtime or size reads it again.
+const sourceCache = new Map();
+
+/** Offsets at which each line of `text` starts. */
+function lineStartsOf(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+/** The 0-based { line, column } of `offset`, by binary search over lineStarts. */
+function positionOf(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return { line: low, column: offset - lineStarts[low] };
+}
+
+/**
+ * A registering file as { source, lineStarts }, or null when it cannot be
+ * read. Without statSync there is no telling whether a cached copy is current,
+ * so the file is read every time.
+ */
+function readSource(file) {
+  const fs = getRuntimeAdapter('fs');
+  if (!fs) return null;
+  const local = file.startsWith('file://') ? decodeURIComponent(file.slice(7)) : file;
+  try {
+    const stat = typeof fs.statSync === 'function' ? fs.statSync(local) : null;
+    const cached = sourceCache.get(local);
+    if (stat && cached && cached.fs === fs && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+    const source = String(fs.readFileSync(local, 'utf8'));
+    const entry = { fs, mtimeMs: stat && stat.mtimeMs, size: stat && stat.size, source, lineStarts: lineStartsOf(source) };
+    if (stat) sourceCache.set(local, entry);
+    return entry;
+  } catch {
+    sourceCache.delete(local);
+    return null;
+  }
+}
+
+/**
+ * Where `text` starts in `file` (from readSource()) as a 0-based
+ * { line, column }: the match nearest the registering call, or null when the
+ * text is not there.
+ */
+function locateCallback(file, text, origin) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (let index = file.source.indexOf(text); index !== -1; index = file.source.indexOf(text, index + 1)) {
+    const { line, column } = positionOf(file.lineStarts, index);
+    const distance = Math.abs(line - (origin.line - 1)) * 1e6 + Math.abs(column - (origin.column - 1));
+    if (distance < bestDistance) {
+      best = { line, column };
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function vlq(value) {
+  let n = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = '';
+  do {
+    let digit = n & 31;
+    n >>>= 5;
+    if (n > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (n > 0);
+  return out;
+}
+
+/**
+ * A version 3 source map for `code` from extractOrigins() `ranges`. Code
+ * outside every range (the library's own wiring) is left unmapped.
+ */
+function sourceMap(code, ranges, file) {
+  const files = new Map();
+  const sources = [];
+  const sourceIndex = new Map();
+  const lineStarts = lineStartsOf(code);
+  // Segments per generated line: [column, source, line, column] or [column].
+  const lines = lineStarts.map(() => []);
+  const position = (offset) => positionOf(lineStarts, offset);
+
+  for (const { start, end, origin } of ranges) {
+    const name = displayPath(origin.file);
+    if (!sourceIndex.has(name)) {
+      sourceIndex.set(name, sources.length);
+      sources.push(name);
+    }
+    const src = sourceIndex.get(name);
+    const text = code.slice(start, end);
+    if (!files.has(origin.file)) files.set(origin.file, readSource(origin.file));
+    const source = files.get(origin.file);
+    const found = source === null ? null : locateCallback(source, text, origin);
+    if (found) {
+      // toString() text is the source verbatim, so each token sits at the same
+      // offset from the function's start as it did in the file.
+      let offset = start;
+      text.split('\n').forEach((lineText, k) => {
+        const at = position(offset);
+        const tokenRe = /\S+/g;
+        let token;
+        while ((token = tokenRe.exec(lineText)) !== null) {
+          const column = k === 0 ? found.column + token.index : token.index;
+          lines[at.line].push([at.column + token.index, src, found.line + k, column]);
+        }
+        offset += lineText.length + 1;
+      });
+    } else {
+      const at = position(start);
+      lines[at.line].push([at.column, src, origin.line - 1, origin.column - 1]);
+    }
+    const after = position(end);
+    lines[after.line].push([after.column]);
+  }
+
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+  const mappings = lines.map((segments) => {
+    let previousGenerated = 0;
+    return segments.sort((a, b) => a[0] - b[0]).map((segment) => {
+      let out = vlq(segment[0] - previousGenerated);
+      previousGenerated = segment[0];
+      if (segment.length > 1) {
+        out += vlq(segment[1] - previousSource) + vlq(segment[2] - previousLine) + vlq(segment[3] - previousColumn);
+        previousSource = segment[1];
+        previousLine = segment[2];
+        previousColumn = segment[3];
+      }
+      return out;
+    }).join(',');
+  }).join(';');
+
+  return { version: 3, file, sources, names: [], mappings };
+}
+
+module.exports = { captureOrigin, formatOrigin, markOrigin, stripMarks, extractOrigins, sourceMap };
@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * A JavaScript syntax check for serialized callbacks that needs no `vm`.
+ *
+ * sanitizeFunctionSourceString() compiles each callback with vm.Script before it
+ * is embedded in the client script as `(${source})`. Worker-style runtimes have no
+ * `vm`, and many forbid eval as well, so this is the fallback. It is a scanner,
+ * not a parser: it tokenizes strings, template literals, comments and regular
+ * expressions the way the engine does, requires every bracket to be matched, and
+ * requires the source to open like a function expression. That rejects what
+ * would break the surrounding script — an unterminated literal, a stray bracket,
+ * a method shorthand or a bare statement — though not every grammar error
+ * vm.Script would catch.
+ */
+
+// `function`, `async function`, `(a) =>`, `async (a) =>`, `a =>` and `async a =>`.
+// Method shorthand (`foo() {}`) is rejected, as vm.Script rejects it in parens.
+const FUNCTION_HEAD_RE = /^\s*(?:async\b\s*)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>)/;
+// What toString() gives for bound and built-in functions; it has no source to embed.
+const NATIVE_CODE_RE = /\{\s*\[native code\]\s*\}\s*$/;
+
+const LINE_TERMINATOR_RE = /[\n\r\u2028\u2029]/;
+const WHITESPACE_RE = /\s/;
+const IDENT_START_RE = /[A-Za-z_$\\\u0080-\uffff]/;
+const IDENT_PART_RE = /[\w$\\\u0080-\uffff]/;
+const DIGIT_RE = /[0-9]/;
+const NUMBER_PART_RE = /[\w.]/;
+
+// After these keywords a `/` starts a regular expression, not a division.
+const REGEX_AFTER_KEYWORD = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await'
+]);
+// A `/` right after the condition of these is the start of the statement body.
+const STATEMENT_HEAD_KEYWORDS = new Set(['if', 'while', 'for', 'with']);
+const OPENER_FOR = { ')': '(', ']': '[', '}': '{' };
+
+function isValidFunctionSyntax(source) {
+  if (typeof source !== 'string' || !FUNCTION_HEAD_RE.test(source) || NATIVE_CODE_RE.test(source)) return false;
+
+  const n = source.length;
+  const stack = [];
+  let i = 0;
+  // Whether a `/` at this point would begin a regular expression.
+  let regexAllowed = true;
+  // The last identifier, for `if (...)` and friends; '' after anything else.
+  let lastWord = '';
+  let afterDot = false;
+  // `-->` is a comment only when nothing but whitespace and comments precede it
+  // on its line. The source follows `(` on the first line, so that line is not.
+  let lineStart = false;
+
+  // Scans template text from `i` up to the closing backtick or the next `${`.
+  const scanTemplate = () => {
+    while (i < n) {
+      const c = source[i];
+      if (c === '\\') { i += 2; continue; }
+      if (c === '`') { i++; return 'end'; }
+      if (c === '$' && source[i + 1] === '{') {
+        i += 2;
+        stack.push({ open: '${' });
+        return 'substitution';
+      }
+      i++;
+    }
+    return null;
+  };
+
+  while (i < n) {
+    const c = source[i];
+    const next = source[i + 1];
+
+    if (LINE_TERMINATOR_RE.test(c)) { lineStart = true; i++; continue; }
+    if (WHITESPACE_RE.test(c)) { i++; continue; }
+
+    // Single-line comments, including the HTML-like forms a classic <script>
+    // still honours, so a bracket hidden in one is hidden here as well.
+    if ((c === '/' && next === '/') || source.startsWith('<!--', i) || (lineStart && source.startsWith('-->', i))) {
+      while (i < n && !LINE_TERMINATOR_RE.test(source[i])) i++;
+      continue;
+    }
+    if (c === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) return false;
+      if (LINE_TERMINATOR_RE.test(source.slice(i + 2, end))) lineStart = true;
+      i = end + 2;
+      continue;
+    }
+    lineStart = false;
+
+    if (c === '"' || c === "'") {
+      i++;
+      for (;;) {
+        if (i >= n) return false;
+        const d = source[i];
+        if (d === c) { i++; break; }
+        if (d === '\\') { i += source[i + 1] === '\r' && source[i + 2] === '\n' ? 3 : 2; continue; }
+        // U+2028/U+2029 have been legal in string literals since ES2019.
+        if (d === '\n' || d === '\r') return false;
+        i++;
+      }
+      regexAllowed = false; lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (c === '`') {
+      i++;
+      const state = scanTemplate();
+      if (!state) return false;
+      regexAllowed = state === 'substitution'; lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (c === '/') {
+      i++;
+      if (regexAllowed) {
+        let inClass = false;
+        for (;;) {
+          if (i >= n) return false;
+          const d = source[i];
+          if (LINE_TERMINATOR_RE.test(d)) return false;
+          if (d === '\\') {
+            if (i + 1 >= n || LINE_TERMINATOR_RE.test(source[i + 1])) return false;
+            i += 2;
+            continue;
+          }
+          i++;
+          if (d === '[') inClass = true;
+          else if (d === ']') inClass = false;
+          else if (d === '/' && !inClass) break;
+        }
+        while (i < n && IDENT_PART_RE.test(source[i])) i++;
+        regexAllowed = false;
+      } else {
+        if (source[i] === '=') i++;
+        regexAllowed = true;
+      }
+      lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (c === '(' || c === '[' || c === '{') {
+      stack.push({ open: c, statementHead: c === '(' && STATEMENT_HEAD_KEYWORDS.has(lastWord) });
+      i++;
+      regexAllowed = true; lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (c === ')' || c === ']' || c === '}') {
+      const opened = stack.pop();
+      if (!opened) return false;
+      i++;
+      if (c === '}' && opened.open === '${') {
+        const state = scanTemplate();
+        if (!state) return false;
+        regexAllowed = state === 'substitution';
+      } else {
+        if (opened.open !== OPENER_FOR[c]) return false;
+        // A `}` usually closes a block, after which a new statement may begin
+        // with a regular expression; a `)` only does after an if/while/for head.
+        regexAllowed = c === '}' || (c === ')' && opened.statementHead);
+      }
+      lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (DIGIT_RE.test(c) || (c === '.' && DIGIT_RE.test(next || ''))) {
+      i++;
+      while (i < n && NUMBER_PART_RE.test(source[i])) i++;
+      regexAllowed = false; lastWord = ''; afterDot = false;
+      continue;
+    }
+
+    if (IDENT_START_RE.test(c)) {
+      const start = i;
+      i++;
+      while (i < n && IDENT_PART_RE.test(source[i])) i++;
+      const word = source.slice(start, i);
+      // After `.` a keyword is a property name (`x.return / 2`).
+      regexAllowed = !afterDot && REGEX_AFTER_KEYWORD.has(word);
+      if (afterDot) lastWord = '';
+      else if (!(word === 'await' && lastWord === 'for')) lastWord = word;
+      afterDot = false;
+      continue;
+    }
+
+    // Punctuators. `++`/`--` leave the expectation unchanged: postfix follows an
+    // operand, prefix precedes one.
+    if ((c === '+' || c === '-') && next === c) {
+      i += 2;
+    } else {
+      i++;
+      regexAllowed = true;
+    }
+    afterDot = c === '.';
+    lastWord = '';
+  }
+
+  return stack.length === 0;
+}
+
+module.exports = { isValidFunctionSyntax };
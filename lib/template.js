@@ -149,6 +149,7 @@
  */
 
 const { CONFIG } = require('./config');
+const { requireRuntimeAdapter } = require('./runtime');
 
 /**
  * Report a malformed template line. The parser recovers rather than throwing —
@@ -968,7 +969,7 @@ function compileTemplate(source, variables = {}) {
  *   const html = renderFile('./views/home.bhtml', { user: 'Alice' });
  */
 function renderFile(filePath, variables = {}) {
-  const fs = require('fs');
+  const fs = requireRuntimeAdapter('fs', 'renderFile()');
   const source = fs.readFileSync(filePath, 'utf-8');
   return renderTemplate(source, variables);
 }
@@ -978,7 +979,7 @@ function renderFile(filePath, variables = {}) {
  *   const doc = compileFile('./views/home.bhtml', { user: 'Alice' });
  */
 function compileFile(filePath, variables = {}) {
-  const fs = require('fs');
+  const fs = requireRuntimeAdapter('fs', 'compileFile()');
   const source = fs.readFileSync(filePath, 'utf-8');
   return compileTemplate(source, variables);
 }
@@ -993,7 +994,7 @@ function compileFile(filePath, variables = {}) {
  */
 function templateEngine(filePath, options, callback) {
   try {
-    const fs = require('fs');
+    const fs = requireRuntimeAdapter('fs', 'templateEngine');
     const source = fs.readFileSync(filePath, 'utf-8');
     const html = renderTemplate(source, options);
     callback(null, html);
@@ -0,0 +1,224 @@
+'use strict';
+
+/**
+ * Plain-text rendering of an Element tree, behind doc.renderText() and the
+ * text alternative of renderEmail().
+ *
+ *   Order shipped
+ *   =============
+ *
+ *   Your order is on its way. Track it here [1].
+ *
+ *   * Widget
+ *   * Gadget
+ *
+ *   Item    Qty  Price
+ *   ------  ---  -----
+ *   Widget  2    $10
+ *
+ *   [1] https://example.com/track/1
+ *
+ * Paragraphs are wrapped at `width` columns (72 by default; 0 turns wrapping
+ * off). h1 is underlined with "=", other headings with "-". List items are
+ * bulleted or numbered and indented, tables become aligned columns, and
+ * blockquotes are quoted with "> ". <pre> keeps its text exactly. Links are
+ * numbered and listed as footnotes, except where the text already is the
+ * URL. Scripts, styles, templates, embedded media and `hidden` elements are
+ * left out.
+ */
+
+const { Element } = require('./element');
+const { unescapeHtml, VOID_ELEMENTS } = require('./utils');
+
+const DEFAULT_WIDTH = 72;
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'details', 'dialog', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+const SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'svg', 'canvas', 'iframe', 'object', 'video', 'audio']);
+
+/** Text of a child string: stored text is HTML-escaped, raw() content is markup. */
+function stringText(value) {
+  return unescapeHtml(String(value)
+    .replace(/<(script|style|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, ''));
+}
+
+function isSkipped(node) {
+  return SKIPPED_TAGS.has(node.tag) || node.attrs.hidden != null || node.attrs['aria-hidden'] === 'true';
+}
+
+/** Greedy word wrap. A word longer than the width gets a line to itself. */
+function wrap(line, width) {
+  if (!width || line.length <= width) return line;
+  const lines = [];
+  let current = '';
+  for (const word of line.split(' ')) {
+    if (current && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines.join('\n');
+}
+
+/** Collapse whitespace; "\n" from <br> survives as a line break. */
+function normalize(text) {
+  return text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+/** The width left after an indent; 0 stays 0 (no wrapping). */
+function narrow(columns, by) {
+  return columns ? Math.max(columns - by, 1) : 0;
+}
+
+function indent(text, first, rest) {
+  return text.split('\n').map((line, i) => (line ? (i === 0 ? first : rest) + line : (i === 0 ? first.trimEnd() : ''))).join('\n');
+}
+
+function createWalker() {
+  const footnotes = [];
+  const footnoteIndex = new Map();
+
+  const footnote = (href) => {
+    if (!footnoteIndex.has(href)) {
+      footnotes.push(href);
+      footnoteIndex.set(href, footnotes.length);
+    }
+    return footnoteIndex.get(href);
+  };
+
+  const inlineText = (node) => {
+    if (!(node instanceof Element)) return stringText(node);
+    if (isSkipped(node)) return '';
+    if (node.tag === 'br') return '\n';
+    if (node.tag === 'img') return node.attrs.alt != null ? String(node.attrs.alt) : '';
+    const text = VOID_ELEMENTS.has(node.tag) ? '' : node.children.map(inlineText).join('');
+    // A block inside inline content still separates its words.
+    const content = BLOCK_TAGS.has(node.tag) ? ` ${text} ` : text;
+    if (node.tag !== 'a' || node.attrs.href == null) return content;
+    const href = String(node.attrs.href);
+    const label = normalize(content);
+    if (!href || href.startsWith('#') || /^\s*javascript:/i.test(href) || label === href || label === href.replace(/^mailto:/i, '')) {
+      return content;
+    }
+    return `${content} [${footnote(href)}]`;
+  };
+
+  const table = (node, columns) => {
+    const rows = [];
+    let headerRows = 0;
+    const collect = (el, inHead) => {
+      for (const child of el.children) {
+        if (!(child instanceof Element) || isSkipped(child)) continue;
+        if (child.tag === 'tr') {
+          const cells = child.children.filter(c => c instanceof Element && (c.tag === 'td' || c.tag === 'th'));
+          rows.push(cells.map(cell => normalize(inlineText(cell)).replace(/\n/g, ' ')));
+          if (inHead || (cells.length > 0 && cells.every(c => c.tag === 'th') && rows.length === headerRows + 1)) headerRows = rows.length;
+        } else if (child.tag === 'thead' || child.tag === 'tbody' || child.tag === 'tfoot') {
+          collect(child, child.tag === 'thead');
+        }
+      }
+    };
+    collect(node, false);
+    if (rows.length === 0) return [];
+    const count = Math.max(...rows.map(r => r.length));
+    const widths = [];
+    for (let c = 0; c < count; c++) widths.push(Math.max(...rows.map(r => (r[c] || '').length)));
+    const line = (cells) => widths.map((w, c) => (cells[c] || '').padEnd(w)).join('  ').trimEnd();
+    const lines = rows.map(line);
+    if (headerRows > 0 && headerRows < rows.length) lines.splice(headerRows, 0, widths.map(w => '-'.repeat(w)).join('  '));
+    const caption = node.children.find(c => c instanceof Element && c.tag === 'caption');
+    if (caption) lines.unshift(wrap(normalize(inlineText(caption)), columns));
+    return [lines.join('\n')];
+  };
+
+  const list = (node, columns) => {
+    const ordered = node.tag === 'ol';
+    let number = ordered && Number.isInteger(Number(node.attrs.start)) ? Number(node.attrs.start) : 1;
+    const items = [];
+    for (const child of node.children) {
+      if (!(child instanceof Element)) {
+        const text = normalize(stringText(child));
+        if (text) items.push(text);
+        continue;
+      }
+      if (isSkipped(child)) continue;
+      const marker = child.tag === 'li' ? (ordered ? `${number++}. ` : '* ') : '';
+      const body = blocks(child.tag === 'li' ? child.children : [child], narrow(columns, marker.length)).join('\n');
+      items.push(indent(body, marker, ' '.repeat(marker.length)));
+    }
+    return items.length > 0 ? [items.join('\n')] : [];
+  };
+
+  const block = (node, columns) => {
+    const tag = node.tag;
+    if (/^h[1-6]$/.test(tag)) {
+      const text = wrap(normalize(inlineText(node)), columns);
+      if (!text) return [];
+      const underline = (tag === 'h1' ? '=' : '-').repeat(Math.max(...text.split('\n').map(l => l.length)));
+      return [`${text}\n${underline}`];
+    }
+    if (tag === 'hr') return ['-'.repeat(Math.min(columns || DEFAULT_WIDTH, DEFAULT_WIDTH))];
+    if (tag === 'pre') {
+      const text = node.children.map(child => (child instanceof Element ? inlineText(child) : stringText(child))).join('');
+      return text.trim() ? [text.replace(/^\n|\n$/g, '')] : [];
+    }
+    if (tag === 'ul' || tag === 'ol') return list(node, columns);
+    if (tag === 'table') return table(node, columns);
+    if (tag === 'blockquote') {
+      const inner = blocks(node.children, narrow(columns, 2)).join('\n\n');
+      return inner ? [inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+    }
+    if (tag === 'dd') {
+      const inner = blocks(node.children, narrow(columns, 2)).join('\n');
+      return inner ? [indent(inner, '  ', '  ')] : [];
+    }
+    return blocks(node.children, columns);
+  };
+
+  // Each block is a finished multi-line string; callers join them.
+  const blocks = (nodes, columns) => {
+    const out = [];
+    let inline = '';
+    const flush = () => {
+      const text = normalize(inline);
+      if (text) out.push(text.split('\n').map(line => wrap(line, columns)).join('\n'));
+      inline = '';
+    };
+    for (const node of nodes) {
+      if (node instanceof Element && BLOCK_TAGS.has(node.tag) && !isSkipped(node)) {
+        flush();
+        // dt and dd stay together, as one definition.
+        if (node.tag === 'dl') out.push(blocks(node.children, columns).join('\n'));
+        else out.push(...block(node, columns).filter(Boolean));
+      } else {
+        inline += inlineText(node);
+      }
+    }
+    flush();
+    return out;
+  };
+
+  return { blocks, footnotes };
+}
+
+/** Plain text for `nodes`; see the module comment. */
+function renderText(nodes, options = {}) {
+  const width = options.width == null ? DEFAULT_WIDTH : options.width;
+  if (typeof width !== 'number' || !(width >= 0)) {
+    throw new TypeError('renderText(): width must be a number >= 0');
+  }
+  const { blocks, footnotes } = createWalker();
+  const parts = blocks(nodes, width === Infinity ? 0 : Math.floor(width));
+  if (footnotes.length > 0) parts.push(footnotes.map((href, i) => `[${i + 1}] ${href}`).join('\n'));
+  return parts.join('\n\n');
+}
+
+module.exports = { renderText };
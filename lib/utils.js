@@ -3,7 +3,27 @@
 /* ---- ID Generation ---- */
 let ridCounter = 0;
 const ridPrefix = Date.now().toString(36) + Math.random().toString(36).substring(2, 7);
-const createRidGenerator = () => () => `id-${ridPrefix}${(++ridCounter).toString(36)}`;
+/**
+ * Without a seed, ids are unique across the process. A seeded generator (the
+ * deterministic mode) counts on its own from `start` instead, so a document's
+ * ids depend only on the order it creates elements in. fork() continues the
+ * count, for a copy that keeps the original's ids, and owns() tells its ids
+ * apart from ones the caller chose.
+ */
+const createRidGenerator = (seed = null, start = 0) => {
+  if (seed === null) return () => `id-${ridPrefix}${(++ridCounter).toString(36)}`;
+  let count = start;
+  const prefix = seed ? `id-${seed}-` : 'id-';
+  const next = () => `${prefix}${(++count).toString(36)}`;
+  next.fork = () => createRidGenerator(seed, count);
+  // Whether `id` is one this generator, or the one it was forked from, made.
+  next.owns = (id) => {
+    if (typeof id !== 'string' || !id.startsWith(prefix)) return false;
+    const n = id.slice(prefix.length);
+    return /^[0-9a-z]+$/.test(n) && parseInt(n, 36) <= count;
+  };
+  return next;
+};
 
 /* ---- FNV-1a Hash ---- */
 function hash(str) {
@@ -57,14 +77,29 @@ const escapeHtml = (text) => {
   return String(text).replace(escapeRegex, m => escapeMap[m]);
 };
 
-const unescapeMap = Object.freeze({
-  '&amp;': '&', '&lt;': '<', '&gt;': '>',
-  '&quot;': '"', '&#x27;': "'"
+// Named references beyond the five escapeHtml() emits are the ones CMS and
+// word-processor markup actually contains; anything else is left as written.
+const namedEntities = Object.freeze({
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  nbsp: '\u00a0', shy: '\u00ad', copy: '\u00a9', reg: '\u00ae', trade: '\u2122',
+  hellip: '\u2026', mdash: '\u2014', ndash: '\u2013', bull: '\u2022', middot: '\u00b7',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab', raquo: '\u00bb',
+  times: '\u00d7', divide: '\u00f7', plusmn: '\u00b1', deg: '\u00b0', micro: '\u00b5',
+  sect: '\u00a7', para: '\u00b6', cent: '\u00a2', pound: '\u00a3', yen: '\u00a5', euro: '\u20ac',
+  frac12: '\u00bd', frac14: '\u00bc', frac34: '\u00be'
 });
-const unescapeRegex = /&(?:amp|lt|gt|quot|#x27);/g;
+// One pass, so "&amp;lt;" decodes to "&lt;" and never on to "<".
+const unescapeRegex = /&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([a-zA-Z][a-zA-Z0-9]{1,31}));/g;
+const decodeCodePoint = (code) => (
+  code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code)
+);
 const unescapeHtml = (text) => {
   if (text == null) return '';
-  return String(text).replace(unescapeRegex, m => unescapeMap[m]);
+  return String(text).replace(unescapeRegex, (m, dec, hex, name) => {
+    if (dec) return decodeCodePoint(parseInt(dec, 10));
+    if (hex) return decodeCodePoint(parseInt(hex, 16));
+    return Object.prototype.hasOwnProperty.call(namedEntities, name) ? namedEntities[name] : m;
+  });
 };
 
 /* ---- CSS Sanitization ---- */
@@ -236,11 +271,21 @@ function sanitizeFunctionSourceString(source, maxSize = 10000) {
       throw new Error('Function contains potentially dangerous code pattern');
     }
   }
-  try {
-    new (require('vm').Script)(`(${source}\n)`);
-  } catch {
-    throw new Error('Invalid function source');
+  // vm compiles the source exactly as the client script will embed it; runtimes
+  // without vm get the built-in scanner (see ./syntax).
+  const vm = require('./runtime').getRuntimeAdapter('vm');
+  let valid;
+  if (vm) {
+    try {
+      new vm.Script(`(${source}\n)`);
+      valid = true;
+    } catch {
+      valid = false;
+    }
+  } else {
+    valid = require('./syntax').isValidFunctionSyntax(source);
   }
+  if (!valid) throw new Error('Invalid function source');
   return source;
 }
 
@@ -465,6 +510,15 @@ function isValidAttrKey(key) {
 
 /* ---- HTML Minification ---- */
 const PRESERVED_BLOCK_RE = /<(pre|code|script|style|textarea)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const PRESERVED_OPEN_RE = /<(pre|code|script|style|textarea)\b[^>]*>/i;
+
+// Collapse to a single space rather than deleting it. Rendered markup never
+// contains whitespace between tags (parts are joined with no separator), so a
+// match here is a text node the caller put there — and dropping it would join
+// adjacent inline elements, e.g. "<span>a</span> <span>b</span>" -> "ab".
+function collapseWhitespace(text) {
+  return text.replace(/>\s+</g, '> <').replace(/\s{2,}/g, ' ');
+}
 
 /**
  * Collapse insignificant whitespace, leaving <pre>, <code>, <script>, <style>
@@ -491,13 +545,8 @@ function minHTML(html) {
   }
   if (last < html.length) segments.push({ text: html.slice(last), keep: false });
 
-  // Collapse to a single space rather than deleting it. Rendered markup never
-  // contains whitespace between tags (parts are joined with no separator), so a
-  // match here is a text node the caller put there — and dropping it would join
-  // adjacent inline elements, e.g. "<span>a</span> <span>b</span>" -> "ab".
   for (const segment of segments) {
-    if (segment.keep) continue;
-    segment.text = segment.text.replace(/>\s+</g, '> <').replace(/\s{2,}/g, ' ');
+    if (!segment.keep) segment.text = collapseWhitespace(segment.text);
   }
 
   // trim() applied to the whole result, as before — but only the outermost plain
@@ -512,9 +561,102 @@ function minHTML(html) {
   return segments.map(s => s.text).join('');
 }
 
+/**
+ * minHTML() for a document that arrives in pieces. Concatenating everything
+ * write() and end() return gives exactly minHTML() of the whole document, so a
+ * streamed page and a rendered one minify identically.
+ *
+ * Only text that can no longer change is released. A protected block is held
+ * from its opening tag until it closes, and a trailing "<..." that may still
+ * become one is held too — together with the whitespace run in front of either,
+ * since whether that run collapses depends on what comes after it. Plain text
+ * is collapsed with the last released character of its segment prepended, so a
+ * run of whitespace split across two writes is treated as the one run it is.
+ */
+function createStreamMinifier() {
+  let pending = '';
+  let prev = '';
+  let started = false;
+
+  const releasePlain = (text, segmentEnds, documentEnds) => {
+    let out = collapseWhitespace(prev + text).slice(prev.length);
+    if (!started) out = out.replace(/^\s+/, '');
+    if (documentEnds) out = out.replace(/\s+$/, '');
+    if (out) started = true;
+    // minHTML() rewrites each plain segment on its own, so no context carries
+    // over a protected block.
+    if (segmentEnds) prev = '';
+    else if (text) prev = text[text.length - 1];
+    return out;
+  };
+  const releaseBlock = (text) => {
+    started = true;
+    prev = '';
+    return text;
+  };
+
+  const drain = (final) => {
+    const out = [];
+    for (;;) {
+      const open = PRESERVED_OPEN_RE.exec(pending);
+      if (open) {
+        // Same match minHTML() makes: the first closing tag of the same name,
+        // compared case-insensitively like the back-reference in its pattern.
+        const closeRe = new RegExp(`</${open[1]}>`, 'gi');
+        closeRe.lastIndex = open.index + open[0].length;
+        const close = closeRe.exec(pending);
+        if (close) {
+          const end = close.index + close[0].length;
+          out.push(releasePlain(pending.slice(0, open.index), true, false));
+          out.push(releaseBlock(pending.slice(open.index, end)));
+          pending = pending.slice(end);
+          continue;
+        }
+      }
+
+      if (final) {
+        // An opening tag that never closed is plain text to minHTML(), which then
+        // looks for blocks further on; its own scan settles the remainder.
+        const rest = pending;
+        pending = '';
+        let last = 0;
+        let match;
+        PRESERVED_BLOCK_RE.lastIndex = 0;
+        while ((match = PRESERVED_BLOCK_RE.exec(rest)) !== null) {
+          if (match.index > last) out.push(releasePlain(rest.slice(last, match.index), true, false));
+          out.push(releaseBlock(match[0]));
+          last = match.index + match[0].length;
+        }
+        if (last < rest.length) out.push(releasePlain(rest.slice(last), true, true));
+        return out.join('');
+      }
+
+      let cut = open ? open.index : pending.length;
+      if (!open) {
+        const lt = pending.lastIndexOf('<');
+        if (lt !== -1 && pending.indexOf('>', lt) === -1) cut = lt;
+      }
+      while (cut > 0 && /\s/.test(pending[cut - 1])) cut--;
+      out.push(releasePlain(pending.slice(0, cut), false, false));
+      pending = pending.slice(cut);
+      return out.join('');
+    }
+  };
+
+  return {
+    write(chunk) {
+      pending += chunk;
+      return drain(false);
+    },
+    end() {
+      return drain(true);
+    }
+  };
+}
+
 module.exports = {
   createRidGenerator, hash, toKebab, escapeHtml, unescapeHtml,
-  sanitizeCssValue, sanitizeFunctionSource, sanitizeFunctionSourceString, findFreeVariables, minHTML,
+  sanitizeCssValue, sanitizeFunctionSource, sanitizeFunctionSourceString, findFreeVariables, minHTML, createStreamMinifier,
   isValidCssProperty, isValidCssCustomProperty, isSafeCssSelector, isValidClassName, isSafeRawCss,
   compileCssDeclarations, warnInvalidCss,
   VOID_ELEMENTS, escapeJsString, isValidAttrKey,
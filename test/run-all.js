@@ -9,6 +9,7 @@ const suites = [
   'test-stream.js',
   'test-json.js',
   'test-middleware.js',
+  'test-async-render.js',
   'test-spa.js',
   'test-template.js',
   'test-new-apis.js',
@@ -17,6 +18,15 @@ const suites = [
   'test-public-api.js',
   'test-module-entry.js',
   'test-internal-functions.js',
+  'test-runtime-agnostic.js',
+  'test-plugins.js',
+  'test-site.js',
+  'test-seo.js',
+  'test-report.js',
+  'test-a11y.js',
+  'test-islands.js',
+  'test-pretty.js',
+  'test-sourcemap.js',
   'test-fuzz.js',
   'test-security.js',
   'test-event-shortcuts.js',
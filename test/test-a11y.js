@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Document.a11yAudit(): contrast read from the resolved CSS, alt text,
+ * landmarks, tabindex, keyboard access to click handlers and aria-hidden
+ * focusable content, each finding with its WCAG criterion.
+ */
+
+const assert = require('assert');
+const { page, checkThresholds } = require('..');
+const { parseColor, contrastRatio } = require('../lib/color');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+/** A page with <main> and <nav>, so only what a test adds is reported. */
+function layout(title = 'Audit') {
+  const doc = page(title);
+  doc.child('nav').a('Home', '/');
+  return { doc, main: doc.child('main') };
+}
+
+const codes = (issues) => issues.map(issue => issue.code);
+const entryFor = (result, text) => result.contrast.find(entry => entry.path.endsWith(text));
+
+console.log('\n▸ contrast');
+
+test('colors are resolved from css(), sharedClass(), globalStyle() and cssVar()', () => {
+  const { doc, main } = layout();
+  doc.cssVar('muted', '#999');
+  doc.sharedClass('muted', { color: 'var(--muted)' });
+  doc.globalStyle('body', { color: '#222', background: '#fff' });
+  main.p('Body text').id('plain');
+  main.p('Muted').id('muted').addClass('muted');
+  main.p('Grey').id('grey').css({ color: '#777' });
+  const result = doc.a11yAudit();
+  assert.deepStrictEqual(codes(result.errors), ['E_CONTRAST', 'E_CONTRAST']);
+  const [muted, grey] = result.errors;
+  assert.deepStrictEqual([muted.path, muted.foreground, muted.background, muted.ratio, muted.required, muted.wcag],
+    ['body > main > p#muted', '#999999', '#ffffff', 2.84, 4.5, '1.4.3']);
+  assert.strictEqual(grey.ratio, 4.47, '4.478:1 is below 4.5:1; the ratio is not rounded up');
+  assert.deepStrictEqual(entryFor(result, 'p#plain'), {
+    tag: 'p', id: 'plain', path: 'body > main > p#plain', foreground: '#222222', background: '#ffffff',
+    ratio: 15.9, required: 4.5, largeText: false, passed: true,
+  });
+  assert.strictEqual(result.valid, false);
+});
+
+test('large text needs 3:1, and AAA raises both thresholds', () => {
+  const { doc, main } = layout();
+  main.h1('Heading').css({ color: '#888' });
+  main.p('Bold').id('bold').css({ color: '#888', fontSize: '14pt', fontWeight: 'bold' });
+  main.p('Small bold').id('small').css({ color: '#888', fontWeight: '700' });
+  const aa = doc.a11yAudit();
+  assert.deepStrictEqual(aa.errors.map(e => e.id), ['small']);
+  assert.deepStrictEqual([entryFor(aa, 'h1').largeText, entryFor(aa, 'p#bold').largeText], [true, true]);
+  const aaa = doc.a11yAudit({ level: 'AAA' });
+  assert.deepStrictEqual(aaa.errors.map(e => [e.tag, e.required, e.wcag]), [['h1', 4.5, '1.4.6'], ['p', 4.5, '1.4.6'], ['p', 7, '1.4.6']]);
+  assert.throws(() => doc.a11yAudit({ level: 'A' }), (error) => error instanceof TypeError && /\[Document\] a11yAudit\(\): level must be 'AA' or 'AAA'/.test(error.message));
+});
+
+test('backgrounds are inherited and translucent colors are blended', () => {
+  const { doc, main } = layout();
+  const card = main.div().css({ background: '#1a1a1a', padding: '1rem' });
+  card.p('On dark').id('dark').css({ color: 'rgba(255, 255, 255, 0.3)' });
+  card.child('section').css({ backgroundColor: 'rgb(0 0 0 / 50%)' }).p('Nested').id('nested').css({ color: '#595959' });
+  const result = doc.a11yAudit();
+  assert.deepStrictEqual([entryFor(result, 'p#dark').foreground, entryFor(result, 'p#dark').background], ['#5f5f5f', '#1a1a1a']);
+  assert.strictEqual(entryFor(result, 'p#nested').background, '#0d0d0d');
+  assert.deepStrictEqual(result.errors.map(e => e.id), ['dark', 'nested']);
+});
+
+test('links and buttons use the browser colors unless styled', () => {
+  const { doc, main } = layout();
+  doc.globalStyle('body', { color: '#eee', background: '#fff' });
+  main.a('Docs', '/docs').id('docs');
+  main.button('Plain').id('plain');
+  main.button('Styled').id('styled').css({ background: '#fff' });
+  const result = doc.a11yAudit();
+  assert.strictEqual(entryFor(result, 'a#docs').foreground, '#0000ee', 'not the body color');
+  assert.strictEqual(entryFor(result, 'button#plain').passed, null);
+  assert(/browser draws its own background/.test(entryFor(result, 'button#plain').reason));
+  assert.deepStrictEqual([entryFor(result, 'button#styled').foreground, entryFor(result, 'button#styled').passed], ['#000000', true]);
+});
+
+test('unknown colors are listed, not guessed; hidden, disabled and unstyled text is skipped', () => {
+  const { doc, main } = layout();
+  main.div('Hero').id('hero').css({ background: 'url(/hero.jpg) center / cover', color: '#fff' });
+  main.p('Theme').id('theme').css({ color: 'var(--unset)' });
+  main.p('Modern').id('modern').css({ color: 'oklch(0.7 0.1 200)' });
+  main.p('Gone').css({ color: '#eee', display: 'none' });
+  main.p('Off').attr('hidden', true).css({ color: '#eee' });
+  main.button('Disabled').attr('disabled', true).css({ color: '#ccc', background: '#fff' });
+  main.p('Default colors').id('default');
+  const result = doc.a11yAudit();
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.contrast.map(entry => [entry.id, entry.passed]), [['hero', null], ['theme', null], ['modern', null]]);
+  assert(/background "url\(\/hero\.jpg\) center \/ cover"/.test(entryFor(result, 'div#hero').reason));
+  assert(/custom property that is not set/.test(entryFor(result, 'p#theme').reason));
+  assert(/is not a color that can be resolved statically/.test(entryFor(result, 'p#modern').reason));
+});
+
+test('parseColor() reads hex, rgb(), hsl() and named colors', () => {
+  assert.deepStrictEqual(parseColor('#0f08'), { r: 0, g: 255, b: 0, a: 0x88 / 255 });
+  assert.deepStrictEqual(parseColor('rgb(10%, 0, 255)'), { r: 25.5, g: 0, b: 255, a: 1 });
+  assert.deepStrictEqual(parseColor('hsl(240deg 100% 50% / 0.5)'), { r: 0, g: 0, b: 255, a: 0.5 });
+  assert.deepStrictEqual(parseColor('RebeccaPurple'), { r: 0x66, g: 0x33, b: 0x99, a: 1 });
+  assert.strictEqual(parseColor('rgb(1 2 3, 4)'), null);
+  assert.strictEqual(parseColor('canvastext'), null);
+  assert.strictEqual(Math.round(contrastRatio(parseColor('black'), parseColor('white'))), 21);
+});
+
+console.log('\n▸ structure and interaction');
+
+test('images need alt text unless they are hidden from assistive technology', () => {
+  const { doc, main } = layout();
+  main.child('img').attr('src', '/a.png');
+  main.child('input').attr('type', 'image').attr('src', '/go.png');
+  main.child('img').attr('src', '/b.png').attr('alt', '');
+  main.child('img').attr('src', '/c.png').attr('role', 'presentation');
+  main.child('img').attr('src', '/d.png').attr('aria-hidden', 'true');
+  const result = doc.a11yAudit();
+  assert.deepStrictEqual(result.errors.map(e => [e.code, e.tag, e.wcag]), [['E_IMAGE_ALT', 'img', '1.1.1'], ['E_IMAGE_ALT', 'input', '1.1.1']]);
+});
+
+test('landmarks: missing <main>, links without <nav>, and duplicates without labels', () => {
+  const bare = page('Bare');
+  bare.p('Hello');
+  assert.deepStrictEqual(codes(bare.a11yAudit().warnings), ['W_MISSING_MAIN'], 'no links, so no <nav> is needed');
+
+  const doc = page('Landmarks');
+  doc.child('header').h1('Site');
+  doc.child('nav').a('Home', '/');
+  doc.child('nav').attr('aria-label', 'Breadcrumb').a('Docs', '/docs');
+  doc.child('nav').a('Next', '/next');
+  const main = doc.child('main');
+  main.child('article').child('header').h2('Post');
+  doc.child('footer').p('©');
+  const { warnings } = doc.a11yAudit();
+  assert.deepStrictEqual(warnings.map(w => [w.code, w.role, w.path]), [
+    ['W_DUPLICATE_LANDMARK', 'navigation', 'body > nav'],
+    ['W_DUPLICATE_LANDMARK', 'navigation', 'body > nav'],
+  ], 'the labelled <nav> is fine, and a <header> inside <article> is not a banner');
+  assert(/3 "navigation" landmarks/.test(warnings[0].message));
+
+  const links = page('Links');
+  links.child('main').a('Elsewhere', '/elsewhere');
+  assert.deepStrictEqual(codes(links.a11yAudit().warnings), ['W_MISSING_NAV']);
+});
+
+test('a positive tabindex is reported', () => {
+  const { doc, main } = layout();
+  main.button('First').attr('tabindex', '2');
+  main.button('Normal').attr('tabindex', '0');
+  main.div('Skipped').attr('tabindex', '-1');
+  const { warnings } = doc.a11yAudit();
+  assert.deepStrictEqual(warnings.map(w => [w.code, w.wcag, w.path]), [['W_POSITIVE_TABINDEX', '2.4.3', 'body > main > button']]);
+});
+
+test('click handlers need a role, a key handler and a tabindex on non-interactive elements', () => {
+  const { doc, main } = layout();
+  main.div('Card').id('card').on('click', () => {});
+  main.span('Half').id('half').attr('role', 'button').on('click', () => {});
+  main.div('Done').id('done').attr('role', 'button').attr('tabindex', '0')
+    .on('click', () => {}).on('keydown', (event) => { if (event.key === 'Enter') event.target.click(); });
+  main.button('Native').on('click', () => {});
+  main.a('Link', '/x').on('click', () => {});
+  const { errors } = doc.a11yAudit();
+  assert.deepStrictEqual(errors.map(e => [e.code, e.id, e.wcag]), [['E_CLICK_WITHOUT_KEYBOARD', 'card', '2.1.1'], ['E_CLICK_WITHOUT_KEYBOARD', 'half', '2.1.1']]);
+  assert(/needs a role such as role="button", a keydown handler and tabindex="0"/.test(errors[0].message));
+  assert(/needs a keydown handler and tabindex="0"\./.test(errors[1].message));
+});
+
+test('aria-hidden must not hide focusable content', () => {
+  const { doc, main } = layout();
+  main.div().id('menu').attr('aria-hidden', 'true').child('ul').li('').a('Item', '/item');
+  main.button('Icon').id('icon').attr('aria-hidden', 'true');
+  main.div().attr('aria-hidden', 'true').button('Off').attr('tabindex', '-1');
+  main.div().attr('aria-hidden', 'true').button('Disabled').attr('disabled', true);
+  main.div().attr('aria-hidden', 'true').attr('inert', true).a('Inert', '/inert');
+  const { errors } = doc.a11yAudit();
+  assert.deepStrictEqual(errors.map(e => [e.code, e.id, e.wcag]), [['E_ARIA_HIDDEN_FOCUSABLE', 'menu', '4.1.2'], ['E_ARIA_HIDDEN_FOCUSABLE', 'icon', '4.1.2']]);
+  assert(errors[0].message.includes('contains focusable body > main > div#menu > ul > li > a'));
+  assert(errors[1].message.includes('but it is focusable'));
+});
+
+test('the audit leaves the document unchanged and feeds the CI reports', () => {
+  const { doc, main } = layout();
+  main.p('Faint').css({ color: '#ccc' });
+  const before = doc.render({ preserve: true });
+  const audit = doc.a11yAudit();
+  assert.strictEqual(doc.render({ preserve: true }), before);
+  const summary = checkThresholds([{ route: '/', ...audit }]);
+  assert.deepStrictEqual([summary.passed, summary.codes], [false, { E_CONTRAST: 1 }]);
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,194 @@
+'use strict';
+
+const { Document, components } = require('../index');
+const { createCachedRenderer, clearCache } = require('../lib/middleware');
+
+let passed = 0;
+let failed = 0;
+
+function assert(condition, msg) {
+  if (condition) { passed++; console.log(`  ✓ ${msg}`); }
+  else { failed++; console.error(`  ✗ ${msg}`); }
+}
+
+async function testAsync(name, fn) {
+  console.log(`\n▸ ${name}`);
+  try { await fn(); } catch (e) { failed++; console.error(`  ✗ THREW: ${e.message}`); }
+}
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+function captureWarnings(fn) {
+  const original = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try { fn(); } finally { console.warn = original; }
+  return warnings;
+}
+
+(async () => {
+  await testAsync('renderAsync awaits an async component before serializing', async () => {
+    const doc = new Document();
+    doc.use(async (el, { id }) => {
+      await tick(5);
+      el.h2(`User ${id}`);
+    }, { id: 7 }, 'section');
+    const html = await doc.renderAsync();
+    assert(html.includes('<section><h2>User 7</h2></section>'), 'loaded content rendered inside the wrapper');
+  });
+
+  await testAsync('renderAsync returns the same markup as render() when nothing is pending', async () => {
+    const build = () => {
+      const doc = new Document();
+      doc.title('Same');
+      doc.use((el) => { el.p('sync'); });
+      return doc;
+    };
+    assert(await build().renderAsync() === build().render(), 'identical output');
+  });
+
+  await testAsync('nested async components resolve in tree order', async () => {
+    const order = [];
+    async function Child(el, { name }) {
+      order.push(`start ${name}`);
+      await tick(1);
+      el.span(name);
+      order.push(`end ${name}`);
+    }
+    async function Parent(el) {
+      order.push('start parent');
+      await tick(1);
+      el.use(Child, { name: 'a' });
+      el.use(Child, { name: 'b' });
+      order.push('end parent');
+    }
+    const doc = new Document();
+    doc.use(Parent, {}, 'main');
+    const html = await doc.renderAsync();
+    assert(html.includes('<main><div><span>a</span></div><div><span>b</span></div></main>'), 'children rendered in declaration order');
+    assert(order[0] === 'start parent' && order.indexOf('start a') > order.indexOf('start parent'), 'children are created by the resolved parent');
+    assert(order.includes('end a') && order.includes('end b'), 'nested components awaited before serializing');
+  });
+
+  await testAsync('sibling components load concurrently', async () => {
+    const first = deferred();
+    const second = deferred();
+    const started = [];
+    const doc = new Document();
+    doc.use(async (el) => { started.push('first'); await first.promise; el.text('one'); });
+    doc.use(async (el) => { started.push('second'); await second.promise; el.text('two'); });
+    const rendering = doc.renderAsync();
+    await tick();
+    assert(started.length === 2, 'both siblings started before either resolved');
+    // Resolve out of order: the output must still follow tree order.
+    second.resolve();
+    await tick();
+    first.resolve();
+    const html = await rendering;
+    assert(html.indexOf('one') < html.indexOf('two'), 'output keeps tree order regardless of settle order');
+  });
+
+  await testAsync('build() setup callbacks may be async', async () => {
+    const doc = new Document();
+    doc.build({
+      tag: 'ul',
+      children: [
+        { tag: 'li', setup: async (el) => { await tick(1); el.text('loaded'); } },
+        { tag: 'li', text: 'static' },
+      ],
+    });
+    const html = await doc.renderAsync();
+    assert(html.includes('<ul><li>loaded</li><li>static</li></ul>'), 'setup result rendered in place');
+  });
+
+  await testAsync('registered and extended async components', async () => {
+    components.register('AsyncCard', async (el, props) => {
+      await tick(1);
+      el.h3(props.title);
+    }, { tag: 'article' });
+    components.extend('AsyncCardWithFooter', 'AsyncCard', (el) => { el.footer('end'); });
+    try {
+      const doc = new Document();
+      doc.component('AsyncCard', { title: 'Plain' });
+      doc.component('AsyncCardWithFooter', { title: 'Extended' });
+      const html = await doc.renderAsync();
+      assert(html.includes('<article><h3>Plain</h3></article>'), 'registered async component rendered');
+      assert(html.includes('<article><h3>Extended</h3><footer>end</footer></article>'), 'extension runs after the async base');
+    } finally {
+      components.unregister('AsyncCard');
+      components.unregister('AsyncCardWithFooter');
+    }
+  });
+
+  await testAsync('a rejected component rejects renderAsync and leaves the document intact', async () => {
+    const doc = new Document();
+    doc.h1('Title');
+    doc.use(async () => { await tick(1); throw new Error('load failed'); });
+    let error = null;
+    try { await doc.renderAsync(); } catch (e) { error = e; }
+    assert(error && error.message === 'load failed', 'the component error propagates');
+    assert(doc.body.length === 2, 'body not cleared');
+    assert(doc.output() === '', 'nothing recorded as rendered');
+  });
+
+  await testAsync('render() warns in development when async work is still pending', async () => {
+    const doc = new Document();
+    const gate = deferred();
+    doc.use(async (el) => { await gate.promise; el.text('late'); });
+    const warnings = captureWarnings(() => doc.render());
+    assert(warnings.some((w) => w.includes('renderAsync()')), 'warning points at renderAsync()');
+    gate.resolve();
+
+    const suspenseDoc = new Document();
+    suspenseDoc.suspense((el) => el.text('loading'), async (el) => { el.text('ready'); });
+    let suspenseHtml;
+    const suspenseWarnings = captureWarnings(() => { suspenseHtml = suspenseDoc.render(); });
+    assert(suspenseWarnings.some((w) => w.includes('suspense boundaries')), 'render() reports suspense boundaries it cannot load');
+    assert(suspenseHtml.includes('aria-busy="true">loading</div>'), 'render() emits the fallback');
+
+    const syncDoc = new Document();
+    syncDoc.use((el) => { el.text('now'); });
+    assert(captureWarnings(() => syncDoc.render()).length === 0, 'no warning without async work');
+  });
+
+  await testAsync('a component rejection without renderAsync is not an unhandled rejection', async () => {
+    let unhandled = false;
+    const onUnhandled = () => { unhandled = true; };
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const doc = new Document();
+      doc.use(async () => { throw new Error('ignored'); });
+      captureWarnings(() => doc.render());
+      await tick(5);
+    } finally {
+      process.removeListener('unhandledRejection', onUnhandled);
+    }
+    assert(!unhandled, 'no unhandledRejection emitted');
+  });
+
+  await testAsync('createCachedRenderer renders async components', async () => {
+    clearCache();
+    const middleware = createCachedRenderer(() => {
+      const doc = new Document();
+      doc.use(async (el) => { await tick(1); el.p('from loader'); });
+      return doc;
+    }, 'async-page');
+    const res = { _sent: null, send(html) { this._sent = html; return this; }, status() { return this; } };
+    await middleware({}, res, (err) => { throw err; });
+    assert(res._sent && res._sent.includes('<p>from loader</p>'), 'response contains the loaded content');
+
+    const cachedRes = { _sent: null, send(html) { this._sent = html; return this; }, status() { return this; } };
+    await middleware({}, cachedRes, (err) => { throw err; });
+    assert(cachedRes._sent === res._sent, 'second request served from the cache');
+    clearCache();
+  });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+})();
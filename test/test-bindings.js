@@ -912,6 +912,172 @@ test('debug mode compiles an inspectable browser registry only in development',
   }
 });
 
+/* ---- renderPartial ---- */
+function runScripts(html, context) {
+  for (const match of html.matchAll(/<script(?:\s[^>]*)?>([\s\S]*?)<\/script>/g)) {
+    vm.runInNewContext(match[1], context);
+  }
+}
+
+function fakeElement(tag) {
+  return {
+    tagName: tag.toUpperCase(),
+    textContent: '',
+    listeners: {},
+    addEventListener(type, fn) { this.listeners[type] = fn; },
+  };
+}
+
+test('renderPartial — wires a fragment into the running page state', () => {
+  const page = new Document();
+  page.states({ count: 5 });
+  const totalId = page.span().bind('count', value => `Total ${value}`).attrs.id;
+  const elements = { [totalId]: fakeElement('span') };
+  const context = runClient(page, id => elements[id] || null);
+  const pageState = context.State;
+
+  const doc = new Document();
+  doc.states({ count: 0, label: 'Cart' });
+  const region = doc.div().id('cart');
+  const heading = region.h2().bind('label', value => value);
+  const counter = region.span().bind('count', value => `Count ${value}`);
+  const button = region.button('+1').onClick(() => { State.count++; });
+  const html = doc.renderPartial('cart');
+
+  assert(html.startsWith('<div id="cart">'), 'partial starts with the subtree markup');
+  assert(!html.includes('<!DOCTYPE') && !html.includes('<body'), 'partial has no page shell');
+  assert((html.match(/<script>/g) || []).length === 1, 'partial carries one client script');
+
+  for (const el of [heading, counter, button]) elements[el.attrs.id] = fakeElement(el.tag);
+  runScripts(html, context);
+
+  assert(context.State === pageState, 'page State proxy is reused, not replaced');
+  assert(context.State.count === 5, 'existing page state is not reset by the fragment');
+  assert(context.State.label === 'Cart', 'state keys the page lacked are seeded');
+  assert(elements[counter.attrs.id].textContent === 'Count 5', 'fragment binding reads page state');
+  assert(elements[heading.attrs.id].textContent === 'Cart', 'fragment binding reads seeded state');
+
+  elements[button.attrs.id].listeners.click.call(elements[button.attrs.id], {});
+  assert(context.State.count === 6, 'fragment event updates page state');
+  assert(elements[counter.attrs.id].textContent === 'Count 6', 'fragment binding follows the page watcher');
+  assert(elements[totalId].textContent === 'Total 6', 'page binding sees the fragment update');
+});
+
+test('renderPartial — installs the runtime when the page has none', () => {
+  const doc = new Document();
+  doc.states({ open: true });
+  const panel = doc.section().id('panel');
+  const label = panel.span().bind('open', value => (value ? 'Open' : 'Closed'));
+  const html = doc.renderPartial(panel);
+  const elements = { [label.attrs.id]: fakeElement('span') };
+  const context = {
+    console,
+    document: { readyState: 'complete', body: {}, getElementById: id => elements[id] || null, addEventListener: () => {} },
+  };
+  context.window = context;
+  runScripts(html, context);
+  assert(typeof context.watchState === 'function', 'watchState installed');
+  assert(elements[label.attrs.id].textContent === 'Open', 'binding applied from the seeded state');
+  context.State.open = false;
+  assert(elements[label.attrs.id].textContent === 'Closed', 'binding reacts to state changes');
+});
+
+test('renderPartial — leaves the document intact and rejects unknown targets', () => {
+  const doc = new Document({ nonce: 'abc123' });
+  const nav = doc.nav().id('nav');
+  nav.a('Home', '/').css({ color: 'red' });
+  doc.p('outside');
+  const html = doc.renderPartial('nav');
+  assert(!html.includes('<script'), 'static subtree needs no client script');
+  assert(html.includes('<style nonce="abc123">'), 'scoped CSS carries the nonce');
+  assert(!html.includes('outside'), 'content outside the subtree is not rendered');
+  assert(doc.renderPartial(nav) === html, 'the document is not consumed');
+  assert(doc.render().includes('outside'), 'a full render still works afterwards');
+
+  let threw = false;
+  try { new Document().renderPartial('missing'); } catch (e) { threw = /no element with id "missing"/.test(e.message); }
+  assert(threw, 'unknown id throws');
+  threw = false;
+  try { new Document().renderPartial(new Document().div()); } catch (e) { threw = e instanceof TypeError; }
+  assert(threw, 'element of another document throws TypeError');
+});
+
+test('external client runtime — pages keep only their own wiring inline', () => {
+  const { getClientRuntime } = require('../index');
+  const { MK_EL_SRC } = require('../lib/live');
+  const original = { clientRuntime: CONFIG.clientRuntime, runtimePath: CONFIG.runtimePath };
+  configure({ clientRuntime: 'external', runtimePath: '/assets/' });
+  try {
+    const build = () => {
+      const doc = new Document({ nonce: 'n1' });
+      doc.states({ count: 1, items: [] });
+      const labelId = doc.span().bind('count', value => `Count ${value}`).attrs.id;
+      const buttonId = doc.button('+1').onClick(() => { State.count++; }).attrs.id;
+      doc.liveList('items', item => ({ tag: 'p', text: item }));
+      return { doc, labelId, buttonId };
+    };
+    const { doc, labelId, buttonId } = build();
+    const html = doc.render();
+    const runtime = getClientRuntime();
+    assert(/^buildhtml-runtime\.[a-z0-9]+\.js$/.test(runtime.fileName), `runtime file ${runtime.fileName}`);
+    assert(html.includes(`<script nonce="n1" src="/assets/${runtime.fileName}"></script><script nonce="n1">`), 'runtime loads before the page script, with the nonce');
+    assert(!html.includes('window.watchState=function') && !html.includes('new Proxy'), 'State runtime not inlined');
+    assert(!html.includes(MK_EL_SRC) && runtime.contents.includes(MK_EL_SRC), '_mkEl moved into the runtime file');
+    assert(html.includes('window.BuildHTML._installState(JSON.parse('), 'page sends its state snapshot');
+
+    const elements = { [labelId]: fakeElement('span'), [buttonId]: fakeElement('button') };
+    const context = {
+      console,
+      document: { readyState: 'complete', body: {}, getElementById: id => elements[id] || null, addEventListener: () => {} },
+    };
+    context.window = context;
+    vm.runInNewContext(runtime.contents, context);
+    vm.runInNewContext(html.match(/<script nonce="n1">([\s\S]*?)<\/script>/)[1], context);
+    assert(elements[labelId].textContent === 'Count 1', 'binding applied from the runtime State');
+    elements[buttonId].listeners.click.call(elements[buttonId], {});
+    assert(context.State.count === 2 && elements[labelId].textContent === 'Count 2', 'events and watchers run through the runtime');
+    assert(typeof context._mkEl === 'function', 'runtime defines _mkEl');
+
+    const second = build().doc.render();
+    assert(second.includes(`src="/assets/${runtime.fileName}"`), 'every page shares one runtime file');
+    const stat = new Document();
+    stat.p('static');
+    assert(!stat.render().includes('<script'), 'a page without client code loads no runtime');
+  } finally {
+    configure(original);
+  }
+});
+
+test('external client runtime — the file follows the mode, config is validated', () => {
+  const { getClientRuntime } = require('../index');
+  const originalMode = CONFIG.mode;
+  try {
+    configure({ mode: 'dev' });
+    const dev = getClientRuntime();
+    assert(getClientRuntime() === dev, 'built once per mode');
+    assert(dev.contents.includes('console.error("[BuildHTML] "'), 'dev runtime logs client errors');
+    configure({ mode: 'prod' });
+    const prod = getClientRuntime();
+    assert(prod.fileName !== dev.fileName && !prod.contents.includes('console.error'), 'prod runtime differs in content and name');
+  } finally {
+    configure({ mode: originalMode });
+  }
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  try {
+    configure({ clientRuntime: 'cdn' });
+  } finally {
+    console.warn = warn;
+  }
+  assert(CONFIG.clientRuntime === 'inline' && /clientRuntime/.test(warnings[0]), 'unknown clientRuntime ignored with a warning');
+  const doc = new Document();
+  doc.states({ open: true });
+  doc.span().bind('open', value => String(value));
+  const html = doc.render();
+  assert(!html.includes('<script src') && html.includes('window.watchState=function'), 'inline stays the default');
+});
+
 /* ---- summary ---- */
 console.log(`\n${passed} passed, ${failed} failed`);
 if (failed > 0) process.exit(1);
@@ -17,7 +17,7 @@ const assert = require('assert');
 const vm = require('vm');
 const {
   escapeHtml, unescapeHtml, sanitizeCssValue, sanitizeUrl, safeJsonStringify,
-  escapeJsString, isValidAttrKey, toKebab, normalizeTagName, isValidTagName, minHTML,
+  escapeJsString, isValidAttrKey, toKebab, normalizeTagName, isValidTagName, minHTML, createStreamMinifier,
 } = require('../lib/utils');
 const { Document } = require('..');
 
@@ -207,6 +207,26 @@ property('minHTML preserves text content and never invents markup', ITERATIONS,
   assert.strictEqual(tagsAfter, tagsBefore, 'tag count unchanged');
 });
 
+// Markup that sits on the minifier's boundaries: protected blocks opening and
+// closing in any case, unclosed ones, and whitespace runs around tags.
+const MINIFIER_PARTS = [
+  '<pre>', '</pre>', '<PRE class="x">', '</Pre>', '<textarea>', '</textarea>', '<script>', '</script>',
+  '<code', '<span>', '</span>', '<', '>', ' ', '  ', '\n \n', '\t',
+];
+property('the streaming minifier matches minHTML for any chunking', ITERATIONS, (s) => {
+  let html = s;
+  for (let i = int(8); i > 0; i--) html += pick(MINIFIER_PARTS) + (rnd() < 0.5 ? fuzzString(2) : '');
+  const minifier = createStreamMinifier();
+  let out = '';
+  for (let at = 0; at < html.length;) {
+    const step = 1 + int(8);
+    out += minifier.write(html.slice(at, at + step));
+    at += step;
+  }
+  out += minifier.end();
+  assert.strictEqual(out, minHTML(html));
+});
+
 /* ---- callbacks ---- */
 property('fuzzed context is embedded as valid JavaScript', Math.min(ITERATIONS, 400), (s) => {
   const doc = new Document();
@@ -348,5 +368,45 @@ property('a fuzzed CSS selector or class name adds no element to the page', Math
   assert.ok(countEl(html, 'style') <= countEl(control, 'style'), 'a selector produced a style element');
 });
 
+// Parsed markup: whatever the input, the rendered tree carries no script, no
+// event-handler attribute and no executable URL.
+const PARSE_FRAGMENTS = [
+  '<a href="', '<img src=', '<div ', '<p>', '</p>', '<li>', '<td>', '<script>', '</script>', '<style>',
+  '</style>', '<textarea>', '<svg>', '<iframe srcdoc="', '<object data=', ' onclick=', ' ONLOAD=', ' on-x=',
+  '">', '>', '/>', '<!--', '-->', '<!DOCTYPE x>', '&#x6a;avascript:', '&lt;', '=',
+  '<animate attributeName="href" values="/a;javascript:x"/>', '<set attributeName="xlink:href" to="javascript:x">',
+  '<animate attributeName="href" values="', '<set attributeName="href" to=', ';javascript:',
+];
+property('parsed HTML never renders a script, handler or executable URL', Math.min(ITERATIONS, 500), (s) => {
+  let markup = '';
+  for (let i = 0; i < 4; i++) markup += pick(PARSE_FRAGMENTS) + s.slice(0, 1 + int(s.length));
+  const doc = new Document();
+  doc.div().appendHTML(markup);
+  const body = doc.render().match(/<body>([\s\S]*)<\/body>/)[1];
+  const tags = body.match(/<[^>]*>/g) || [];
+  for (const tag of tags) {
+    const bare = tag.replace(/"[^"]*"/g, '""');
+    assert(!/^<script/i.test(bare), `script element in ${tag}`);
+    assert(!/\son-?[a-z]/i.test(bare), `event attribute in ${tag}`);
+    assert(!/\ssrcdoc=/i.test(bare), `srcdoc in ${tag}`);
+    // Checked per attribute: a regex over the whole tag can match across an
+    // attribute boundary. Values are decoded first, as the browser does, so the
+    // `;` of an entity is not taken for a `values` list separator.
+    const attrs = new Map(Array.from(tag.matchAll(/\s([^\s=">]+)="([^"]*)"/g), ([, name, value]) => [name.toLowerCase(),
+      value.replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&')]));
+    const executable = (value) => /^[\x00-\x20]*(?:javascript|vbscript|data):/i.test(value);
+    for (const name of ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'xlink:href', 'data', 'background', 'ping']) {
+      assert(!attrs.has(name) || !executable(attrs.get(name)), `executable URL in ${tag}`);
+    }
+    if (/^<(?:animate|set)\b/i.test(tag) && /^(?:xlink:)?href$/.test(attrs.get('attributename') || '')) {
+      for (const name of ['values', 'to', 'from', 'by']) {
+        const entries = attrs.has(name) ? (name === 'values' ? attrs.get(name).split(';') : [attrs.get(name)]) : [];
+        assert(!entries.some(executable), `executable animated URL in ${tag}`);
+      }
+    }
+  }
+});
+
 console.log(`\nResults: ${passed} passed, ${failed} failed`);
 if (failed > 0) process.exit(1);
@@ -281,10 +281,13 @@ test('document validation reports heading, form, URL, ARIA, and nesting mistakes
   doc.div('Named elsewhere').aria({ labelledby: 'missing-label' });
   doc.button('Outer').button('Inner');
 
-  const codes = new Set(doc.validate().warnings.map((issue) => issue.code));
-  for (const code of ['W_HEADING_ORDER', 'W_CONTROL_LABEL', 'W_UNSAFE_URL', 'W_ARIA_TARGET', 'W_NESTED_INTERACTIVE']) {
+  const result = doc.validate();
+  const codes = new Set(result.warnings.map((issue) => issue.code));
+  for (const code of ['W_HEADING_ORDER', 'W_CONTROL_LABEL', 'W_UNSAFE_URL', 'W_ARIA_TARGET']) {
     assert(codes.has(code), `validation should report ${code}`);
   }
+  assert(result.errors.some((issue) => issue.code === 'E_INVALID_NESTING' && issue.parent === 'button'),
+    'nested interactive content is an invalid nesting error');
 });
 
 test('document validation accepts accessible controls and sequential headings', () => {
@@ -411,5 +414,67 @@ test('document validation retains rejected callback registration failures', () =
   }
 });
 
+test('the built-in syntax validator agrees with vm on the callbacks it sees', () => {
+  const vm = require('vm');
+  const { isValidFunctionSyntax } = require('../lib/syntax');
+  const compiles = (source) => {
+    try {
+      new vm.Script(`(${source}\n)`);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const valid = [
+    '() => 1',
+    'function () { return 1; }',
+    'async () => { await x; }',
+    'async function named() {}',
+    'function* gen() { yield 1; }',
+    'x => x / 2',
+    'async x => x',
+    'async(x) => x',
+    '(e) => { const re = /[)}]/g; return re.test(e); }',
+    '() => a++ / 2',
+    '() => { if (x) /re/.test(y); }',
+    '() => `a${ {a: 1}.a }b${`c${d}`}`',
+    '() => "a\\"b)"',
+    '() => x.return / 2',
+    '() => { return /x/; }',
+    '(a) => a // trailing )',
+    '() => { /* } */ }',
+    '() => { <!-- ) \n }',
+    '() => {\n --> )\n}',
+    '() => 1.5e+3 / 2',
+    '(a, b) => a[b] / b[a]',
+    '() => { a = b\n/hi/g.exec(c) }',
+    (function (event) { State.count += event.detail ? 1 : -1; }).toString(),
+    ((item) => ({ tag: 'li', text: `${item.name} (${item.qty})` })).toString(),
+  ];
+  const invalid = [
+    'foo() {}',
+    'return 1',
+    '() => {',
+    '() => { )',
+    '() => ]',
+    '() => "abc',
+    '() => `abc',
+    '() => /abc',
+    '() => { /* ',
+    '() => "a\nb"',
+    '() => { /x\n/ }',
+    'function () { }) + (function () {',
+    ((() => 1).bind(null)).toString(),
+  ];
+  for (const source of valid) {
+    assert(compiles(source), `vm accepts ${JSON.stringify(source)}`);
+    assert(isValidFunctionSyntax(source), `validator accepts ${JSON.stringify(source)}`);
+  }
+  for (const source of invalid) {
+    assert(!compiles(source), `vm rejects ${JSON.stringify(source)}`);
+    assert(!isValidFunctionSyntax(source), `validator rejects ${JSON.stringify(source)}`);
+  }
+});
+
 console.log(`\nResults: ${passed} passed, ${failed} failed`);
 if (failed > 0) process.exit(1);
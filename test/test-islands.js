@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * el.island(): the hydration of a subtree waits for its trigger — visible,
+ * idle, interaction or a media query — while the rest of the page hydrates on
+ * load and window.State stays shared between them.
+ */
+
+const assert = require('assert');
+const vm = require('vm');
+const { Document, CONFIG, configure, getClientRuntime } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+function fakeElement(id, tag = 'div') {
+  const listeners = {};
+  return {
+    id, tagName: tag.toUpperCase(), textContent: '', style: {},
+    listeners: (type) => (listeners[type] || []).length,
+    addEventListener(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+    removeEventListener(type, fn) { listeners[type] = (listeners[type] || []).filter(f => f !== fn); },
+    dispatch(type) { for (const fn of (listeners[type] || []).slice()) fn({ type, target: this, currentTarget: this }); },
+  };
+}
+
+/** Run the page's client script against fake elements for the ids in the document. */
+function runClient(doc, globals = {}) {
+  const html = doc.render();
+  const script = /<script>([\s\S]*?)<\/script>/.exec(html);
+  if (!script) throw new Error('compiled client script not found');
+  const elements = {};
+  for (const [, tag, id] of html.matchAll(/<(\w+)[^>]*? id="([^"]+)"/g)) elements[id] = fakeElement(id, tag);
+  const context = {
+    console,
+    ...globals,
+    document: { readyState: 'complete', body: {}, getElementById: (id) => elements[id] || null, addEventListener() {} },
+  };
+  context.window = context;
+  vm.runInNewContext(script[1], context);
+  return { context, elements, html };
+}
+
+/** A counter button on the page and a widget island with its own button and binding. */
+function dashboard(when) {
+  const doc = new Document();
+  doc.states({ count: 0 });
+  doc.button('Add').id('add').onClick(function () { State.count += 1; });
+  const widget = doc.div().id('widget').island({ when });
+  widget.span().id('total').bind('count', value => `Total: ${value}`);
+  widget.button('Reset').id('reset').onClick(function () { State.count = 0; });
+  return doc;
+}
+
+console.log('\n▸ triggers');
+
+test('interaction: the island is wired on its first pointerdown, and state is shared', () => {
+  const { elements } = runClient(dashboard('interaction'));
+  const { add, widget, total, reset } = elements;
+  assert.strictEqual(add.listeners('click'), 1, 'the page hydrates on load');
+  assert.deepStrictEqual([reset.listeners('click'), total.textContent], [0, '']);
+  add.dispatch('click');
+  add.dispatch('click');
+  widget.dispatch('pointerdown');
+  assert.strictEqual(total.textContent, 'Total: 2', 'the binding starts from the current State');
+  assert.strictEqual(reset.listeners('click'), 1);
+  assert.deepStrictEqual(['pointerdown', 'focusin', 'keydown', 'touchstart'].map(widget.listeners), [0, 0, 0, 0], 'the wake-up listeners are removed');
+  reset.dispatch('click');
+  assert.strictEqual(total.textContent, 'Total: 0');
+  widget.dispatch('focusin');
+  assert.strictEqual(reset.listeners('click'), 1, 'an island hydrates once');
+});
+
+test('visible: an IntersectionObserver hydrates the island when it nears the viewport', () => {
+  const observers = [];
+  function IntersectionObserver(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = [];
+    observers.push(this);
+  }
+  IntersectionObserver.prototype.observe = function (el) { this.targets.push(el); };
+  IntersectionObserver.prototype.disconnect = function () { this.targets = []; };
+  const { elements } = runClient(dashboard('visible'), { IntersectionObserver });
+  const [observer] = observers;
+  assert.deepStrictEqual([observers.length, observer.targets[0], observer.options.rootMargin], [1, elements.widget, '200px']);
+  observer.callback([{ isIntersecting: false, target: elements.widget }]);
+  assert.strictEqual(elements.reset.listeners('click'), 0);
+  observer.callback([{ isIntersecting: true, target: elements.widget }]);
+  assert.deepStrictEqual([elements.reset.listeners('click'), observer.targets.length], [1, 0]);
+});
+
+test('idle: requestIdleCallback hydrates the island, with a timeout', () => {
+  const queued = [];
+  const { elements } = runClient(dashboard('idle'), { requestIdleCallback: (fn, options) => queued.push([fn, options]) });
+  assert.deepStrictEqual([queued.length, queued[0][1].timeout, elements.reset.listeners('click')], [1, 2000, 0]);
+  queued[0][0]();
+  assert.strictEqual(elements.reset.listeners('click'), 1);
+});
+
+test('media: the island hydrates once the query matches', () => {
+  const queries = [];
+  const matchMedia = (query) => {
+    const list = {
+      query, matches: false, handlers: [],
+      addEventListener(type, fn) { this.handlers.push(fn); },
+      removeEventListener(type, fn) { this.handlers = this.handlers.filter(f => f !== fn); },
+    };
+    queries.push(list);
+    return list;
+  };
+  const { elements } = runClient(dashboard('media: (min-width: 768px)'), { matchMedia });
+  const [list] = queries;
+  assert.deepStrictEqual([list.query, elements.reset.listeners('click')], ['(min-width: 768px)', 0]);
+  list.handlers[0]({ matches: false });
+  assert.strictEqual(elements.reset.listeners('click'), 0);
+  list.handlers[0]({ matches: true });
+  assert.deepStrictEqual([elements.reset.listeners('click'), list.handlers.length], [1, 0]);
+});
+
+test('browsers without the API a trigger needs hydrate at once', () => {
+  for (const when of ['visible', 'idle', 'media:(prefers-reduced-motion: no-preference)']) {
+    const { elements } = runClient(dashboard(when));
+    assert.strictEqual(elements.reset.listeners('click'), 1, when);
+  }
+});
+
+console.log('\n▸ structure');
+
+test('nested islands are scheduled when the outer one hydrates; empty ones are left out', () => {
+  const doc = new Document();
+  const outer = doc.section().id('outer').island({ when: 'interaction' });
+  outer.div().id('static').island({ when: 'idle' }).p('Nothing to hydrate');
+  const inner = outer.div().id('inner').island({ when: 'interaction' });
+  inner.button('Deep').id('deep').onClick(() => {});
+  const { elements, html } = runClient(doc);
+  assert(!html.includes('getById("static")'), 'an island with nothing to hydrate is not scheduled');
+  assert.strictEqual(elements.inner.listeners('pointerdown'), 0);
+  elements.outer.dispatch('pointerdown');
+  assert.deepStrictEqual([elements.inner.listeners('pointerdown'), elements.deep.listeners('click')], [1, 0]);
+  elements.inner.dispatch('pointerdown');
+  assert.strictEqual(elements.deep.listeners('click'), 1);
+
+  const still = new Document();
+  still.div().island().p('Static');
+  assert(!still.render().includes('<script'), 'a page with only empty islands needs no script');
+});
+
+test('island() checks its trigger, gives the element an id and defaults to visible', () => {
+  const doc = new Document();
+  const el = doc.div().island();
+  assert.deepStrictEqual([el._island, typeof el.attrs.id, el.hydrate], [{ when: 'visible' }, 'string', true]);
+  assert.deepStrictEqual(doc.div().island({ when: 'media:  (orientation: portrait) ' })._island, { when: 'media:(orientation: portrait)' });
+  for (const when of ['load', 'media:', 'media:   ', 42]) {
+    assert.throws(() => doc.div().island({ when }),
+      (error) => error instanceof TypeError && /^\[Element\] island\(\) when must be 'visible', 'idle', 'interaction' or 'media:<query>'/.test(error.message));
+  }
+});
+
+test('islands survive clone(), toJSON() and fromJSON(), and build() accepts them', () => {
+  const doc = dashboard('idle');
+  const widget = doc.body[1];
+  assert.deepStrictEqual(widget.clone()._island, { when: 'idle' });
+  const json = doc.toJSON();
+  assert.deepStrictEqual(json.body[1].island, { when: 'idle' });
+  const restored = new Document().fromJSON(JSON.parse(JSON.stringify(json)));
+  assert.deepStrictEqual(restored.body[1]._island, { when: 'idle' });
+  const built = new Document();
+  built.build({ tag: 'aside', island: 'interaction', on: { click: () => {} } });
+  assert.deepStrictEqual(built.body[0]._island, { when: 'interaction' });
+  const rejected = new Document();
+  rejected.build({ tag: 'aside', island: { when: 'soon' } });
+  assert.strictEqual(rejected.body[0]._island, null, 'an invalid trigger from JSON is recorded, not thrown');
+});
+
+test('with the external runtime the scheduler comes from the runtime file', () => {
+  const original = { clientRuntime: CONFIG.clientRuntime, mode: CONFIG.mode };
+  configure({ clientRuntime: 'external' });
+  try {
+    const html = dashboard('idle').render();
+    assert(html.includes('var scheduleIsland=window.BuildHTML._scheduleIsland;'));
+    assert(!html.includes('requestIdleCallback'), 'not inlined');
+    assert(getClientRuntime().contents.includes('window.BuildHTML._scheduleIsland=function(el,when,hydrate)'));
+  } finally {
+    configure(original);
+  }
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
@@ -1,7 +1,8 @@
 'use strict';
 
 const { Document, responseCache } = require('../index');
-const { createCachedRenderer, clearCache, getCacheStats, inFlightCache } = require('../lib/middleware');
+const { createCachedRenderer, createFetchHandler, serveClientRuntime, clearCache, getCacheStats, inFlightCache } = require('../lib/middleware');
+const { getClientRuntime } = require('../lib/client-runtime');
 
 let passed = 0;
 let failed = 0;
@@ -302,7 +303,66 @@ const p11 = test('concurrent requests sharing a failing render all receive the e
   assert(!inFlightCache.has(key), 'in-flight entry cleaned up');
 });
 
-Promise.all([p1, p2, p3, p4, p5, p6, p7, p8, p9, p10, p11]).then(() => test(
+/* ---- createFetchHandler ---- */
+const p12 = test('createFetchHandler streams a Response for a Request', async () => {
+  resetCache();
+  const handler = createFetchHandler(async (request) => {
+    const doc = new Document();
+    doc.title('Fetch');
+    doc.use(async (el) => { await Promise.resolve(); el.p(new URL(request.url).pathname); });
+    return doc;
+  }, { headers: { 'x-built-by': 'test' } });
+  const response = await handler(new Request('http://localhost/hello'));
+  assert(response instanceof Response && response.status === 200, 'returns a 200 Response');
+  assert(response.headers.get('content-type') === 'text/html; charset=utf-8', 'HTML content type');
+  assert(response.headers.get('x-built-by') === 'test', 'extra headers applied');
+  assert(response.body instanceof ReadableStream, 'body is a web stream');
+  const html = await response.text();
+  assert(html.includes('<p>/hello</p>'), 'async component awaited before streaming');
+  assert(html.endsWith('</body></html>'), 'complete document');
+});
+
+const p13 = test('createFetchHandler caches by key and skips the builder on a hit', async () => {
+  resetCache();
+  let builds = 0;
+  const handler = createFetchHandler(() => {
+    builds++;
+    const doc = new Document();
+    doc.h1(`Build ${builds}`);
+    return doc;
+  }, { cacheKey: (request) => new URL(request.url).pathname });
+  const first = await (await handler(new Request('http://localhost/cached'))).text();
+  const second = await (await handler(new Request('http://localhost/cached'))).text();
+  assert(first.includes('Build 1') && second === first, 'second response served from the cache');
+  assert(builds === 1, 'builder not called on a hit');
+  assert(responseCache.get('/cached') === first, 'stored under the request key');
+});
+
+const p14 = test('createFetchHandler nonce bypasses the cache; a bad builder gives 500', async () => {
+  resetCache();
+  let count = 0;
+  const handler = createFetchHandler(() => {
+    const doc = new Document();
+    doc.states({ n: 1 });
+    doc.p('x').bind('n');
+    return doc;
+  }, { cacheKey: 'nonce-page', nonce: () => `n${++count}` });
+  const a = await (await handler(new Request('http://localhost/'))).text();
+  const b = await (await handler(new Request('http://localhost/'))).text();
+  assert(a.includes('nonce="n1"') && b.includes('nonce="n2"'), 'each response carries its own nonce');
+  assert(!responseCache.has('nonce-page'), 'nonce responses not cached');
+
+  const broken = createFetchHandler(() => ({ not: 'a document' }));
+  const response = await broken(new Request('http://localhost/'));
+  assert(response.status === 500, 'non-Document result answers 500');
+
+  const throwing = createFetchHandler(() => { throw new Error('builder failed'); });
+  let error = null;
+  try { await throwing(new Request('http://localhost/')); } catch (e) { error = e; }
+  assert(error && error.message === 'builder failed', 'builder errors reject the handler');
+});
+
+Promise.all([p1, p2, p3, p4, p5, p6, p7, p8, p9, p10, p11, p12, p13, p14]).then(() => test(
   'clearCache(pattern) invalidates a matching in-flight render',
   async () => {
     resetCache();
@@ -329,7 +389,33 @@ Promise.all([p1, p2, p3, p4, p5, p6, p7, p8, p9, p10, p11]).then(() => test(
     await Promise.resolve();
     assert(!responseCache.has(key), 'cleared in-flight render does not repopulate cache');
   }
-)).then(() => {
+)).then(() => test('serveClientRuntime — serves the runtime file with an immutable cache', async () => {
+  const runtime = getClientRuntime();
+  const serve = serveClientRuntime();
+  const httpRes = () => ({
+    statusCode: 0, headers: {}, body: null,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    end(body) { this.body = body === undefined ? null : body; },
+  });
+
+  const res = httpRes();
+  serve({ method: 'GET', url: `/assets/${runtime.fileName}?v=1` }, res, () => { throw new Error('next called for the runtime'); });
+  assert(res.statusCode === 200 && res.body === runtime.contents, 'runtime served under any mount path');
+  assert(res.headers['content-type'].startsWith('text/javascript'), 'JavaScript content type');
+  assert(/immutable/.test(res.headers['cache-control']) && /max-age=31536000/.test(res.headers['cache-control']), 'cached for a year');
+
+  const head = httpRes();
+  serve({ method: 'HEAD', path: `/${runtime.fileName}` }, head);
+  assert(head.statusCode === 200 && head.body === null, 'HEAD sends headers only, reading Express req.path');
+
+  let nexted = 0;
+  serve({ method: 'GET', url: '/assets/buildhtml-runtime.old.js' }, httpRes(), () => { nexted++; });
+  serve({ method: 'POST', url: `/${runtime.fileName}` }, httpRes(), () => { nexted++; });
+  assert(nexted === 2, 'other paths and methods go to next()');
+  const missing = httpRes();
+  serve({ method: 'GET', url: '/other' }, missing);
+  assert(missing.statusCode === 404, '404 without next(), as a plain http handler');
+})).then(() => {
   console.log(`\n${'='.repeat(40)}`);
   console.log(`Results: ${passed} passed, ${failed} failed`);
   console.log('='.repeat(40));
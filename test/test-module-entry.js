@@ -45,10 +45,11 @@ const cjs = require('..');
 const pkg = require('../package.json');
 
 const EXPECTED_NAMED = [
-  'Document', 'page', 'renderFromJSON', 'renderJSON', 'Element', 'Head', 'CONFIG', 'configure',
-  'components', 'TemplateParser', 'parseTemplate', 'renderTemplate', 'compileTemplate',
-  'renderFile', 'compileFile', 'templateEngine', 'createCachedRenderer', 'clearCache',
-  'getCacheStats', 'resetPools', 'healthCheck', 'Metrics', 'metrics',
+  'Document', 'page', 'renderFromJSON', 'renderJSON', 'Element', 'Head', 'CONFIG', 'configure', 'setRuntimeAdapter', 'registerPlugin',
+  'AssetCollector', 'buildSite',
+  'pageMetadata', 'sitemapXml', 'robotsTxt', 'rssFeed', 'atomFeed', 'jsonReport', 'sarifReport', 'junitReport', 'checkThresholds', 'components', 'TemplateParser', 'parseTemplate', 'renderTemplate', 'compileTemplate',
+  'renderFile', 'compileFile', 'templateEngine', 'createCachedRenderer', 'createFetchHandler', 'serveClientRuntime',
+  'getClientRuntime', 'clearCache', 'getCacheStats', 'resetPools', 'healthCheck', 'Metrics', 'metrics',
   'compileLiveList', 'compileHashRouter', 'compileHistoryRouter', 'compileViews',
 ];
 
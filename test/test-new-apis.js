@@ -1,6 +1,7 @@
 'use strict';
 
-const { Document, Element, components } = require('../index');
+const { execFileSync } = require('child_process');
+const { Document, Element, AssetCollector, components, configure, CONFIG } = require('../index');
 
 let passed = 0;
 let failed = 0;
@@ -821,6 +822,474 @@ test('Full page with all new APIs', () => {
   assert(html.includes('grid'), 'grid');
 });
 
+/* ==== HTML IMPORT ==== */
+
+test('el.appendHTML() builds real elements', () => {
+  const doc = new Document();
+  const box = doc.div();
+  box.appendHTML('<h2 class="title  lead" id="intro">Fish &amp; Chips &mdash; &#163;5</h2><p>One<p>Two<br>lines');
+  const [h2, p1, p2] = box.children;
+  assert(h2 instanceof Element && h2.tag === 'h2', 'h2 is an Element');
+  assert(h2.attrs.id === 'intro', 'attribute kept');
+  h2.addClass('extra');
+  p2.css({ color: 'red' });
+  assert(p1.tag === 'p' && p2.tag === 'p' && box.children.length === 3, 'open <p> closed by the next <p>');
+  const html = doc.render();
+  assert(html.includes('class="title lead extra"'), 'class list parsed and extendable');
+  assert(html.includes('Fish &amp; Chips \u2014 \u00a35</h2>'), 'entities decoded, text re-escaped');
+  assert(html.includes('<p>One</p><p'), 'implicit </p>');
+  assert(html.includes('Two<br>lines</p>'), 'void element has no children');
+});
+
+test('appendHTML() sanitizes like built markup', () => {
+  const doc = new Document();
+  doc.div().appendHTML(
+    '<a href="javascript:alert(1)" onclick="steal()" onMouseOver=x data-id=7>link</a>' +
+    '<img src=" JaVaScRiPt:alert(1)" onerror=alert(1)><iframe srcdoc="<script>alert(1)</script>"></iframe>' +
+    '<script>alert(1)</script><style>p > a { color: red }</style><base href="//evil.example">'
+  );
+  const html = doc.render();
+  assert(html.includes('<a href="#" data-id="7">link</a>'), 'javascript: href neutralised, handlers dropped');
+  assert(html.includes('<img src="#">'), 'onerror dropped');
+  assert(!/srcdoc|<base|alert/.test(html), 'srcdoc, <base> and <script> dropped');
+  assert(html.includes('<style>p > a { color: red }</style>'), '<style> content kept raw');
+});
+
+test('appendHTML() handles raw text, tables, lists and stray tags', () => {
+  const doc = new Document();
+  const box = doc.div();
+  box.appendHTML(
+    '<textarea><b>not a tag</b></textarea>' +
+    '<table><tr><th>A<th>B<tr><td>1<td>2</table>' +
+    '<ul><li>one<li>two<ul><li>nested</ul></ul>' +
+    '</span><!-- note --><o:p>Word</o:p><svg viewBox="0 0 1 1"><path d="M0 0"/></svg><div>open'
+  );
+  const html = doc.render();
+  assert(html.includes('<textarea>&lt;b&gt;not a tag&lt;/b&gt;</textarea>'), 'textarea content is text');
+  assert(html.includes('<tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>'), 'implied cell and row ends');
+  assert(html.includes('<li>two<ul><li>nested</li></ul></li></ul>'), 'nested list keeps outer <li> open');
+  assert(!html.includes('note') && !html.includes('</span>'), 'comments and stray end tags dropped');
+  assert(html.includes('Word<svg viewBox="0 0 1 1"><path d="M0 0"></path></svg>'), 'invalid tag unwrapped, SVG case and /> kept');
+  assert(html.includes('<div>open</div></div>'), 'unclosed element closed at the end');
+});
+
+test('Document.fromHTML()', () => {
+  const doc = Document.fromHTML(
+    '<!DOCTYPE html><html><head><title>Old &amp; New</title>' +
+    '<meta name="description" content="Imported"><meta http-equiv="refresh" content="0;url=/x">' +
+    '<link rel="stylesheet" href="/site.css"><script src="/legacy.js"></script></head>' +
+    '<body><main><h1>Welcome</h1></main></body></html>',
+    { nonce: 'abc' }
+  );
+  assert(doc instanceof Document, 'returns a Document');
+  assert(doc.body.length === 1 && doc.body[0].tag === 'main', '<html> and <body> unwrapped');
+  const html = doc.render();
+  assert(html.includes('<title>Old &amp; New</title>'), 'title moved to head');
+  assert(html.includes('name="description"') && !html.includes('refresh'), 'descriptive meta kept, http-equiv dropped');
+  assert(html.includes('href="/site.css"') && !html.includes('legacy.js'), 'stylesheet kept, script dropped');
+  assert(html.includes('<main><h1>Welcome</h1></main>'), 'body content');
+});
+
+/* ==== SELECTOR QUERIES ==== */
+
+function queryFixture() {
+  const doc = new Document();
+  doc.h1('Dashboard');
+  doc.p('Intro').addClass('lead');
+  const card = doc.section().addClass('card', 'featured').attr('data-role', 'admin');
+  card.h2('Users').css({ color: 'navy' });
+  card.p('Total').data({ count: 3 });
+  card.h2('Groups');
+  card.create('ul').appendHTML('<li class="item first">a<li lang="en-US" class="item">b<li title="Read more">c');
+  const form = doc.form().id('signup');
+  form.input('email').attr('name', 'email');
+  form.input('checkbox').attr('name', 'terms');
+  return { doc, card, form };
+}
+
+// The traversal validate() uses: doc.body, then element children, depth first.
+function walkTree(doc) {
+  const all = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (!(node instanceof Element)) continue;
+      all.push(node);
+      walk(node.children);
+    }
+  };
+  walk(doc.body);
+  return all;
+}
+
+test('querySelector() / querySelectorAll() on Document and Element', () => {
+  const { doc, card, form } = queryFixture();
+  const text = (el) => el && String(el.children[0]);
+  assert(text(doc.querySelector('.card > h2')) === 'Users', 'child combinator');
+  assert(doc.querySelectorAll('.card > h2').length === 2, 'all matches');
+  assert(doc.querySelector('[data-role=admin]') === card, 'attribute equals');
+  assert(text(doc.querySelector('h2 + p')) === 'Total', 'adjacent sibling');
+  assert(text(doc.querySelector('h2 ~ h2')) === 'Groups', 'general sibling');
+  assert(text(doc.querySelector('h1 + p.lead')) === 'Intro', 'siblings at body level');
+  assert(doc.querySelectorAll('section li.item').length === 2, 'descendant and class');
+  assert(text(doc.querySelector('li:not(.first)')) === 'b', ':not()');
+  assert(text(doc.querySelector('li:first-child')) === 'a', ':first-child');
+  assert(doc.querySelector('h1:first-child') !== null && doc.querySelector('p:first-child') === null, ':first-child at body level');
+  assert(text(doc.querySelector('[lang|=en]')) === 'b', '|= operator');
+  assert(text(doc.querySelector('[title~=more]')) === 'c', '~= operator');
+  assert(text(doc.querySelector('[data-count^="3"]')) === 'Total', '^= on a non-string value');
+  assert(doc.querySelector('input[type="CHECKBOX" i]').attrs.name === 'terms', 'case-insensitive flag');
+  assert(doc.querySelectorAll('#signup input').length === 2, 'id');
+  assert(form.querySelector('form input') !== null, 'combinators may reach above the scope element');
+  assert(card.querySelectorAll('h1').length === 0, 'Element queries only search descendants');
+});
+
+test('queries see the classes css() adds', () => {
+  const { doc } = queryFixture();
+  const users = doc.querySelector('h2');
+  const hashed = users._classes[0];
+  assert(/^c/.test(hashed), 'css() added a hashed class');
+  assert(doc.querySelector(`.${hashed}`) === users, 'hashed class matches');
+  assert(users.matches(`[class="${hashed}"]`), 'class attribute reflects _classes');
+  assert(doc.render().includes(`<h2 class="${hashed}">Users</h2>`), 'what was queried is what renders');
+});
+
+test('matches() agrees with querySelectorAll() over the tree validate() walks', () => {
+  const { doc } = queryFixture();
+  const report = doc.validate();
+  const all = walkTree(doc);
+  assert(all.length === 13, `walked ${all.length} elements`);
+  const selectors = [
+    '*', 'h2', 'section *', 'section > *', '.card h2 ~ *', 'li + li', ':first-child', '*:not(li, h2)',
+    '[class]', '[name$=ms]', '[type*=mai]', 'form > input:not([type=checkbox])', 'ul li:first-child + li',
+  ];
+  for (const selector of selectors) {
+    const expected = all.filter(el => el.matches(selector));
+    const actual = doc.querySelectorAll(selector);
+    assert(actual.length === expected.length && actual.every((el, i) => el === expected[i]), `"${selector}" (${actual.length})`);
+    assert(doc.has(selector) === (expected.length > 0), `doc.has("${selector}")`);
+  }
+  assert(!doc.has('section > h1') && !doc.has('form input[type=radio]'), 'doc.has() is false when nothing matches');
+  assert(doc.matches === undefined, 'Document has no matches(): it would not mean what Element#matches() means');
+  assert(doc.validate().errors.length === report.errors.length, 'querying does not change the tree');
+});
+
+test('invalid selectors throw a SyntaxError', () => {
+  const doc = new Document();
+  doc.p('x');
+  for (const selector of ['', 'p,', 'p >', '[x', 'a:hover', 'p::before', '.']) {
+    let error = null;
+    try { doc.querySelector(selector); } catch (e) { error = e; }
+    assert(error instanceof SyntaxError && error.message.includes('Invalid selector'), `"${selector}"`);
+    error = null;
+    try { doc.has(selector); } catch (e) { error = e; }
+    assert(error instanceof SyntaxError, `doc.has("${selector}")`);
+  }
+});
+
+test('render({ extractCss }) links a hashed stylesheet instead of inlining CSS', () => {
+  const assets = new AssetCollector({ publicPath: '/assets/' });
+  const doc = new Document();
+  doc.sharedClass('btn', { padding: '4px' });
+  doc.globalStyle('body', { margin: '0' });
+  doc.div().css({ color: 'red' }).text('Hi');
+  const inline = doc.render({ preserve: true });
+  const html = doc.render({ extractCss: assets });
+  assert(!html.includes('<style'), 'no <style> block');
+  assert(/^styles\.[a-z0-9]+\.css$/.test(assets.cssFileName), `file name ${assets.cssFileName}`);
+  assert(html.includes(`<link rel="stylesheet" href="/assets/${assets.cssFileName}"></head>`), 'link in <head>');
+  const inlineCss = inline.match(/<style>(.*?)<\/style>/g).map(block => block.slice(7, -8)).join('');
+  assert(assets.css === inlineCss, 'the stylesheet holds exactly the CSS render() would inline');
+  const [file] = assets.files();
+  assert(file.fileName === assets.cssFileName && file.contents === assets.css && file.contentType.startsWith('text/css'), 'files()');
+  assert(doc.body.length === 0, 'the render still consumes the document');
+});
+
+test('one AssetCollector deduplicates rules across documents', () => {
+  const assets = new AssetCollector();
+  const build = (extra) => {
+    const doc = new Document();
+    doc.globalStyle('body', { margin: '0' });
+    doc.div().css({ color: 'red' });
+    if (extra) doc.p().css({ margin: '1rem' });
+    return doc;
+  };
+  const first = build(false).render({ extractCss: assets });
+  const firstName = assets.cssFileName;
+  const second = build(true).render({ extractCss: assets });
+  assert(assets.cssFileName !== firstName, 'a new rule changes the hash');
+  assert(assets.css.split('color:red').length === 2 && assets.css.split('body{').length === 2, 'shared rules stored once');
+  assert(!second.includes('<style'), 'an identical head rule is shared, not repeated in the page');
+  assert(second.includes(assets.cssHref), 'the latest page links to the current file');
+  assert(first.includes(firstName) && assets.resolve(first).includes(assets.cssHref), 'resolve() updates earlier pages');
+  assert(!assets.resolve(first).includes(firstName), 'no stale link left');
+  assert(build(false).render({ extractCss: assets }).includes(assets.cssHref), 'a page adding nothing links to the same file');
+});
+
+test('a head selector another page defined differently stays in the page, with a warning', () => {
+  const assets = new AssetCollector();
+  const build = (color) => {
+    const doc = new Document();
+    doc.sharedClass('card', { color });
+    doc.globalStyle('h1', { margin: '0' });
+    doc.globalStyle('h1', { color });
+    doc.addStyle(`@media print{.card{color:${color}}} .note{font-style:italic}`);
+    doc.div().addClass('card').css({ padding: '4px' });
+    return doc.render({ extractCss: assets });
+  };
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  let red, blue;
+  try {
+    red = build('red');
+    assert(warnings.length === 0, 'the first definition is not a conflict');
+    blue = build('blue');
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert(!red.includes('<style'), 'the first page shares all its head rules');
+  assert(assets.css.includes('.card{color:red;}') && assets.css.includes('h1{margin:0;}h1{color:red;}'), 'the first definitions are shared');
+  assert(assets.css.split('.note{').length === 2 && assets.css.split('padding:4px').length === 2, 'identical rules are stored once');
+  const own = blue.match(/<style>(.*?)<\/style>/);
+  assert(own && own[1] === '.card{color:blue;}h1{margin:0;}h1{color:blue;}@media print{.card{color:blue}}', `only the differing selectors stay in the page: ${own && own[1]}`);
+  assert(blue.indexOf(own[0]) > blue.indexOf('<link'), 'after the link, so they override it');
+  assert(!assets.css.includes('blue'), 'the shared file keeps one definition per selector');
+  assert(warnings.length === 1 && /"\.card", "h1", "@media print" are defined differently/.test(warnings[0]), warnings[0]);
+});
+
+test('render({ extractCss }) bypasses the response cache and checks its argument', () => {
+  const { clearCache } = require('../index');
+  clearCache();
+  const cached = new Document({ cache: true, cacheKey: 'extract-css' });
+  cached.div().css({ color: 'blue' });
+  cached.render();
+  const assets = new AssetCollector();
+  const doc = new Document({ cache: true, cacheKey: 'extract-css' });
+  doc.div().css({ color: 'blue' });
+  const html = doc.render({ extractCss: assets });
+  assert(html.includes(assets.cssHref) && assets.css.includes('color:blue'), 'rendered, not served from the cache');
+  clearCache();
+  let error = null;
+  try { new Document().render({ extractCss: true }); } catch (e) { error = e; }
+  assert(error instanceof TypeError && /AssetCollector/.test(error.message), 'a non-collector throws');
+  const empty = new AssetCollector();
+  const plain = new Document();
+  plain.p('no styles');
+  assert(!plain.render({ extractCss: empty }).includes('<link') && empty.files().length === 0, 'no CSS, no link or file');
+});
+
+function emailFixture() {
+  const doc = new Document();
+  doc.title('Receipt');
+  doc.sharedClass('btn', { padding: '8px', color: 'white' });
+  doc.globalStyle('p', { margin: '0 0 12px' });
+  doc.globalStyle('body', { backgroundColor: '#eee' });
+  doc.globalStyle('.total', { fontWeight: '700' });
+  doc.addStyle('@media (max-width:600px){.btn{width:100%}}a:hover{color:red}');
+  doc.addScript('/analytics.js');
+  const intro = doc.p('Thanks & welcome').css({ color: 'red' });
+  intro.style('color', 'blue');
+  doc.p('Total: $5').addClass('total').css({ fontWeight: '400', display: 'flex' });
+  doc.a('https://example.com/orders/1', 'View order').addClass('btn');
+  doc.button('Undo').onClick(() => {});
+  doc.ul().li('Widget');
+  doc.img('/logo.png', 'Shop');
+  return doc;
+}
+
+test('render({ target: "email" }) inlines CSS and drops scripts', () => {
+  const doc = emailFixture();
+  const inlined = doc.renderEmail({ preserve: true });
+  const html = doc.render({ target: 'email' });
+  assert(html === inlined.html, 'render() returns renderEmail().html');
+  assert(html.includes('<p style="margin:0 0 12px;color:blue;">Thanks &amp; welcome</p>'), 'style() beats css(), which beats a type rule');
+  assert(html.includes('<p style="margin:0 0 12px;font-weight:400;display:flex;">'), 'css() comes after head rules of equal specificity, as on the web');
+  assert(html.includes('<a class="btn" href="https://example.com/orders/1" style="padding:8px;color:white;">'), 'shared class inlined; hashed classes removed');
+  assert(html.includes('<body style="background-color:#eee;">'), 'body rules go on <body>');
+  assert(!html.includes('<script') && !html.includes('analytics'), 'no scripts');
+  assert(html.includes('<style>@media (max-width:600px){.btn{width:100%}}a:hover{color:red}</style>'), 'rules that cannot be inlined are kept');
+  assert(doc.body.length === 0, 'consumes the document like render()');
+});
+
+test('renderEmail() reports what mail clients cannot handle', () => {
+  const { warnings, text } = emailFixture().renderEmail();
+  const codes = warnings.map(w => `${w.code}:${w.tag}`);
+  for (const expected of ['W_EMAIL_UNSUPPORTED_TAG:button', 'W_EMAIL_INTERACTIVITY:button', 'W_EMAIL_CSS:p', 'W_EMAIL_RELATIVE_URL:img', 'W_EMAIL_SCRIPT:script', 'W_EMAIL_STYLE_BLOCK:style']) {
+    assert(codes.includes(expected), expected);
+  }
+  assert(!codes.includes('W_EMAIL_RELATIVE_URL:a'), 'absolute links pass');
+  assert(text === 'Thanks & welcome\n\nTotal: $5\n\nView order [1]Undo\n\n* Widget\n\nShop\n\n[1] https://example.com/orders/1', `plain text: ${JSON.stringify(text)}`);
+});
+
+test('renderEmail({ preserve: true }) leaves the web render unchanged', () => {
+  const doc = emailFixture();
+  const web = () => doc.render({ preserve: true }).replace(/_ssr\w+/g, '_ssr');
+  const before = web();
+  doc.renderEmail({ preserve: true });
+  assert(web() === before, 'styles and classes restored');
+  let error = null;
+  try { doc.render({ target: 'pdf' }); } catch (e) { error = e; }
+  assert(error instanceof TypeError && /unknown target/.test(error.message), 'unknown targets throw');
+});
+
+test('renderText() turns headings, lists, tables and links into plain text', () => {
+  const doc = new Document();
+  doc.h1('Order shipped');
+  const intro = doc.p('Your order is on its way and should arrive within three to five business days. Track it ');
+  intro.a('https://example.com/track/1', 'here');
+  intro.text(' or see ');
+  intro.a('https://example.com/track/1', 'the status page');
+  intro.text('.');
+  const items = doc.ul();
+  items.li('Widget & case');
+  items.li('Gadget').ul().li('Spare battery');
+  doc.ol().attr('start', 3).li('Third step');
+  doc.dataTable(['Item', 'Qty'], [['Widget', '2'], ['Gadget deluxe', '1']]);
+  doc.h2('Questions?');
+  doc.blockquote('Reply to this email.');
+  doc.pre('a  b\n  c');
+  doc.p('Support: ').a('mailto:help@example.com', 'help@example.com');
+  doc.create('script').text('ignored()');
+  doc.create('style').text('p{color:red}');
+  doc.div('secret').attr('hidden', '');
+  const expected = [
+    'Order shipped',
+    '=============',
+    '',
+    'Your order is on its way and should arrive within three to five business',
+    'days. Track it here [1] or see the status page [1].',
+    '',
+    '* Widget & case',
+    '* Gadget',
+    '  * Spare battery',
+    '',
+    '3. Third step',
+    '',
+    'Item           Qty',
+    '-------------  ---',
+    'Widget         2',
+    'Gadget deluxe  1',
+    '',
+    'Questions?',
+    '----------',
+    '',
+    '> Reply to this email.',
+    '',
+    'a  b',
+    '  c',
+    '',
+    'Support: help@example.com',
+    '',
+    '[1] https://example.com/track/1',
+  ].join('\n');
+  const text = doc.renderText();
+  assert(text === expected, `text output:\n${text}`);
+  assert(doc.body.length > 0, 'does not consume the document');
+});
+
+test('renderText({ width }) sets the wrap column', () => {
+  const doc = new Document();
+  doc.p('one two three four five six');
+  doc.ul().li('alpha beta gamma delta');
+  assert(doc.renderText({ width: 10 }) === 'one two\nthree four\nfive six\n\n* alpha\n  beta\n  gamma\n  delta', 'wrapped at 10, list items hang');
+  assert(doc.renderText({ width: 0 }) === 'one two three four five six\n\n* alpha beta gamma delta', 'width 0 never wraps');
+  let error = null;
+  try { doc.renderText({ width: -1 }); } catch (e) { error = e; }
+  assert(error instanceof TypeError, 'a negative width throws');
+});
+
+// Everything that used to vary between runs: generated ids, the client
+// namespace, and scoped class names.
+function deterministicFixture(doc) {
+  doc.state('count', 0);
+  doc.button('Add').on('click', () => { State.count++; });
+  doc.p('').bind('count', v => `Count: ${v}`);
+  doc.div().css({ padding: '4px' }).field('Email');
+  return doc;
+}
+
+test('configure({ deterministic: true }) makes identical builds byte-identical', () => {
+  const original = { ...CONFIG };
+  try {
+    configure({ deterministic: true });
+    const first = deterministicFixture(new Document()).render();
+    deterministicFixture(new Document()).render();
+    const second = deterministicFixture(new Document()).render();
+    assert(first === second, 'documents built in between change nothing');
+    assert(first.includes('id="id-1"') && first.includes('id="id-2"'), 'ids count from 1 per document');
+    const ns = first.match(/_ssr\w+/g);
+    assert(ns.length > 1 && ns.every(n => n === ns[0]) && /^_ssr[0-9a-z]+$/.test(ns[0]), 'one namespace, hashed from the script');
+    const other = deterministicFixture(new Document());
+    other.p('').bind('count', v => v * 2);
+    assert(other.render().match(/_ssr\w+/)[0] !== ns[0], 'a different script gets a different namespace');
+  } finally {
+    configure(original);
+  }
+  assert(!deterministicFixture(new Document()).render().includes('id="id-1"'), 'ids are unique across the process again');
+});
+
+test('new Document({ seed }) is deterministic on its own', () => {
+  const doc = deterministicFixture(new Document({ seed: 'cart' }));
+  const copy = doc.clone();
+  copy.p('More').id();
+  const html = doc.render();
+  assert(html.includes('id="id-cart-1"'), 'ids carry the seed');
+  assert(copy.render().includes('<p id="id-cart-4">More</p>'), 'a clone keeps the ids and continues the count');
+  let error = null;
+  try { new Document({ seed: 'a b' }); } catch (e) { error = e; }
+  assert(error instanceof TypeError, 'a seed that does not fit in an id throws');
+  // Prod mode, because dev mode records the file and line of each callback,
+  // and the child's fixture lives in an -e script.
+  const original = { ...CONFIG };
+  let prodHtml;
+  try {
+    configure({ mode: 'prod' });
+    prodHtml = deterministicFixture(new Document({ seed: 'cart' })).render();
+  } finally {
+    configure(original);
+  }
+  const script = `
+    const { Document, configure } = require(${JSON.stringify(require.resolve('../index'))});
+    ${deterministicFixture.toString()}
+    configure({ mode: 'prod' });
+    process.stdout.write(deterministicFixture(new Document({ seed: 'cart' })).render());
+  `;
+  const fromChild = execFileSync(process.execPath, ['-e', script], { encoding: 'utf-8', timeout: 20000 });
+  assert(fromChild === prodHtml, 'another process renders the same bytes');
+});
+
+test('renderPartial() of a deterministic document scopes its generated ids to the region', () => {
+  const build = () => {
+    const doc = new Document({ seed: 'shop' });
+    doc.state('qty', 1);
+    doc.h1('Shop').id();
+    const cart = doc.section().id('cart');
+    cart.div().field('Quantity');
+    const total = cart.p('').bind('qty', v => `Items: ${v}`);
+    cart.button('More').on('click', () => { State.qty++; });
+    cart.button('Clear').bindState(total, 'click', function () { document.getElementById('__STATE_ID__').textContent = ''; });
+    return doc;
+  };
+  const page = build().render();
+  const doc = build();
+  const partial = doc.renderPartial('cart');
+  const ids = (html) => [...html.matchAll(/ id="([^"]+)"/g)].map(m => m[1]);
+  assert(ids(page).includes('id-shop-1'), 'the page uses the generated ids');
+  assert(ids(partial).includes('cart') && ids(partial).filter(id => id !== 'cart').every(id => id.startsWith('cart-id-shop-')),
+    `every generated id in the region carries its root's id: ${ids(partial)}`);
+  assert(!ids(partial).some(id => ids(page).includes(id) && id !== 'cart'), 'no id of the region collides with the page');
+  const label = /<label for="([^"]+)"/.exec(partial)[1];
+  assert(ids(partial).includes(label), 'labels follow their control');
+  for (const id of ids(partial)) if (id !== 'cart') assert(!partial.includes(`"${id.slice(5)}"`), `no reference to the old id of ${id} is left`);
+  assert(doc.renderPartial('cart') === partial, 'the document is left as it was, so a second render matches');
+  assert(doc.render() === page, 'and render() still uses the original ids');
+
+  const anonymous = new Document({ seed: 'x' });
+  const box = anonymous.div();
+  box.button('Go').on('click', () => {});
+  assert(/ id="p[0-9a-z]+-id-x-\d+"/.test(anonymous.renderPartial(box)), 'a root without an id scopes by a hash of its markup');
+});
+
 /* ---- Summary ---- */
 console.log(`\n${'='.repeat(40)}`);
 console.log(`Results: ${passed} passed, ${failed} failed`);
@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Render pipeline plugins: registration, every hook on render(), the same hooks
+ * on renderStream() and renderToReadableStream(), and the edges — cache hits,
+ * failing hooks, clone() and renderPartial().
+ */
+
+const assert = require('assert');
+const { Document, registerPlugin, clearCache } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+function collect(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(String(chunk)));
+    stream.on('end', () => resolve(chunks));
+    stream.on('error', reject);
+  });
+}
+
+async function collectReadable(stream) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return html;
+    html += decoder.decode(value, { stream: true });
+  }
+}
+
+// Element ids and the hydration script's namespace differ per document.
+const stable = (html) => html.replace(/_ssr[a-z0-9]+/g, '_ssr').replace(/id-[a-z0-9]+/g, 'id');
+
+// A plugin of every kind, recording the order hooks ran in.
+function pipelinePlugin(calls) {
+  return {
+    name: 'pipeline',
+    onElementCreate(el) {
+      if (el.tag === 'img') el.attr('loading', 'lazy');
+    },
+    beforeRender(doc) {
+      calls.push('beforeRender');
+      doc.footer('Rendered with plugins');
+    },
+    transformNode(el) {
+      if (el.attrs.src && !el.attrs.src.startsWith('https://')) el.attrs.src = `https://cdn.example${el.attrs.src}`;
+      if (el.tag === 'aside') return null;
+      if (el.tag === 'blink') return '<em>no blinking</em>';
+    },
+    afterHead(doc) {
+      calls.push('afterHead');
+      return `<meta name="page-elements" content="${doc.elementCount()}">`;
+    },
+    onClientCompile(ctx) {
+      calls.push('onClientCompile');
+      return `window.__events=${ctx.events.length};`;
+    },
+    afterRender(html) {
+      calls.push('afterRender');
+      return html.replace('</body>', '<!-- served --></body>');
+    },
+  };
+}
+
+function pipelinePage(calls) {
+  const doc = new Document({ nonce: 'n0nce' });
+  doc.usePlugin(pipelinePlugin(calls));
+  doc.img().attr('src', '/hero.png').attr('alt', 'Hero');
+  doc.aside('internal note');
+  doc.p().create('blink').text('Sale');
+  doc.button('Buy').onClick(() => { State.bought = true; });
+  return doc;
+}
+
+console.log('\n▸ Plugins');
+
+test('usePlugin() and registerPlugin() reject malformed plugins', () => {
+  const doc = new Document();
+  assert.throws(() => doc.usePlugin(null), /\[Document\] usePlugin\(\) expects a plugin object/);
+  assert.throws(() => doc.usePlugin({ name: 'empty' }), /at least one hook/);
+  assert.throws(() => doc.usePlugin({ afterrender: () => '' }), /unknown plugin hook "afterrender"/);
+  assert.throws(() => registerPlugin({ afterHead: '<meta>' }), /hook "afterHead" must be a function/);
+});
+
+test('render() runs every hook in pipeline order', () => {
+  const calls = [];
+  const html = pipelinePage(calls).render();
+  assert.deepStrictEqual(calls, ['beforeRender', 'afterHead', 'onClientCompile', 'afterRender']);
+  assert(html.includes('<img loading="lazy" src="https://cdn.example/hero.png" alt="Hero">'), 'onElementCreate + transformNode');
+  assert(!html.includes('internal note'), 'transformNode returning null drops the element');
+  assert(html.includes('<p><em>no blinking</em></p>'), 'transformNode returning markup replaces the element');
+  assert(html.includes('<footer>Rendered with plugins</footer>'), 'beforeRender may still change the tree');
+  assert(/<meta name="page-elements" content="\d+"><\/head>/.test(html), 'afterHead at the end of <head>');
+  assert(html.includes('<script nonce="n0nce">window.__events=1;</script>'), 'onClientCompile script after hydration, with the nonce');
+  assert(html.endsWith('<!-- served --></body></html>'), 'afterRender rewrites the page');
+});
+
+test('global plugins run first, for every document, until unregistered', () => {
+  const order = [];
+  const local = { afterHead: () => { order.push('local'); return '<meta name="local">'; } };
+  const global = { afterHead: () => { order.push('global'); return '<meta name="global">'; } };
+  const unregister = registerPlugin(global);
+  try {
+    registerPlugin(global);
+    const doc = new Document().usePlugin(local).usePlugin(local);
+    doc.p('x');
+    assert(doc.render().includes('<meta name="global"><meta name="local"></head>'));
+    assert.deepStrictEqual(order, ['global', 'local'], 'each plugin once, global first');
+    const other = new Document();
+    other.p('y');
+    assert(other.render().includes('<meta name="global">'), 'applies to documents created before or after');
+  } finally {
+    unregister();
+  }
+  const after = new Document();
+  after.p('z');
+  assert(!after.render().includes('name="global"'), 'unregistered');
+});
+
+test('a response-cache hit skips the hooks; a failing hook leaves the document intact', () => {
+  clearCache();
+  let renders = 0;
+  const plugin = { beforeRender: () => { renders++; } };
+  for (let i = 0; i < 2; i++) {
+    const doc = new Document({ cache: true, cacheKey: 'plugins-cache-hit' }).usePlugin(plugin);
+    doc.p('cached');
+    doc.render();
+  }
+  assert.strictEqual(renders, 1, 'second render served from the cache');
+  clearCache();
+
+  const doc = new Document().usePlugin({ afterRender: () => { throw new Error('plugin failed'); } });
+  doc.p('kept');
+  assert.throws(() => doc.render(), /plugin failed/);
+  assert.strictEqual(doc.body.length, 1, 'body not cleared');
+});
+
+test('clone() keeps plugins; renderPartial() runs transformNode only', () => {
+  const calls = [];
+  const doc = pipelinePage(calls);
+  doc.div().id('panel').create('img').attr('src', '/thumb.png');
+  const partial = doc.renderPartial('panel');
+  assert(partial.includes('src="https://cdn.example/thumb.png"'), 'transformNode applied');
+  assert(partial.includes('loading="lazy"'), 'onElementCreate ran when it was built');
+  assert.deepStrictEqual(calls, [], 'page-level hooks skipped');
+  const copy = doc.clone();
+  assert(copy.render().includes('<footer>Rendered with plugins</footer>'), 'plugins copied');
+});
+
+testAsync('renderStream() runs the same hooks and sends the same page', async () => {
+  const renderCalls = [];
+  const streamCalls = [];
+  const rendered = pipelinePage(renderCalls).render();
+  const chunks = await collect(pipelinePage(streamCalls).renderStream());
+  assert.deepStrictEqual(streamCalls, ['beforeRender', 'afterHead', 'onClientCompile', 'afterRender'], 'afterRender once, on the whole page');
+  assert.strictEqual(chunks.length, 1, 'the page is held back for afterRender');
+  assert.strictEqual(stable(chunks.join('')), stable(rendered));
+}).then(() => testAsync('styles collected ahead of the body follow transformNode, which runs once per element', async () => {
+  const make = (calls) => {
+    const doc = new Document().usePlugin({
+      transformNode(el) {
+        calls.push(el.tag);
+        if (el.tag === 'aside') return null;
+        if (el.tag === 'section') {
+          const banner = el._document._poolElement('div', false);
+          banner.css({ color: 'rgb(1, 2, 3)' }).text('Banner');
+          return banner;
+        }
+      },
+    });
+    doc.aside('Dropped').css({ color: 'rgb(9, 9, 9)' });
+    doc.section('Replaced');
+    doc.p('Kept').css({ color: 'rgb(4, 5, 6)' });
+    return doc;
+  };
+  const calls = [];
+  const html = await collect(make(calls).renderStream({ stylesInHead: true }));
+  const head = /<head>([\s\S]*)<\/head>/.exec(html.join(''))[1];
+  assert(head.includes('rgb(1, 2, 3)') && head.includes('rgb(4, 5, 6)'), 'the replacement and kept elements have their CSS in <head>');
+  assert(!html.join('').includes('rgb(9, 9, 9)'), 'a dropped element sends no CSS');
+  assert.deepStrictEqual(calls, ['aside', 'section', 'p'], 'each element is transformed once');
+
+  const email = make([]).renderEmail();
+  assert(!email.html.includes('rgb(9, 9, 9)'), 'the email cascade ignores dropped elements too');
+  assert(email.html.includes('<p style="color:rgb(4, 5, 6);">Kept</p>'), email.html);
+})).then(() => testAsync('afterRenderChunk() sees each streamed chunk; render() never calls it', async () => {
+  const seen = [];
+  const plugin = {
+    afterRenderChunk(chunk) {
+      seen.push(chunk);
+      return chunk.replace('</body>', '<!-- streamed --></body>');
+    },
+  };
+  const make = () => {
+    const doc = new Document().usePlugin(plugin);
+    doc.h1('Title');
+    doc.p('Body');
+    return doc;
+  };
+  const chunks = await collect(make().renderStream());
+  assert(seen.length > 1, 'called once per chunk');
+  assert.deepStrictEqual(chunks, [...seen.slice(0, -1), seen[seen.length - 1].replace('</body>', '<!-- streamed --></body>')]);
+  seen.length = 0;
+  assert(!make().render().includes('streamed'));
+  assert.strictEqual(seen.length, 0);
+  assert.throws(() => new Document().usePlugin({ afterRenderChunk: 'x' }), /hook "afterRenderChunk" must be a function/);
+})).then(() => testAsync('renderToReadableStream() runs the hooks too', async () => {
+  const calls = [];
+  const html = await collectReadable(pipelinePage(calls).renderToReadableStream());
+  assert(html.includes('src="https://cdn.example/hero.png"'));
+  assert(html.includes('<script nonce="n0nce">window.__events=1;</script>'));
+  assert(html.endsWith('<!-- served --></body></html>'));
+  assert.strictEqual(calls[0], 'beforeRender');
+})).then(() => {
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+});
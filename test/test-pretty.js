@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * render({ pretty: true }) and configure({ pretty: true }): indented blocks,
+ * inline runs and whitespace-sensitive elements kept exactly, formatted
+ * <style> rules and client script that still mean what they meant.
+ */
+
+const assert = require('assert');
+const vm = require('vm');
+const { page, Document, configure, CONFIG } = require('..');
+const { prettyHTML, prettyCss, prettyJs } = require('../lib/pretty');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+const scripts = (html) => [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]);
+const squeeze = (text) => text.replace(/\s+/g, '');
+
+function counter() {
+  const doc = page('Counter', { resetCss: false });
+  doc.state('count', 0);
+  doc.button('Add').id('add').on('click', () => {
+    const label = `count: ${State.count}`;
+    if (/^count/.test(label)) { State.count++; } else State.count = 0;
+  });
+  doc.p('').id('out').bind('count', v => `Count: ${v}`);
+  return doc;
+}
+
+console.log('\n▸ pretty output');
+
+test('blocks are indented and inline runs stay exactly as rendered', () => {
+  const doc = new Document();
+  const card = doc.div().addClass('card');
+  card.h2('Title');
+  const p = card.p('Hello ');
+  p.strong('world');
+  p.text(' & more');
+  doc.ul().li('One');
+  const html = doc.render({ pretty: true });
+  assert.strictEqual(html, [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '  <head>',
+    '    <meta charset="UTF-8">',
+    '    <title>Document</title>',
+    '  </head>',
+    '  <body>',
+    '    <div class="card">',
+    '      <h2>Title</h2>',
+    '      <p>Hello <strong>world</strong> &amp; more</p>',
+    '    </div>',
+    '    <ul>',
+    '      <li>One</li>',
+    '    </ul>',
+    '  </body>',
+    '</html>',
+    '',
+  ].join('\n'));
+});
+
+test('pre, textarea and inline runs keep their whitespace', () => {
+  const html = prettyHTML('<body><div><pre>a\n  <b>b</b>\n</pre><textarea>  x\n y</textarea><span> a  b </span></div></body>');
+  assert.strictEqual(html, [
+    '<body>',
+    '  <div>',
+    '    <pre>a\n  <b>b</b>\n</pre>',
+    '    <textarea>  x\n y</textarea><span> a  b </span>',
+    '  </div>',
+    '</body>',
+    '',
+  ].join('\n'));
+  assert.strictEqual(prettyHTML('<div>\n  text\u00a0\n<p>x</p></div>'), '<div>\n  text\u00a0\n  <p>x</p>\n</div>\n',
+    'only HTML whitespace next to a block is dropped');
+});
+
+test('style rules get one declaration per line', () => {
+  assert.strictEqual(prettyCss('.a,.b{color:red;background:url(data:image/png;base64,AA==)}@media (max-width:600px){.c:hover{content:"{;}"}}'), [
+    '.a,.b {',
+    '  color: red;',
+    '  background: url(data:image/png;base64,AA==);',
+    '}',
+    '@media (max-width:600px) {',
+    '  .c:hover {',
+    '    content: "{;}";',
+    '  }',
+    '}',
+  ].join('\n'));
+  const html = page('Styled', { resetCss: false }).globalStyle('body', { margin: 0 }).render({ pretty: true });
+  assert(html.includes('    <style>\n      body {\n        margin: 0;\n      }\n    </style>'), html);
+});
+
+test('the client script is one statement per line and still compiles to the same code', () => {
+  const compact = scripts(counter().render())[0];
+  const pretty = scripts(counter().render({ pretty: true }))[0];
+  assert(pretty.split('\n').length > 50, 'split into lines');
+  assert(pretty.includes('\n        if(document.readyState==="loading") {\n'), pretty);
+  assert(pretty.includes('`count: ${State.count}`'), 'template literals are untouched');
+  assert.doesNotThrow(() => new vm.Script(pretty));
+  const ids = /_ssr\w+/g;
+  assert.strictEqual(squeeze(pretty).replace(ids, '_ssr'), squeeze(compact).replace(ids, '_ssr'), 'only whitespace changed');
+});
+
+test('prettyJs keeps line breaks that automatic semicolon insertion depends on', () => {
+  assert.strictEqual(prettyJs('a\n++b\nreturn\nx;do{a()}while(b);if(c){}else{d()}'), [
+    'a',
+    '++b',
+    'return',
+    'x;',
+    'do {',
+    '  a()',
+    '} while(b);',
+    'if(c) {} else {',
+    '  d()',
+    '}',
+  ].join('\n'));
+  assert.strictEqual(prettyJs('f({a:1,b:function(){return /}/.test(s)}});'), 'f({a:1,b:function() {\n  return /}/.test(s)\n}});');
+});
+
+test('JSON-LD is indented and stays safe inside the script element', () => {
+  const doc = page('Data', { resetCss: false });
+  doc.jsonLd({ '@type': 'Thing', name: '</script><b>' });
+  const html = doc.render({ pretty: true });
+  assert(html.includes('"name": "\\u003c/script\\u003e\\u003cb\\u003e"'), html);
+  assert.strictEqual((html.match(/<\/script>/g) || []).length, 1);
+});
+
+test('configure({ pretty: true }) applies to render() and renderPartial(), and wins over prod minification', () => {
+  const original = { ...CONFIG };
+  try {
+    configure({ pretty: true, mode: 'prod' });
+    const html = counter().render();
+    assert(html.startsWith('<!DOCTYPE html>\n<html lang="en">\n  <head>\n'), html.slice(0, 80));
+    assert(!counter().render({ pretty: false }).includes('\n  <head>'), 'render({ pretty: false }) overrides the config');
+    const doc = counter();
+    const partial = doc.renderPartial('out');
+    assert(partial.startsWith('<p id="out"></p>\n<script>\n  (function() {\n'), partial.slice(0, 80));
+  } finally {
+    configure(original);
+  }
+});
+
+test('a pretty render bypasses the response cache', () => {
+  const make = () => {
+    const doc = new Document({ cacheKey: `pretty-${process.pid}` });
+    doc.div().p('cached');
+    return doc;
+  };
+  const pretty = make().render({ pretty: true });
+  const compact = make().render();
+  assert(pretty.includes('\n    <div>\n      <p>cached</p>\n'));
+  assert(compact.includes('<div><p>cached</p></div>'), 'the pretty page was not cached');
+  assert.strictEqual(make().render({ pretty: true }), pretty, 'nor served from the cache');
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
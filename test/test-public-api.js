@@ -574,6 +574,147 @@ test('validate reports duplicate ids as errors without mutating the document', (
   assert.strictEqual(doc.elementCount(), before);
 });
 
+test('validate reports content-model violations with tag paths', () => {
+  const doc = new api.Document();
+  const app = doc.div().id('app');
+  app.p('Intro').div('Block');
+  doc.span().child('section');
+  doc.a('/home', 'Home').button('Go');
+  doc.div().li('Stray');
+  doc.table().tr();
+  doc.form().form();
+  doc.create('label').create('label');
+  doc.h2().child('p');
+
+  const result = doc.validate();
+  const nesting = result.errors.filter((issue) => issue.code === 'E_INVALID_NESTING');
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(nesting.map((issue) => [issue.path, issue.parent]), [
+    ['body > div#app > p > div', 'p'],
+    ['body > span > section', 'span'],
+    ['body > a > button', 'a'],
+    ['body > div > li', 'div'],
+    ['body > table > tr', 'table'],
+    ['body > form > form', 'form'],
+    ['body > label > label', 'label'],
+    ['body > h2 > p', 'h2'],
+  ]);
+  assert(/ends the <p> before it/.test(nesting[0].message), nesting[0].message);
+  assert(/implied <tbody>/.test(nesting[4].message), nesting[4].message);
+  assert.strictEqual(nesting[3].message, '<li> must be inside <ul>, <ol> or <menu>, not <div>.');
+});
+
+test('validate accepts valid nesting, transparent links, and unchecked subtrees', () => {
+  const doc = new api.Document();
+  doc.list(['One', 'Two']);
+  doc.dataTable(['Name'], [['Ada']]);
+  doc.a('/card').div('A block link');
+  doc.p().a('/x').span('Inline');
+  const dl = doc.child('dl');
+  dl.div().child('dt').text('Term');
+  dl.child('dd').text('Definition');
+  doc.child('my-widget').child('li');
+  doc.span().child('svg').child('g');
+  doc.label((label) => label.input('email'));
+  doc.select('choice', ['a', 'b']).aria({ label: 'Choice' });
+
+  assert.deepStrictEqual(doc.validate().errors, []);
+});
+
+test('validate({ fix: true }) names decorative images and placeholder-only controls', () => {
+  const doc = new api.Document();
+  doc.img('/divider.png').attr('role', 'presentation');
+  doc.img('/chart.png');
+  doc.input('search').attr('placeholder', 'Search orders');
+  doc.input('text');
+
+  const result = doc.validate({ fix: true });
+  assert.deepStrictEqual(result.fixes.applied.map((fix) => [fix.code, fix.path]), [
+    ['W_IMAGE_ALT', 'body > img'],
+    ['W_CONTROL_LABEL', 'body > input'],
+  ]);
+  assert.deepStrictEqual(result.fixes.unapplied.map((fix) => fix.code), ['W_IMAGE_ALT', 'W_CONTROL_LABEL']);
+  assert(result.fixes.unapplied.every((fix) => typeof fix.reason === 'string' && fix.reason.length > 0));
+  assert.deepStrictEqual(result.warnings.map((issue) => issue.code), ['W_IMAGE_ALT', 'W_CONTROL_LABEL'], 'only the unfixed issues remain');
+  const html = doc.render();
+  assert(html.includes('<img src="/divider.png" role="presentation" alt="">'));
+  assert(html.includes('<img src="/chart.png">'));
+  assert(html.includes('placeholder="Search orders" aria-label="Search orders"'));
+});
+
+test('validate({ fix: true }) renumbers headings without changing the outline', () => {
+  const doc = new api.Document();
+  doc.h1('Title');
+  doc.h3('Section');
+  doc.h4('Subsection');
+  doc.h3('Next section');
+  const result = doc.validate({ fix: true });
+  assert.deepStrictEqual(result.fixes.applied.map((fix) => fix.change), [
+    '<h3> is now <h2>.', '<h4> is now <h3>.', '<h3> is now <h2>.',
+  ]);
+  assert.deepStrictEqual(result.warnings, []);
+  assert(doc.render().includes('<h1>Title</h1><h2>Section</h2><h3>Subsection</h3><h2>Next section</h2>'));
+
+  const styled = new api.Document();
+  styled.globalStyle('h3', { color: 'red' });
+  styled.h1('Title');
+  styled.h3('Section');
+  const kept = styled.validate({ fix: true });
+  assert.deepStrictEqual(kept.fixes.applied, []);
+  assert(/selects <h3> or <h2> by tag/.test(kept.fixes.unapplied[0].reason), kept.fixes.unapplied[0].reason);
+  assert(styled.render().includes('<h3>Section</h3>'));
+
+  const clientSide = [
+    (doc) => doc.button('Open').on('click', () => document.querySelector('h3').focus()),
+    (doc) => doc.p('').bind('open', (open) => (open ? document.querySelectorAll('H2').length : 0)),
+    (doc) => doc.div().onMount((el) => el.closest('main').querySelector('h3')),
+    (doc) => doc.oncreate(() => { document.querySelector('h3'); }),
+    (doc) => doc.inlineScript("document.querySelectorAll('h3').forEach(h => h.classList.add('x'));"),
+  ];
+  for (const wire of clientSide) {
+    const scripted = new api.Document();
+    scripted.h1('Title');
+    scripted.h3('Section');
+    wire(scripted);
+    const result = scripted.validate({ fix: true });
+    assert.deepStrictEqual(result.fixes.applied, [], wire.toString());
+    assert(/Client code mentions <h3> or <h2>/.test(result.fixes.unapplied[0].reason), result.fixes.unapplied[0].reason);
+    assert.strictEqual(scripted.body[1].tag, 'h3');
+  }
+});
+
+test('validate({ fix: true }) re-ids duplicates and moves the references that belong to them', () => {
+  const doc = new api.Document();
+  const first = doc.div();
+  first.label('Name').for('name');
+  first.input('text').id('name');
+  const second = doc.div();
+  second.label('Nickname').for('name');
+  second.input('text').id('name').aria({ describedby: 'name-help' });
+  const result = doc.validate({ fix: true });
+  assert.strictEqual(result.valid, true);
+  const renamed = doc.querySelectorAll('input')[1].attrs.id;
+  assert.notStrictEqual(renamed, 'name');
+  assert.strictEqual(doc.querySelectorAll('label')[0].attrs.for, 'name');
+  assert.strictEqual(doc.querySelectorAll('label')[1].attrs.for, renamed);
+  assert.deepStrictEqual(result.fixes.applied.map((fix) => fix.path), ['body > div > input#name', 'body > div > label']);
+
+  const ambiguous = new api.Document();
+  ambiguous.label('Name').for('name');
+  ambiguous.input('text').id('name');
+  ambiguous.input('text').id('name');
+  const skipped = ambiguous.validate({ fix: true });
+  assert.strictEqual(skipped.valid, false);
+  assert.deepStrictEqual(skipped.fixes.unapplied.map((fix) => fix.code), ['E_DUPLICATE_ID']);
+
+  const wired = new api.Document();
+  wired.button('One').id('go');
+  wired.button('Two').id('go').on('click', () => {});
+  const behavior = wired.validate({ fix: true });
+  assert(/client behavior/.test(behavior.fixes.unapplied[0].reason));
+  assert.strictEqual(wired.querySelectorAll('button')[1].attrs.id, 'go');
+});
+
 test('validate reports accessibility and undeclared-state warnings', () => {
   const doc = new api.Document();
   doc.h1();
@@ -601,5 +742,86 @@ test('validate accepts labelled controls, decorative images, declared state, and
   assert.deepStrictEqual(doc.validate(), { valid: true, errors: [], warnings: [] });
 });
 
+test('render({ preserve: true }) leaves the document renderable and inspectable', () => {
+  const doc = new api.Document();
+  doc.title('Preserved');
+  doc.states({ count: 2 });
+  const heading = doc.h1('Hello');
+  doc.button('+1').onClick(() => { State.count++; });
+  doc.inlineScript('window.ready = true;');
+
+  const first = doc.render({ preserve: true });
+  assert.strictEqual(doc.body.length, 2, 'body kept');
+  assert.strictEqual(heading.tag, 'h1', 'elements were not returned to the pool');
+  assert.strictEqual(doc.output(), first);
+  const second = doc.render({ preserve: true });
+  const strip = (html) => html.replace(/_ssr[a-z0-9]+/g, '_ssr');
+  assert.strictEqual(strip(second), strip(first), 'second render matches the first');
+  assert(second.includes('window.ready = true;'), 'inline scripts survive');
+  assert(second.includes('addEventListener("click"'), 'events survive');
+
+  const final = doc.render();
+  assert(final.includes('<h1>Hello</h1>'));
+  assert.strictEqual(doc.body.length, 0, 'a plain render still consumes the document');
+});
+
+test('save({ preserve: true }) writes without consuming', () => {
+  const file = path.join(os.tmpdir(), `buildhtml-preserve-${process.pid}.html`);
+  try {
+    const doc = new api.Document();
+    doc.p('saved');
+    doc.save(file, { preserve: true });
+    assert(fs.readFileSync(file, 'utf8').includes('<p>saved</p>'));
+    assert.strictEqual(doc.body.length, 1);
+    assert(doc.render().includes('<p>saved</p>'), 'still renderable after save');
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+test('doc.clone() deep-copies a layout for per-request rendering', () => {
+  const layout = api.page('Base');
+  layout.states({ user: { name: 'base' } });
+  layout.bodyClass('app');
+  layout.inlineScript('window.layout = 1;');
+  const nav = layout.nav().id('site-nav');
+  nav.a('Home', '/').css({ color: 'red' });
+  layout.label('Search').for('q');
+  layout.input('search').id('q').bindInput('user');
+  const main = layout.main().id('content').slot('content');
+  layout.historyRouter({ base: '/app/' });
+
+  const copy = layout.clone({ nonce: 'n-1' });
+  copy.title('Copy');
+  copy.state('user', { name: 'copy' });
+  copy.body.find(el => el.attrs && el.attrs.id === 'content').p('per request');
+  copy.inlineScript('window.copy = 1;');
+
+  const html = copy.render();
+  assert(html.includes('<title>Copy</title>'));
+  assert(html.includes('<p>per request</p>'));
+  assert(html.includes('id="site-nav"') && html.includes('for="q"') && html.includes('id="q"'), 'ids are kept');
+  assert(html.includes('window.layout = 1;') && html.includes('window.copy = 1;'));
+  assert(html.includes('<script nonce="n-1">'), 'nonce option applied');
+  assert(html.includes('class="app"'));
+
+  // The original is untouched by changes to, and consumption of, the copy.
+  assert.strictEqual(main.children.length, 0);
+  assert.deepStrictEqual(layout._globalState.user, { name: 'base' });
+  assert.deepStrictEqual(layout._historyRouter, { base: '/app/' });
+  const base = layout.render({ preserve: true });
+  assert(base.includes('<title>Base</title>') && !base.includes('per request') && !base.includes('window.copy'));
+  assert(!base.includes('nonce='), 'original keeps its (absent) nonce');
+
+  const again = layout.clone().render();
+  assert(again.includes('"name":"base"') || again.includes('\\"name\\":\\"base\\"'), 'state copied from the original');
+});
+
+test('doc.clone() refuses async components that are still loading', () => {
+  const doc = new api.Document();
+  doc.use(async (el) => { el.p('later'); });
+  assert.throws(() => doc.clone(), /still loading/);
+});
+
 console.log(`\nResults: ${passed} passed, ${failed} failed`);
 if (failed > 0) process.exit(1);
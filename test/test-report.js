@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * jsonReport(), sarifReport(), junitReport() and checkThresholds(): issues
+ * from many pages keep their route, element path, code and severity in every
+ * format, and thresholds turn them into an exit code.
+ */
+
+const assert = require('assert');
+const { page, jsonReport, sarifReport, junitReport, checkThresholds } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+function home() {
+  const doc = page('Home', { resetCss: false });
+  const main = doc.child('main');
+  main.child('img').attr('src', '/logo.png');
+  main.child('p').id('intro').child('div').text('Block in a paragraph');
+  return doc;
+}
+
+function about() {
+  const doc = page('About', { resetCss: false });
+  doc.h1('About');
+  doc.child('section').id('team').child('img').attr('src', '/team.png');
+  return doc;
+}
+
+const pages = () => [
+  { route: '/', ...home().validate() },
+  { route: '/about', ...about().validate() },
+];
+
+console.log('\n▸ issues');
+
+test('validate() gives every element issue its tag path', () => {
+  const { errors, warnings } = home().validate();
+  assert.strictEqual(warnings.find(w => w.code === 'W_IMAGE_ALT').path, 'body > main > img');
+  assert.strictEqual(errors.find(e => e.code === 'E_INVALID_NESTING').path, 'body > main > p#intro > div');
+});
+
+test('jsonReport() lists each issue with its route, severity, code and path', () => {
+  const report = JSON.parse(jsonReport(pages()));
+  assert.deepStrictEqual([report.pages, report.errors, report.warnings], [2, 1, 2]);
+  assert.deepStrictEqual(report.issues.map(i => [i.route, i.severity, i.code, i.path]), [
+    ['/', 'error', 'E_INVALID_NESTING', 'body > main > p#intro > div'],
+    ['/', 'warning', 'W_IMAGE_ALT', 'body > main > img'],
+    ['/about', 'warning', 'W_IMAGE_ALT', 'body > section#team > img'],
+  ]);
+  assert.strictEqual(report.issues[0].tag, 'div');
+  assert(!('id' in report.issues[0]), 'fields that do not apply are left out');
+  assert(!jsonReport(pages()).includes('\n'), 'compact');
+});
+
+test('a buildSite() report is named by page path, and a failed page is an error', () => {
+  const report = {
+    pages: [
+      { route: '/blog/:slug', path: '/blog/hello', file: 'blog/hello/index.html', status: 'written', ...home().validate() },
+      { route: '/blog/:slug', path: null, file: null, status: 'failed', errors: [], warnings: [], error: new Error('no such post') },
+    ],
+    written: 1, skipped: 0, failed: 1, assets: [],
+  };
+  const issues = JSON.parse(jsonReport(report)).issues;
+  assert.strictEqual(issues[0].route, '/blog/hello');
+  const crash = issues.find(i => i.code === 'E_PAGE_FAILED');
+  assert.deepStrictEqual([crash.route, crash.severity, crash.message], ['/blog/:slug', 'error', 'The page failed to build: no such post']);
+  assert.strictEqual(JSON.parse(sarifReport(report)).runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri, 'blog/hello/index.html');
+});
+
+test('entries that are not validation results are refused', () => {
+  const refused = (fn, pattern) => assert.throws(fn, (error) => error instanceof TypeError && pattern.test(error.message));
+  refused(() => jsonReport('report'), /^jsonReport\(\): pages must be an array/);
+  refused(() => sarifReport([{ errors: [], warnings: [] }]), /^sarifReport\(\): each page needs a route/);
+  refused(() => junitReport([{ route: '/', errors: 'none' }]), /errors of "\/" must be an array/);
+  refused(() => sarifReport(pages(), { uri: 'src/' }), /uri must be a function/);
+});
+
+console.log('\n▸ SARIF and JUnit');
+
+test('sarifReport() has one rule per code and the element path as a logical location', () => {
+  const log = JSON.parse(sarifReport(pages(), { uri: (entry) => `src/pages${entry.route === '/' ? '/index' : entry.route}.js` }));
+  assert.strictEqual(log.version, '2.1.0');
+  const run = log.runs[0];
+  assert.strictEqual(run.tool.driver.name, 'buildhtml');
+  assert.deepStrictEqual(run.tool.driver.rules.map(r => [r.id, r.defaultConfiguration.level]), [['E_INVALID_NESTING', 'error'], ['W_IMAGE_ALT', 'warning']]);
+  const result = run.results[2];
+  assert.deepStrictEqual([result.ruleId, result.ruleIndex, result.level], ['W_IMAGE_ALT', 1, 'warning']);
+  assert.strictEqual(result.locations[0].physicalLocation.artifactLocation.uri, 'src/pages/about.js');
+  assert.deepStrictEqual(result.locations[0].logicalLocations, [{ fullyQualifiedName: 'body > section#team > img', kind: 'element' }]);
+  assert.strictEqual(result.properties.route, '/about');
+});
+
+test('junitReport() fails pages with errors and keeps warnings as output', () => {
+  const broken = { route: '/a&b', errors: [{ code: 'E_X', message: 'x < y', tag: 'p', id: null, path: 'body > p' }], warnings: [] };
+  const crashed = { route: '/crash', errors: [], warnings: [], error: new Error('"boom"') };
+  const xml = junitReport([...pages(), broken, crashed], { name: 'site' });
+  assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="site" tests="4" failures="2" errors="1">'));
+  assert.strictEqual((xml.match(/<testcase /g) || []).length, 4);
+  assert(xml.includes('<testcase classname="site" name="/a&amp;b">\n      <failure type="E_X" message="1 validation error">E_X at body &gt; p: x &lt; y</failure>'));
+  assert(xml.includes('<error type="E_PAGE_FAILED" message="The page failed to build: &quot;boom&quot;"/>'));
+  assert(/name="\/about">\n      <system-out>W_IMAGE_ALT at body &gt; section#team &gt; img: [^<]+<\/system-out>\n    <\/testcase>/.test(xml));
+});
+
+console.log('\n▸ thresholds');
+
+test('checkThresholds() fails on any error by default', () => {
+  const result = checkThresholds(pages());
+  assert.deepStrictEqual([result.passed, result.exitCode, result.errors, result.warnings], [false, 1, 1, 2]);
+  assert.deepStrictEqual(result.codes, { E_INVALID_NESTING: 1, W_IMAGE_ALT: 2 });
+  assert.deepStrictEqual(result.exceeded, [{ pattern: 'E_*', limit: 0, count: 1 }]);
+  assert.strictEqual(result.summary, '2 pages: 1 error, 2 warnings. Over threshold: E_* 1 (allowed 0).');
+  const clean = checkThresholds([{ route: '/about', ...about().validate() }]);
+  assert.deepStrictEqual([clean.passed, clean.exitCode, clean.summary], [true, 0, '1 page: 0 errors, 1 warning. Within thresholds.']);
+});
+
+test('limits are merged over the default, so errors still fail', () => {
+  const result = checkThresholds(pages(), { 'W_*': 5 });
+  assert.deepStrictEqual([result.passed, result.exceeded], [false, [{ pattern: 'E_*', limit: 0, count: 1 }]]);
+  assert.strictEqual(checkThresholds(pages(), {}).passed, false);
+});
+
+test('each limit is checked on its own, by code or by prefix', () => {
+  assert.strictEqual(checkThresholds(pages(), { 'E_*': 1, 'W_*': 2 }).passed, true);
+  assert.deepStrictEqual(checkThresholds(pages(), { 'E_*': Infinity, 'W_*': 5, W_IMAGE_ALT: 1 }).exceeded, [{ pattern: 'W_IMAGE_ALT', limit: 1, count: 2 }]);
+  assert.deepStrictEqual(checkThresholds(pages(), { 'E_*': 1, '*': 2 }).exceeded, [{ pattern: '*', limit: 2, count: 3 }]);
+  assert.strictEqual(checkThresholds(pages(), { 'E_*': Infinity }).passed, true, 'no limits, nothing fails');
+  assert.throws(() => checkThresholds(pages(), { 'W_*': -1 }), /the limit for "W_\*" must be a non-negative integer or Infinity/);
+  assert.throws(() => checkThresholds(pages(), { 'warnings': 3 }), /"warnings" is not a code or a prefix ending in \*/);
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
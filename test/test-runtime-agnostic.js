@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Loads the library the way a worker-style runtime would see it: `fs`, `stream`
+ * and `vm` do not exist. The core must still load and render, callbacks must be
+ * checked by the built-in validator, and the file and Node-stream helpers must
+ * fail with an error that says which adapter to supply.
+ */
+
+const assert = require('assert');
+const Module = require('module');
+const path = require('path');
+
+// Only the library's own requires are refused; the test harness keeps its built-ins.
+const MISSING = new Set(['fs', 'stream', 'vm']);
+const LIB_DIR = path.join(__dirname, '..', 'lib') + path.sep;
+const requested = [];
+const originalLoad = Module._load;
+Module._load = function (request, parent) {
+  const name = request.replace(/^node:/, '');
+  if (MISSING.has(name) && parent && parent.filename && parent.filename.startsWith(LIB_DIR)) {
+    requested.push(name);
+    const error = new Error(`Cannot find module '${request}'`);
+    error.code = 'MODULE_NOT_FOUND';
+    throw error;
+  }
+  return originalLoad.apply(this, arguments);
+};
+
+const { Document, renderFile, setRuntimeAdapter } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+console.log('\n▸ Runtime without fs, stream or vm');
+
+function interactivePage() {
+  const doc = new Document();
+  doc.title('Worker');
+  doc.state('count', 0);
+  doc.h1('Counter');
+  doc.button('+1').onClick(() => { State.count++; });
+  doc.span().bind('count', (value) => `Count: ${value}`);
+  return doc;
+}
+
+test('the library loads without requiring fs, stream or vm', () => {
+  assert.deepStrictEqual(requested, [], `nothing requested at load time: ${requested.join(', ')}`);
+});
+
+test('render() compiles callbacks through the built-in validator', () => {
+  const html = interactivePage().render();
+  assert(html.includes('<h1>Counter</h1>'));
+  assert(html.includes('State.count++'), 'event callback embedded');
+  assert(requested.includes('vm'), 'vm was looked up and found missing');
+});
+
+test('invalid callback source is still rejected without vm', () => {
+  const { sanitizeFunctionSourceString } = require('../lib/utils');
+  assert.strictEqual(sanitizeFunctionSourceString('(e) => e.target'), '(e) => e.target');
+  assert.throws(() => sanitizeFunctionSourceString('handler() { return 1; }'), /Invalid function source/);
+  assert.throws(() => sanitizeFunctionSourceString('() => { "unterminated }'), /Invalid function source/);
+});
+
+testAsync('renderToReadableStream() needs neither fs nor stream', async () => {
+  const reader = interactivePage().renderToReadableStream().getReader();
+  const decoder = new TextDecoder();
+  let html = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    html += decoder.decode(value, { stream: true });
+  }
+  assert(html.startsWith('<!DOCTYPE html>'));
+  assert(html.includes('<h1>Counter</h1>'));
+}).then(() => {
+  test('save() and renderStream() name the adapter they need', () => {
+    const doc = interactivePage();
+    assert.throws(() => doc.save('/tmp/page.html'), /save\(\) needs the "fs" module.*setRuntimeAdapter\('fs'/);
+    assert.throws(() => doc.renderStream(), /renderStream\(\) needs the "stream" module/);
+    assert.throws(() => renderFile('/views/home.bhtml'), /renderFile\(\) needs the "fs" module/);
+  });
+
+  test('an fs adapter makes the file helpers work', () => {
+    const files = new Map([['/views/home.bhtml', 'h1 "Hello #{name}"']]);
+    setRuntimeAdapter('fs', {
+      readFileSync: (file) => {
+        if (!files.has(file)) throw new Error(`ENOENT: ${file}`);
+        return files.get(file);
+      },
+      writeFileSync: (file, data) => { files.set(file, data); },
+    });
+    try {
+      assert(renderFile('/views/home.bhtml', { name: 'Worker' }).includes('Hello Worker'));
+      const doc = new Document();
+      doc.p('saved');
+      doc.save('/out/index.html');
+      assert(files.get('/out/index.html').includes('<p>saved</p>'));
+    } finally {
+      setRuntimeAdapter('fs', undefined);
+    }
+    assert.throws(() => renderFile('/views/home.bhtml'), /needs the "fs" module/, 'undefined restores the (missing) built-in');
+  });
+
+  test('setRuntimeAdapter() rejects unknown names and non-object adapters', () => {
+    assert.throws(() => setRuntimeAdapter('http', {}), TypeError);
+    assert.throws(() => setRuntimeAdapter('fs', 'memfs'), TypeError);
+  });
+}).then(() => {
+  Module._load = originalLoad;
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+});
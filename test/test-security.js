@@ -979,6 +979,21 @@ test('jsonLd cannot corrupt script-data parsing', () => {
   assert(parsed.url === '</script><script>alert(1)</script>', 'the second value survives too');
 });
 
+test('parsed SVG animation cannot write an executable URL into a link', () => {
+  const vectors = {
+    animate: '<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a></svg>',
+    'animate values list': '<svg><a><animate attributeName="href" values="/safe; javascript:alert(1)"/></a></svg>',
+    set: '<svg><a><set attributeName="href" to="javascript:alert(1)"/><text>x</text></a></svg>',
+    'set xlink:href': '<svg><a><set attributeName="xlink:href" to="&#x6a;avascript:alert(1)"/></a></svg>',
+  };
+  for (const [name, markup] of Object.entries(vectors)) {
+    const html = Document.fromHTML(markup).render();
+    assert(!/javascript:/i.test(html), `${name}: the javascript: URL is gone`);
+  }
+  const kept = Document.fromHTML('<svg><rect><animate attributeName="width" values="0;10" dur="1s"/></rect></svg>').render();
+  assert(kept.includes('values="0;10"'), 'animations of other attributes keep their values');
+});
+
 /* ==================================================================== */
 
 (async () => {
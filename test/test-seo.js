@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * sitemapXml(), robotsTxt(), rssFeed() and atomFeed(): metadata read from
+ * documents, noindex handling, and output that parses as well-formed XML with
+ * every value surviving escaping.
+ */
+
+const assert = require('assert');
+const { page, pageMetadata, sitemapXml, robotsTxt, rssFeed, atomFeed } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+// A strict parser for the subset of XML the generators emit: a declaration,
+// elements, attributes, text and the predefined or numeric references. Any
+// well-formedness error throws.
+function parseXml(xml) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  const decode = (text) => {
+    if (/[<]|&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/.test(text)) throw new Error(`bad character data: ${text}`);
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, ref) => (ref[0] === '#'
+      ? String.fromCodePoint(ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10))
+      : entities[ref]));
+  };
+  if (/[\x00-\x08\x0B\x0C\x0E-\x1F]/.test(xml)) throw new Error('control character in document');
+  let pos = 0;
+  const decl = /^<\?xml version="1\.0" encoding="UTF-8"\?>\s*/.exec(xml);
+  if (!decl) throw new Error('missing XML declaration');
+  pos = decl[0].length;
+  const root = { children: [] };
+  const stack = [root];
+  const tagRe = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[A-Za-z_][\w:.-]*\s*=\s*"[^"<]*")*)\s*(\/?)>/y;
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+    const text = xml.slice(pos, lt === -1 ? xml.length : lt);
+    if (text.trim()) {
+      if (stack.length === 1) throw new Error('text outside the root element');
+      stack[stack.length - 1].text += decode(text);
+    }
+    if (lt === -1) break;
+    tagRe.lastIndex = lt;
+    const m = tagRe.exec(xml);
+    if (!m) throw new Error(`malformed tag at ${lt}: ${xml.slice(lt, lt + 40)}`);
+    pos = tagRe.lastIndex;
+    const [, closing, name, attrText, selfClosing] = m;
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.name !== name) throw new Error(`</${name}> closes <${open && open.name}>`);
+      continue;
+    }
+    const attrs = {};
+    for (const [, key, value] of attrText.matchAll(/([A-Za-z_][\w:.-]*)\s*=\s*"([^"]*)"/g)) {
+      if (key in attrs) throw new Error(`duplicate attribute ${key}`);
+      attrs[key] = decode(value);
+    }
+    const el = { name, attrs, children: [], text: '' };
+    if (stack.length === 1 && root.children.length > 0) throw new Error('more than one root element');
+    stack[stack.length - 1].children.push(el);
+    if (!selfClosing) stack.push(el);
+  }
+  if (stack.length !== 1) throw new Error(`unclosed <${stack[stack.length - 1].name}>`);
+  return root.children[0];
+}
+
+const find = (el, name) => el.children.filter(child => child.name === name);
+const one = (el, name) => {
+  const [child] = find(el, name);
+  assert(child, `<${name}> in <${el.name}>`);
+  return child;
+};
+
+const tricky = 'Fish & "Chips" <b>\'crisp\'</b> \u0001 😀';
+
+function post(slug, title, date) {
+  const doc = page(title);
+  doc.meta('description', `About ${title}`);
+  doc.canonical(`/blog/${slug}`);
+  doc.addMeta({ property: 'article:published_time', content: date });
+  return doc;
+}
+
+console.log('\n▸ sitemaps and feeds');
+
+test('pageMetadata() reads what a document declares', () => {
+  const doc = page('Tom & Jerry');
+  doc.canonical('https://example.com/tj?a=1&b=2');
+  doc.alternate('de', 'https://example.com/de/tj');
+  doc.ogTags({ description: 'Chase', image: 'https://example.com/tj.png' });
+  doc.addMeta({ property: 'article:modified_time', content: '2026-03-04T05:06:07Z' });
+  const meta = pageMetadata(doc);
+  assert.strictEqual(meta.title, 'Tom & Jerry');
+  assert.strictEqual(meta.url, 'https://example.com/tj?a=1&b=2');
+  assert.strictEqual(meta.description, 'Chase');
+  assert.strictEqual(meta.image, 'https://example.com/tj.png');
+  assert.deepStrictEqual(meta.alternates, [{ hreflang: 'de', href: 'https://example.com/de/tj' }]);
+  assert.strictEqual(meta.modified, '2026-03-04T05:06:07Z');
+  assert.strictEqual(meta.noindex, false);
+  assert.strictEqual(pageMetadata(page('Draft').noindex(true)).nofollow, true);
+  assert(doc.render().includes('<link rel="alternate" hreflang="de" href="https://example.com/de/tj">'));
+});
+
+test('sitemapXml() lists indexable pages with lastmod and alternates', () => {
+  const home = page('Home').canonical('/');
+  home.alternate('fr', '/fr/');
+  const draft = page('Draft').canonical('/drafts/next').noindex();
+  const xml = sitemapXml([
+    home,
+    post('hello', 'Hello', '2026-01-02T03:04:05Z'),
+    draft,
+    { url: `/search?q=${encodeURIComponent(tricky)}&page=2`, lastmod: new Date(Date.UTC(2026, 0, 1)), changefreq: 'daily', priority: 0.5 },
+    { doc: post('hello', 'Hello again', '2026-01-02') },
+  ], { baseUrl: 'https://example.com' });
+  const urlset = parseXml(xml);
+  assert.strictEqual(urlset.name, 'urlset');
+  assert.strictEqual(urlset.attrs.xmlns, 'http://www.sitemaps.org/schemas/sitemap/0.9');
+  const urls = find(urlset, 'url');
+  assert.deepStrictEqual(urls.map(u => one(u, 'loc').text), [
+    'https://example.com/',
+    'https://example.com/blog/hello',
+    new URL(`/search?q=${encodeURIComponent(tricky)}&page=2`, 'https://example.com').href,
+  ], 'noindex pages and repeated URLs are left out');
+  assert.deepStrictEqual(find(urls[0], 'xhtml:link').map(l => l.attrs),
+    [{ rel: 'alternate', hreflang: 'fr', href: 'https://example.com/fr/' }]);
+  assert.strictEqual(one(urls[1], 'lastmod').text, '2026-01-02T03:04:05.000Z');
+  assert.strictEqual(one(urls[2], 'lastmod').text, '2026-01-01T00:00:00.000Z');
+  assert.strictEqual(one(urls[2], 'changefreq').text, 'daily');
+  assert.strictEqual(one(urls[2], 'priority').text, '0.5');
+  assert.throws(() => sitemapXml([home]), /not an absolute URL/);
+  assert.throws(() => sitemapXml([page('No URL')], { baseUrl: 'https://example.com' }), /has no URL/);
+  assert.throws(() => sitemapXml([{ url: '/x', lastmod: 'someday' }], { baseUrl: 'https://example.com' }), /not a valid date/);
+});
+
+test('robotsTxt() keeps noindex pages crawlable unless asked, and points at the sitemap', () => {
+  const pages = [
+    page('Home').canonical('/'),
+    page('Draft').canonical('https://example.com/drafts/next').noindex(),
+    { url: '/private/report', noindex: true },
+  ];
+  assert.strictEqual(robotsTxt(pages, { baseUrl: 'https://example.com', disallow: ['/admin/'] }),
+    'User-agent: *\nDisallow: /admin/\n', 'a crawler has to fetch a page to see its noindex');
+  const txt = robotsTxt(pages, { baseUrl: 'https://example.com', sitemap: '/sitemap.xml', disallow: ['/admin/\nAllow: /'], disallowNoindex: true });
+  assert.strictEqual(txt, [
+    'User-agent: *',
+    'Disallow: /drafts/next',
+    'Disallow: /private/report',
+    'Disallow: /admin/ Allow: /',
+    '',
+    'Sitemap: https://example.com/sitemap.xml',
+    '',
+  ].join('\n'));
+  assert.strictEqual(robotsTxt([]), 'User-agent: *\nDisallow:\n');
+});
+
+test('rssFeed() escapes item metadata and parses back to the same values', () => {
+  const xml = rssFeed([
+    post('hello', tricky, '2026-01-02T03:04:05Z'),
+    { title: 'Second', url: 'https://example.com/blog/second?x=1&y=2', id: 'tag:example.com,2026:2', description: '<p>HTML</p>', author: 'Ann & Bob' },
+  ], { title: 'Blog & News', link: 'https://example.com/blog/', feedUrl: '/feed.xml', language: 'en' });
+  const rss = parseXml(xml);
+  assert.strictEqual(rss.attrs.version, '2.0');
+  const channel = one(rss, 'channel');
+  assert.strictEqual(one(channel, 'title').text, 'Blog & News');
+  assert.strictEqual(one(channel, 'atom:link').attrs.href, 'https://example.com/feed.xml');
+  assert.strictEqual(one(channel, 'lastBuildDate').text, 'Fri, 02 Jan 2026 03:04:05 GMT');
+  const [first, second] = find(channel, 'item');
+  assert.strictEqual(one(first, 'title').text, tricky.replace('\u0001', ''), 'characters XML forbids are dropped, the rest round-trip');
+  assert.strictEqual(one(first, 'link').text, 'https://example.com/blog/hello');
+  assert.strictEqual(one(first, 'guid').attrs.isPermaLink, 'true');
+  assert.strictEqual(one(first, 'pubDate').text, 'Fri, 02 Jan 2026 03:04:05 GMT');
+  assert.strictEqual(one(second, 'link').text, 'https://example.com/blog/second?x=1&y=2');
+  assert.strictEqual(one(second, 'guid').text, 'tag:example.com,2026:2');
+  assert.strictEqual(one(second, 'description').text, '<p>HTML</p>');
+  assert.strictEqual(one(second, 'dc:creator').text, 'Ann & Bob');
+  assert.throws(() => rssFeed([], { link: 'https://example.com/' }), /title is required/);
+});
+
+test('atomFeed() gives the feed and every entry an id and updated time', () => {
+  const xml = atomFeed([
+    post('hello', 'Hello', '2026-01-02T03:04:05Z'),
+    { title: 'Undated', url: '/blog/undated' },
+  ], { title: 'Blog', link: 'https://example.com/blog/', author: 'A & B', feedUrl: 'https://example.com/atom.xml' });
+  const feed = parseXml(xml);
+  assert.strictEqual(feed.attrs.xmlns, 'http://www.w3.org/2005/Atom');
+  assert.strictEqual(one(feed, 'id').text, 'https://example.com/blog/');
+  assert.strictEqual(one(feed, 'updated').text, '2026-01-02T03:04:05.000Z', 'newest item date');
+  assert.strictEqual(one(one(feed, 'author'), 'name').text, 'A & B');
+  assert.deepStrictEqual(find(feed, 'link').map(l => l.attrs),
+    [{ href: 'https://example.com/blog/' }, { rel: 'self', href: 'https://example.com/atom.xml' }]);
+  const [first, second] = find(feed, 'entry');
+  assert.strictEqual(one(first, 'summary').text, 'About Hello');
+  assert.strictEqual(one(first, 'published').text, '2026-01-02T03:04:05.000Z');
+  assert.strictEqual(one(second, 'id').text, 'https://example.com/blog/undated', 'relative URLs resolve against the feed link');
+  assert.strictEqual(one(second, 'updated').text, '2026-01-02T03:04:05.000Z', 'undated entries use the feed time');
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
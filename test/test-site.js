@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * buildSite(): output paths for static, template and dynamic routes, per-page
+ * validation reports, failures, incremental builds, the shared stylesheet,
+ * copied directories and the external client runtime.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { page, buildSite, configure, CONFIG, getClientRuntime } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), `buildhtml-site-${process.pid}-`));
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf-8');
+
+function fixture(name) {
+  const dir = path.join(root, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const template = path.join(dir, 'about.bhtml');
+  fs.writeFileSync(template, '---\ntitle "About"\n---\nh1 "About #{company}"\n');
+  const layout = path.join(dir, 'layout.js');
+  fs.writeFileSync(layout, '// v1\n');
+  return { dir, out: path.join(dir, 'dist'), template, layout };
+}
+
+const posts = { hello: 'Hello world', second: 'Second post' };
+
+function siteRoutes({ template, layout }, calls = []) {
+  return {
+    '/': () => {
+      calls.push('/');
+      const doc = page('Home');
+      doc.h1('Home').css({ color: 'red' });
+      return doc;
+    },
+    '/about': { template, data: { company: 'Acme' } },
+    '/blog/:slug': {
+      build: async (params, post) => {
+        calls.push(`/blog/${params.slug}`);
+        const doc = page(post.title);
+        doc.h1(post.title).css({ color: 'red' });
+        doc.p(post.body).css({ margin: '0' });
+        return doc;
+      },
+      params: async () => Object.keys(posts).map(slug => ({ slug })),
+      data: ({ slug }) => ({ title: posts[slug], body: `About ${slug}` }),
+      inputs: [layout],
+    },
+    '/404.html': () => {
+      const doc = page('Not found');
+      doc.img().attr('src', '/missing.png');
+      return doc;
+    },
+  };
+}
+
+const byFile = (report) => Object.fromEntries(report.pages.map(p => [p.file, p]));
+
+console.log('\n▸ buildSite()');
+
+testAsync('writes index.html files for static, template and dynamic routes', async () => {
+  const site = fixture('paths');
+  const report = await buildSite({ routes: siteRoutes(site), outDir: site.out });
+  assert.deepStrictEqual(report.pages.map(p => p.file),
+    ['index.html', 'about/index.html', 'blog/hello/index.html', 'blog/second/index.html', '404.html']);
+  assert.deepStrictEqual([report.written, report.skipped, report.failed], [5, 0, 0]);
+  assert(read(site.out, 'about/index.html').includes('<h1>About Acme</h1>'), 'template rendered with data');
+  assert(read(site.out, 'blog/second/index.html').includes('<title>Second post</title>'), 'params and data reach the builder');
+  assert.strictEqual(byFile(report)['blog/hello/index.html'].path, '/blog/hello');
+  const notFound = byFile(report)['404.html'];
+  assert(notFound.warnings.some(w => w.code === 'W_IMAGE_ALT'), 'validate() findings reported per page');
+  assert.deepStrictEqual(notFound.errors, []);
+}).then(() => testAsync('skips pages whose inputs did not change', async () => {
+  const site = fixture('incremental');
+  const calls = [];
+  const routes = siteRoutes(site, calls);
+  await buildSite({ routes, outDir: site.out });
+  calls.length = 0;
+
+  let report = await buildSite({ routes, outDir: site.out });
+  assert.deepStrictEqual([report.written, report.skipped], [0, 5], 'nothing rebuilt');
+  assert.deepStrictEqual(calls, []);
+  assert(byFile(report)['404.html'].warnings.length > 0, 'a skipped page keeps its validation report');
+
+  posts.second = 'Second post, edited';
+  try {
+    report = await buildSite({ routes, outDir: site.out });
+  } finally {
+    posts.second = 'Second post';
+  }
+  assert.deepStrictEqual(calls, ['/blog/second'], 'changed data rebuilds that page only');
+
+  calls.length = 0;
+  fs.writeFileSync(site.layout, '// v2\n');
+  fs.writeFileSync(site.template, '---\ntitle "About"\n---\nh1 "About us at #{company}"\n');
+  fs.rmSync(path.join(site.out, 'index.html'));
+  report = await buildSite({ routes, outDir: site.out });
+  assert.deepStrictEqual(calls, ['/', '/blog/hello', '/blog/second'], 'inputs files and a missing output rebuild');
+  assert.strictEqual(byFile(report)['about/index.html'].status, 'written', 'an edited template rebuilds');
+  assert(read(site.out, 'about/index.html').includes('About us at Acme'));
+
+  calls.length = 0;
+  report = await buildSite({ routes, outDir: site.out, incremental: false });
+  assert.strictEqual(report.written, 5, 'incremental: false rebuilds everything');
+})).then(() => testAsync('data that JSON cannot express still changes the key', async () => {
+  const site = fixture('data');
+  const tags = new Map([['a', 'First']]);
+  let created = new Date(0);
+  class Post { constructor(title) { this.title = title; } }
+  const calls = [];
+  const heading = (route, text) => {
+    calls.push(route);
+    const doc = page(text);
+    doc.h1(text);
+    return doc;
+  };
+  const routes = {
+    '/tags': { data: () => ({ tags, created }), build: (params, data) => heading('/tags', data.tags.get('a')) },
+    '/post': { data: () => new Post('Hi'), build: (params, post) => heading('/post', post.title) },
+  };
+  await buildSite({ routes, outDir: site.out });
+  calls.length = 0;
+  await buildSite({ routes, outDir: site.out });
+  assert.deepStrictEqual(calls, ['/post'], 'a Map and a Date are part of the key; a class instance is always rebuilt');
+
+  calls.length = 0;
+  tags.set('a', 'Second');
+  await buildSite({ routes, outDir: site.out });
+  assert.deepStrictEqual(calls, ['/tags', '/post'], 'a changed Map value rebuilds the page');
+  assert(read(site.out, 'tags/index.html').includes('<h1>Second</h1>'));
+
+  calls.length = 0;
+  created = new Date(1);
+  await buildSite({ routes, outDir: site.out });
+  assert.deepStrictEqual(calls, ['/tags', '/post'], 'a changed Date rebuilds the page');
+})).then(() => testAsync('extractCss writes one shared stylesheet and keeps skipped pages linked to it', async () => {
+  const site = fixture('css');
+  const routes = siteRoutes(site);
+  let report = await buildSite({ routes, outDir: site.out, extractCss: true });
+  assert.strictEqual(report.assets.length, 1);
+  const [first] = report.assets;
+  assert(/^assets\/styles\.[a-z0-9]+\.css$/.test(first), first);
+  const css = read(site.out, first);
+  assert.strictEqual(css.split('color:red').length, 2, 'a rule shared by three pages is stored once');
+  for (const file of ['index.html', 'blog/hello/index.html']) {
+    const html = read(site.out, file);
+    assert(html.includes(`<link rel="stylesheet" href="/${first}">`) && !html.includes('<style'), `${file} links the stylesheet`);
+  }
+
+  routes['/contact'] = () => {
+    const doc = page('Contact');
+    doc.p('Write to us').css({ fontWeight: '700' });
+    return doc;
+  };
+  report = await buildSite({ routes, outDir: site.out, extractCss: true });
+  assert.deepStrictEqual([report.written, report.skipped], [1, 5], 'only the new page is built');
+  const [second] = report.assets;
+  assert.notStrictEqual(second, first, 'a new rule changes the stylesheet name');
+  assert(read(site.out, second).includes('color:red') && read(site.out, second).includes('font-weight:700'), 'skipped pages keep their rules');
+  assert(read(site.out, 'blog/hello/index.html').includes(`href="/${second}"`), 'skipped pages relinked');
+})).then(() => testAsync('a page that redefines a head selector keeps it inline, even against a skipped page', async () => {
+  const site = fixture('css-conflict');
+  const heading = (color) => () => {
+    const doc = page('Page');
+    doc.globalStyle('h1', { color });
+    doc.h1('Title');
+    return doc;
+  };
+  const routes = { '/': heading('red') };
+  await buildSite({ routes, outDir: site.out, extractCss: true });
+  routes['/blue'] = heading('blue');
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.warn = (message) => warnings.push(message);
+  let report;
+  try {
+    report = await buildSite({ routes, outDir: site.out, extractCss: true });
+  } finally {
+    console.warn = originalWarn;
+  }
+  assert.deepStrictEqual([report.written, report.skipped], [1, 1]);
+  const css = read(site.out, report.assets[0]);
+  assert(css.includes('h1{color:red;}') && !css.includes('blue'), 'the first definition is shared');
+  assert(read(site.out, 'blue/index.html').includes('<style>h1{color:blue;}</style>'), 'the redefinition stays in its page');
+  assert(!read(site.out, 'index.html').includes('<style'), 'the skipped page is unchanged');
+  assert(warnings.length === 1 && warnings[0].includes('"h1" is defined differently'), warnings.join('\n'));
+})).then(() => testAsync('pages are validated after their async components have loaded', async () => {
+  const site = fixture('async');
+  async function Gallery(el) {
+    const photos = await new Promise(resolve => setTimeout(() => resolve(['/a.jpg']), 20));
+    el.h3('Photos');
+    for (const src of photos) el.img().attr('src', src);
+  }
+  const report = await buildSite({
+    outDir: site.out,
+    routes: {
+      '/': () => {
+        const doc = page('Home');
+        doc.h1('Home');
+        doc.use(Gallery, {}, 'section');
+        return doc;
+      },
+    },
+  });
+  const home = byFile(report)['index.html'];
+  assert.deepStrictEqual(home.warnings.map(w => w.code).sort(), ['W_HEADING_ORDER', 'W_IMAGE_ALT']);
+  assert(read(site.out, 'index.html').includes('<img src="/a.jpg">'), 'the loaded content is written');
+})).then(() => testAsync('a failing page is reported and the rest of the site is still built', async () => {
+  const site = fixture('failures');
+  const report = await buildSite({
+    outDir: site.out,
+    routes: {
+      '/': () => page('Home'),
+      '/broken': () => { throw new Error('data source down'); },
+      '/not-a-doc': () => '<p>html</p>',
+      '/docs/:slug': { build: () => page('Doc'), params: [{ slug: 'ok' }, { slug: '../escape' }, {}] },
+      '/tags/:tag': () => page('Tag'),
+      '/again': () => page('Again'),
+      '/again/': () => page('Again'),
+    },
+  });
+  const failures = report.pages.filter(p => p.status === 'failed').map(p => `${p.route}: ${p.error.message}`);
+  assert.strictEqual(report.failed, 6);
+  assert(failures.some(f => f.startsWith('/broken: data source down')));
+  assert(failures.some(f => f.includes('must return a Document')));
+  assert(failures.some(f => f.includes('single path segment')), 'params cannot leave outDir');
+  assert(failures.some(f => f.includes('missing param "slug"')));
+  assert(failures.some(f => f.startsWith('/tags/:tag') && f.includes('needs a params list')));
+  assert(failures.some(f => f.includes('already wrote')), 'two routes writing one file');
+  assert(!fs.existsSync(path.join(root, 'escape')), 'nothing written outside outDir');
+  assert(fs.existsSync(path.join(site.out, 'docs/ok/index.html')) && fs.existsSync(path.join(site.out, 'index.html')));
+  await assert.rejects(buildSite({ routes: {}, outDir: '' }), /outDir/);
+  await assert.rejects(buildSite({ routes: { '/': 42 }, outDir: site.out }), /route "\/"/);
+})).then(() => testAsync('copies directories and writes the external client runtime', async () => {
+  const site = fixture('assets');
+  const publicDir = path.join(site.dir, 'public');
+  fs.mkdirSync(path.join(publicDir, 'img'), { recursive: true });
+  fs.writeFileSync(path.join(publicDir, 'robots.txt'), 'User-agent: *\n');
+  fs.writeFileSync(path.join(publicDir, 'img', 'logo.svg'), '<svg></svg>');
+  const original = { clientRuntime: CONFIG.clientRuntime, runtimePath: CONFIG.runtimePath };
+  configure({ clientRuntime: 'external', runtimePath: '/js/' });
+  try {
+    const report = await buildSite({
+      outDir: site.out,
+      copy: [publicDir],
+      routes: {
+        '/': () => {
+          const doc = page('Home');
+          doc.states({ count: 0 });
+          doc.button('+1').onClick(() => { State.count++; });
+          return doc;
+        },
+      },
+    });
+    const runtime = getClientRuntime();
+    assert(report.assets.includes(`js/${runtime.fileName}`));
+    assert.strictEqual(read(site.out, `js/${runtime.fileName}`), runtime.contents);
+    assert(read(site.out, 'index.html').includes(`src="/js/${runtime.fileName}"`));
+    assert.strictEqual(read(site.out, 'img/logo.svg'), '<svg></svg>', 'directory copied recursively');
+    assert(report.assets.includes('robots.txt') && report.assets.includes('img/logo.svg'));
+  } finally {
+    configure(original);
+  }
+})).then(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  console.log(`\nResults: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+});
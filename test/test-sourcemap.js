@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Callback origins and client script source maps: reportClientError()
+ * contexts name the line that registered each callback, and
+ * render({ sourceMap }) maps the embedded callbacks back to that line.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { page, Document, AssetCollector, configure, CONFIG, setRuntimeAdapter } = require('..');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`  ✗ ${name}`);
+    console.error(error.stack || error);
+  }
+}
+
+const FILE = path.relative(process.cwd(), __filename);
+const SOURCE_LINES = fs.readFileSync(__filename, 'utf8').split('\n');
+const scripts = (html) => [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(m => m[1]);
+
+/** The line this is called from. */
+function lineHere() {
+  return Number(/:(\d+):\d+\)?$/.exec(new Error().stack.split('\n')[2])[1]);
+}
+
+/** Decoded mappings, as [generatedLine, generatedColumn, source, line, column]. */
+function decodeMappings(mappings) {
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const out = [];
+  const previous = [0, 0, 0];
+  mappings.split(';').forEach((line, generatedLine) => {
+    let column = 0;
+    for (const segment of line.split(',').filter(Boolean)) {
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segment) {
+        const digit = BASE64.indexOf(char);
+        value += (digit & 31) << shift;
+        shift += 5;
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+      column += values[0];
+      if (values.length === 1) continue;
+      for (let i = 0; i < 3; i++) previous[i] += values[i + 1];
+      out.push([generatedLine, column, ...previous]);
+    }
+  });
+  return out;
+}
+
+function inlineMap(script) {
+  const match = /\n\/\/# sourceMappingURL=data:application\/json;charset=utf-8,(\S+)$/.exec(script);
+  assert(match, 'the script ends with an inline source map');
+  return JSON.parse(decodeURIComponent(match[1]));
+}
+
+function withConfig(options, fn) {
+  const original = { ...CONFIG };
+  try {
+    configure(options);
+    return fn();
+  } finally {
+    configure(original);
+  }
+}
+
+console.log('\n▸ callback origins');
+
+test('reportClientError() contexts name the line that registered the callback', () => {
+  const doc = page('Origins', { resetCss: false });
+  doc.state('count', 0);
+  const eventLine = lineHere(); doc.button('Add').on('click', () => { State.count++; });
+  const bindLine = lineHere(); doc.p('').bind('count', v => `Count: ${v}`);
+  const mountLine = lineHere(); doc.div().onMount(el => el.focus());
+  const html = doc.render();
+  assert(html.includes(`type:"event:click",elementId:`), 'event context');
+  assert(html.includes(`origin:"${FILE}:${eventLine}:`), 'event origin');
+  assert(new RegExp(`type:"binding:text"[^}]*origin:"${FILE.replace(/[.\\]/g, '\\$&')}:${bindLine}:\\d+"`).test(html), 'binding origin');
+  assert(html.includes(`origin:"${FILE}:${mountLine}:`), 'lifecycle origin');
+  assert(html.includes('(context.origin?" (registered at "+context.origin+")":"")'), 'the console fallback prints it');
+});
+
+test('prod mode records no origins and adds no source map', () => {
+  const html = withConfig({ mode: 'prod' }, () => {
+    const doc = page('Prod', { resetCss: false });
+    doc.button('Go').on('click', () => {});
+    return doc.render();
+  });
+  assert(!html.includes('origin:"'), 'no origin fields');
+  assert(!html.includes('sourceMappingURL'), 'no source map');
+});
+
+console.log('\n▸ source maps');
+
+function mapped(doc) {
+  doc.state('count', 0);
+  doc.button('Add').id('add').on('click', () => {
+    const next = State.count + 1;
+    State.count = next;
+  });
+  return doc;
+}
+
+test('origins survive toJSON() and fromJSON(); malformed ones are dropped', () => {
+  const source = mapped(new Document());
+  const json = JSON.parse(JSON.stringify(source.toJSON()));
+  const origins = (html) => html.match(/origin:"[^"]*"/g);
+  assert.deepStrictEqual(origins(new Document().fromJSON(json).render()), origins(source.render()));
+  json.body[0].events[0].origin = { file: 'app.js', line: '1;alert(1)', column: 1 };
+  assert.strictEqual(origins(new Document().fromJSON(json).render()), null, 'dropped');
+});
+
+test('render({ sourceMap: "inline" }) maps each callback line back to its source', () => {
+  const registered = lineHere() + 3;
+  const doc = new Document({ seed: 'map' });
+  doc.state('count', 0);
+  doc.button('Add').id('add').on('click', () => {
+    const next = State.count + 1;
+    State.count = next;
+  });
+  const script = scripts(doc.render({ sourceMap: 'inline' }))[0];
+  assert.doesNotThrow(() => new vm.Script(script));
+  const map = inlineMap(script);
+  assert.strictEqual(map.version, 3);
+  assert(/^buildhtml-client\.\w+\.js$/.test(map.file) && script.includes(`\n//# sourceURL=${map.file}\n`), 'the script is named after the map');
+  assert.deepStrictEqual(map.sources, [FILE]);
+  const segments = decodeMappings(map.mappings);
+  const lines = script.split('\n');
+  const at = (line, column) => segments.find(s => s[0] === line && s[1] === column);
+  const nextLine = lines.findIndex(l => l.includes('const next = State.count + 1;'));
+  const segment = at(nextLine, lines[nextLine].indexOf('const'));
+  assert(segment, 'the body line is mapped');
+  assert.deepStrictEqual(segment.slice(2), [0, registered, lines[nextLine].indexOf('const')], 'to the same token in this file');
+  const start = segments.find(s => s[0] === nextLine - 1);
+  assert.deepStrictEqual(start.slice(3), [registered - 1, SOURCE_LINES[registered - 1].indexOf('() => {')], 'the first line maps to where the function starts');
+});
+
+function saveDraft(event, state) {
+  const draft = state.draft.trim();
+  window.localStorage.setItem('draft', draft);
+}
+
+test('a handler defined away from its on() call maps to its own lines', () => {
+  const defined = SOURCE_LINES.findIndex(l => l.startsWith('function saveDraft('));
+  const doc = new Document({ seed: 'apart' });
+  doc.state('draft', '');
+  doc.button('Save').id('save')
+    .on('click', saveDraft);
+  const script = scripts(doc.render({ sourceMap: 'inline' }))[0];
+  const segments = decodeMappings(inlineMap(script).mappings);
+  const lines = script.split('\n');
+  const bodyLine = lines.findIndex(l => l.includes('const draft = state.draft.trim();'));
+  const segment = segments.find(s => s[0] === bodyLine && s[1] === lines[bodyLine].indexOf('state.draft'));
+  assert(segment, 'the body line is mapped');
+  assert.deepStrictEqual(segment.slice(3), [defined + 1, SOURCE_LINES[defined + 1].indexOf('state.draft')]);
+  const first = segments.find(s => s[0] === bodyLine - 1);
+  assert.deepStrictEqual(first.slice(3), [defined, 0], 'the first line maps to the declaration');
+});
+
+test('a callback whose source cannot be read maps as a whole to its call', () => {
+  const doc = new Document({ seed: 'unread' });
+  const registered = lineHere() + 1;
+  doc.button('Save').id('save').on('click', saveDraft);
+  setRuntimeAdapter('fs', null);
+  let script;
+  try {
+    script = scripts(doc.render({ sourceMap: 'inline' }))[0];
+  } finally {
+    setRuntimeAdapter('fs', undefined);
+  }
+  const mappedSegments = decodeMappings(inlineMap(script).mappings);
+  assert.strictEqual(mappedSegments.length, 1, 'one segment, at the start of the callback');
+  assert.deepStrictEqual(mappedSegments[0].slice(3), [registered - 1, SOURCE_LINES[registered - 1].indexOf('.on(') + 1]);
+});
+
+test('registering files are read once across renders, and again when they change', () => {
+  const reads = [];
+  let mtimeMs = 1;
+  setRuntimeAdapter('fs', {
+    readFileSync: (file, encoding) => { reads.push(file); return fs.readFileSync(file, encoding); },
+    statSync: (file) => ({ mtimeMs, size: fs.statSync(file).size }),
+  });
+  const render = () => {
+    const doc = new Document({ seed: 'cached' });
+    doc.button('Save').id('save').on('click', saveDraft);
+    return inlineMap(scripts(doc.render({ sourceMap: 'inline' }))[0]).mappings;
+  };
+  try {
+    const first = render();
+    assert.deepStrictEqual([render(), render()], [first, first]);
+    assert.deepStrictEqual(reads, [__filename], 'one read for three renders');
+    mtimeMs = 2;
+    assert.strictEqual(render(), first);
+    assert.strictEqual(reads.length, 2, 'a new mtime reads the file again');
+  } finally {
+    setRuntimeAdapter('fs', undefined);
+  }
+});
+
+test('the mapped script is the unmapped one plus two comment lines', () => {
+  const plain = scripts(mapped(new Document({ seed: 'same' })).render())[0];
+  const withMap = scripts(mapped(new Document({ seed: 'same' })).render({ sourceMap: 'inline' }))[0];
+  assert.strictEqual(withMap.split('\n//# sourceURL=')[0], plain);
+});
+
+test('render({ sourceMap: assets }) writes the map into the collector', () => {
+  const assets = new AssetCollector({ publicPath: '/static/' });
+  const make = () => mapped(new Document({ cacheKey: `sourcemap-${process.pid}` }));
+  const html = make().render({ sourceMap: assets });
+  const files = assets.files();
+  assert.strictEqual(files.length, 1);
+  assert(/^buildhtml-client\.\w+\.js\.map$/.test(files[0].fileName));
+  assert.strictEqual(files[0].contentType, 'application/json; charset=utf-8');
+  assert.strictEqual(JSON.parse(files[0].contents).version, 3);
+  assert(html.includes(`\n//# sourceMappingURL=/static/${files[0].fileName}</script>`), 'the script points at the file');
+  assert(!make().render().includes('sourceMappingURL'), 'the page was not cached');
+});
+
+test('configure({ sourceMaps: true }) maps render() and renderPartial() inline', () => {
+  withConfig({ mode: 'prod', sourceMaps: true }, () => {
+    const html = mapped(page('Configured', { resetCss: false })).render();
+    assert(inlineMap(scripts(html)[0]).sources.includes(FILE), 'render()');
+    assert(html.includes(`origin:"${FILE}:`), 'origins are recorded in prod too');
+    assert(!mapped(page('Off', { resetCss: false })).render({ sourceMap: false }).includes('sourceMappingURL'), 'sourceMap: false turns it off');
+    const doc = mapped(page('Partial', { resetCss: false }));
+    assert(inlineMap(scripts(doc.renderPartial('add'))[0]).version === 3, 'renderPartial()');
+  });
+});
+
+test('pretty output and unknown targets', () => {
+  assert(!mapped(new Document()).render({ pretty: true, sourceMap: 'inline' }).includes('sourceMappingURL'),
+    'a pretty render has no map, since re-indenting would move every position');
+  assert.throws(() => mapped(new Document()).render({ sourceMap: 'external' }),
+    (error) => error instanceof TypeError && /sourceMap must be 'inline', false or an AssetCollector/.test(error.message));
+});
+
+console.log(`\nResults: ${passed} passed, ${failed} failed`);
+if (failed > 0) process.exit(1);
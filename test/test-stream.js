@@ -169,32 +169,48 @@ const p11 = testAsync('renderStream does not record output when rendering throws
   assert(doc.output() === '', 'no partial output recorded after a failure');
 });
 
-/* ---- renderStream announces that it ignores the response cache ---- */
-const p12 = testAsync('renderStream warns when a cacheKey it cannot honour is set', async () => {
-  const { configure, CONFIG, getCacheStats } = require('../index');
+/* ---- renderStream reads and fills the response cache ---- */
+const p12 = testAsync('renderStream caches the completed stream under cacheKey', async () => {
+  const { configure, CONFIG, clearCache } = require('../index');
+  const { getResponseCache } = require('../lib/document');
   const originalMode = CONFIG.mode;
   const originalWarn = console.warn;
   const warnings = [];
   try {
     console.warn = message => warnings.push(message);
     configure({ mode: 'dev' });
-
-    const cached = new Document({ cache: true, cacheKey: 'stream-key' });
-    cached.h1().text('Streamed');
-    const sizeBefore = getCacheStats().cache.size;
-    await collectStream(cached.renderStream());
-    assert(warnings.length === 1, `one warning for an ignored cacheKey (got ${warnings.length})`);
-    assert(warnings[0].includes('stream-key'), 'warning names the ignored key');
-    assert(getCacheStats().cache.size === sizeBefore, 'stream did not populate the cache');
-
-    warnings.length = 0;
-    const plain = new Document();
-    plain.h1().text('Plain');
-    await collectStream(plain.renderStream());
-    assert(warnings.length === 0, 'uncached documents stream without warnings');
+    clearCache();
+
+    const build = (text) => {
+      const doc = new Document({ cache: true, cacheKey: 'stream-key' });
+      doc.h1().text(text);
+      return doc;
+    };
+    const first = await collectStream(build('Streamed').renderStream());
+    assert(getResponseCache().get('stream-key') === first, 'completed stream stored under its cacheKey');
+
+    const second = build('Different');
+    const served = await collectStream(second.renderStream());
+    assert(served === first, 'second stream served from the cache');
+    assert(second.body.length === 0 && second.output() === first, 'cache hit consumes the document like render()');
+    assert(build('Again').render() === first, 'render() shares the cached entry');
+    assert(warnings.length === 0, 'no warning for an honoured cacheKey');
+
+    const broken = new Document({ cache: true, cacheKey: 'stream-broken' });
+    broken.div().on('click', () => {});
+    broken.body[0].children.push({ toString() { throw new Error('boom'); } });
+    await collectStream(broken.renderStream()).catch(() => {});
+    assert(getResponseCache().get('stream-broken') === null, 'a failed stream is not cached');
+
+    const withNonce = new Document({ cache: true, cacheKey: 'stream-nonce', nonce: 'n' });
+    withNonce.h1().text('Nonce');
+    await collectStream(withNonce.renderStream());
+    assert(getResponseCache().get('stream-nonce') === null, 'a nonce bypasses the cache');
+    assert(warnings.length === 1 && warnings[0].includes('stream-nonce'), 'and warns, as render() does');
   } finally {
     console.warn = originalWarn;
     configure({ mode: originalMode });
+    clearCache();
   }
 });
 
@@ -251,7 +267,291 @@ const p14 = testAsync('renderStream cleans up when the consumer destroys it earl
   assert(doc.body.length === 0, 'abandoned stream still clears the document');
 });
 
-Promise.all([p1, p2, p3, p4, p5, p6, p7, p8, p9, p10, p11, p12, p13, p14]).then(() => {
+/* ---- suspense boundaries ---- */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Minimal DOM for the swap script: elements by id, child lists, and a
+// <template> whose content is a fragment of child nodes.
+function runSwapScripts(html, ids) {
+  const vm = require('vm');
+  const nodes = {};
+  const makeEl = (children) => ({
+    children, attrs: { 'aria-busy': 'true' },
+    get firstChild() { return this.children[0] || null; },
+    removeChild(c) { this.children.splice(this.children.indexOf(c), 1); },
+    appendChild(frag) { this.children.push(...frag.children); frag.children = []; },
+    removeAttribute(k) { delete this.attrs[k]; },
+  });
+  for (const id of ids) {
+    nodes[id] = makeEl(['fallback']);
+    const template = { content: { children: [`loaded:${id}`] }, removed: false };
+    template.parentNode = { removeChild: () => { template.removed = true; } };
+    nodes[`bhs-${id}`] = template;
+  }
+  const context = { document: { getElementById: (id) => nodes[id] || null } };
+  context.window = context;
+  for (const match of html.matchAll(/<script[^>]*>([\s\S]*?)<\/script>/g)) {
+    if (match[1].includes('_swapSuspense')) vm.runInNewContext(match[1], context);
+  }
+  return nodes;
+}
+
+const p15 = testAsync('suspense streams the fallback and the rest of the page before the content', async () => {
+  const gate = deferred();
+  const doc = new Document();
+  doc.h1('Top');
+  const boundary = doc.suspense(
+    (el) => el.p('Loading…'),
+    async (el) => { await gate.promise; el.p('Loaded'); },
+    'section'
+  );
+  const id = boundary.attrs.id;
+  doc.p('After');
+
+  const chunks = [];
+  const stream = doc.renderStream();
+  const ended = new Promise((resolve) => stream.on('end', resolve));
+  stream.on('data', (chunk) => chunks.push(chunk.toString()));
+  await tick();
+  const early = chunks.join('');
+  assert(early.includes(`<section id="${id}" aria-busy="true"><p>Loading…</p></section>`), 'fallback streamed in place');
+  assert(early.includes('<p>After</p>'), 'content after the boundary streamed without waiting');
+  assert(!early.includes('Loaded') && !early.includes('</html>'), 'page held open for the boundary');
+
+  gate.resolve();
+  await ended;
+  const html = chunks.join('');
+  assert(html.includes(`<template id="bhs-${id}"><p>Loaded</p></template>`), 'resolved markup sent in a <template>');
+  assert(html.includes(`window.BuildHTML._swapSuspense("${id}")`), 'swap script targets the boundary');
+  assert(html.indexOf('<template') > html.indexOf('<p>After</p>'), 'template follows the rest of the body');
+  assert(html.endsWith('</body></html>'), 'document closed after the boundary');
+  assert(doc.output() === html && doc.body.length === 0, 'completed stream recorded and document cleared');
+
+  const nodes = runSwapScripts(html, [id]);
+  assert(nodes[id].children.join() === `loaded:${id}`, 'swap replaces the fallback');
+  assert(!('aria-busy' in nodes[id].attrs) && nodes[`bhs-${id}`].removed, 'swap clears aria-busy and removes the template');
+});
+
+const p16 = testAsync('suspense boundaries are sent in the order they resolve', async () => {
+  const slow = deferred();
+  const fast = deferred();
+  const doc = new Document();
+  const a = doc.suspense(null, async (el) => { await slow.promise; el.text('slow'); }).attrs.id;
+  const b = doc.suspense(null, async (el) => { await fast.promise; el.text('fast'); }).attrs.id;
+  const rendering = collectStream(doc.renderStream());
+  await tick();
+  fast.resolve();
+  await tick();
+  slow.resolve();
+  const html = await rendering;
+  assert(html.indexOf(`bhs-${b}`) < html.indexOf(`bhs-${a}`), 'faster boundary sent first');
+  assert((html.match(/_swapSuspense=function/g) || []).length === 1, 'swap runtime defined once per page');
+  const nodes = runSwapScripts(html, [a, b]);
+  assert(nodes[a].children.join() === `loaded:${a}` && nodes[b].children.join() === `loaded:${b}`, 'both boundaries swapped');
+});
+
+const p17 = testAsync('suspense swap scripts and styles carry the document nonce', async () => {
+  const doc = new Document({ nonce: 'n0nce' });
+  doc.suspense(null, async (el) => { el.div().css({ color: 'red' }).text('styled'); });
+  const html = await collectStream(doc.renderStream());
+  const scripts = html.match(/<script[^>]*>/g) || [];
+  const styles = html.match(/<style[^>]*>/g) || [];
+  assert(scripts.length > 0 && scripts.every((tag) => tag === '<script nonce="n0nce">'), 'every script has the nonce');
+  assert(styles.length > 0 && styles.every((tag) => tag === '<style nonce="n0nce">'), 'every style has the nonce');
+  assert(html.indexOf('color:red') < html.indexOf('<template'), 'loaded rules sent ahead of their markup');
+  assert((html.match(/color:red/g) || []).length === 1, 'loaded rules not repeated in the closing style block');
+});
+
+const p18 = testAsync('events inside loaded content are wired by the client script', async () => {
+  const doc = new Document();
+  doc.suspense((el) => el.text('…'), async (el) => {
+    el.button('Go').on('click', () => { console.log('go'); });
+  });
+  const html = await collectStream(doc.renderStream());
+  const clientAt = html.indexOf('addEventListener("click"');
+  assert(clientAt > html.indexOf('<template'), 'client script follows the loaded markup');
+});
+
+const p19 = testAsync('a failed suspense boundary keeps its fallback and the stream completes', async () => {
+  const doc = new Document();
+  doc.suspense((el) => el.p('Unavailable'), async () => { throw new Error('backend down'); });
+  doc.p('Footer');
+  // Other tests run concurrently: swallow only this boundary's expected report.
+  const originalError = console.error;
+  console.error = (...args) => {
+    if (!String(args[0]).includes('Suspense boundary')) originalError(...args);
+  };
+  let html;
+  try { html = await collectStream(doc.renderStream()); } finally { console.error = originalError; }
+  assert(html.includes('<p>Unavailable</p>') && html.includes('<p>Footer</p>'), 'fallback and page still sent');
+  assert(!html.includes('<template'), 'nothing to swap in');
+  assert(html.endsWith('</body></html>'), 'stream completed');
+});
+
+const p20 = testAsync('renderAsync resolves suspense boundaries in place', async () => {
+  const doc = new Document();
+  doc.suspense((el) => el.p('Loading…'), async (el) => {
+    await tick();
+    el.p('Ready');
+    el.suspense((inner) => inner.text('inner loading'), async (inner) => { inner.text('inner ready'); }, 'span');
+  }, 'section');
+  const html = await doc.renderAsync();
+  assert(/<section id="[^"]+"><p>Ready<\/p><span id="[^"]+">inner ready<\/span><\/section>/.test(html), 'content rendered where the fallback was');
+  assert(!html.includes('Loading') && !html.includes('<template') && !html.includes('aria-busy'), 'no fallback, template or busy flag');
+});
+
+/* ---- stylesInHead ---- */
+function styledDocument(count) {
+  const doc = new Document();
+  doc.title('Styled');
+  doc.h1('Heading').css({ color: 'navy' }).hover({ color: 'red' });
+  doc.div().media('(max-width: 600px)', { display: 'none' }).text('wide only');
+  doc.p('plain');
+  for (let i = 0; i < count; i++) doc.p('row ' + i + ' with filler text to add bytes').css({ margin: '0' });
+  return doc;
+}
+
+const p21 = testAsync('renderStream({ stylesInHead }) sends scoped CSS in <head>', async () => {
+  const reference = styledDocument(0).render();
+  const html = await collectStream(styledDocument(0).renderStream({ stylesInHead: true }));
+  assert(html === reference, 'output identical to render()');
+  const headEnd = html.indexOf('</head>');
+  assert(html.indexOf('color:navy') < headEnd, 'css() rule in head');
+  assert(html.indexOf(':hover') < headEnd, 'pseudo-class rule in head');
+  assert(html.indexOf('@media (max-width: 600px)') < headEnd, 'media rule in head');
+  assert((html.match(/<style/g) || []).length === 1, 'no closing style block after the body');
+
+  const plain = await collectStream(styledDocument(0).renderStream());
+  assert(plain.indexOf('color:navy') > plain.indexOf('<body'), 'default stream still styles after the body');
+});
+
+const p22 = testAsync('stylesInHead keeps body serialization lazy', async () => {
+  const doc = styledDocument(5000);
+  const stream = doc.renderStream({ stylesInHead: true });
+  assert(stream.readableLength === 0, 'nothing is rendered before the consumer reads');
+  stream.read(0);
+  const buffered = stream.read();
+  const first = buffered ? buffered.toString() : '';
+  assert(first.includes('</head>') && first.includes('margin:0'), 'first read carries the collected styles');
+  assert(!first.includes('</body>'), 'the first read does not finish the document');
+  assert(doc.body.length > 0, 'the document is still held mid-stream');
+  const rest = await collectStream(stream);
+  assert((first + rest) === styledDocument(5000).render(), 'finished stream equals render()');
+});
+
+const p23 = testAsync('stylesInHead leaves suspense content styles to the boundary', async () => {
+  const doc = new Document({ nonce: 'abc' });
+  doc.p('static').css({ color: 'green' });
+  doc.suspense(null, async (el) => { el.p('late').css({ color: 'purple' }); });
+  const html = await collectStream(doc.renderStream({ stylesInHead: true }));
+  assert(html.indexOf('color:green') < html.indexOf('</head>'), 'static rule in head');
+  assert(html.indexOf('color:purple') > html.indexOf('<body'), 'loaded rule sent with its content');
+  assert(html.startsWith('<!DOCTYPE html><html lang="en"><head>') && html.includes('<style nonce="abc">.'), 'head style carries the nonce');
+});
+
+/* ---- renderToReadableStream ---- */
+async function collectWebStream(stream) {
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of stream) {
+    assert(chunk instanceof Uint8Array, 'chunk is bytes');
+    text += decoder.decode(chunk, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+const p25 = testAsync('renderToReadableStream yields the same page as UTF-8 bytes', async () => {
+  const build = () => {
+    const doc = new Document({ nonce: 'web' });
+    doc.title('Web — ünïcödé');
+    doc.h1('Grüße 😀').css({ color: 'teal' });
+    doc.inlineScript('window.ready = true;');
+    return doc;
+  };
+  const expected = await collectStream(build().renderStream());
+  const doc = build();
+  const stream = doc.renderToReadableStream();
+  assert(stream instanceof ReadableStream, 'returns a WHATWG ReadableStream');
+  const html = await collectWebStream(stream);
+  assert(html === expected, 'same bytes as renderStream()');
+  assert(html.includes('Grüße 😀'), 'multi-byte text decodes intact');
+  assert(doc.output() === html && doc.body.length === 0, 'finalized like the Node stream');
+});
+
+const p26 = testAsync('renderToReadableStream renders lazily and cleans up on cancel', async () => {
+  const doc = bigDocument(5000);
+  const reader = doc.renderToReadableStream().getReader();
+  const first = await reader.read();
+  assert(!first.done && first.value.byteLength > 0, 'first read produces bytes');
+  assert(doc.body.length > 0, 'document still held mid-stream');
+  await reader.cancel();
+  assert(doc.body.length === 0, 'cancel releases the document');
+  assert(doc.output() === '', 'cancelled stream not recorded as rendered');
+});
+
+const p27 = testAsync('renderToReadableStream streams suspense boundaries', async () => {
+  const gate = deferred();
+  const doc = new Document();
+  doc.suspense((el) => el.text('wait'), async (el) => { await gate.promise; el.text('done'); });
+  const reader = doc.renderToReadableStream().getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+    if (text.includes('>wait<')) gate.resolve();
+  }
+  assert(text.indexOf('>wait<') < text.indexOf('<template'), 'fallback first, content later');
+  assert(text.includes('>done</template>') && text.endsWith('</body></html>'), 'content swapped in and page closed');
+});
+
+/* ---- preserve ---- */
+const p28 = testAsync('renderStream({ preserve: true }) leaves the document renderable', async () => {
+  const doc = new Document();
+  doc.p('streamed twice');
+  const first = await collectStream(doc.renderStream({ preserve: true }));
+  assert(first.includes('<p>streamed twice</p>'), 'first stream has the body');
+  assert(doc.body.length === 1, 'body kept after the stream');
+  const second = await collectStream(doc.renderStream());
+  assert(second === first, 'second stream matches the first');
+  assert(doc.body.length === 0, 'a plain stream still consumes the document');
+});
+
+/* ---- production minification ---- */
+// Switches the global mode, so it runs once the concurrent tests above are done.
+const p24 = () => testAsync('renderStream minifies in prod mode exactly like render()', async () => {
+  const { configure, CONFIG } = require('../index');
+  const originalMode = CONFIG.mode;
+  const build = () => {
+    const doc = new Document();
+    doc.title('  Spaced   title  ');
+    doc.p('a   b\n\n  c');
+    doc.pre('  keep\n    this  ');
+    doc.textarea('  and\n\n this ');
+    doc.inlineScript('var  x =\n  1;');
+    for (let i = 0; i < 300; i++) doc.p('row   ' + i + '   with   spaces');
+    return doc;
+  };
+  try {
+    configure({ mode: 'prod' });
+    const reference = build().render();
+    const html = await collectStream(build().renderStream());
+    assert(html === reference, 'streamed bytes equal the minified render()');
+    assert(html.includes('<pre>  keep\n    this  </pre>'), '<pre> content untouched');
+    assert(html.includes('a b c'), 'plain whitespace collapsed');
+  } finally {
+    configure({ mode: originalMode });
+  }
+});
+
+Promise.all([p1, p2, p3, p4, p5, p6, p7, p8, p9, p10, p11, p12, p13, p14, p15, p16, p17, p18, p19, p20, p21, p22, p23, p25, p26, p27, p28]).then(p24).then(() => {
   console.log(`\n${'='.repeat(40)}`);
   console.log(`Results: ${passed} passed, ${failed} failed`);
   console.log('='.repeat(40));
@@ -9,13 +9,107 @@ export interface ConfigOptions {
   maxEventFnSize?: number;
   /** Exposes window.BuildHTMLDebug.inspect() in generated development pages. */
   debug?: boolean;
+  /**
+   * Indent rendered pages, `<style>` rules and the client script for reading
+   * and diffing. Takes precedence over prod minification. Default: false
+   */
+  pretty?: boolean;
+  /**
+   * Documents created afterwards number their ids from 1 and name the client
+   * namespace after a hash of the script, so identical builds render
+   * byte-identical pages. Default: false
+   */
+  deterministic?: boolean;
+  /**
+   * Record where each client callback was registered, as in dev mode, and
+   * give rendered client scripts an inline source map. Default: false
+   */
+  sourceMaps?: boolean;
   enableMetrics?: boolean;
+  /**
+   * 'external' loads the static client runtime from a shared
+   * `buildhtml-runtime.<hash>.js` instead of inlining it in every page.
+   * Default: 'inline'
+   */
+  clientRuntime?: 'inline' | 'external';
+  /** URL prefix pages load the external runtime from. Default: '/' */
+  runtimePath?: string;
 }
 
 export declare const CONFIG: Required<ConfigOptions>;
 
 export declare function configure(overrides: Partial<ConfigOptions>): Required<ConfigOptions>;
 
+// ─── Runtime adapters ────────────────────────────────────────────────────────
+
+/** The Node built-ins used by save(), renderFile(), compileFile() and templateEngine. */
+export interface FsAdapter {
+  readFileSync(path: string, encoding: 'utf-8'): string;
+  writeFileSync(path: string, data: string): void;
+}
+
+export interface RuntimeAdapters {
+  fs: FsAdapter;
+  /** Needs `Readable`, used by renderStream(). */
+  stream: { Readable: any };
+  /** Needs `Script`, used to syntax-check callbacks. Without it the built-in scanner is used. */
+  vm: { Script: new (source: string) => unknown };
+}
+
+/**
+ * Replace the module behind an adapter, e.g. an in-memory fs on a worker
+ * runtime. `null` disables the adapter and `undefined` restores the Node
+ * built-in.
+ */
+export declare function setRuntimeAdapter<K extends keyof RuntimeAdapters>(
+  name: K,
+  adapter: RuntimeAdapters[K] | null | undefined
+): void;
+
+// ─── Plugins ─────────────────────────────────────────────────────────────────
+
+/** What a render collected for the hydration script, as plugin hooks see it. */
+export interface RenderContext {
+  events: Array<{ event: string; id: string; fn: Function | string }>;
+  states: Array<{ id: string; value: unknown; tag: string }>;
+  computed: Array<{ id: string; fn: string }>;
+  stateBindings: any[];
+  lifecycles: Array<{ id: string; hooks: any[] }>;
+  oncreates: string[];
+  globalState: Record<string, unknown>;
+  styles: string[];
+  nonce: string | null;
+}
+
+/**
+ * Render pipeline hooks. Global plugins (`registerPlugin`) run before a
+ * document's own (`usePlugin`). A response-cache hit skips every hook.
+ */
+export interface BuildHtmlPlugin<S extends StateShape = StateShape> {
+  name?: string;
+  /** An element was created, before it has content. */
+  onElementCreate?(el: Element<S>, doc: Document<S>): void;
+  /** A render is starting; the tree may still be changed. */
+  beforeRender?(doc: Document<S>): void;
+  /**
+   * An element is about to be serialized. Return nothing to render it as it
+   * now is, another element or a markup string to render instead, or `null`
+   * to leave it out. Changes are made to the live tree.
+   */
+  transformNode?(el: Element<S>, ctx: RenderContext): Element<S> | string | null | void;
+  /** Markup to add at the end of `<head>`. */
+  afterHead?(doc: Document<S>): string | void;
+  /** Runs before the hydration script is compiled. Returned JavaScript is sent in its own `<script>`. */
+  onClientCompile?(ctx: RenderContext, doc: Document<S>): string | void;
+  /** The HTML to send instead of the whole page. A stream with such a plugin sends nothing until the page is complete. */
+  afterRender?(html: string, doc: Document<S>): string | void;
+  /** Streams only: the markup to send instead of `chunk`, which is about to be sent. */
+  afterRenderChunk?(chunk: string, doc: Document<S>): string | void;
+}
+
+/** Registers a plugin for every document. Returns a function that unregisters it. */
+export declare function registerPlugin(plugin: BuildHtmlPlugin): () => void;
+
 // ─── CSS ──────────────────────────────────────────────────────────────────────
 
 export type CSSRules = Record<string, string | number>;
@@ -27,6 +121,255 @@ export interface TransitionOptions {
   delay?: string;
 }
 
+// ─── Assets ──────────────────────────────────────────────────────────────────
+
+export interface AssetFile {
+  fileName: string;
+  contentType: string;
+  contents: string;
+}
+
+/**
+ * Collects the CSS of pages rendered with `render({ extractCss: assets })`
+ * into one content-hashed stylesheet, storing rules shared between pages once.
+ */
+export declare class AssetCollector {
+  constructor(options?: { /** Prefix for the linked file. Default: '/' */ publicPath?: string });
+  publicPath: string;
+  /** Adds rules, skipping any already collected. */
+  addCss(rules: string | string[]): this;
+  /**
+   * Adds one page's head CSS. Returns the rules for selectors an earlier page
+   * defined differently, which the page keeps in its own `<style>` block.
+   */
+  addHeadCss(rules: string | string[]): string[];
+  /** A collector for one page that checks head selectors against this one's pages. */
+  fork(): AssetCollector;
+  /** Every collected rule, in first-seen order. */
+  readonly css: string;
+  /** A copy of the collected rules, in first-seen order. */
+  readonly cssRules: string[];
+  /** `styles.<hash>.css`, or null while there are no rules. */
+  readonly cssFileName: string | null;
+  /** `publicPath` followed by `cssFileName`. */
+  readonly cssHref: string | null;
+  /** The `<link>` for the current stylesheet; empty when there are no rules. */
+  cssLink(): string;
+  /** Stores a source map from `render({ sourceMap })`; returns its URL. */
+  addSourceMap(fileName: string, json: string): string;
+  /** Points stylesheet links from earlier renders at the current file. */
+  resolve(html: string): string;
+  /** The files to write or serve. */
+  files(): AssetFile[];
+}
+
+// ─── Static sites ────────────────────────────────────────────────────────────
+
+export type SiteParams = Record<string, string | number>;
+
+export type SiteBuilder<P extends SiteParams = SiteParams, D = any> =
+  (params: P, data: D) => Document | Promise<Document>;
+
+export interface SiteRouteOptions<P extends SiteParams = SiteParams, D = any> {
+  /** Builds the page. Give either `build` or `template`. */
+  build?: SiteBuilder<P, D>;
+  /** Path of a `.bhtml` file, rendered with `{ ...params, ...data }`. */
+  template?: string;
+  /** One entry per page, filling the route's `:name` segments. */
+  params?: P[] | (() => P[] | Promise<P[]>);
+  /** Data for each page; part of its incremental build key. */
+  data?: D | ((params: P) => D | Promise<D>);
+  /** Files whose contents are part of the key, e.g. shared layouts. */
+  inputs?: string[];
+}
+
+/** A builder function, a template path, or a route object. */
+export type SiteRoute = SiteBuilder | string | SiteRouteOptions;
+
+export interface BuildSiteOptions {
+  /** URL paths to routes. `/` writes index.html, `/about` about/index.html. */
+  routes: Record<string, SiteRoute>;
+  outDir: string;
+  /** Skip pages whose inputs did not change since the last build. Default: true */
+  incremental?: boolean;
+  /** Files whose contents are part of every page's key. */
+  inputs?: string[];
+  /** Directories copied into outDir as they are. */
+  copy?: string[];
+  /** Write every page's CSS to one shared, content-hashed stylesheet. Default: false */
+  extractCss?: boolean;
+  /** URL prefix and directory for the stylesheet. Default: '/assets/' */
+  assetsPath?: string;
+}
+
+export interface SitePageResult {
+  route: string;
+  /** The URL path, or null when the params could not fill the route. */
+  path: string | null;
+  /** The output file relative to outDir. */
+  file: string | null;
+  status: 'written' | 'skipped' | 'failed';
+  errors: ValidationIssue[];
+  warnings: ValidationIssue[];
+  error?: Error;
+}
+
+export interface BuildSiteReport {
+  pages: SitePageResult[];
+  written: number;
+  skipped: number;
+  failed: number;
+  /** Asset files written or copied, relative to outDir. */
+  assets: string[];
+}
+
+/**
+ * Renders every route into outDir, validating each page first. A page that
+ * fails is reported and not written; the rest of the site is still built.
+ */
+export declare function buildSite(options: BuildSiteOptions): Promise<BuildSiteReport>;
+
+// ─── Sitemaps and feeds ──────────────────────────────────────────────────────
+
+/** What pageMetadata() reads from a document's head. */
+export interface PageMetadata {
+  title: string;
+  description: string | null;
+  /** canonical(), else og:url. */
+  url: string | null;
+  image: string | null;
+  noindex: boolean;
+  nofollow: boolean;
+  alternates: Array<{ hreflang: string; href: string }>;
+  /** article:published_time. */
+  published: string | null;
+  /** article:modified_time, else og:updated_time. */
+  modified: string | null;
+}
+
+export type SeoDate = Date | string | number;
+
+/** A page given as an object; its fields override what is read from `doc`. */
+export interface SeoEntry extends Partial<Omit<PageMetadata, 'published' | 'modified'>> {
+  doc?: Document;
+  published?: SeoDate | null;
+  modified?: SeoDate | null;
+  /** Sitemap <lastmod>; defaults to modified, then published. */
+  lastmod?: SeoDate;
+  changefreq?: 'always' | 'hourly' | 'daily' | 'weekly' | 'monthly' | 'yearly' | 'never';
+  priority?: number;
+  /** Feed item fields. */
+  link?: string;
+  id?: string;
+  date?: SeoDate;
+  updated?: SeoDate;
+  author?: string;
+}
+
+export type SeoPage = Document | SeoEntry;
+
+export interface SitemapOptions {
+  /** Resolves relative URLs. */
+  baseUrl?: string;
+}
+
+export interface RobotsTxtOptions extends SitemapOptions {
+  /** Default '*'. */
+  userAgent?: string;
+  allow?: string[];
+  disallow?: string[];
+  /**
+   * Also disallow every noindex page. Off by default, because a crawler that
+   * may not fetch a page never sees its noindex and can index the URL anyway.
+   */
+  disallowNoindex?: boolean;
+  /** URL of the sitemap, resolved against baseUrl. */
+  sitemap?: string;
+}
+
+export interface FeedOptions extends SitemapOptions {
+  title: string;
+  /** The site or blog the feed belongs to; item URLs resolve against it. */
+  link: string;
+  /** The feed's own URL. */
+  feedUrl?: string;
+}
+
+export interface RssFeedOptions extends FeedOptions {
+  description?: string;
+  language?: string;
+}
+
+export interface AtomFeedOptions extends FeedOptions {
+  /** Defaults to link. */
+  id?: string;
+  subtitle?: string;
+  author?: string;
+  /** Defaults to the newest item date. */
+  updated?: SeoDate;
+}
+
+export declare function pageMetadata(doc: Document): PageMetadata;
+/** sitemap.xml for every page that is not noindex. */
+export declare function sitemapXml(pages: SeoPage[], options?: SitemapOptions): string;
+/** robots.txt with the disallowed paths and a Sitemap line. */
+export declare function robotsTxt(pages?: SeoPage[], options?: RobotsTxtOptions): string;
+export declare function rssFeed(items: SeoPage[], options: RssFeedOptions): string;
+export declare function atomFeed(items: SeoPage[], options: AtomFeedOptions): string;
+
+// ─── Validation reports ──────────────────────────────────────────────────────
+
+/** One page's validate() result and the route it was built for. */
+export interface ValidationReportPage {
+  route: string;
+  errors?: ValidationIssue[];
+  warnings?: ValidationIssue[];
+  /** A page that failed to build; reported as `E_PAGE_FAILED`. */
+  error?: unknown;
+  [key: string]: unknown;
+}
+
+/** A list of pages, or a buildSite() report, whose pages are named by their path. */
+export type ValidationReportInput = ValidationReportPage[] | BuildSiteReport;
+
+export interface SarifReportOptions {
+  /** The SARIF artifact URI of a page. Defaults to the file buildSite() wrote, else the route. */
+  uri?: (page: ValidationReportPage | SitePageResult) => string;
+  /** Defaults to 'buildhtml'. */
+  toolName?: string;
+}
+
+export interface JunitReportOptions {
+  /** The test suite name. Defaults to 'buildhtml validate'. */
+  name?: string;
+}
+
+/** A code (`W_IMAGE_ALT`), a prefix ending in `*` (`W_*`) or `*`, mapped to the most issues allowed. */
+export type ValidationThresholds = Record<string, number>;
+
+export interface ThresholdResult {
+  passed: boolean;
+  /** 0 when every limit holds, else 1. */
+  exitCode: 0 | 1;
+  pages: number;
+  errors: number;
+  warnings: number;
+  /** Issue count per code. */
+  codes: Record<string, number>;
+  exceeded: { pattern: string; limit: number; count: number }[];
+  /** One line for a CI log. */
+  summary: string;
+}
+
+/** Compact JSON: `{ pages, errors, warnings, issues: [{ route, severity, code, message, path?, tag?, id? }] }`. */
+export declare function jsonReport(pages: ValidationReportInput): string;
+/** A SARIF 2.1.0 log with one rule per code and one result per issue. */
+export declare function sarifReport(pages: ValidationReportInput, options?: SarifReportOptions): string;
+/** JUnit XML with one test case per page; errors fail it, warnings go to system-out. */
+export declare function junitReport(pages: ValidationReportInput, options?: JunitReportOptions): string;
+/** Check issue counts against limits, merged over `{ 'E_*': 0 }` so errors fail unless `'E_*'` is set. */
+export declare function checkThresholds(pages: ValidationReportInput, thresholds?: ValidationThresholds): ThresholdResult;
+
 // ─── Metrics ─────────────────────────────────────────────────────────────────
 
 export interface TimingStat {
@@ -57,7 +400,11 @@ export declare const metrics: Metrics;
 
 // ─── Components ──────────────────────────────────────────────────────────────
 
-export type ComponentFn<TProps = Record<string, any>> = (el: Element, props: TProps, children?: any) => void;
+/**
+ * A component builds into the element it is given. It may be async; the
+ * returned promise is awaited by `renderAsync()`.
+ */
+export type ComponentFn<TProps = Record<string, any>> = (el: Element, props: TProps, children?: any) => void | Promise<void>;
 
 export interface ComponentOptions {
   tag?: string;
@@ -123,8 +470,14 @@ export declare class Head {
   globalCss(selector: string, rules: CSSRules): Head;
   addClass(name: string, rules: CSSRules): Head;
   hasStyles(): boolean;
-  /** Renders the `<head>` contents. Does not consume the document. */
-  render(): string;
+  /** The head's CSS as separate rules, in the order `render()` emits them. */
+  styleRules(): string[];
+  /**
+   * Renders the `<head>` contents. Does not consume the document. Pass
+   * `{ styles: false }` to leave out the `<style>` block, and `links` or
+   * `scripts: false` for stylesheet links and script tags.
+   */
+  render(options?: { styles?: boolean; links?: boolean; scripts?: boolean }): string;
 }
 
 // ─── Fragment ─────────────────────────────────────────────────────────────────
@@ -165,6 +518,8 @@ export type BindableProp =
   | 'value' | 'checked' | 'selected' | 'disabled' | 'open' | 'hidden'
   | 'readOnly' | 'required' | 'textContent'
   | 'href' | 'src' | 'action' | 'formAction' | 'poster' | 'cite';
+/** When an `island()` hydrates: near the viewport, when idle, on first interaction, or once a media query matches. */
+export type IslandTrigger = 'visible' | 'idle' | 'interaction' | `media:${string}`;
 export type StateValue<S extends StateShape, K extends StateKey<S>> = S[K];
 export type ArrayItem<T> = T extends readonly (infer Item)[] ? Item : never;
 export type ElementContent<S extends StateShape = StateShape> = string | number | ((element: Element<S>) => void);
@@ -192,12 +547,65 @@ export interface ValidationIssue {
   callbackType?: string;
   variables?: string[];
   reason?: string;
+  /** `E_INVALID_NESTING`: the tag of the ancestor the element conflicts with. */
+  parent?: string;
+  /** Issues about an element in the body: its tags from `body`, e.g. `body > div#app > p > div`. */
+  path?: string;
+}
+
+export interface ValidationFix {
+  /** The code of the issue the fix is for. */
+  code: string;
+  tag: string;
+  id: string | null;
+  /** The element's tags from `body`, as before the fix. */
+  path: string;
+  /** Applied fixes: what changed. */
+  change?: string;
+  /** Unapplied fixes: why the element was left alone. */
+  reason?: string;
 }
 
 export interface ValidationResult {
   valid: boolean;
   errors: ValidationIssue[];
   warnings: ValidationIssue[];
+  /** Only with `validate({ fix: true })`. */
+  fixes?: { applied: ValidationFix[]; unapplied: ValidationFix[] };
+}
+
+export interface A11yIssue extends ValidationIssue {
+  /** The WCAG 2 success criterion, e.g. '1.4.3'. */
+  wcag: string;
+  /** `E_CONTRAST`: the colors as `#rrggbb`, their ratio and the ratio required. */
+  foreground?: string;
+  background?: string;
+  ratio?: number;
+  required?: number;
+  /** `W_DUPLICATE_LANDMARK`: the landmark role. */
+  role?: string;
+}
+
+/** One text color pair a11yAudit() checked; `passed` is null when the colors are not known. */
+export interface ContrastCheck {
+  tag: string;
+  id: string | null;
+  path: string;
+  foreground: string | null;
+  background: string | null;
+  ratio: number | null;
+  required: number;
+  largeText: boolean;
+  passed: boolean | null;
+  /** Why an unchecked pair could not be resolved. */
+  reason?: string;
+}
+
+export interface A11yAuditResult {
+  valid: boolean;
+  errors: A11yIssue[];
+  warnings: A11yIssue[];
+  contrast: ContrastCheck[];
 }
 
 export type ClientEventHandler<E extends Event = Event, C = any, S extends StateShape = StateShape> = (
@@ -341,6 +749,12 @@ export declare class Element<S extends StateShape = StateShape> implements Share
   build(defs: NodeDef | NodeDef[]): this;
   append(child: Element<S> | string | number | null): this;
   appendUnsafe(html: string): this;
+  /**
+   * Parses markup into child elements. Event-handler attributes, `srcdoc`,
+   * `<script>` and `<base>` are dropped; URL attributes pass through the same
+   * sanitizer as `attr()`.
+   */
+  appendHTML(html: string): this;
   text(content: string | number | null): this;
   set textContent(value: string | null);
   /**
@@ -371,6 +785,15 @@ export declare class Element<S extends StateShape = StateShape> implements Share
   findById(id: string): Element<S> | null;
   findAll(tag: string): Element<S>[];
   closest(tag: string): Element<S> | null;
+  /**
+   * CSS selector queries: type, `#id`, `.class` (including the hashed classes
+   * `css()` adds), attribute operators, the descendant, `>`, `+` and `~`
+   * combinators, `:first-child` and `:not()`. Unsupported syntax throws a
+   * `SyntaxError`.
+   */
+  querySelector(selector: string): Element<S> | null;
+  querySelectorAll(selector: string): Element<S>[];
+  matches(selector: string): boolean;
   html(): string;
   toString(): string;
 
@@ -495,6 +918,14 @@ export declare class Element<S extends StateShape = StateShape> implements Share
    */
   portal(targetId: string): this;
 
+  // Islands
+  /**
+   * Defers the events, bindings, computed values, lifecycle hooks and portals
+   * of this subtree until `when` fires (default `'visible'`). Global state is
+   * installed for the whole page on load and stays shared.
+   */
+  island(options?: { when?: IslandTrigger }): this;
+
   // State & events
   bind<K extends StateKey<S>, C = any>(stateKey: K, templateFn?: (val: StateValue<S, K>, state: S, context: C) => any, context?: C): Element<S>;
   bindShow<K extends StateKey<S>, C = any>(stateKey: K, fn?: (val: StateValue<S, K>, state: S, context: C) => boolean | any, context?: C): Element<S>;
@@ -584,6 +1015,16 @@ export declare class Element<S extends StateShape = StateShape> implements Share
    * The third argument is the **wrapper tag name** (default `'div'`), not children.
    */
   use<TProps = Record<string, any>>(fn: ComponentFn<TProps>, props?: TProps, tag?: string): Element<S>;
+  /**
+   * Appends a suspense boundary (a `tag` element, default `'div'`, with an id
+   * and `aria-busy="true"`). `fallbackFn` fills it immediately; `asyncFn` builds
+   * the real content into a fresh element and may return a promise.
+   *
+   * `renderStream()` streams the fallback and later sends the content as a
+   * `<template>` plus a nonce-carrying swap script. `renderAsync()` renders
+   * the content in place. `render()` can only emit the fallback.
+   */
+  suspense(fallbackFn: ((el: Element<S>) => void) | null, asyncFn: (el: Element<S>) => void | Promise<void>, tag?: string): Element<S>;
 
   // SPA compilation
   /**
@@ -718,6 +1159,70 @@ export interface DocumentOptions {
   viewport?: boolean;
   /** Set to false to skip the CSS reset added by page(). Default: true */
   resetCss?: boolean;
+  /**
+   * Makes this document deterministic: ids become `id-<seed>-1`, `id-<seed>-2`,
+   * ... and the client namespace a hash of the script. Letters, digits, `_`
+   * and `-` only.
+   */
+  seed?: string;
+}
+
+export interface RenderOptions {
+  /**
+   * Leave the tree and state intact instead of clearing the body and returning
+   * its elements to the pool, so the document can be rendered again. Default: false
+   */
+  preserve?: boolean;
+  /**
+   * Put the page's CSS into this collector and link to its
+   * `styles.<hash>.css` instead of inlining a `<style>` block. A head selector
+   * an earlier page defined differently stays in the page. Bypasses the
+   * response cache.
+   */
+  extractCss?: AssetCollector;
+  /**
+   * `'email'` renders for mail clients: CSS inlined into style attributes,
+   * scripts dropped. Returns `renderEmail().html` and logs its warnings in dev
+   * mode.
+   */
+  target?: 'email';
+  /**
+   * Indent block elements, `<style>` rules and the client script; inline runs,
+   * `<pre>` and `<textarea>` are kept exactly. Overrides `configure({ pretty })`
+   * and bypasses the response cache.
+   */
+  pretty?: boolean;
+  /**
+   * Map the client script's callbacks back to the lines that registered them:
+   * `'inline'` as a data: URL, or a `buildhtml-client.<hash>.js.map` file in
+   * an AssetCollector. Ignored when `pretty` is on. Default: `'inline'` with
+   * `configure({ sourceMaps: true })`, otherwise none.
+   */
+  sourceMap?: 'inline' | false | AssetCollector;
+}
+
+export interface EmailRender {
+  html: string;
+  /** A plain-text alternative. */
+  text: string;
+  /** Constructs mail clients handle badly; codes start with `W_EMAIL_`. */
+  warnings: ValidationIssue[];
+}
+
+export interface CloneOptions {
+  /** Replaces the copied CSP nonce, e.g. a fresh one per request. */
+  nonce?: string | null;
+  /** Replaces the copied response-cache key. */
+  cacheKey?: string | null;
+}
+
+export interface RenderStreamOptions extends Omit<RenderOptions, 'extractCss' | 'target' | 'pretty'> {
+  /**
+   * Collect every element's scoped CSS in a pre-walk and send it inside
+   * `<head>` instead of after the body, so the page is never painted
+   * unstyled. The body is still serialized lazily. Default: false
+   */
+  stylesInHead?: boolean;
 }
 
 export interface BindDescriptor {
@@ -763,6 +1268,8 @@ export interface NodeDef {
     fn: (this: HTMLElement, value: any, state: Record<string, any>) => void;
   }>;
   onDestroy?: (this: HTMLElement, state: Record<string, any>) => void;
+  /** Lazy hydration trigger, as for `el.island()`. */
+  island?: IslandTrigger | { when?: IslandTrigger };
   bind?: BindDescriptor | BindDescriptor[];
   liveList?: LiveListNodeDef;
   children?: NodeDef[];
@@ -773,7 +1280,8 @@ export interface NodeDef {
   each?: any[];
   itemTemplate?: (item: any, index: number) => NodeDef;
   state?: any;
-  setup?: (el: Element) => void;
+  /** Runs after the node is built. May be async; `renderAsync()` awaits it. */
+  setup?: (el: Element) => void | Promise<void>;
   [key: string]: any;
 }
 
@@ -834,6 +1342,8 @@ export declare class Document<S extends StateShape = StateShape> implements Shar
   prefetch(href: string): this;
   preconnect(href: string): this;
   canonical(url: string): this;
+  /** A translation of this page, listed as an alternate in sitemapXml(). */
+  alternate(hreflang: string, url: string): this;
   ogTags(og: Record<string, string>): this;
   twitterCard(tc: Record<string, string>): this;
   jsonLd(schema: object): this;
@@ -885,6 +1395,16 @@ export declare class Document<S extends StateShape = StateShape> implements Shar
    * The third argument is the **wrapper tag name** (default `'div'`), not children.
    */
   use<TProps = Record<string, any>>(fn: ComponentFn<TProps>, props?: TProps, tag?: string): Element<S>;
+  /**
+   * Appends a suspense boundary (a `tag` element, default `'div'`, with an id
+   * and `aria-busy="true"`). `fallbackFn` fills it immediately; `asyncFn` builds
+   * the real content into a fresh element and may return a promise.
+   *
+   * `renderStream()` streams the fallback and later sends the content as a
+   * `<template>` plus a nonce-carrying swap script. `renderAsync()` renders
+   * the content in place. `render()` can only emit the fallback.
+   */
+  suspense(fallbackFn: ((el: Element<S>) => void) | null, asyncFn: (el: Element<S>) => void | Promise<void>, tag?: string): Element<S>;
   useFragment(fn: (doc: Document<S>) => void): Document<S>;
 
   // Declarative builder
@@ -918,8 +1438,40 @@ export declare class Document<S extends StateShape = StateShape> implements Shar
    * Call it **before** `render()`, which clears the body. Reports duplicate ids,
    * accessibility problems, undeclared state keys, and `W_CALLBACK_CAPTURE` for
    * callbacks referencing variables the browser will not have.
+   *
+   * `{ fix: true }` first applies the fixes that are certain to be right and
+   * reports them in `fixes`; errors and warnings then describe the fixed tree.
+   */
+  validate(options?: { fix?: boolean }): ValidationResult;
+  /**
+   * Audit the current tree against WCAG 2: color contrast from the resolved
+   * css(), sharedClass() and globalStyle() rules, image alt text, landmarks,
+   * positive tabindex, click handlers keyboard users cannot reach, and
+   * aria-hidden focusable content. Each issue names its `wcag` criterion;
+   * `contrast` lists every color pair checked. Default level: 'AA'.
+   */
+  a11yAudit(options?: { level?: 'AA' | 'AAA' }): A11yAuditResult;
+
+  // Plugins
+  /** Adds a render plugin to this document. Global plugins run before it. */
+  usePlugin(plugin: BuildHtmlPlugin<S>): this;
+
+  // HTML import
+  /**
+   * Builds a document from existing markup. `<html>` and `<body>` are
+   * unwrapped; `<title>`, descriptive `<meta>` and stylesheet `<link>`s in a
+   * `<head>` move to the head. Sanitized like `appendHTML()`.
    */
-  validate(): ValidationResult;
+  static fromHTML<S extends StateShape = StateShape>(html: string, options?: DocumentOptions): Document<S>;
+  /** Parses markup and appends the elements to the body. */
+  appendHTML(html: string): this;
+
+  // Queries
+  /** First body element matching a CSS selector. Same syntax as `Element#querySelector()`. */
+  querySelector(selector: string): Element<S> | null;
+  querySelectorAll(selector: string): Element<S>[];
+  /** Whether any body element matches a CSS selector, i.e. `querySelector(selector) !== null`. */
+  has(selector: string): boolean;
 
   // JSON import / export
   fromJSON(def: PageDef): this;
@@ -930,10 +1482,56 @@ export declare class Document<S extends StateShape = StateShape> implements Shar
    * Renders the complete HTML document.
    *
    * **Consumes the document**: clears the body and releases pooled elements, so
-   * call it once and build a fresh document per request.
+   * call it once and build a fresh document per request — or pass
+   * `{ preserve: true }`, or render a `clone()`.
+   */
+  render(options?: RenderOptions): string;
+  /**
+   * Awaits every async component and build() `setup` callback, then renders.
+   *
+   * Siblings load concurrently; a subtree is entered once its parent resolved.
+   * A rejection propagates and leaves the document intact. Consumes the
+   * document on success, like `render()`, unless `preserve` is set.
+   */
+  renderAsync(options?: RenderOptions): Promise<string>;
+  /**
+   * Renders for mail clients: every CSS rule that can be is inlined into style
+   * attributes, media queries and pseudo-classes stay in a `<style>`, and
+   * scripts, events and state are dropped. Consumes the document unless
+   * `preserve` is set.
    */
-  render(): string;
-  renderStream(): import('stream').Readable;
+  renderEmail(options?: { preserve?: boolean }): EmailRender;
+  /**
+   * Renders the body as plain text: headings underlined, lists bulleted or
+   * numbered, tables as aligned columns, and links as numbered footnotes.
+   * Paragraphs wrap at `width` columns (default 72; 0 disables wrapping).
+   * Does not consume the document.
+   */
+  renderText(options?: { width?: number }): string;
+  /**
+   * Renders one subtree for an htmx/Turbo-style swap: its markup, a `<style>`
+   * with its scoped CSS, and a `<script>` wiring its events, bindings and
+   * lifecycle hooks into the page's running `window.State` and `watchState`.
+   * State keys the page lacks are seeded; existing values are kept. Does not
+   * consume the document.
+   */
+  renderPartial(idOrElement: string | Element): string;
+  /**
+   * Streams the document to a Node `Readable`.
+   *
+   * Suspense boundaries stream their fallback and are sent as they resolve;
+   * the page stays open until every boundary has settled. A boundary whose
+   * content fails keeps its fallback.
+   */
+  renderStream(options?: RenderStreamOptions): import('stream').Readable;
+  /**
+   * Streams the document as a WHATWG `ReadableStream` of UTF-8 bytes, for
+   * `Response` bodies in fetch-based servers.
+   *
+   * Same rendering, backpressure, suspense, minification and caching as
+   * `renderStream()`. Cancelling the stream releases the document.
+   */
+  renderToReadableStream(options?: RenderStreamOptions): ReadableStream<Uint8Array>;
   /**
    * Returns the **most recent** render.
    *
@@ -944,8 +1542,14 @@ export declare class Document<S extends StateShape = StateShape> implements Shar
   /**
    * Writes the page to `path`, rendering first if it has not been rendered.
    */
-  save(path: string): this;
+  save(path: string, options?: RenderOptions): this;
   clear(): void;
+  /**
+   * Deep-copies body, head, global state, inline scripts and router config into
+   * a new document with the same element ids. Build a layout once and render a
+   * copy per request. Throws while async components are still loading.
+   */
+  clone(options?: CloneOptions): Document<S>;
 
   // SharedShortcuts implementations
   div(content?: ElementContent<S>): Element<S>;
@@ -1153,6 +1757,15 @@ export interface MiddlewareOptions {
   nonce?: (req: any) => string;
 }
 
+export interface FetchHandlerOptions {
+  /** Cache key for the request. A hit is answered without calling the builder. */
+  cacheKey?: string | null | ((request: Request) => string | null);
+  /** Per-response CSP nonce. Nonce-enabled responses bypass the rendered HTML cache. */
+  nonce?: (request: Request) => string;
+  /** Extra response headers, merged over `content-type: text/html; charset=utf-8`. */
+  headers?: Record<string, string>;
+}
+
 export interface CacheStats {
   cache: { size: number; limit: number };
   inFlight: { size: number };
@@ -1173,6 +1786,29 @@ export declare function createCachedRenderer(
   options?: MiddlewareOptions
 ): (req: any, res: any, next: (err?: any) => void) => Promise<void>;
 
+/**
+ * Fetch-style counterpart to `createCachedRenderer`: takes a `Request` and
+ * resolves to a `Response` streamed from `renderToReadableStream()`.
+ *
+ * Async components are awaited before the first byte; suspense boundaries are
+ * streamed. A builder that throws rejects the returned promise, and one that
+ * returns something other than a Document yields a 500 response.
+ */
+export declare function createFetchHandler(
+  builderFn: (request: Request) => Document | Promise<Document>,
+  options?: FetchHandlerOptions
+): (request: Request) => Promise<Response>;
+
+/**
+ * Serves the external client runtime for GET and HEAD requests whose path ends
+ * in its file name, with an immutable cache header. Anything else goes to
+ * `next()`, or gets a 404 when there is none.
+ */
+export declare function serveClientRuntime(): (req: any, res: any, next?: (err?: any) => void) => void;
+
+/** The shared client runtime file that `clientRuntime: 'external'` pages load. */
+export declare function getClientRuntime(): AssetFile;
+
 export declare function clearCache(pattern?: string): void;
 export declare function getCacheStats(): CacheStats;
 export declare function healthCheck(): HealthCheckResult;
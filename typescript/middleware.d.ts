@@ -1,6 +1,8 @@
 // Subpath: @trebor/buildhtml/middleware
 export {
   createCachedRenderer,
+  createFetchHandler,
+  serveClientRuntime,
   clearCache,
   getCacheStats,
   healthCheck,